@@ -0,0 +1,1484 @@
+/**
+ * CardDetector - Reference object detection using OpenCV.js
+ * Clean, maintainable implementation using proven CV algorithms
+ * Finds the reference chosen from ReferenceObjects: rectangles (cards, paper)
+ * as quadrilateral contours, coins as circles refined to an ellipse, and the
+ * printed SizeKit marker as a quadrilateral whose pattern decodes to a known ID
+ * OpenCV.js is not imported: it must be loaded as the global `cv` first
+ * (importScripts in the worker, a script tag, or test/lib/openCvLoader.js in Node)
+ */
+
+import { CardTracker } from './cardTracker.js';
+import { FrameQuality } from './frameQuality.js';
+import { ReferenceObjects } from './referenceObjects.js';
+import { SizeKitMarker } from './sizekitMarker.js';
+
+class CardDetector {
+    /**
+     * @param {Object} reference - Entry from ReferenceObjects (defaults to the ID-1 card)
+     */
+    constructor(reference = null) {
+        // Sub-pixel edge refinement
+        this.EDGE_SAMPLE_SPACING = 4; // Pixels between edge samples
+        this.MIN_EDGE_SAMPLES = 6; // Per edge, after outlier rejection
+        this.MIN_EDGE_GRADIENT = 8; // Intensity step for a sample to count as an edge
+        this.MAX_EDGE_RESIDUAL = 1.5; // Samples further than this (px) from the fit are outliers
+
+        // Contours are found on a downscaled pyramid level, corners refined at full resolution
+        this.MAX_PROCESSING_WIDTH = 640;
+        this.MAX_PYRAMID_LEVELS = 3;
+
+        // Circle (coin) refinement
+        this.CIRCLE_RAYS = 48; // Rim samples around the circle
+        this.MIN_CIRCLE_SAMPLES = 16; // After outlier rejection
+        this.HOUGH_ACCUMULATOR_THRESHOLD = 30;
+
+        // Marker decoding
+        this.MARKER_CELL_PX = 10; // Size of one marker cell in the rectified patch
+        this.MIN_MARKER_CONTRAST = 40; // Gray levels between black and white cells
+
+        // What we are looking for (shape, size and detection hints)
+        this.reference = reference || ReferenceObjects.get(ReferenceObjects.DEFAULT_ID);
+        
+        // Detection state
+        this.lastDetection = null;
+        this.smoothedCorners = null;
+        this.isLocked = false;
+        this.tracker = new CardTracker(); // Follows the card while locked
+        this.outlineOffsets = null; // Contour outline relative to the refined corners at lock, see _trackLockedCard
+        this.trackLoss = null; // Why the lock was given up on the last frame (key of CardTracker.LOSS_REASONS)
+        
+        // OpenCV matrices (allocated on first frame, reused across frames; see dispose())
+        this.mat = null; // RGBA frame
+        this.gray = null; // Full-resolution grayscale (used for sub-pixel refinement)
+        this.pyramid = []; // Downscaled grayscale levels
+        this.small = null; // Pyramid level used for contour detection
+        this.blurred = null;
+        this.edges = null;
+        this.hierarchy = null;
+        this.contours = null;
+        this.markerPatch = null; // Rectified marker for decoding
+        this.level = 0;
+        this.levelScale = 1; // Full-resolution pixels per processing pixel
+
+        // Why the last frame was hard (exposure, blur, glare, framing), see FrameQuality
+        this.quality = new FrameQuality();
+        this.lastQuality = null;
+
+        // Intermediate results for the debug recorder (off by default: copying the edge map costs time)
+        this.debugCapture = false;
+        this.lastDebug = null;
+
+        // Timing stats
+        this.timings = null; // Last frame
+        this.avgTotalMs = null; // Exponential moving average
+        this.framesProcessed = 0;
+    }
+
+    /**
+     * Switch to another reference object (forgets the current detection)
+     * @param {Object} reference - Entry from ReferenceObjects
+     */
+    setReference(reference) {
+        this.reference = reference;
+        this.lastDetection = null;
+        this.smoothedCorners = null;
+        this.quality.reset();
+        this.unlock();
+        console.log(`📐 Reference object: ${reference.id}`);
+    }
+
+    /**
+     * Keep intermediate results of each frame for getDebugInfo()
+     * @param {boolean} enabled - True to capture edges and candidates
+     */
+    setDebugCapture(enabled) {
+        this.debugCapture = enabled;
+        this.lastDebug = null;
+    }
+
+    /**
+     * Intermediate results of the last frame (only while debug capture is on)
+     * @returns {Object|null} {mode, level, levelScale, region, edges {width, height, data}, candidates}
+     *                        where edges is the Canny map at the processing level and each candidate
+     *                        has {corners, area, aspectError, score, markerId, selected}
+     */
+    getDebugInfo() {
+        return this.lastDebug;
+    }
+
+    /**
+     * Detect the reference object (credit card by default) in image using OpenCV
+     * @param {ImageData} imageData - Raw image data from canvas
+     * @param {Object} guideRegion - Optional guide region {x, y, width, height}
+     * @returns {Object|null} Detection result with 4 corners, or null
+     */
+    detectCard(imageData, guideRegion = null) {
+        if (typeof cv === 'undefined' || !cv.Mat) {
+            console.error('OpenCV not loaded yet');
+            return null;
+        }
+
+        try {
+            const startTime = performance.now();
+
+            // 1-2. Copy into the reused RGBA Mat, convert to grayscale and downscale
+            this.lastDebug = null;
+            this.lastQuality = null;
+            this._prepareFrame(imageData);
+            const preprocessTime = performance.now();
+            
+            // If locked, follow the card with optical flow instead of searching
+            this.trackLoss = null;
+            if (this.isLocked) {
+                const detection = this._trackLockedCard();
+                this._recordTimings(startTime, preprocessTime);
+                return detection;
+            }
+            
+            // Standard detection (not locked), on the processing level
+            // 3. Apply Gaussian blur to reduce noise
+            cv.GaussianBlur(this.small, this.blurred, new cv.Size(5, 5), 0);
+            
+            // 4. Canny edge detection
+            // If user tapped (guide region), be MORE aggressive to find card on busy backgrounds
+            // Otherwise, be conservative to avoid false positives
+            if (guideRegion) {
+                // User tapped - aggressive detection to find card on textured surfaces
+                cv.Canny(this.blurred, this.edges, 30, 120);
+            } else {
+                // No tap - conservative to avoid noise
+                cv.Canny(this.blurred, this.edges, 50, 150);
+            }
+            
+            // 5-6. Find shapes matching the reference, mapped back to full resolution
+            const candidates = this._findCandidates(guideRegion);
+            
+            // 7. Select best candidate with additional filtering
+            let detection;
+            if (this.reference.shape === 'circle') {
+                detection = this._selectBestCircle(candidates, guideRegion);
+            } else if (this.reference.shape === 'marker') {
+                detection = this._selectBestMarker(candidates, guideRegion);
+            } else {
+                detection = this._selectBestCandidate(candidates, guideRegion, imageData);
+            }
+            this._captureDebug('search', guideRegion, candidates, detection);
+            
+            // 8. Refine corners to sub-pixel precision and smooth them
+            if (detection) {
+                const refined = this._refineDetection(detection);
+                this.smoothedCorners = this._smoothCorners(refined.corners);
+                this.lastDetection = {
+                    ...refined,
+                    rawCorners: refined.corners, // This frame only, before smoothing
+                    corners: this.smoothedCorners
+                };
+            } else {
+                this.smoothedCorners = null;
+                this.lastDetection = null;
+            }
+
+            // 9. Frame quality, to tell the user why detection is failing
+            this.lastQuality = this.quality.analyze(this.small, this.edges, {
+                reference: this.reference,
+                levelScale: this.levelScale,
+                card: this.lastDetection ? this.lastDetection.rawCorners : null,
+                region: guideRegion
+            });
+            
+            this._recordTimings(startTime, preprocessTime);
+            return this.lastDetection;
+            
+        } catch (error) {
+            console.error('Card detection error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Timing of the last frame and running averages
+     * @returns {Object} {level, processingWidth, preprocessMs, detectMs, totalMs, avgTotalMs, framesProcessed}
+     */
+    getStats() {
+        return {
+            ...this.timings,
+            avgTotalMs: this.avgTotalMs,
+            framesProcessed: this.framesProcessed
+        };
+    }
+
+    /**
+     * Free all OpenCV matrices (call when the detector is no longer needed)
+     */
+    dispose() {
+        for (const mat of [this.mat, this.gray, this.blurred, this.edges, this.hierarchy, this.contours, this.markerPatch, ...this.pyramid]) {
+            if (mat) mat.delete();
+        }
+        this.quality.dispose();
+        this.tracker.dispose();
+        
+        this.mat = null;
+        this.gray = null;
+        this.pyramid = [];
+        this.small = null;
+        this.blurred = null;
+        this.edges = null;
+        this.hierarchy = null;
+        this.contours = null;
+        this.markerPatch = null;
+    }
+
+    /**
+     * Lock onto detected card for robust tracking
+     * @param {Object} detection - Detected card with corners (found in the last processed frame)
+     */
+    lock(detection) {
+        if (!detection || !detection.corners) return;
+        
+        this.isLocked = true;
+
+        // Continue tracking from the locked corners (e.g. a multi-frame consensus)
+        this.smoothedCorners = detection.corners;
+        this.lastDetection = detection;
+        const outline = detection.approxCorners || detection.corners;
+        this.outlineOffsets = detection.corners.map((c, i) => ({ x: outline[i].x - c.x, y: outline[i].y - c.y }));
+        
+        // Seed the tracker on the frame the card was found in; without one it starts on the next frame
+        this.tracker.reset();
+        if (this.small) {
+            this.tracker.start(this.small, detection.corners.map(c => this._pointToLevel(c)));
+        }
+        
+        console.log(`🔒 Locked onto card, tracking ${this.tracker.points.length} points`);
+    }
+
+    /**
+     * Unlock from card (e.g., if lost or user reset)
+     */
+    unlock() {
+        this.isLocked = false;
+        this.tracker.reset();
+        console.log('🔓 Unlocked from card');
+    }
+
+    /**
+     * Forget detection, smoothing and lock state
+     */
+    reset() {
+        this.lastDetection = null;
+        this.smoothedCorners = null;
+        this.quality.reset();
+        this.unlock();
+    }
+
+    /**
+     * Follow the locked card into this frame
+     * A frame the tracker cannot follow keeps the last position (marked held: true, it
+     * was not seen in this frame); after CardTracker.MAX_MISSED_FRAMES of them the lock
+     * is given up and trackLoss says why
+     * @private
+     * @returns {Object|null} Detection, or null once the track is lost
+     */
+    _trackLockedCard() {
+        try {
+            // Locked before any frame was processed (e.g. restored from a recording)
+            if (!this.tracker.active) {
+                this.tracker.start(this.small, this.lastDetection.corners.map(c => this._pointToLevel(c)));
+                return { ...this.lastDetection, held: true };
+            }
+
+            const result = this.tracker.track(this.small);
+            const points = result.points.map(p => ({ ...this._pointFromLevel(p), inlier: p.inlier }));
+
+            if (!result.corners) {
+                this._captureDebug('track', null, [], null, points);
+                if (!result.lost) return { ...this.lastDetection, held: true }; // Hold the last position for now
+
+                console.log(`Lost locked card (${CardTracker.LOSS_REASONS[result.reason]})`);
+                this.unlock();
+                this.trackLoss = result.reason;
+                this.lastDetection = null;
+                this.smoothedCorners = null;
+                return null;
+            }
+
+            // Fit the moved corners to the card edges where they are visible. The fit is not
+            // idempotent: started from its own output it creeps a little further every frame,
+            // so it starts where the contour search put the outline, relative to the corners
+            const { approxCorners, edgeLines, edgePoints, rimPoints, held, ...locked } = this.lastDetection;
+            const corners = result.corners.map(c => this._pointFromLevel(c));
+            const moved = {
+                ...locked,
+                corners: corners.map((c, i) => ({ x: c.x + this.outlineOffsets[i].x, y: c.y + this.outlineOffsets[i].y }))
+            };
+            if (locked.center) {
+                moved.center = this._pointFromLevel(CardTracker.transform(result.homography, this._pointToLevel(locked.center)));
+                moved.radius = locked.radius * Math.sqrt(Math.abs(this._homographyScale(result.homography)));
+            }
+            let detection = this._refineDetection(moved);
+            if (!detection.refined) {
+                // Outline too far off (fast motion): start from the tracked corners, or keep them
+                detection = this._refineDetection({ ...moved, corners });
+            }
+            if (detection.refined) {
+                this.tracker.anchor(detection.corners.map(c => this._pointToLevel(c)));
+            }
+            this._captureDebug('track', null, [detection], detection, points);
+
+            // Move the smoothed corners with the card first, so smoothing only removes jitter, not motion
+            this.smoothedCorners = this.smoothedCorners.map(c =>
+                this._pointFromLevel(CardTracker.transform(result.homography, this._pointToLevel(c))));
+            this.smoothedCorners = this._smoothCorners(detection.corners);
+            this.lastDetection = {
+                ...detection,
+                rawCorners: detection.corners,
+                corners: this.smoothedCorners
+            };
+            
+            return this.lastDetection;
+            
+        } catch (error) {
+            console.error('Tracking error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Draw green overlay on detected card
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} detection - Detection result with corners
+     */
+    drawOverlay(ctx, detection) {
+        if (!detection || !detection.corners || detection.corners.length !== 4) return;
+
+        if (detection.ellipse) {
+            this._drawEllipse(ctx, detection.ellipse);
+            return;
+        }
+        
+        const corners = detection.corners;
+        
+        // Draw semi-transparent green fill
+        ctx.beginPath();
+        ctx.moveTo(corners[0].x, corners[0].y);
+        ctx.lineTo(corners[1].x, corners[1].y);
+        ctx.lineTo(corners[2].x, corners[2].y);
+        ctx.lineTo(corners[3].x, corners[3].y);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.25)';
+        ctx.fill();
+        
+        // Draw bright green outline
+        ctx.strokeStyle = 'rgb(0, 255, 0)';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        
+        // Draw corner dots
+        ctx.fillStyle = 'rgb(0, 255, 0)';
+        for (const corner of corners) {
+            ctx.beginPath();
+            ctx.arc(corner.x, corner.y, 6, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Check if detection is stable
+     * @returns {boolean} True if we have smoothed corners
+     */
+    isStable() {
+        return this.smoothedCorners !== null;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Find shapes matching the reference in a region (full-resolution coordinates)
+     * Expects this.blurred and this.edges for the current frame
+     * @private
+     */
+    _findCandidates(region) {
+        if (this.reference.shape === 'circle') {
+            return this._findCircles(this._toLevel(region)).map(circle => this._fromLevel(circle));
+        }
+
+        cv.findContours(
+            this.edges,
+            this.contours,
+            this.hierarchy,
+            cv.RETR_EXTERNAL,
+            cv.CHAIN_APPROX_SIMPLE
+        );
+
+        const rectangles = this._findCardRectangles(
+            this.contours,
+            { width: this.small.cols, height: this.small.rows },
+            this._toLevel(region)
+        ).map(rect => this._fromLevel(rect));
+
+        // Markers: keep only quadrilaterals whose pattern decodes
+        if (this.reference.shape === 'marker') {
+            return rectangles.map(rect => this._decodeMarker(rect)).filter(marker => marker !== null);
+        }
+
+        return rectangles;
+    }
+
+    /**
+     * Read the pattern inside a quadrilateral and identify the marker
+     * @private
+     * @returns {Object|null} Candidate with corners in marker order (printed top-left first)
+     *                        and {markerId, markerRotation, markerErrors, orientationDegrees}
+     */
+    _decodeMarker(candidate) {
+        const cells = SizeKitMarker.CELLS;
+        const size = cells * this.MARKER_CELL_PX;
+        const corners = candidate.corners;
+
+        // Rectify the quadrilateral to a square patch
+        const src = cv.matFromArray(4, 1, cv.CV_32FC2, corners.flatMap(c => [c.x, c.y]));
+        const dst = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, size, 0, size, size, 0, size]);
+        const transform = cv.getPerspectiveTransform(src, dst);
+        if (!this.markerPatch) this.markerPatch = new cv.Mat();
+        cv.warpPerspective(this.gray, this.markerPatch, transform, new cv.Size(size, size), cv.INTER_LINEAR);
+        src.delete();
+        dst.delete();
+        transform.delete();
+
+        // Mean of each cell, ignoring a margin where neighbouring cells blur in
+        const margin = Math.round(this.MARKER_CELL_PX * 0.25);
+        const means = [];
+        for (let row = 0; row < cells; row++) {
+            for (let col = 0; col < cells; col++) {
+                let sum = 0;
+                let count = 0;
+                for (let y = row * this.MARKER_CELL_PX + margin; y < (row + 1) * this.MARKER_CELL_PX - margin; y++) {
+                    for (let x = col * this.MARKER_CELL_PX + margin; x < (col + 1) * this.MARKER_CELL_PX - margin; x++) {
+                        sum += this.markerPatch.data[y * size + x];
+                        count++;
+                    }
+                }
+                means.push(sum / count);
+            }
+        }
+
+        const darkest = Math.min(...means);
+        const brightest = Math.max(...means);
+        if (brightest - darkest < this.MIN_MARKER_CONTRAST) return null;
+        const threshold = (darkest + brightest) / 2;
+
+        // Border must be entirely black
+        const bits = [];
+        for (let row = 0; row < cells; row++) {
+            const isBorderRow = row === 0 || row === cells - 1;
+            if (!isBorderRow) bits.push([]);
+            for (let col = 0; col < cells; col++) {
+                const black = means[row * cells + col] < threshold;
+                if (isBorderRow || col === 0 || col === cells - 1) {
+                    if (!black) return null;
+                } else {
+                    bits[row - 1].push(black ? 1 : 0);
+                }
+            }
+        }
+
+        const marker = SizeKitMarker.decode(bits);
+        if (!marker) return null;
+
+        // Printed corner j is image corner (j + rotation) % 4
+        const markerCorners = [0, 1, 2, 3].map(j => corners[(j + marker.rotation) % 4]);
+
+        return {
+            ...candidate,
+            corners: markerCorners,
+            markerId: marker.id,
+            markerRotation: marker.rotation,
+            markerErrors: marker.errors,
+            // Direction of the printed top edge in the image (0 = upright)
+            orientationDegrees: Math.atan2(
+                markerCorners[1].y - markerCorners[0].y,
+                markerCorners[1].x - markerCorners[0].x
+            ) * 180 / Math.PI
+        };
+    }
+
+    /**
+     * Pick the marker in the tap region with the cleanest decode, largest first
+     * @private
+     */
+    _selectBestMarker(markers, guideRegion) {
+        const inGuide = guideRegion ?
+            markers.filter(marker => this._isInsideGuide(marker.corners, guideRegion)) :
+            markers;
+        if (inGuide.length === 0) return null;
+
+        // Candidates arrive sorted by area; stable sort keeps that order among equals
+        return [...inGuide].sort((a, b) => a.markerErrors - b.markerErrors)[0];
+    }
+
+    /**
+     * Find circles of plausible size with the Hough transform (processing level)
+     * @private
+     */
+    _findCircles(guideRegion) {
+        const hints = this.reference.hints;
+        let minRadius;
+        let maxRadius;
+
+        if (guideRegion) {
+            // User tapped on the coin: it fills a good part of the search region
+            const regionSize = Math.min(guideRegion.width, guideRegion.height);
+            minRadius = regionSize * 0.1;
+            maxRadius = regionSize * 0.5;
+        } else {
+            // Radius range from the plausible area range (area = pi r^2)
+            const frameArea = this.small.cols * this.small.rows;
+            minRadius = Math.sqrt(frameArea * hints.minAreaFraction / Math.PI);
+            maxRadius = Math.sqrt(frameArea * hints.maxAreaFraction / Math.PI);
+        }
+        minRadius = Math.max(4, Math.round(minRadius));
+        maxRadius = Math.max(minRadius + 1, Math.round(maxRadius));
+
+        const circles = new cv.Mat();
+        const found = [];
+
+        try {
+            cv.HoughCircles(
+                this.blurred,
+                circles,
+                cv.HOUGH_GRADIENT,
+                1,
+                minRadius * 2, // Coins don't overlap
+                100,
+                this.HOUGH_ACCUMULATOR_THRESHOLD,
+                minRadius,
+                maxRadius
+            );
+
+            // Strongest first
+            for (let i = 0; i < circles.cols; i++) {
+                const x = circles.data32F[i * 3];
+                const y = circles.data32F[i * 3 + 1];
+                const radius = circles.data32F[i * 3 + 2];
+
+                const corners = [
+                    { x: x - radius, y: y - radius },
+                    { x: x + radius, y: y - radius },
+                    { x: x + radius, y: y + radius },
+                    { x: x - radius, y: y + radius }
+                ];
+                if (guideRegion && !this._isInsideGuide(corners, guideRegion)) continue;
+
+                found.push({
+                    center: { x, y },
+                    radius: radius,
+                    corners: corners,
+                    width: radius * 2,
+                    height: radius * 2,
+                    area: Math.PI * radius * radius,
+                    aspectRatio: 1,
+                    aspectError: 0
+                });
+            }
+        } finally {
+            circles.delete();
+        }
+
+        return found;
+    }
+
+    /**
+     * Pick the circle nearest the tap, or the strongest one
+     * @private
+     */
+    _selectBestCircle(circles, guideRegion) {
+        if (circles.length === 0) return null;
+        if (!guideRegion) return circles[0];
+
+        const tapX = guideRegion.x + guideRegion.width / 2;
+        const tapY = guideRegion.y + guideRegion.height / 2;
+        return circles.reduce((best, circle) =>
+            this._distance(circle.center, { x: tapX, y: tapY }) < this._distance(best.center, { x: tapX, y: tapY }) ?
+                circle : best
+        );
+    }
+
+    /**
+     * Find rectangles matching the reference aspect ratio
+     * @private
+     */
+    _findCardRectangles(contours, imageData, guideRegion) {
+        const rectangles = [];
+        const hints = this.reference.hints;
+        const referenceAspect = Math.max(this.reference.widthMM, this.reference.heightMM) /
+                                Math.min(this.reference.widthMM, this.reference.heightMM);
+        
+        // Reference-specific size constraints
+        // If we have a guide region (user tapped), be VERY lenient
+        const minArea = guideRegion ? 
+            (guideRegion.width * guideRegion.height * 0.05) : // Just 5% of tap region (very lenient)
+            (imageData.width * imageData.height * hints.minAreaFraction); // Or e.g. 3% of full image for a card
+            
+        const maxArea = guideRegion ?
+            (guideRegion.width * guideRegion.height * 0.95) : // Max 95% of tap region (user tapped on card)
+            (imageData.width * imageData.height * hints.maxAreaFraction); // Or e.g. 40% of full image for a card
+        
+        for (let i = 0; i < contours.size(); i++) {
+            const contour = contours.get(i);
+            const area = cv.contourArea(contour);
+            
+            // Skip contours that are too small or too large (reject laptop screens)
+            if (area < minArea || area > maxArea) {
+                contour.delete();
+                continue;
+            }
+            
+            // Approximate contour to polygon
+            const perimeter = cv.arcLength(contour, true);
+            const approx = new cv.Mat();
+            cv.approxPolyDP(contour, approx, 0.02 * perimeter, true);
+            
+            // Must have exactly 4 corners (quadrilateral)
+            if (approx.rows === 4) {
+                // Extract corners
+                const corners = [];
+                for (let j = 0; j < 4; j++) {
+                    corners.push({
+                        x: approx.data32S[j * 2],
+                        y: approx.data32S[j * 2 + 1]
+                    });
+                }
+                
+                // Order corners: top-left, top-right, bottom-right, bottom-left
+                const orderedCorners = this._orderCorners(corners);
+                
+                // Calculate dimensions
+                const width = this._distance(orderedCorners[0], orderedCorners[1]);
+                const height = this._distance(orderedCorners[1], orderedCorners[2]);
+                // Long side over short side: the object may lie portrait or landscape
+                const aspectRatio = Math.max(width, height) / Math.min(width, height);
+                
+                // Check if aspect ratio matches the reference
+                // Use lenient tolerance if user tapped (guide region exists)
+                const aspectError = Math.abs(aspectRatio - referenceAspect) / referenceAspect;
+                const tolerance = guideRegion ? hints.aspectToleranceGuided : hints.aspectTolerance;
+                
+                if (aspectError <= tolerance) {
+                    rectangles.push({
+                        corners: orderedCorners,
+                        width: width,
+                        height: height,
+                        area: area,
+                        aspectRatio: aspectRatio,
+                        aspectError: aspectError
+                    });
+                }
+            }
+            
+            approx.delete();
+            contour.delete();
+        }
+        
+        // Sort by area (largest first)
+        rectangles.sort((a, b) => b.area - a.area);
+        
+        return rectangles;
+    }
+
+    /**
+     * Select best rectangle candidate with brightness filtering
+     * @private
+     */
+    _selectBestCandidate(rectangles, guideRegion, imageData) {
+        if (rectangles.length === 0) return null;
+        
+        // Filter candidates by brightness uniformity (cards are usually uniform)
+        const validCandidates = [];
+        
+        for (const rect of rectangles) {
+            // Check if card is reasonably bright and uniform
+            const brightness = this._checkBrightness(rect.corners, imageData);
+            // Patterned references (the marker) are not expected to be uniform
+            const uniformity = this.reference.hints.uniform ? this._checkUniformity(rect.corners, imageData) : 1;
+            
+            // If user tapped (guide region), be VERY lenient - they know where the card is!
+            if (guideRegion) {
+                // Accept almost anything in the tap region (brightness > 10%, uniformity > 20%)
+                if (brightness > 0.1 && uniformity > 0.2) {
+                    validCandidates.push({ rect, brightness, uniformity });
+                } else {
+                    // Still include it with penalty
+                    validCandidates.push({ rect, brightness: brightness * 0.3, uniformity: uniformity * 0.3 });
+                }
+            } else {
+                // No tap - be more strict
+                if (brightness > 0.2 && uniformity > 0.4) {
+                    validCandidates.push({ rect, brightness, uniformity });
+                } else {
+                    validCandidates.push({ rect, brightness: brightness * 0.5, uniformity: uniformity * 0.5 });
+                }
+            }
+        }
+        
+        if (validCandidates.length === 0) {
+            // Fallback: return largest rectangle
+            return rectangles[0];
+        }
+        
+        // Score candidates by size match, brightness, uniformity, position
+        // Prefer reference-sized objects (not too big, not too small)
+        const idealSize = guideRegion ? 
+            guideRegion.width * guideRegion.height * 0.7 : 
+            imageData.width * imageData.height * this.reference.hints.idealAreaFraction;
+
+        for (const candidate of validCandidates) {
+            const sizeScore = 1 - Math.abs(candidate.rect.area - idealSize) / idealSize;
+            // Kept on the rectangle so the debug recorder can show why it won or lost
+            candidate.rect.score = sizeScore * 0.4 + candidate.brightness * 0.2 + candidate.uniformity * 0.2 + 
+                                   (guideRegion && this._isInsideGuide(candidate.rect.corners, guideRegion) ? 0.2 : 0);
+        }
+        validCandidates.sort((a, b) => b.rect.score - a.rect.score);
+        
+        return validCandidates[0].rect;
+    }
+
+    /**
+     * Refine detection corners with sub-pixel edge lines
+     * Falls back to the approxPolyDP corners when refinement fails
+     * @private
+     */
+    _refineDetection(detection) {
+        if (detection.center) {
+            return this._refineCircleDetection(detection);
+        }
+
+        const refinement = this._refineCorners(detection.corners);
+
+        if (!refinement) {
+            return {
+                ...detection,
+                refined: false,
+                residual: null,
+                confidence: 0
+            };
+        }
+
+        return {
+            ...detection,
+            corners: refinement.corners,
+            approxCorners: detection.corners,
+            refined: true,
+            residual: refinement.residual,
+            confidence: refinement.confidence,
+            edgeLines: refinement.lines,
+            edgePoints: refinement.edgePoints
+        };
+    }
+
+    /**
+     * Fit a line to each card edge at sub-pixel precision and intersect them
+     * Samples near the corners are skipped so the rounded corners don't bias the fit
+     * @private
+     * @param {Array<Object>} corners - Ordered integer corners from approxPolyDP
+     * @returns {Object|null} {corners, lines, edgePoints, residual, confidence}, or null
+     */
+    _refineCorners(corners) {
+        const image = this.gray;
+        if (!image || !corners || corners.length !== 4) return null;
+
+        const lines = [];
+        const edgePoints = [];
+        let totalSamples = 0;
+        let sumSquaredResidual = 0;
+        let inlierCount = 0;
+
+        for (let i = 0; i < 4; i++) {
+            const start = corners[i];
+            const end = corners[(i + 1) % 4];
+            const length = this._distance(start, end);
+            if (length < 20) return null;
+
+            // Unit direction along the edge and normal across it
+            const dir = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+            const normal = { x: -dir.y, y: dir.x };
+            // Corners from a downscaled level can be off by up to levelScale pixels
+            const searchRadius = Math.max(4, 2 * this.levelScale, Math.round(length * 0.02));
+
+            // Sample edge positions along the normal, away from the (rounded) corners
+            const exclusion = this.reference.hints.cornerExclusion;
+            const samples = Math.max(this.MIN_EDGE_SAMPLES, Math.floor(length * (1 - 2 * exclusion) / this.EDGE_SAMPLE_SPACING));
+            const points = [];
+
+            for (let k = 0; k < samples; k++) {
+                const t = exclusion + (1 - 2 * exclusion) * (k + 0.5) / samples;
+                const base = { x: start.x + dir.x * length * t, y: start.y + dir.y * length * t };
+                const point = this._findEdgeAlongNormal(image, base, normal, dir, searchRadius);
+                if (point) points.push(point);
+            }
+            totalSamples += samples;
+
+            // Fit, drop outliers, refit
+            let line = this._fitLine(points);
+            if (!line) return null;
+            const inliers = points.filter(p => Math.abs(this._lineDistance(line, p)) <= this.MAX_EDGE_RESIDUAL);
+            if (inliers.length < this.MIN_EDGE_SAMPLES) return null;
+            line = this._fitLine(inliers);
+
+            for (const p of inliers) {
+                sumSquaredResidual += Math.pow(this._lineDistance(line, p), 2);
+            }
+            inlierCount += inliers.length;
+
+            lines.push(line);
+            edgePoints.push(inliers);
+        }
+
+        // Corner i is where edge i-1 (ending at it) meets edge i (starting at it)
+        const refinedCorners = [];
+        for (let i = 0; i < 4; i++) {
+            const corner = this._intersectLines(lines[(i + 3) % 4], lines[i]);
+            if (!corner) return null;
+
+            // Refinement should only nudge corners, not move them across the card
+            const maxShift = Math.max(6, 3 * this.levelScale, this._distance(corners[i], corners[(i + 1) % 4]) * 0.05);
+            if (this._distance(corner, corners[i]) > maxShift) return null;
+
+            refinedCorners.push(corner);
+        }
+
+        const residual = Math.sqrt(sumSquaredResidual / inlierCount);
+
+        // Confidence: share of samples on a clean edge, penalized by fit residual
+        const confidence = (inlierCount / totalSamples) / (1 + residual);
+
+        return {
+            corners: refinedCorners,
+            lines: lines,
+            edgePoints: edgePoints,
+            residual: residual,
+            confidence: confidence
+        };
+    }
+
+    /**
+     * Refine a Hough circle to a sub-pixel ellipse (a tilted coin is an ellipse)
+     * Falls back to the Hough circle when refinement fails
+     * @private
+     */
+    _refineCircleDetection(detection) {
+        const refinement = this._refineCircle(detection.center, detection.radius);
+
+        if (!refinement) {
+            return {
+                ...detection,
+                ellipse: { center: detection.center, radiusX: detection.radius, radiusY: detection.radius, angle: 0 },
+                refined: false,
+                residual: null,
+                confidence: 0
+            };
+        }
+
+        return {
+            ...detection,
+            center: refinement.ellipse.center,
+            corners: refinement.corners,
+            approxCorners: detection.corners,
+            ellipse: refinement.ellipse,
+            rimPoints: refinement.rimPoints,
+            refined: true,
+            residual: refinement.residual,
+            confidence: refinement.confidence
+        };
+    }
+
+    /**
+     * Sample the rim along rays from the center and fit an ellipse
+     * @private
+     * @returns {Object|null} {ellipse, corners, rimPoints, residual, confidence}, or null
+     */
+    _refineCircle(center, radius) {
+        if (!this.gray || radius < 5) return null;
+
+        // Pass 1: wide search around the Hough circle (a tilted coin is an ellipse, and the
+        // radius from a downscaled level can be off); pass 2: narrow search around that fit
+        let ellipse = { center: center, radiusX: radius, radiusY: radius, angle: 0 };
+        let inliers = null;
+        const passes = [
+            { searchRadius: Math.max(4, 2 * this.levelScale, Math.round(radius * 0.25)), maxResidual: 3 * this.MAX_EDGE_RESIDUAL },
+            { searchRadius: Math.max(4, Math.round(radius * 0.05)), maxResidual: this.MAX_EDGE_RESIDUAL }
+        ];
+
+        for (const pass of passes) {
+            const points = this._sampleRim(ellipse, pass.searchRadius);
+            if (points.length < this.MIN_CIRCLE_SAMPLES) return null;
+
+            // Fit, drop outliers (relief on the coin face), refit
+            let fit = this._fitEllipse(points);
+            if (!fit) return null;
+            inliers = points.filter(p => Math.abs(this._ellipseDistance(fit, p)) <= pass.maxResidual);
+            if (inliers.length < this.MIN_CIRCLE_SAMPLES) return null;
+            fit = this._fitEllipse(inliers);
+            if (!fit) return null;
+            ellipse = fit;
+        }
+
+        // Refinement should only nudge the circle, not jump to another one
+        const maxShift = Math.max(6, 3 * this.levelScale, radius * 0.2);
+        if (this._distance(ellipse.center, center) > maxShift) return null;
+
+        let sumSquaredResidual = 0;
+        for (const p of inliers) {
+            sumSquaredResidual += Math.pow(this._ellipseDistance(ellipse, p), 2);
+        }
+        const residual = Math.sqrt(sumSquaredResidual / inliers.length);
+
+        return {
+            ellipse: ellipse,
+            corners: this._ellipseCorners(ellipse),
+            rimPoints: inliers,
+            residual: residual,
+            confidence: (inliers.length / this.CIRCLE_RAYS) / (1 + residual)
+        };
+    }
+
+    /**
+     * Find the rim along rays from the center of an ellipse estimate
+     * @private
+     */
+    _sampleRim(ellipse, searchRadius) {
+        const points = [];
+        const cos = Math.cos(ellipse.angle);
+        const sin = Math.sin(ellipse.angle);
+
+        for (let k = 0; k < this.CIRCLE_RAYS; k++) {
+            const phi = 2 * Math.PI * k / this.CIRCLE_RAYS;
+            const ex = ellipse.radiusX * Math.cos(phi);
+            const ey = ellipse.radiusY * Math.sin(phi);
+            const base = {
+                x: ellipse.center.x + ex * cos - ey * sin,
+                y: ellipse.center.y + ex * sin + ey * cos
+            };
+
+            // Search radially: close enough to the rim normal for coins seen at modest tilt
+            const length = this._distance(base, ellipse.center);
+            const normal = { x: (base.x - ellipse.center.x) / length, y: (base.y - ellipse.center.y) / length };
+            const tangent = { x: -normal.y, y: normal.x };
+            const point = this._findEdgeAlongNormal(this.gray, base, normal, tangent, searchRadius);
+            if (point) points.push(point);
+        }
+
+        return points;
+    }
+
+    /**
+     * Least-squares ellipse through points
+     * @private
+     * @returns {Object|null} {center, radiusX, radiusY, angle (radians, of the X axis)}
+     */
+    _fitEllipse(points) {
+        if (points.length < 5) return null;
+
+        const mat = cv.matFromArray(points.length, 1, cv.CV_32FC2, points.flatMap(p => [p.x, p.y]));
+        try {
+            const box = cv.fitEllipse(mat);
+            if (!(box.size.width > 0) || !(box.size.height > 0)) return null;
+            return {
+                center: { x: box.center.x, y: box.center.y },
+                radiusX: box.size.width / 2,
+                radiusY: box.size.height / 2,
+                angle: box.angle * Math.PI / 180
+            };
+        } finally {
+            mat.delete();
+        }
+    }
+
+    /**
+     * Approximate signed distance from a point to an ellipse (positive outside)
+     * @private
+     */
+    _ellipseDistance(ellipse, p) {
+        const dx = p.x - ellipse.center.x;
+        const dy = p.y - ellipse.center.y;
+        const cos = Math.cos(ellipse.angle);
+        const sin = Math.sin(ellipse.angle);
+        const u = (dx * cos + dy * sin) / ellipse.radiusX;
+        const v = (-dx * sin + dy * cos) / ellipse.radiusY;
+        const rho = Math.sqrt(u * u + v * v);
+        if (rho === 0) return -Math.min(ellipse.radiusX, ellipse.radiusY);
+
+        // Scale the normalized radius error by the ellipse radius in that direction
+        return (rho - 1) * Math.sqrt(dx * dx + dy * dy) / rho;
+    }
+
+    /**
+     * Corners of the square circumscribing the coin, as seen in the image
+     * Uses the symmetric square root of the ellipse shape, so the corners don't
+     * spin with the (arbitrary) fitted angle of a nearly round ellipse
+     * @private
+     */
+    _ellipseCorners(ellipse) {
+        const { center, radiusX: a, radiusY: b, angle } = ellipse;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const m11 = a * cos * cos + b * sin * sin;
+        const m12 = (a - b) * cos * sin;
+        const m22 = a * sin * sin + b * cos * cos;
+
+        // top-left, top-right, bottom-right, bottom-left
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => ({
+            x: center.x + m11 * sx + m12 * sy,
+            y: center.y + m12 * sx + m22 * sy
+        }));
+    }
+
+    /**
+     * Draw a detected coin
+     * @private
+     */
+    _drawEllipse(ctx, ellipse) {
+        ctx.beginPath();
+        ctx.ellipse(ellipse.center.x, ellipse.center.y, ellipse.radiusX, ellipse.radiusY, ellipse.angle, 0, 2 * Math.PI);
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.25)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgb(0, 255, 0)';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgb(0, 255, 0)';
+        ctx.beginPath();
+        ctx.arc(ellipse.center.x, ellipse.center.y, 6, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    /**
+     * Find the strongest intensity step along a normal, with sub-pixel position
+     * Samples are averaged with their neighbours along the edge to suppress noise
+     * @private
+     */
+    _findEdgeAlongNormal(image, base, normal, tangent, radius) {
+        let bestStep = 0;
+        let bestOffset = 0;
+        let bestIndex = -1;
+        const steps = [];
+
+        for (let s = -radius; s <= radius; s++) {
+            const before = this._sampleAlongEdge(image, base, normal, tangent, s - 1);
+            const after = this._sampleAlongEdge(image, base, normal, tangent, s + 1);
+            if (before === null || after === null) {
+                steps.push(0);
+                continue;
+            }
+            const step = Math.abs(after - before) / 2;
+            steps.push(step);
+            if (step > bestStep) {
+                bestStep = step;
+                bestOffset = s;
+                bestIndex = steps.length - 1;
+            }
+        }
+
+        if (bestStep < this.MIN_EDGE_GRADIENT || bestIndex <= 0 || bestIndex >= steps.length - 1) {
+            return null;
+        }
+
+        // Parabolic interpolation of the gradient peak
+        const left = steps[bestIndex - 1];
+        const right = steps[bestIndex + 1];
+        const denom = left - 2 * bestStep + right;
+        const subOffset = denom !== 0 ? 0.5 * (left - right) / denom : 0;
+        const offset = bestOffset + Math.max(-0.5, Math.min(0.5, subOffset));
+
+        return { x: base.x + normal.x * offset, y: base.y + normal.y * offset };
+    }
+
+    /**
+     * Mean of three samples along the edge at a given offset across it
+     * @private
+     */
+    _sampleAlongEdge(image, base, normal, tangent, offset) {
+        let sum = 0;
+        for (let t = -1; t <= 1; t++) {
+            const value = this._sampleGray(
+                image,
+                base.x + normal.x * offset + tangent.x * t,
+                base.y + normal.y * offset + tangent.y * t
+            );
+            if (value === null) return null;
+            sum += value;
+        }
+        return sum / 3;
+    }
+
+    /**
+     * Bilinear sample of a single-channel Mat
+     * @private
+     */
+    _sampleGray(image, x, y) {
+        const cols = image.cols;
+        const rows = image.rows;
+        if (x < 0 || y < 0 || x >= cols - 1 || y >= rows - 1) return null;
+
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+        const data = image.data;
+        const i = y0 * cols + x0;
+
+        return (data[i] * (1 - fx) + data[i + 1] * fx) * (1 - fy) +
+               (data[i + cols] * (1 - fx) + data[i + cols + 1] * fx) * fy;
+    }
+
+    /**
+     * Total least squares line fit
+     * @private
+     * @returns {Object|null} Line {nx, ny, c} with nx*x + ny*y + c = 0 and |n| = 1
+     */
+    _fitLine(points) {
+        if (points.length < 2) return null;
+
+        let meanX = 0, meanY = 0;
+        for (const p of points) {
+            meanX += p.x;
+            meanY += p.y;
+        }
+        meanX /= points.length;
+        meanY /= points.length;
+
+        let sxx = 0, syy = 0, sxy = 0;
+        for (const p of points) {
+            const dx = p.x - meanX;
+            const dy = p.y - meanY;
+            sxx += dx * dx;
+            syy += dy * dy;
+            sxy += dx * dy;
+        }
+
+        // Line direction = principal axis; normal is perpendicular to it
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const nx = -Math.sin(angle);
+        const ny = Math.cos(angle);
+
+        return { nx, ny, c: -(nx * meanX + ny * meanY) };
+    }
+
+    /**
+     * Signed distance from point to line
+     * @private
+     */
+    _lineDistance(line, p) {
+        return line.nx * p.x + line.ny * p.y + line.c;
+    }
+
+    /**
+     * Intersection of two lines
+     * @private
+     */
+    _intersectLines(a, b) {
+        const det = a.nx * b.ny - a.ny * b.nx;
+        if (Math.abs(det) < 1e-9) return null;
+
+        return {
+            x: (a.ny * b.c - b.ny * a.c) / det,
+            y: (b.nx * a.c - a.nx * b.c) / det
+        };
+    }
+
+    /**
+     * Check brightness of region (cards are usually bright)
+     * @private
+     */
+    _checkBrightness(corners, imageData) {
+        // Sample center of region
+        const centerX = Math.round((corners[0].x + corners[2].x) / 2);
+        const centerY = Math.round((corners[0].y + corners[2].y) / 2);
+        
+        if (centerX < 0 || centerX >= imageData.width || centerY < 0 || centerY >= imageData.height) {
+            return 0;
+        }
+        
+        // Sample 5x5 grid around center
+        let totalBrightness = 0;
+        let samples = 0;
+        
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                const x = centerX + dx * 10;
+                const y = centerY + dy * 10;
+                
+                if (x >= 0 && x < imageData.width && y >= 0 && y < imageData.height) {
+                    const idx = (y * imageData.width + x) * 4;
+                    const brightness = (imageData.data[idx] + imageData.data[idx + 1] + imageData.data[idx + 2]) / 3;
+                    totalBrightness += brightness;
+                    samples++;
+                }
+            }
+        }
+        
+        return samples > 0 ? (totalBrightness / samples) / 255 : 0;
+    }
+
+    /**
+     * Check uniformity of region (cards have consistent texture)
+     * @private
+     */
+    _checkUniformity(corners, imageData) {
+        // Sample region and calculate variance
+        const centerX = Math.round((corners[0].x + corners[2].x) / 2);
+        const centerY = Math.round((corners[0].y + corners[2].y) / 2);
+        
+        if (centerX < 0 || centerX >= imageData.width || centerY < 0 || centerY >= imageData.height) {
+            return 0;
+        }
+        
+        const samples = [];
+        
+        // Sample 5x5 grid
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                const x = centerX + dx * 10;
+                const y = centerY + dy * 10;
+                
+                if (x >= 0 && x < imageData.width && y >= 0 && y < imageData.height) {
+                    const idx = (y * imageData.width + x) * 4;
+                    const brightness = (imageData.data[idx] + imageData.data[idx + 1] + imageData.data[idx + 2]) / 3;
+                    samples.push(brightness);
+                }
+            }
+        }
+        
+        if (samples.length === 0) return 0;
+        
+        // Calculate variance
+        const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+        const variance = samples.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / samples.length;
+        const stdDev = Math.sqrt(variance);
+        
+        // Lower variance = more uniform. Normalize to 0-1 (inverse relationship)
+        // Typical card stdDev < 30, background > 50
+        return Math.max(0, 1 - stdDev / 60);
+    }
+
+    /**
+     * Check if corners are inside guide region
+     * @private
+     */
+    _isInsideGuide(corners, guide) {
+        const centerX = (corners[0].x + corners[2].x) / 2;
+        const centerY = (corners[0].y + corners[2].y) / 2;
+        
+        return centerX >= guide.x &&
+               centerX <= guide.x + guide.width &&
+               centerY >= guide.y &&
+               centerY <= guide.y + guide.height;
+    }
+
+    /**
+     * Order corners: top-left, top-right, bottom-right, bottom-left
+     * @private
+     */
+    _orderCorners(corners) {
+        // Sort by sum (x + y) to find top-left and bottom-right
+        const sorted = [...corners].sort((a, b) => (a.x + a.y) - (b.x + b.y));
+        const topLeft = sorted[0];
+        const bottomRight = sorted[3];
+        
+        // Sort remaining by difference (x - y) to find top-right and bottom-left
+        const remaining = [sorted[1], sorted[2]];
+        remaining.sort((a, b) => (b.x - b.y) - (a.x - a.y));
+        const topRight = remaining[0];
+        const bottomLeft = remaining[1];
+        
+        return [topLeft, topRight, bottomRight, bottomLeft];
+    }
+
+    /**
+     * Calculate Euclidean distance between two points
+     * @private
+     */
+    _distance(p1, p2) {
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    }
+
+    /**
+     * Smooth corner positions with exponential moving average
+     * @private
+     */
+    _smoothCorners(currentCorners) {
+        if (!this.smoothedCorners) {
+            return currentCorners;
+        }
+        
+        // Exponential moving average: 85% previous, 15% current
+        const alpha = 0.15;
+        const smoothed = [];
+        
+        for (let i = 0; i < 4; i++) {
+            const prevX = this.smoothedCorners[i].x;
+            const prevY = this.smoothedCorners[i].y;
+            const currX = currentCorners[i].x;
+            const currY = currentCorners[i].y;
+            
+            // Keep sub-pixel precision (no rounding)
+            smoothed.push({
+                x: prevX * (1 - alpha) + currX * alpha,
+                y: prevY * (1 - alpha) + currY * alpha
+            });
+        }
+        
+        return smoothed;
+    }
+
+    /**
+     * Keep this frame's edge map (search) or tracked points (track) and candidates for the debug recorder
+     * @private
+     */
+    _captureDebug(mode, region, candidates, selected, points = null) {
+        if (!this.debugCapture) return;
+
+        this.lastDebug = {
+            mode: mode, // 'search' or 'track'
+            level: this.level,
+            levelScale: this.levelScale,
+            region: region ? { ...region } : null,
+            // Copy: the Mat is reused for the next frame. Tracking runs no edge detection
+            edges: mode === 'track' ? null : {
+                width: this.edges.cols,
+                height: this.edges.rows,
+                data: new Uint8Array(this.edges.data)
+            },
+            points: points, // [{x, y, inlier}] followed by the tracker
+            candidates: candidates.map(candidate => ({
+                corners: candidate.corners.map(c => ({ x: c.x, y: c.y })),
+                area: candidate.area !== undefined ? candidate.area : null,
+                aspectError: candidate.aspectError !== undefined ? candidate.aspectError : null,
+                score: candidate.score !== undefined ? candidate.score : null,
+                markerId: candidate.markerId !== undefined ? candidate.markerId : null,
+                selected: candidate === selected
+            }))
+        };
+    }
+
+    /**
+     * Copy the frame into reused Mats and build the processing pyramid level
+     * @private
+     */
+    _prepareFrame(imageData) {
+        if (!this.gray) {
+            this.gray = new cv.Mat();
+            this.blurred = new cv.Mat();
+            this.edges = new cv.Mat();
+            this.hierarchy = new cv.Mat();
+            this.contours = new cv.MatVector();
+        }
+
+        // Only reallocate the RGBA Mat when the frame size changes
+        if (!this.mat || this.mat.cols !== imageData.width || this.mat.rows !== imageData.height) {
+            if (this.mat) this.mat.delete();
+            this.mat = new cv.Mat(imageData.height, imageData.width, cv.CV_8UC4);
+        }
+        this.mat.data.set(imageData.data);
+        cv.cvtColor(this.mat, this.gray, cv.COLOR_RGBA2GRAY);
+
+        // Halve with pyrDown until the frame fits MAX_PROCESSING_WIDTH
+        let source = this.gray;
+        this.level = 0;
+        while (source.cols > this.MAX_PROCESSING_WIDTH && this.level < this.MAX_PYRAMID_LEVELS) {
+            if (!this.pyramid[this.level]) {
+                this.pyramid[this.level] = new cv.Mat();
+            }
+            cv.pyrDown(source, this.pyramid[this.level]);
+            source = this.pyramid[this.level];
+            this.level++;
+        }
+        this.small = source;
+        this.levelScale = Math.pow(2, this.level);
+    }
+
+    /**
+     * Map a full-resolution region to the processing level
+     * @private
+     */
+    _toLevel(region) {
+        if (!region) return null;
+        const s = this.levelScale;
+        return { x: region.x / s, y: region.y / s, width: region.width / s, height: region.height / s };
+    }
+
+    /**
+     * Map a rectangle candidate from the processing level to full resolution
+     * Pixel i on level L covers full-resolution pixels [i * 2^L, (i + 1) * 2^L - 1]
+     * @private
+     */
+    _fromLevel(rect) {
+        const s = this.levelScale;
+        const offset = (s - 1) / 2;
+        const mapped = {
+            ...rect,
+            corners: rect.corners.map(c => ({ x: c.x * s + offset, y: c.y * s + offset })),
+            width: rect.width * s,
+            height: rect.height * s,
+            area: rect.area * s * s
+        };
+
+        // Circles
+        if (rect.center) {
+            mapped.center = { x: rect.center.x * s + offset, y: rect.center.y * s + offset };
+            mapped.radius = rect.radius * s;
+        }
+
+        return mapped;
+    }
+
+    /**
+     * Map a full-resolution point to the processing level (inverse of _pointFromLevel)
+     * @private
+     */
+    _pointToLevel(point) {
+        const s = this.levelScale;
+        const offset = (s - 1) / 2;
+        return { x: (point.x - offset) / s, y: (point.y - offset) / s };
+    }
+
+    /**
+     * Map a point from the processing level to full resolution
+     * @private
+     */
+    _pointFromLevel(point) {
+        const s = this.levelScale;
+        const offset = (s - 1) / 2;
+        return { x: point.x * s + offset, y: point.y * s + offset };
+    }
+
+    /**
+     * Local area scale of a homography (determinant of its linear part)
+     * @private
+     */
+    _homographyScale(matrix) {
+        return (matrix[0] * matrix[4] - matrix[1] * matrix[3]) / (matrix[8] * matrix[8]);
+    }
+
+    /**
+     * Store timings of this frame and update the running average
+     * @private
+     */
+    _recordTimings(startTime, preprocessTime) {
+        const endTime = performance.now();
+        const totalMs = endTime - startTime;
+
+        this.timings = {
+            level: this.level,
+            processingWidth: this.small.cols,
+            preprocessMs: preprocessTime - startTime,
+            detectMs: endTime - preprocessTime,
+            totalMs: totalMs
+        };
+
+        this.avgTotalMs = this.avgTotalMs === null ? totalMs : this.avgTotalMs * 0.9 + totalMs * 0.1;
+        this.framesProcessed++;
+    }
+}
+
+export { CardDetector };
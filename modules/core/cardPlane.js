@@ -0,0 +1,306 @@
+/**
+ * CardPlane - Perspective-correct measurement on the card's plane
+ * Computes the homography from the four detected card corners to the
+ * ISO/IEC 7810 ID-1 rectangle, so image points map to true millimetres
+ * even when the phone is not held parallel to the surface.
+ * With a calibrated LensModel, points are undistorted before mapping.
+ */
+
+class CardPlane {
+    /**
+     * @param {Array<Object>} corners - Ordered corners: top-left, top-right, bottom-right, bottom-left
+     * @param {Object} imageSize - {width, height} of the image the corners come from
+     * @param {Object} options - Optional {widthMM, heightMM} of the reference rectangle
+     *                           and {lens} LensModel to undistort image points with
+     */
+    constructor(corners, imageSize, options = {}) {
+        if (!corners || corners.length !== 4) {
+            throw new Error('CardPlane needs 4 corners');
+        }
+
+        this.CARD_WIDTH_MM = options.widthMM || 85.6;
+        this.CARD_HEIGHT_MM = options.heightMM || 53.98;
+
+        // Typical phone main camera: ~70° horizontal field of view
+        this.DEFAULT_FOCAL_FACTOR = 0.7; // focal length / image width
+
+        this.corners = corners;
+        this.imageSize = imageSize;
+        this.lens = options.lens || null;
+
+        // Homography is only valid on undistorted (pinhole) coordinates
+        const pinholeCorners = this.lens ? corners.map(c => this.lens.undistortPoint(c)) : corners;
+
+        // Card may lie portrait in the frame: match its long side to the long image edge
+        const horizontal = (this._distance(pinholeCorners[0], pinholeCorners[1]) + this._distance(pinholeCorners[3], pinholeCorners[2])) / 2;
+        const vertical = (this._distance(pinholeCorners[0], pinholeCorners[3]) + this._distance(pinholeCorners[1], pinholeCorners[2])) / 2;
+        const planeWidth = horizontal >= vertical ? this.CARD_WIDTH_MM : this.CARD_HEIGHT_MM;
+        const planeHeight = horizontal >= vertical ? this.CARD_HEIGHT_MM : this.CARD_WIDTH_MM;
+
+        this.planeCorners = [
+            { x: 0, y: 0 },
+            { x: planeWidth, y: 0 },
+            { x: planeWidth, y: planeHeight },
+            { x: 0, y: planeHeight }
+        ];
+
+        // Plane (mm) -> undistorted image (px), and its inverse
+        this.planeToImageH = CardPlane.computeHomography(this.planeCorners, pinholeCorners);
+        this.imageToPlaneH = CardPlane.invert3x3(this.planeToImageH);
+
+        if (!this.imageToPlaneH) {
+            throw new Error('Degenerate card corners');
+        }
+
+        this._estimatePose();
+    }
+
+    /**
+     * Map an image point to card-plane millimetres
+     * @param {Object} point - {x, y} in image pixels
+     * @returns {Object} {x, y} in mm
+     */
+    imageToPlane(point) {
+        const pinhole = this.lens ? this.lens.undistortPoint(point) : point;
+        return CardPlane.applyHomography(this.imageToPlaneH, pinhole);
+    }
+
+    /**
+     * Map a card-plane point in millimetres to the image
+     * @param {Object} point - {x, y} in mm
+     * @returns {Object} {x, y} in image pixels
+     */
+    planeToImage(point) {
+        const pinhole = CardPlane.applyHomography(this.planeToImageH, point);
+        return this.lens ? this.lens.distortPoint(pinhole) : pinhole;
+    }
+
+    /**
+     * True physical distance between two image points on the card's plane
+     * @param {Object} p1 - {x, y} in image pixels
+     * @param {Object} p2 - {x, y} in image pixels
+     * @returns {number} Distance in millimetres
+     */
+    distanceMM(p1, p2) {
+        return this._distance(this.imageToPlane(p1), this.imageToPlane(p2));
+    }
+
+    /**
+     * Local scale around an image point (varies across the frame under tilt)
+     * @param {Object} point - {x, y} in image pixels
+     * @returns {number} Pixels per millimetre at that point
+     */
+    pixelsPerMMAt(point) {
+        const stepX = this.distanceMM(point, { x: point.x + 1, y: point.y });
+        const stepY = this.distanceMM(point, { x: point.x, y: point.y + 1 });
+        return 2 / (stepX + stepY);
+    }
+
+    /**
+     * Angle between the camera's optical axis and the card's normal
+     * @returns {number} Tilt in degrees (0 = phone held flat above the card)
+     */
+    get tiltDegrees() {
+        return this.tilt;
+    }
+
+    // ==================== STATIC HELPERS ====================
+
+    /**
+     * Homography mapping 4 source points onto 4 destination points (DLT, h33 = 1)
+     * @param {Array<Object>} src - 4 points {x, y}
+     * @param {Array<Object>} dst - 4 points {x, y}
+     * @returns {Array<number>} Row-major 3x3 matrix as 9 numbers
+     */
+    static computeHomography(src, dst) {
+        const A = [];
+        const b = [];
+
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = src[i];
+            const u = dst[i].x;
+            const v = dst[i].y;
+            A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            b.push(u);
+            A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            b.push(v);
+        }
+
+        const h = CardPlane.solveLinear(A, b);
+        if (!h) {
+            throw new Error('Degenerate card corners');
+        }
+
+        return [...h, 1];
+    }
+
+    /**
+     * Apply a 3x3 homography to a point
+     * @param {Array<number>} H - Row-major 3x3 matrix
+     * @param {Object} point - {x, y}
+     * @returns {Object} {x, y}
+     */
+    static applyHomography(H, point) {
+        const w = H[6] * point.x + H[7] * point.y + H[8];
+        return {
+            x: (H[0] * point.x + H[1] * point.y + H[2]) / w,
+            y: (H[3] * point.x + H[4] * point.y + H[5]) / w
+        };
+    }
+
+    /**
+     * Invert a row-major 3x3 matrix
+     * @returns {Array<number>|null} Inverse, or null if singular
+     */
+    static invert3x3(m) {
+        const det =
+            m[0] * (m[4] * m[8] - m[5] * m[7]) -
+            m[1] * (m[3] * m[8] - m[5] * m[6]) +
+            m[2] * (m[3] * m[7] - m[4] * m[6]);
+
+        if (Math.abs(det) < 1e-12) return null;
+
+        return [
+            (m[4] * m[8] - m[5] * m[7]) / det,
+            (m[2] * m[7] - m[1] * m[8]) / det,
+            (m[1] * m[5] - m[2] * m[4]) / det,
+            (m[5] * m[6] - m[3] * m[8]) / det,
+            (m[0] * m[8] - m[2] * m[6]) / det,
+            (m[2] * m[3] - m[0] * m[5]) / det,
+            (m[3] * m[7] - m[4] * m[6]) / det,
+            (m[1] * m[6] - m[0] * m[7]) / det,
+            (m[0] * m[4] - m[1] * m[3]) / det
+        ];
+    }
+
+    /**
+     * Solve A x = b with Gaussian elimination and partial pivoting
+     * @returns {Array<number>|null} Solution, or null if singular
+     */
+    static solveLinear(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            // Pivot on the largest remaining value in this column
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-12) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+
+        // Back substitution
+        const x = new Array(n);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= M[row][k] * x[k];
+            }
+            x[row] = sum / M[row][row];
+        }
+
+        return x;
+    }
+
+    /**
+     * Focal length implied by a plane-to-image homography
+     * Assumes square pixels with the principal point at the image center
+     * @param {Array<number>} H - Row-major 3x3 plane (mm) to image (px) homography
+     * @param {Object} imageSize - {width, height}
+     * @returns {number|null} Focal length in pixels, or null for near-frontal views
+     */
+    static estimateFocalLength(H, imageSize) {
+        const cx = imageSize.width / 2;
+        const cy = imageSize.height / 2;
+
+        // Move the principal point to the origin
+        const h11 = H[0] - cx * H[6], h12 = H[1] - cx * H[7];
+        const h21 = H[3] - cy * H[6], h22 = H[4] - cy * H[7];
+        const h31 = H[6], h32 = H[7];
+
+        // Rotation columns must be orthogonal and of equal length: each gives f²
+        const estimates = [];
+        const denomOrtho = h31 * h32;
+        if (Math.abs(denomOrtho) > 1e-12) {
+            estimates.push(-(h11 * h12 + h21 * h22) / denomOrtho);
+        }
+        const denomNorm = h31 * h31 - h32 * h32;
+        if (Math.abs(denomNorm) > 1e-12) {
+            estimates.push((h12 * h12 + h22 * h22 - h11 * h11 - h21 * h21) / denomNorm);
+        }
+
+        // Near-frontal views carry no focal information
+        const minFocal = 0.4 * imageSize.width;
+        const maxFocal = 3 * imageSize.width;
+        const valid = estimates
+            .filter(f2 => f2 > 0)
+            .map(f2 => Math.sqrt(f2))
+            .filter(f => f >= minFocal && f <= maxFocal);
+
+        return valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Estimate focal length and card orientation from the homography
+     * Assumes square pixels with the principal point at the image center
+     * @private
+     */
+    _estimatePose() {
+        const cx = this.imageSize.width / 2;
+        const cy = this.imageSize.height / 2;
+        const H = this.planeToImageH;
+
+        // Move the principal point to the origin
+        const h11 = H[0] - cx * H[6], h12 = H[1] - cx * H[7];
+        const h21 = H[3] - cy * H[6], h22 = H[4] - cy * H[7];
+        const h31 = H[6], h32 = H[7];
+
+        // Calibrated lens wins; near-frontal views carry no focal information: fall back to a typical lens
+        this.focalLength = this.lens ? this.lens.focalLength :
+            CardPlane.estimateFocalLength(H, this.imageSize) ||
+            this.DEFAULT_FOCAL_FACTOR * this.imageSize.width;
+
+        // Rotation columns r1, r2 = K^-1 h1, K^-1 h2 (normalized); card normal r3 = r1 x r2
+        const f = this.focalLength;
+        const r1 = this._normalize([h11 / f, h21 / f, h31]);
+        const r2 = this._normalize([h12 / f, h22 / f, h32]);
+        const r3 = this._normalize([
+            r1[1] * r2[2] - r1[2] * r2[1],
+            r1[2] * r2[0] - r1[0] * r2[2],
+            r1[0] * r2[1] - r1[1] * r2[0]
+        ]);
+
+        this.normal = r3;
+        this.tilt = Math.acos(Math.min(1, Math.abs(r3[2]))) * 180 / Math.PI;
+    }
+
+    /**
+     * Normalize a 3-vector
+     * @private
+     */
+    _normalize(v) {
+        const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1;
+        return [v[0] / length, v[1] / length, v[2] / length];
+    }
+
+    /**
+     * Calculate Euclidean distance between two points
+     * @private
+     */
+    _distance(p1, p2) {
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    }
+}
+
+export { CardPlane };
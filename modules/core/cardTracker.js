@@ -0,0 +1,342 @@
+/**
+ * CardTracker - Follows a locked reference from frame to frame with optical flow
+ * Feature points on and around the reference are tracked with pyramidal
+ * Lucas-Kanade; a RANSAC homography between their old and new positions moves
+ * the corners. Points on a finger covering part of the card (or on a table
+ * the card slides over) disagree with the homography and are dropped, so the
+ * lock survives partial occlusion. Runs on the processing level of
+ * CardDetector, which owns an instance.
+ * OpenCV.js must be loaded as the global `cv` first.
+ */
+
+class CardTracker {
+    constructor() {
+        // Features
+        this.MAX_POINTS = 80;
+        this.POINT_QUALITY = 0.01; // Weakest corner kept, relative to the strongest (goodFeaturesToTrack)
+        this.MIN_POINT_DISTANCE = 5; // Pixels between features
+        this.SEED_MARGIN = 0.1; // Seed inside the card grown by this share: its outline corners track well
+        this.RESEED_SHARE = 0.6; // Add features once fewer than this share of the seeded ones are left
+
+        // Optical flow
+        this.WINDOW_SIZE = 21;
+        this.PYRAMID_LEVELS = 3; // Follows up to ~WINDOW_SIZE * 2^levels / 2 pixels of motion per frame
+        this.MAX_ROUND_TRIP_ERROR = 1; // Pixels a point may miss its start when tracked back
+
+        // Homography and lost-track conditions
+        this.RANSAC_THRESHOLD = 2; // Pixels
+        this.MIN_INLIERS = 8;
+        this.MIN_INLIER_SHARE = 0.5; // Of the points that were tracked
+        this.MAX_AREA_CHANGE = 1.5; // Card area ratio between frames, either way
+        this.MAX_MISSED_FRAMES = 5; // Failed frames in a row before the track is lost
+
+        // OpenCV matrices (allocated on start, see dispose())
+        this.prevGray = null;
+        this.nextPoints = null;
+        this.backPoints = null;
+        this.status = null;
+        this.backStatus = null;
+        this.errors = null;
+        this.inlierMask = null;
+
+        this.reset();
+    }
+
+    /**
+     * Start tracking a reference
+     * @param {cv.Mat} gray - Grayscale frame at the processing level
+     * @param {Array<Object>} corners - Corners of the reference in that frame
+     */
+    start(gray, corners) {
+        this._allocate();
+        gray.copyTo(this.prevGray);
+        this.corners = corners.map(c => ({ x: c.x, y: c.y }));
+        this.points = this._seed(gray, this.corners, []);
+        this.seeded = this.points.length;
+        this.missed = 0;
+        this.homography = null;
+        this.active = true;
+    }
+
+    /**
+     * Follow the reference into the next frame
+     * @param {cv.Mat} gray - Grayscale frame at the processing level
+     * @returns {Object} {corners, homography, points, inliers} when tracked, otherwise
+     *                   {corners: null, reason, lost, points} where reason is a key of
+     *                   CardTracker.LOSS_REASONS and lost is true once MAX_MISSED_FRAMES failed in a row.
+     *                   points are [{x, y, inlier}] in the new frame
+     */
+    track(gray) {
+        if (this.points.length < this.MIN_INLIERS) return this._miss('occluded', []);
+
+        const tracked = this._flow(gray);
+        if (tracked.length < this.MIN_INLIERS) {
+            return this._miss('occluded', tracked.map(t => ({ ...t.to, inlier: false })));
+        }
+
+        const homography = this._fitHomography(tracked);
+        const points = tracked.map((t, i) => ({ ...t.to, inlier: homography ? homography.inliers[i] : false }));
+        const inliers = points.filter(p => p.inlier);
+        if (!homography || inliers.length < this.MIN_INLIERS || inliers.length < tracked.length * this.MIN_INLIER_SHARE) {
+            return this._miss('motion', points);
+        }
+
+        // The new outline must still be a plausible view of the card
+        const corners = this.corners.map(c => CardTracker.transform(homography.matrix, c));
+        const areaChange = this._polygonArea(corners) / this._polygonArea(this.corners);
+        if (!this._isConvex(corners) || areaChange > this.MAX_AREA_CHANGE || areaChange < 1 / this.MAX_AREA_CHANGE) {
+            return this._miss('motion', points);
+        }
+        const center = {
+            x: corners.reduce((sum, c) => sum + c.x, 0) / 4,
+            y: corners.reduce((sum, c) => sum + c.y, 0) / 4
+        };
+        if (center.x < 0 || center.y < 0 || center.x >= gray.cols || center.y >= gray.rows) {
+            return this._miss('outside', points);
+        }
+
+        gray.copyTo(this.prevGray);
+        this.corners = corners;
+        this.points = inliers.map(p => ({ x: p.x, y: p.y }));
+        this.homography = homography.matrix;
+        this.missed = 0;
+
+        // Replace features lost to occlusion or to the border
+        if (this.points.length < this.seeded * this.RESEED_SHARE) {
+            this.points = this.points.concat(this._seed(gray, corners, this.points));
+            this.seeded = this.points.length;
+        }
+
+        return { corners, homography: homography.matrix, points, inliers: inliers.length };
+    }
+
+    /**
+     * Correct the tracked corners (e.g. after fitting them to the card edges), so errors do not add up
+     * @param {Array<Object>} corners - Corners in the last tracked frame
+     */
+    anchor(corners) {
+        this.corners = corners.map(c => ({ x: c.x, y: c.y }));
+    }
+
+    /**
+     * Stop tracking
+     */
+    reset() {
+        this.active = false;
+        this.corners = null;
+        this.points = [];
+        this.seeded = 0;
+        this.missed = 0;
+        this.homography = null; // Last frame-to-frame homography (row-major 3x3)
+    }
+
+    /**
+     * Free the OpenCV matrices
+     */
+    dispose() {
+        for (const mat of [this.prevGray, this.nextPoints, this.backPoints,
+            this.status, this.backStatus, this.errors, this.inlierMask]) {
+            if (mat) mat.delete();
+        }
+        this.prevGray = null;
+        this.nextPoints = null;
+        this.backPoints = null;
+        this.status = null;
+        this.backStatus = null;
+        this.errors = null;
+        this.inlierMask = null;
+        this.reset();
+    }
+
+    // ==================== STATIC HELPERS ====================
+
+    /**
+     * Apply a homography to a point
+     * @param {Array<number>} matrix - Row-major 3x3
+     * @param {Object} point - {x, y}
+     * @returns {Object} {x, y}
+     */
+    static transform(matrix, point) {
+        const w = matrix[6] * point.x + matrix[7] * point.y + matrix[8];
+        return {
+            x: (matrix[0] * point.x + matrix[1] * point.y + matrix[2]) / w,
+            y: (matrix[3] * point.x + matrix[4] * point.y + matrix[5]) / w
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Allocate the reused matrices
+     * @private
+     */
+    _allocate() {
+        if (this.prevGray) return;
+        this.prevGray = new cv.Mat();
+        this.nextPoints = new cv.Mat();
+        this.backPoints = new cv.Mat();
+        this.status = new cv.Mat();
+        this.backStatus = new cv.Mat();
+        this.errors = new cv.Mat();
+        this.inlierMask = new cv.Mat();
+    }
+
+    /**
+     * Count a failed frame
+     * @private
+     */
+    _miss(reason, points) {
+        this.missed++;
+        const lost = this.missed >= this.MAX_MISSED_FRAMES;
+        if (lost) this.active = false;
+        return { corners: null, reason, lost, points };
+    }
+
+    /**
+     * Track the points into a frame, keeping those that find their way back
+     * @private
+     * @returns {Array<Object>} [{from, to}]
+     */
+    _flow(gray) {
+        const previous = cv.matFromArray(this.points.length, 1, cv.CV_32FC2, this.points.flatMap(p => [p.x, p.y]));
+        const window = new cv.Size(this.WINDOW_SIZE, this.WINDOW_SIZE);
+        const criteria = new cv.TermCriteria(cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_COUNT, 20, 0.03);
+
+        try {
+            cv.calcOpticalFlowPyrLK(this.prevGray, gray, previous, this.nextPoints, this.status, this.errors,
+                window, this.PYRAMID_LEVELS, criteria);
+            cv.calcOpticalFlowPyrLK(gray, this.prevGray, this.nextPoints, this.backPoints, this.backStatus, this.errors,
+                window, this.PYRAMID_LEVELS, criteria);
+
+            const tracked = [];
+            for (let i = 0; i < this.points.length; i++) {
+                if (!this.status.data[i] || !this.backStatus.data[i]) continue;
+
+                const from = this.points[i];
+                const back = { x: this.backPoints.data32F[i * 2], y: this.backPoints.data32F[i * 2 + 1] };
+                if (this._distance(from, back) > this.MAX_ROUND_TRIP_ERROR) continue;
+
+                tracked.push({ from, to: { x: this.nextPoints.data32F[i * 2], y: this.nextPoints.data32F[i * 2 + 1] } });
+            }
+            return tracked;
+        } finally {
+            previous.delete();
+        }
+    }
+
+    /**
+     * Homography from the old to the new point positions, robust to points that moved differently
+     * @private
+     * @returns {Object|null} {matrix (row-major 3x3), inliers: Array<boolean>}
+     */
+    _fitHomography(tracked) {
+        const from = cv.matFromArray(tracked.length, 1, cv.CV_32FC2, tracked.flatMap(t => [t.from.x, t.from.y]));
+        const to = cv.matFromArray(tracked.length, 1, cv.CV_32FC2, tracked.flatMap(t => [t.to.x, t.to.y]));
+        let homography = null;
+
+        try {
+            homography = cv.findHomography(from, to, cv.RANSAC, this.RANSAC_THRESHOLD, this.inlierMask);
+            if (homography.empty()) return null;
+
+            return {
+                matrix: Array.from(homography.data64F),
+                inliers: tracked.map((t, i) => this.inlierMask.data[i] !== 0)
+            };
+        } finally {
+            from.delete();
+            to.delete();
+            if (homography) homography.delete();
+        }
+    }
+
+    /**
+     * Find features on and just around the card, away from the points already tracked
+     * @private
+     * @returns {Array<Object>} New points
+     */
+    _seed(gray, corners, existing) {
+        const wanted = this.MAX_POINTS - existing.length;
+        if (wanted <= 0) return [];
+
+        // Card grown around its centre, as a filled polygon
+        const center = {
+            x: corners.reduce((sum, c) => sum + c.x, 0) / 4,
+            y: corners.reduce((sum, c) => sum + c.y, 0) / 4
+        };
+        const grown = corners.map(c => [
+            Math.round(center.x + (c.x - center.x) * (1 + this.SEED_MARGIN)),
+            Math.round(center.y + (c.y - center.y) * (1 + this.SEED_MARGIN))
+        ]);
+        const polygon = cv.matFromArray(4, 1, cv.CV_32SC2, grown.flat());
+        const mask = cv.Mat.zeros(gray.rows, gray.cols, cv.CV_8U);
+        const found = new cv.Mat();
+
+        try {
+            cv.fillConvexPoly(mask, polygon, new cv.Scalar(255));
+            for (const p of existing) {
+                cv.circle(mask, new cv.Point(Math.round(p.x), Math.round(p.y)), this.MIN_POINT_DISTANCE,
+                    new cv.Scalar(0), -1);
+            }
+
+            cv.goodFeaturesToTrack(gray, found, wanted, this.POINT_QUALITY, this.MIN_POINT_DISTANCE, mask);
+            const points = [];
+            for (let i = 0; i < found.rows; i++) {
+                points.push({ x: found.data32F[i * 2], y: found.data32F[i * 2 + 1] });
+            }
+            return points;
+        } finally {
+            polygon.delete();
+            mask.delete();
+            found.delete();
+        }
+    }
+
+    /**
+     * Whether four corners form a convex quadrilateral (all turns the same way)
+     * @private
+     */
+    _isConvex(corners) {
+        let sign = 0;
+        for (let i = 0; i < 4; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % 4];
+            const c = corners[(i + 2) % 4];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (cross === 0) return false;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Area of a polygon (shoelace formula)
+     * @private
+     */
+    _polygonArea(corners) {
+        let area = 0;
+        for (let i = 0; i < corners.length; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % corners.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    /**
+     * Distance between two points
+     * @private
+     */
+    _distance(p1, p2) {
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    }
+}
+
+// Why a track was lost, for messages
+CardTracker.LOSS_REASONS = {
+    occluded: 'covered up',
+    motion: 'moved too fast',
+    outside: 'out of frame'
+};
+
+export { CardTracker };
@@ -0,0 +1,126 @@
+/**
+ * CornerConsensus - Multi-frame agreement on detected card corners
+ * Collects candidates from consecutive frames and only reports a lock when
+ * the corners agree within a tolerance across the required number of frames
+ */
+
+class CornerConsensus {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {number} options.requiredFrames - Consecutive agreeing frames needed to lock
+     * @param {number} options.tolerance - Max corner deviation as a fraction of the card diagonal
+     * @param {number} options.minTolerancePx - Lower bound on the tolerance in pixels
+     * @param {number} options.maxMisses - Frames without a candidate before starting over
+     */
+    constructor(options = {}) {
+        this.REQUIRED_FRAMES = options.requiredFrames || 8;
+        this.TOLERANCE = options.tolerance || 0.02; // 2% of card diagonal
+        this.MIN_TOLERANCE_PX = options.minTolerancePx || 3;
+        this.MAX_MISSES = options.maxMisses || 3;
+
+        this.reset();
+    }
+
+    /**
+     * Forget all collected candidates
+     */
+    reset() {
+        this.candidates = [];
+        this.misses = 0;
+    }
+
+    /**
+     * Add the corners found in this frame
+     * @param {Array<Object>} corners - 4 ordered corners {x, y}
+     * @returns {Array<Object>|null} Consensus corners once agreed, otherwise null
+     */
+    add(corners) {
+        if (!corners || corners.length !== 4) {
+            this.miss();
+            return null;
+        }
+
+        this.misses = 0;
+
+        // A candidate that disagrees with the current run starts a new run
+        if (this.candidates.length > 0 && !this._agrees(corners, this.meanCorners())) {
+            this.candidates = [];
+        }
+
+        this.candidates.push(corners);
+        if (this.candidates.length > this.REQUIRED_FRAMES) {
+            this.candidates.shift();
+        }
+
+        return this.isAgreed() ? this.meanCorners() : null;
+    }
+
+    /**
+     * Record a frame without a candidate
+     */
+    miss() {
+        this.misses++;
+        if (this.misses > this.MAX_MISSES) {
+            this.candidates = [];
+        }
+    }
+
+    /**
+     * @returns {boolean} True when enough consecutive frames agree
+     */
+    isAgreed() {
+        return this.candidates.length >= this.REQUIRED_FRAMES;
+    }
+
+    /**
+     * @returns {number} Progress towards a lock, 0 to 1
+     */
+    get progress() {
+        return Math.min(1, this.candidates.length / this.REQUIRED_FRAMES);
+    }
+
+    /**
+     * Average corners of the current run
+     * @returns {Array<Object>|null} 4 corners, or null if empty
+     */
+    meanCorners() {
+        if (this.candidates.length === 0) return null;
+
+        const mean = [];
+        for (let i = 0; i < 4; i++) {
+            let x = 0, y = 0;
+            for (const corners of this.candidates) {
+                x += corners[i].x;
+                y += corners[i].y;
+            }
+            mean.push({ x: x / this.candidates.length, y: y / this.candidates.length });
+        }
+        return mean;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Check every corner is within tolerance of the reference
+     * @private
+     */
+    _agrees(corners, reference) {
+        const diagonal = this._distance(reference[0], reference[2]);
+        const tolerance = Math.max(this.MIN_TOLERANCE_PX, diagonal * this.TOLERANCE);
+
+        for (let i = 0; i < 4; i++) {
+            if (this._distance(corners[i], reference[i]) > tolerance) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Calculate Euclidean distance between two points
+     * @private
+     */
+    _distance(p1, p2) {
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    }
+}
+
+export { CornerConsensus };
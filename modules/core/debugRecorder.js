@@ -0,0 +1,206 @@
+/**
+ * DebugRecorder - Rolling record of the last few seconds of a measurement
+ * Keeps the frames sent to the detector with what came back (detection, edge
+ * map, scored candidates), plus taps, resets, state transitions and log lines
+ * from SizeKitCore. A bug report then carries exactly what the pipeline saw,
+ * and DebugReplay can feed it through the pipeline again.
+ * DOM-free: frame images are stored as given (Blob in the browser, ImageData
+ * in Node); DebugBundle turns a bundle into a downloadable file.
+ */
+
+class DebugRecorder {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {number} options.maxFrames - Frames kept (older ones roll off)
+     * @param {number} options.frameInterval - Shortest time between recorded frames in milliseconds
+     * @param {Function} options.now - Clock in milliseconds (defaults to performance.now)
+     */
+    constructor(options = {}) {
+        this.MAX_FRAMES = options.maxFrames || 60; // About 12 s at FRAME_INTERVAL_MS
+        this.FRAME_INTERVAL_MS = options.frameInterval !== undefined ? options.frameInterval : 200; // At most 5 frames a second
+        this.FORMAT = 'sizekit-debug';
+        this.VERSION = 1;
+
+        this.now = options.now || (() => performance.now());
+        this.enabled = true;
+        this.core = null;
+        this.lastState = null;
+        this.lock = null; // Detection the core last locked onto, for the frame snapshots
+        this.clear();
+    }
+
+    /**
+     * Record taps, resets, state transitions, locks and log lines of a core
+     * @param {SizeKitCore} core - Core to follow
+     */
+    attach(core) {
+        this.core = core;
+        this.lastState = core.state;
+
+        core.on('tap', ({ point }) => this.recordEvent('tap', { point }));
+        core.on('reset', () => {
+            this.lock = null;
+            this.recordEvent('reset');
+        });
+        core.on('log', ({ message, level }) => this.recordEvent('log', { message, level }));
+        core.on('cardLocked', ({ pixelsPerMM, detection }) => {
+            this.lock = this._plain(detection);
+            this.recordEvent('lock', { pixelsPerMM });
+        });
+        core.on('change', () => {
+            if (core.state === this.lastState) return;
+            this.recordEvent('state', { from: this.lastState, to: core.state });
+            this.lastState = core.state;
+        });
+    }
+
+    /**
+     * Pause or resume recording (paused during replay)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Forget everything recorded
+     */
+    clear() {
+        this.frames = [];
+        this.events = [];
+        this.nextId = 1;
+        this.lastFrameTime = -Infinity;
+    }
+
+    /**
+     * Check if the next frame should be recorded: recording is on and FRAME_INTERVAL_MS
+     * passed since the last one (capturing every frame would slow down detection)
+     * @returns {boolean}
+     */
+    wantsFrame() {
+        return this.enabled && this.now() - this.lastFrameTime >= this.FRAME_INTERVAL_MS;
+    }
+
+    /**
+     * Record a frame as it is sent to the detector
+     * @param {Object} frame - {image, width, height, request} where request is the core's detection request
+     * @returns {number|null} Frame id for recordResult(), or null while disabled
+     */
+    recordFrame(frame) {
+        if (!this.enabled) return null;
+
+        this.lastFrameTime = this.now();
+        const record = {
+            id: this.nextId++,
+            time: this.lastFrameTime,
+            width: frame.width,
+            height: frame.height,
+            image: frame.image,
+            request: this._plain(frame.request),
+            state: this._snapshot(),
+            result: null
+        };
+        this.frames.push(record);
+
+        // Roll off the oldest frame and the events before the new oldest one
+        if (this.frames.length > this.MAX_FRAMES) {
+            this.frames.shift();
+            const start = this.frames[0].time;
+            this.events = this.events.filter(event => event.time >= start);
+        }
+
+        return record.id;
+    }
+
+    /**
+     * Attach the detector's answer to a recorded frame
+     * @param {number|null} id - From recordFrame()
+     * @param {Object} result - {detection, debug} and optionally {stable, timeMs, quality, trackLoss, hands, error}
+     */
+    recordResult(id, result) {
+        const record = this.frames.find(frame => frame.id === id);
+        if (!record) return; // Rolled off (or recorded while disabled)
+
+        record.result = {
+            detection: this._plain(result.detection),
+            stable: result.stable !== undefined ? result.stable : null,
+            timeMs: result.timeMs !== undefined ? result.timeMs : null,
+            quality: this._plain(result.quality),
+            trackLoss: result.trackLoss || null,
+            hands: this._plain(result.hands),
+            error: result.error ? String(result.error.message || result.error) : null,
+            debug: result.debug || null
+        };
+    }
+
+    /**
+     * Record something that happened between frames
+     * @param {string} type - tap, reset, state, lock, log or anything the app adds
+     * @param {Object} data - JSON-compatible details
+     */
+    recordEvent(type, data = {}) {
+        if (!this.enabled) return;
+        this.events.push({ time: this.now(), type, data: this._plain(data) });
+    }
+
+    /**
+     * Seconds covered by the recorded frames
+     * @returns {number}
+     */
+    get duration() {
+        if (this.frames.length < 2) return 0;
+        return (this.frames[this.frames.length - 1].time - this.frames[0].time) / 1000;
+    }
+
+    /**
+     * Everything recorded, as a bundle for DebugBundle or DebugReplay
+     * Frame images and edge maps are left as stored (not JSON yet)
+     * @param {Object} meta - Extra details (app version, camera, device...)
+     * @returns {Object} {format, version, createdAt, meta, frames, events}
+     */
+    toBundle(meta = {}) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            meta: {
+                ...meta,
+                maxFrames: this.MAX_FRAMES,
+                frameSize: this.core && this.core.frameSize ? { ...this.core.frameSize } : null
+            },
+            frames: this.frames.map(frame => ({ ...frame })),
+            events: this.events.slice()
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * What the core needs to resume from this frame in a replay
+     * @private
+     */
+    _snapshot() {
+        const core = this.core;
+        if (!core) return null;
+
+        return {
+            state: core.state,
+            autoDetect: core.autoDetect,
+            tapPoint: core.tapPoint ? { x: core.tapPoint.x, y: core.tapPoint.y } : null,
+            pixelsPerMM: core.pixelsPerMM,
+            reference: this._plain(core.reference),
+            lens: this._plain(core.lensModel), // LensModel.toJSON()
+            lock: core.isCardLocked() ? this.lock : null
+        };
+    }
+
+    /**
+     * JSON-compatible copy (detections can carry non-plain values)
+     * @private
+     */
+    _plain(value) {
+        return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+    }
+}
+
+export { DebugRecorder };
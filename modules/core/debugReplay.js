@@ -0,0 +1,204 @@
+/**
+ * DebugReplay - Feeds a DebugRecorder bundle through the pipeline again
+ * Restores the core to the state of the first recorded frame, then steps
+ * frame by frame: recorded taps and resets are applied at their time, the
+ * frame is detected with the current detector code and the result goes
+ * through SizeKitCore as in the live loop. The core's clock follows the
+ * recording, so timeouts behave as they did.
+ * Each step reports the new result next to the recorded one.
+ */
+
+import { LensModel } from './lensModel.js';
+import { Messages } from './messages.js';
+import { STATE } from './sizeKitCore.js';
+
+class DebugReplay {
+    /**
+     * @param {Object} bundle - From DebugRecorder.toBundle() or DebugBundle.load()
+     * @param {Object} options
+     * @param {SizeKitCore} options.core - Core to drive (its clock is taken over until stop())
+     * @param {Function} options.detect - (frame, request) => {detection, debug}, may return a Promise
+     * @param {Function} options.readFrame - (frame) => ImageData, for taps that measure a nail
+     *                                        (defaults to frame.image, as recorded in Node)
+     */
+    constructor(bundle, options) {
+        DebugReplay.validate(bundle);
+
+        this.bundle = bundle;
+        this.core = options.core;
+        this.detect = options.detect;
+        this.readFrame = options.readFrame || (frame => frame.image);
+
+        this.index = 0; // Next frame
+        this.time = bundle.frames[0].time; // Replayed clock
+        // Events before the first frame are already part of its state
+        this.eventIndex = (bundle.events || []).filter(event => event.time < this.time).length;
+        this.current = null; // Last step()
+        this.originalNow = null;
+    }
+
+    /**
+     * Check that a bundle can be replayed
+     * @param {Object} bundle
+     * @throws {Error} If it is not a SizeKit debug bundle with frames
+     */
+    static validate(bundle) {
+        if (!bundle || bundle.format !== 'sizekit-debug') {
+            throw Messages.error('error.debugBundle');
+        }
+        if (bundle.version !== 1) {
+            throw Messages.error('error.debugBundleVersion', { version: bundle.version });
+        }
+        if (!Array.isArray(bundle.frames) || bundle.frames.length === 0) {
+            throw Messages.error('error.debugBundleEmpty');
+        }
+    }
+
+    /**
+     * Number of recorded frames
+     * @returns {number}
+     */
+    get frameCount() {
+        return this.bundle.frames.length;
+    }
+
+    /**
+     * True once every frame was replayed
+     * @returns {boolean}
+     */
+    get finished() {
+        return this.index >= this.frameCount;
+    }
+
+    /**
+     * Take over the core's clock and restore the state of the first frame
+     */
+    start() {
+        const core = this.core;
+        const first = this.bundle.frames[0];
+
+        this.originalNow = core.now;
+        core.now = () => this.time;
+        core.setFrameSize({ width: first.width, height: first.height });
+        this._restore(first.state);
+    }
+
+    /**
+     * Replay the next frame
+     * @returns {Promise<Object|null>} {frame, index, request, detection, debug, recorded, matches}
+     *                                 where recorded is the frame's recorded result; null when finished
+     */
+    async step() {
+        if (this.finished) return null;
+
+        const frame = this.bundle.frames[this.index];
+        this._applyEvents(frame);
+        this._applySettings(frame.state);
+        this.time = frame.time;
+
+        const core = this.core;
+        const request = core.getDetectionRequest();
+        let detection = null;
+        let debug = null;
+        if (request) {
+            ({ detection, debug } = await this.detect(frame, request));
+            core.handleDetection(detection, request);
+        }
+        core.tick();
+
+        // Same request mode and same outcome (found / not found) as when recorded
+        const recorded = frame.result;
+        const matches = (request ? request.mode : null) === (frame.request ? frame.request.mode : null) &&
+                        !!detection === !!(recorded && recorded.detection);
+
+        this.current = { frame, index: this.index, request, detection, debug, recorded, matches };
+        this.index++;
+        return this.current;
+    }
+
+    /**
+     * Give the core its own clock back
+     */
+    stop() {
+        if (this.originalNow) {
+            this.core.now = this.originalNow;
+            this.originalNow = null;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Bring the core to a recorded state
+     * A session in progress restarts at the first nail; auto-detect agreement starts over
+     * @private
+     */
+    _restore(snapshot) {
+        const core = this.core;
+        if (!snapshot) {
+            core.reset();
+            return;
+        }
+
+        if (core.autoDetect !== snapshot.autoDetect) core.setAutoDetect(snapshot.autoDetect);
+        core.setLens(snapshot.lens ? LensModel.fromJSON(snapshot.lens, core.frameSize) : null);
+        core.setReference(snapshot.reference); // Also resets
+
+        switch (snapshot.state) {
+            case STATE.DETECTING:
+                if (snapshot.tapPoint) core.tap(snapshot.tapPoint, () => null);
+                break;
+
+            case STATE.LOCKED:
+            case STATE.MEASURING:
+                if (snapshot.lock) {
+                    core.tapPoint = { ...snapshot.tapPoint };
+                    if (core.lockCard(snapshot.lock) && snapshot.state === STATE.MEASURING) {
+                        core.startSession();
+                    }
+                }
+                break;
+
+            case STATE.CALIBRATING:
+                core.startCalibration();
+                break;
+        }
+    }
+
+    /**
+     * Apply recorded taps and resets up to a frame, each at its own time
+     * @private
+     */
+    _applyEvents(frame) {
+        const events = this.bundle.events || [];
+
+        while (this.eventIndex < events.length && events[this.eventIndex].time <= frame.time) {
+            const event = events[this.eventIndex++];
+            this.time = event.time;
+
+            if (event.type === 'tap') {
+                this.core.tap(event.data.point, () => this.readFrame(frame));
+            } else if (event.type === 'reset') {
+                this.core.reset();
+            }
+        }
+    }
+
+    /**
+     * Follow reference and auto-detect changes made between frames
+     * @private
+     */
+    _applySettings(snapshot) {
+        if (!snapshot) return;
+
+        const core = this.core;
+        if (snapshot.reference && snapshot.reference.id !== core.reference.id) {
+            core.setReference(snapshot.reference);
+        }
+        if (snapshot.autoDetect !== core.autoDetect) {
+            core.setAutoDetect(snapshot.autoDetect);
+        }
+    }
+}
+
+export { DebugReplay };
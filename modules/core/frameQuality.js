@@ -0,0 +1,374 @@
+/**
+ * FrameQuality - Why a frame is hard to detect the reference in
+ * Scores each frame for exposure, blur, glare on the reference and how the
+ * reference sits in the frame (too small, too large, cut off by the border),
+ * so the user can be told what to change instead of just "Hold steady".
+ * Runs on the processing level of CardDetector, which owns an instance.
+ * OpenCV.js must be loaded as the global `cv` first.
+ */
+
+class FrameQuality {
+    constructor() {
+        // Exposure (gray levels of the whole frame)
+        this.DARK_MEAN = 60;
+        this.BRIGHT_MEAN = 215;
+        this.CLIPPED_LEVEL = 250; // Blown out
+        this.CLIPPED_LIMIT = 0.25; // Share of the frame blown out before it counts as overexposed
+
+        // Blur: at edge pixels, 1 - slope over the step it climbs, in the direction the frame is
+        // least sharp (motion smears one direction)
+        this.BLUR_LIMIT = 0.72; // Sharp frames score up to ~0.65, a 7-pixel smear ~0.76
+        this.STEP_WINDOW = 15; // Pixels the step is measured over (longer smears are all "blurred")
+        this.MIN_DETAIL = 2; // Average step below this many gray levels: too little contrast to judge
+
+        // Glare: blown-out share of the reference (specular reflection on a glossy card)
+        this.GLARE_LIMIT = 0.03;
+
+        // Framing
+        this.MIN_SHAPE_SHARE = 0.25; // Outlines smaller than this share of the reference's minimum area are ignored
+        this.MIN_SOLIDITY = 0.85; // Outline area over its convex hull: a cut-off card is still nearly convex
+        this.BORDER_MARGIN = 0.03; // Corners this close to the border (share of the frame size) are cut off
+        this.PARTIAL_MEMORY_FRAMES = 15; // Frames a reference last seen at the border explains a miss
+
+        // Reported issues, most important first
+        this.ISSUES = ['dark', 'bright', 'partial', 'blur', 'glare', 'far', 'near'];
+
+        // OpenCV matrices (allocated on first use, see dispose())
+        this.slope = null;
+        this.step = null;
+        this.mask = null;
+        this.closed = null;
+        this.contours = null;
+        this.hierarchy = null;
+
+        this.reset();
+    }
+
+    /**
+     * Score one frame
+     * @param {cv.Mat} gray - Grayscale frame at the processing level
+     * @param {cv.Mat} edges - Canny edges of the same frame
+     * @param {Object} context - {reference, levelScale, card: corners found this frame (full resolution) or null,
+     *                           region: where the reference is expected (full resolution) or null}
+     * @returns {Object} {mean, clipped, blur, glare, cardFraction, partial, issues, issue}
+     *                   clipped, blur and glare are 0-1 (null when they cannot be judged), issue is the
+     *                   first of issues (see ISSUES) or null
+     */
+    analyze(gray, edges, context) {
+        this._allocate();
+
+        const scale = context.levelScale || 1;
+        const frame = { width: gray.cols, height: gray.rows };
+        const card = context.card ? context.card.map(c => ({ x: c.x / scale, y: c.y / scale })) : null;
+
+        // Exposure
+        const mean = cv.mean(gray)[0];
+        const clipped = this._shareAbove(gray, this.CLIPPED_LEVEL - 1);
+
+        // Framing: outlines shaped like the reference at any size, or cut off by the border
+        const shapes = context.reference.shape === 'circle' ? { whole: null, cut: null } :
+            this._findShapes(edges, context.reference);
+        const cardFraction = card ? this._polygonArea(card) / (frame.width * frame.height) :
+            shapes.whole ? shapes.whole.fraction : null;
+
+        // The reference touching the border now, or last seen at the border and lost since
+        if (card) {
+            this.lastSeenAtBorder = this._nearBorder(card, frame);
+            this.framesSinceSeen = 0;
+        } else {
+            this.framesSinceSeen++;
+        }
+        const partial = card ? this.lastSeenAtBorder :
+            shapes.cut !== null || (this.lastSeenAtBorder && this.framesSinceSeen <= this.PARTIAL_MEMORY_FRAMES);
+
+        // Blur and glare where the reference is (or is expected)
+        const region = this._clip(
+            card ? this._boundingBox(card) :
+            context.region ? this._scaleRect(context.region, 1 / scale) :
+            shapes.whole ? this._boundingBox(shapes.whole.corners) : null,
+            frame
+        );
+        const blur = this._blur(gray, edges, region || { x: 0, y: 0, width: frame.width, height: frame.height });
+        const glare = region ? this._shareAbove(gray.roi(new cv.Rect(region.x, region.y, region.width, region.height)),
+            this.CLIPPED_LEVEL - 1, true) : null;
+
+        const hints = context.reference.hints;
+        const found = {
+            dark: mean < this.DARK_MEAN,
+            bright: mean > this.BRIGHT_MEAN || clipped > this.CLIPPED_LIMIT,
+            partial: partial,
+            blur: blur !== null && blur > this.BLUR_LIMIT,
+            glare: glare !== null && glare > this.GLARE_LIMIT,
+            far: cardFraction !== null && cardFraction < hints.minAreaFraction,
+            near: cardFraction !== null && cardFraction > hints.maxAreaFraction
+        };
+        const issues = this.ISSUES.filter(issue => found[issue]);
+
+        return {
+            mean,
+            clipped,
+            blur,
+            glare,
+            cardFraction,
+            partial,
+            issues,
+            issue: issues.length > 0 ? issues[0] : null
+        };
+    }
+
+    /**
+     * Forget where the reference was last seen
+     */
+    reset() {
+        this.lastSeenAtBorder = false;
+        this.framesSinceSeen = Infinity;
+    }
+
+    /**
+     * Free the OpenCV matrices
+     */
+    dispose() {
+        for (const mat of [this.slope, this.step, this.mask, this.closed, this.contours, this.hierarchy]) {
+            if (mat) mat.delete();
+        }
+        this.slope = null;
+        this.step = null;
+        this.mask = null;
+        this.closed = null;
+        this.contours = null;
+        this.hierarchy = null;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Allocate the reused matrices
+     * @private
+     */
+    _allocate() {
+        if (this.mask) return;
+        this.slope = new cv.Mat();
+        this.step = new cv.Mat();
+        this.mask = new cv.Mat();
+        this.closed = new cv.Mat();
+        this.contours = new cv.MatVector();
+        this.hierarchy = new cv.Mat();
+    }
+
+    /**
+     * Share of pixels brighter than a level
+     * @param {boolean} release - Delete the source afterwards (an ROI view)
+     * @private
+     */
+    _shareAbove(mat, level, release = false) {
+        cv.threshold(mat, this.mask, level, 255, cv.THRESH_BINARY);
+        const share = cv.countNonZero(this.mask) / (mat.cols * mat.rows);
+        if (release) mat.delete();
+        return share;
+    }
+
+    /**
+     * Blur score of a region: worst of the horizontal and vertical directions
+     * Compares, at edge pixels, the difference across 2 pixels with the difference across
+     * STEP_WINDOW pixels: equal for a sharp step, 2/n of it for a step smeared over n pixels.
+     * Measured at edges only, so sensor noise and smooth texture do not count
+     * @private
+     */
+    _blur(gray, edges, region) {
+        const half = (this.STEP_WINDOW - 1) / 2;
+        if (region.width <= 2 * half || region.height <= 2 * half) return null;
+
+        const roi = gray.roi(new cv.Rect(region.x, region.y, region.width, region.height));
+        const sharpness = [];
+        for (const [dx, dy] of [[1, 0], [0, 1]]) {
+            // Compared at the pixels at least half a window from the region border
+            const width = region.width - 2 * half * dx;
+            const height = region.height - 2 * half * dy;
+            this._difference(roi, dx, dy, half, 1, width, height, this.slope);
+            this._difference(roi, dx, dy, half, half, width, height, this.step);
+
+            const mask = edges.roi(new cv.Rect(region.x + half * dx, region.y + half * dy, width, height));
+            if (cv.countNonZero(mask) > 0) {
+                const step = cv.mean(this.step, mask)[0];
+                if (step >= this.MIN_DETAIL) sharpness.push(cv.mean(this.slope, mask)[0] / step);
+            }
+            mask.delete();
+        }
+        roi.delete();
+
+        return sharpness.length > 0 ? Math.max(0, 1 - Math.min(...sharpness)) : null;
+    }
+
+    /**
+     * Absolute difference between the pixels a distance ahead and behind, along a direction
+     * @private
+     */
+    _difference(roi, dx, dy, offset, distance, width, height, out) {
+        const ahead = roi.roi(new cv.Rect((offset + distance) * dx, (offset + distance) * dy, width, height));
+        const behind = roi.roi(new cv.Rect((offset - distance) * dx, (offset - distance) * dy, width, height));
+        cv.absdiff(ahead, behind, out);
+        ahead.delete();
+        behind.delete();
+    }
+
+    /**
+     * Largest outline shaped like the reference (at any size), and the largest cut off by the border
+     * The border is drawn into a copy of the edges, so a card cut off by it still has a closed outline
+     * @private
+     * @returns {Object} {whole: {corners, fraction} or null, cut: {fraction} or null} at the processing level
+     */
+    _findShapes(edges, reference) {
+        const frame = { width: edges.cols, height: edges.rows };
+        const frameArea = frame.width * frame.height;
+        const hints = reference.hints;
+        const aspect = Math.max(reference.widthMM, reference.heightMM) / Math.min(reference.widthMM, reference.heightMM);
+        // Short side of the reference at its minimum size: fingers reaching into the frame are narrower
+        const minSide = Math.sqrt(frameArea * hints.minAreaFraction / aspect);
+        let whole = null;
+        let cut = null;
+
+        edges.copyTo(this.closed);
+        cv.rectangle(this.closed, new cv.Point(0, 0), new cv.Point(frame.width - 1, frame.height - 1), new cv.Scalar(255), 1);
+        cv.findContours(this.closed, this.contours, this.hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+        for (let i = 0; i < this.contours.size(); i++) {
+            const contour = this.contours.get(i);
+            const area = cv.contourArea(contour);
+            const fraction = area / frameArea;
+            // The frame itself, and anything smaller than what is already found
+            if (fraction < hints.minAreaFraction * this.MIN_SHAPE_SHARE || fraction > 1 - this.BORDER_MARGIN ||
+                Math.max(whole ? whole.fraction : 0, cut ? cut.fraction : 0) >= fraction) {
+                contour.delete();
+                continue;
+            }
+
+            const hull = new cv.Mat();
+            const approx = new cv.Mat();
+            cv.convexHull(contour, hull, false, true);
+            cv.approxPolyDP(hull, approx, 0.02 * cv.arcLength(hull, true), true);
+            const corners = [];
+            for (let j = 0; j < approx.rows; j++) {
+                corners.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+            }
+            const solid = area / cv.contourArea(hull) >= this.MIN_SOLIDITY;
+            hull.delete();
+            approx.delete();
+            contour.delete();
+            if (!solid) continue;
+
+            if (this._nearBorder(corners, frame)) {
+                // Cut across two sides (4 corners) or across a corner (5): the cut runs along the border
+                if ((corners.length === 4 || corners.length === 5) && fraction <= hints.maxAreaFraction &&
+                    this._borderSide(corners, frame) >= minSide) {
+                    cut = { fraction };
+                }
+            } else if (corners.length === 4) {
+                const sideA = this._distance(corners[0], corners[1]) + this._distance(corners[2], corners[3]);
+                const sideB = this._distance(corners[1], corners[2]) + this._distance(corners[3], corners[0]);
+                const error = Math.abs(Math.max(sideA, sideB) / Math.min(sideA, sideB) - aspect) / aspect;
+                if (error <= hints.aspectTolerance) whole = { corners, fraction };
+            }
+        }
+
+        return { whole, cut };
+    }
+
+    /**
+     * Length of the longest polygon side lying along the frame border
+     * @private
+     */
+    _borderSide(corners, frame) {
+        const marginX = frame.width * this.BORDER_MARGIN;
+        const marginY = frame.height * this.BORDER_MARGIN;
+        const edgeOf = p => [p.x < marginX, p.y < marginY, p.x > frame.width - 1 - marginX, p.y > frame.height - 1 - marginY];
+
+        let longest = 0;
+        for (let i = 0; i < corners.length; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % corners.length];
+            const onA = edgeOf(a);
+            const onB = edgeOf(b);
+            if (onA.some((on, k) => on && onB[k])) longest = Math.max(longest, this._distance(a, b));
+        }
+        return longest;
+    }
+
+    /**
+     * Whether any corner is within BORDER_MARGIN of the frame border
+     * @private
+     */
+    _nearBorder(corners, frame) {
+        const marginX = frame.width * this.BORDER_MARGIN;
+        const marginY = frame.height * this.BORDER_MARGIN;
+        return corners.some(c => c.x < marginX || c.y < marginY ||
+            c.x > frame.width - 1 - marginX || c.y > frame.height - 1 - marginY);
+    }
+
+    /**
+     * Area of a polygon (shoelace formula)
+     * @private
+     */
+    _polygonArea(corners) {
+        let area = 0;
+        for (let i = 0; i < corners.length; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % corners.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    /**
+     * Axis-aligned bounding box of points
+     * @private
+     */
+    _boundingBox(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * Rectangle scaled by a factor
+     * @private
+     */
+    _scaleRect(rect, factor) {
+        return { x: rect.x * factor, y: rect.y * factor, width: rect.width * factor, height: rect.height * factor };
+    }
+
+    /**
+     * Rectangle rounded to whole pixels and clipped to the frame (null if empty)
+     * @private
+     */
+    _clip(rect, frame) {
+        if (!rect) return null;
+        const x = Math.max(0, Math.floor(rect.x));
+        const y = Math.max(0, Math.floor(rect.y));
+        const width = Math.min(frame.width, Math.ceil(rect.x + rect.width)) - x;
+        const height = Math.min(frame.height, Math.ceil(rect.y + rect.height)) - y;
+        return width > 0 && height > 0 ? { x, y, width, height } : null;
+    }
+
+    /**
+     * Distance between two points
+     * @private
+     */
+    _distance(p1, p2) {
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    }
+}
+
+// What the user can do about each issue
+FrameQuality.ADVICE = {
+    dark: 'Too dark - add more light',
+    bright: 'Too bright - move out of direct light',
+    partial: 'Partly out of frame - move it into view',
+    blur: 'Hold still',
+    glare: 'Reduce glare - tilt it away from the light',
+    far: 'Move closer',
+    near: 'Move back'
+};
+
+export { FrameQuality };
@@ -0,0 +1,714 @@
+/**
+ * HandLandmarker - Fingertips and DIP joints of the hands in a frame
+ * A colour and shape heuristic, not a trained landmark model. Runs on the same
+ * frames as CardDetector, on device: the model file (models/hand-landmarks.json)
+ * holds a skin colour prior and the hand proportions, nothing is fetched from
+ * the network.
+ * Skin is segmented with the prior and, when the table is skin-coloured too,
+ * split from it per frame. Fingers are rounded tips with parallel sides on
+ * the hand outline; their order around the palm names them and tells left
+ * from right. The DIP joint lies one distal phalanx (in finger widths, from
+ * the model) behind the tip.
+ * The prior has only been checked on synthetic frames, so the landmarks are
+ * drawn as a guide and never place a measurement: nails are measured where
+ * the user taps.
+ * Assumes the back of the hand faces the camera (nails visible).
+ * OpenCV.js must be loaded as the global `cv` first, as for CardDetector.
+ */
+
+class HandLandmarker {
+    /**
+     * @param {Object} model - Parsed hand model (see fromJSON); only drawing works without one
+     */
+    constructor(model = null) {
+        // Hands are found on a downscaled copy, landmarks reported at full resolution
+        this.MAX_PROCESSING_WIDTH = 480;
+
+        // Skin segmentation
+        this.MIN_BRIGHTNESS = 40; // Mean of R, G, B below which chroma is too noisy to use
+        this.LUMA_SCALE = 40; // Luma difference that counts as much as one chroma standard deviation
+        this.TABLE_BORDER_SHARE = 0.25; // Skin-coloured share of the frame border that makes it a table
+        this.TABLE_DISTANCE = 4; // Mahalanobis distance from the table colour to be sure a pixel is not table
+        this.MIN_TABLE_SPREAD = 0.15; // Floor of the table colour spread (scaled units)
+        this.MAX_MODEL_SAMPLES = 2000; // Pixels a colour model is estimated from (evenly spread)
+        this.MIN_HAND_AREA = 0.004; // Share of the frame
+        this.MIN_NAIL_HOLE = 50; // Processing pixels of holes close together that make a nail (specks are under 20)
+
+        // Fingertips: sharp convex points on the outline at several arc lengths (processing pixels)
+        this.TIP_SCALES = [6, 10, 16, 24, 36, 54];
+        this.MAX_TIP_ANGLE = 80; // Degrees between the outline on either side of the tip
+        this.BORDER_MARGIN = 3; // Tips this close to the frame edge are where a shape is cut off
+        this.MIN_FINGER_WIDTH = 3; // Processing pixels
+        this.WIDTH_TOLERANCE = 0.3; // Allowed change of width along the finger, relative
+
+        // Naming fingers around the palm
+        this.MIN_PALM_RATIO = 1.3; // Palm radius over finger half-width for a palm to be in view
+        this.THUMB_GAP_RATIO = 1.8; // Thumb-index angle over the pinky-ring angle
+
+        this.model = model;
+        this.inverseCovariance = model ? HandLandmarker._invert2x2(model.skin.covariance) : null;
+
+        // OpenCV matrices (allocated on first frame, reused across frames; see dispose())
+        this.mat = null; // RGBA frame
+        this.resized = null;
+        this.small = null; // Frame the hands are found on (the RGBA frame itself or resized)
+        this.mask = null; // Skin
+        this.blob = null; // One hand at a time, for its palm
+        this.distance = null;
+        this.kernel = null;
+        this.features = null; // Scaled chroma and luma of the skin candidates, three per row
+        this.indices = null; // Their pixel positions
+        this.maskData = null; // View of this.mask for the hand being measured
+        this.levelScale = 1; // Full-resolution pixels per processing pixel
+
+        this.lastHands = [];
+    }
+
+    /**
+     * Landmarker from the contents of models/hand-landmarks.json
+     * @param {Object} json - Parsed model file
+     * @returns {HandLandmarker}
+     * @throws {Error} If it is not a SizeKit hand model
+     */
+    static fromJSON(json) {
+        if (!json || json.format !== 'sizekit-hand-model') {
+            throw new Error('Not a SizeKit hand model');
+        }
+        if (json.version !== 1) {
+            throw new Error(`Unsupported hand model version ${json.version}`);
+        }
+        return new HandLandmarker(json);
+    }
+
+    /**
+     * Find the hands in a frame
+     * @param {ImageData} imageData - Raw image data from canvas
+     * @returns {Array<Object>} Hands, each {handedness: 'left'|'right'|null, palm: {x, y, radius}|null,
+     *                          fingers: [{name, tip {x, y}, dip {x, y}, widthPx}]} with names from
+     *                          HandLandmarker.FINGERS (null where the hand is not seen well enough)
+     *                          and fingers ordered thumb to pinky when named
+     */
+    detect(imageData) {
+        if (!this.model) throw new Error('HandLandmarker has no model');
+        if (typeof cv === 'undefined' || !cv.Mat) {
+            console.error('OpenCV not loaded yet');
+            return [];
+        }
+
+        this._prepareFrame(imageData);
+        if (!this._segmentSkin()) {
+            this.lastHands = [];
+            return this.lastHands;
+        }
+
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        const hands = [];
+        try {
+            cv.findContours(this.mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_NONE);
+            const minArea = this.MIN_HAND_AREA * this.small.cols * this.small.rows;
+
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                if (cv.contourArea(contour) >= minArea) {
+                    const hand = this._findHand(contours, i);
+                    if (hand) hands.push(hand);
+                }
+                contour.delete();
+            }
+        } finally {
+            contours.delete();
+            hierarchy.delete();
+        }
+
+        this.lastHands = hands;
+        return hands;
+    }
+
+    /**
+     * Draw fingertips, DIP joints and finger names
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array<Object>} hands - From detect()
+     */
+    drawOverlay(ctx, hands) {
+        if (!hands) return;
+
+        ctx.font = 'bold 13px sans-serif';
+        ctx.textAlign = 'center';
+        for (const hand of hands) {
+            const color = hand.handedness === 'left' ? 'rgb(255, 152, 0)' :
+                hand.handedness === 'right' ? 'rgb(156, 39, 176)' : 'rgb(255, 235, 59)';
+
+            for (const finger of hand.fingers) {
+                // Bone from the DIP joint to the tip
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.moveTo(finger.dip.x, finger.dip.y);
+                ctx.lineTo(finger.tip.x, finger.tip.y);
+                ctx.stroke();
+
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(finger.tip.x, finger.tip.y, 6, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.beginPath();
+                ctx.arc(finger.dip.x, finger.dip.y, 4, 0, 2 * Math.PI);
+                ctx.fill();
+
+                if (finger.name) {
+                    ctx.fillText(finger.name, finger.tip.x, finger.tip.y - 12);
+                }
+            }
+
+            if (hand.palm && hand.handedness) {
+                ctx.fillStyle = color;
+                ctx.fillText(hand.handedness === 'left' ? 'Left hand' : 'Right hand', hand.palm.x, hand.palm.y);
+            }
+        }
+    }
+
+    /**
+     * Free the OpenCV matrices
+     */
+    dispose() {
+        for (const mat of [this.mat, this.resized, this.mask, this.blob, this.distance, this.kernel]) {
+            if (mat) mat.delete();
+        }
+        this.mat = null;
+        this.resized = null;
+        this.small = null;
+        this.mask = null;
+        this.blob = null;
+        this.distance = null;
+        this.kernel = null;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Copy the frame into reused Mats and scale it down to the processing width
+     * @private
+     */
+    _prepareFrame(imageData) {
+        if (!this.mask) {
+            this.mask = new cv.Mat();
+            this.blob = new cv.Mat();
+            this.distance = new cv.Mat();
+            this.kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
+        }
+
+        if (!this.mat || this.mat.cols !== imageData.width || this.mat.rows !== imageData.height) {
+            if (this.mat) this.mat.delete();
+            this.mat = new cv.Mat(imageData.height, imageData.width, cv.CV_8UC4);
+        }
+        this.mat.data.set(imageData.data);
+
+        // Area-average down to MAX_PROCESSING_WIDTH (halving would leave fingers a few pixels
+        // wide in HD frames, and the gaps between them closed)
+        if (imageData.width <= this.MAX_PROCESSING_WIDTH) {
+            this.small = this.mat;
+        } else {
+            if (!this.resized) this.resized = new cv.Mat();
+            const height = Math.round(imageData.height * this.MAX_PROCESSING_WIDTH / imageData.width);
+            cv.resize(this.mat, this.resized, new cv.Size(this.MAX_PROCESSING_WIDTH, height), 0, 0, cv.INTER_AREA);
+            this.small = this.resized;
+        }
+        this.levelScale = imageData.width / this.small.cols;
+    }
+
+    /**
+     * Skin mask of the processing level, holes (nails) filled
+     * Wood and other skin-coloured tables pass the colour prior too: when much of the
+     * frame border does, the table's and the hand's own colours are modelled from the
+     * frame and each pixel goes to the closer one
+     * @private
+     * @returns {boolean} False when no skin was found
+     */
+    _segmentSkin() {
+        const { cols, rows } = this.small;
+        const rgba = this.small.data;
+        const [meanR, meanG] = this.model.skin.mean;
+        const [[a, b], [, d]] = this.inverseCovariance;
+        const maxDistance2 = this.model.skin.maxDistance ** 2;
+        const sdR = Math.sqrt(this.model.skin.covariance[0][0]);
+        const sdG = Math.sqrt(this.model.skin.covariance[1][1]);
+
+        // 1. Candidates within the prior, with features scaled to comparable units
+        if (!this.features || this.features.length < cols * rows * 3) {
+            this.features = new Float32Array(cols * rows * 3);
+            this.indices = new Int32Array(cols * rows);
+        }
+        const { features, indices } = this;
+        let count = 0;
+        for (let i = 0; i < cols * rows; i++) {
+            const R = rgba[i * 4];
+            const G = rgba[i * 4 + 1];
+            const B = rgba[i * 4 + 2];
+            const sum = R + G + B;
+            if (sum < 3 * this.MIN_BRIGHTNESS) continue;
+
+            const r = R / sum - meanR;
+            const g = G / sum - meanG;
+            if (a * r * r + 2 * b * r * g + d * g * g > maxDistance2) continue;
+
+            indices[count] = i;
+            features[count * 3] = r / sdR;
+            features[count * 3 + 1] = g / sdG;
+            features[count * 3 + 2] = (0.299 * R + 0.587 * G + 0.114 * B) / this.LUMA_SCALE;
+            count++;
+        }
+        if (count < this.MIN_HAND_AREA * cols * rows) return false;
+
+        // 2. Take out the table where it is skin-coloured
+        const onBorder = [];
+        for (let n = 0; n < count; n++) {
+            const x = indices[n] % cols;
+            const y = Math.floor(indices[n] / cols);
+            if (x === 0 || y === 0 || x === cols - 1 || y === rows - 1) onBorder.push(n);
+        }
+        const table = onBorder.length >= this.TABLE_BORDER_SHARE * 2 * (cols + rows) ?
+            this._colourModel(onBorder) : null;
+
+        // Pixels clearly unlike the table give the hand's colour; the rest go to the closer of the two
+        let skin = null;
+        if (table) {
+            const minTableDistance2 = this.TABLE_DISTANCE ** 2;
+            const unlike = [];
+            for (let n = 0; n < count; n++) {
+                if (HandLandmarker._mahalanobis2(features, n, table) > minTableDistance2) unlike.push(n);
+            }
+            if (unlike.length < this.MIN_HAND_AREA * cols * rows) return false;
+            skin = this._colourModel(unlike);
+        }
+
+        if (this.mask.cols !== cols || this.mask.rows !== rows) {
+            this.mask.delete();
+            this.mask = cv.Mat.zeros(rows, cols, cv.CV_8UC1);
+        } else {
+            this.mask.setTo(new cv.Scalar(0));
+        }
+        const data = this.mask.data;
+        for (let n = 0; n < count; n++) {
+            if (!table || HandLandmarker._mahalanobis2(features, n, skin) < HandLandmarker._mahalanobis2(features, n, table)) {
+                data[indices[n]] = 255;
+            }
+        }
+
+        // 3. Fill the nails, smooth the outline and fill the remaining holes (shadows). Nails come
+        // first: the skin rim around a nail lighter than the skin (dark skin, or the nail going to a
+        // skin-coloured table) can be thinner than the smoothing kernel, and opening would cut the
+        // fingertip off at the nail. Filling every speck first would keep blurred pixels on the outline
+        this._fillNails();
+        cv.morphologyEx(this.mask, this.mask, cv.MORPH_OPEN, this.kernel);
+        cv.morphologyEx(this.mask, this.mask, cv.MORPH_CLOSE, this.kernel);
+        this._fillHoles();
+        return true;
+    }
+
+    /**
+     * Fill the holes of the skin mask by redrawing its outer contours
+     * @private
+     */
+    _fillHoles() {
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        try {
+            cv.findContours(this.mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+            cv.drawContours(this.mask, contours, -1, new cv.Scalar(255), cv.FILLED);
+        } finally {
+            contours.delete();
+            hierarchy.delete();
+        }
+    }
+
+    /**
+     * Fill the holes nails leave in the skin mask, before it is smoothed
+     * Holes within a kernel width of each other count as one (a nail broken up by
+     * highlights); groups of at least MIN_NAIL_HOLE pixels are filled, specks of noise
+     * are left to the smoothing
+     * @private
+     */
+    _fillNails() {
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        const holes = this.mask.clone();
+        const groups = new cv.Mat();
+        const group = cv.Mat.zeros(this.mask.rows, this.mask.cols, cv.CV_8UC1);
+        try {
+            // Holes: the mask with its outer contours filled, less the mask
+            cv.findContours(holes, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+            cv.drawContours(holes, contours, -1, new cv.Scalar(255), cv.FILLED);
+            cv.bitwise_xor(holes, this.mask, holes);
+
+            cv.dilate(holes, groups, this.kernel);
+            cv.findContours(groups, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+            for (let i = 0; i < contours.size(); i++) {
+                group.setTo(new cv.Scalar(0));
+                cv.drawContours(group, contours, i, new cv.Scalar(255), cv.FILLED);
+                cv.bitwise_and(group, holes, group);
+                if (cv.countNonZero(group) >= this.MIN_NAIL_HOLE) {
+                    cv.bitwise_or(this.mask, group, this.mask);
+                }
+            }
+        } finally {
+            contours.delete();
+            hierarchy.delete();
+            holes.delete();
+            groups.delete();
+            group.delete();
+        }
+    }
+
+    /**
+     * Colour distribution of the table (border samples) or the hand
+     * Outliers, such as fingers reaching the border, are dropped by a median/MAD pass first
+     * @private
+     * @param {Array<number>} samples - Candidate numbers (rows of this.features)
+     * @returns {Object} {mean, inverse} covariance, in the scaled feature units
+     */
+    _colourModel(samples) {
+        const features = this.features;
+        const stride = Math.ceil(samples.length / this.MAX_MODEL_SAMPLES);
+        const rows = samples.filter((n, i) => i % stride === 0);
+
+        const median = [0, 1, 2].map(k => HandLandmarker._median(rows.map(n => features[n * 3 + k])));
+        const spread = [0, 1, 2].map(k => Math.max(this.MIN_TABLE_SPREAD,
+            1.4826 * HandLandmarker._median(rows.map(n => Math.abs(features[n * 3 + k] - median[k])))));
+        const inliers = rows.filter(n => {
+            let d2 = 0;
+            for (let k = 0; k < 3; k++) d2 += ((features[n * 3 + k] - median[k]) / spread[k]) ** 2;
+            return d2 <= this.TABLE_DISTANCE ** 2;
+        });
+
+        const mean = [0, 1, 2].map(k => inliers.reduce((sum, n) => sum + features[n * 3 + k], 0) / inliers.length);
+        const floor = this.MIN_TABLE_SPREAD ** 2;
+        const covariance = [[floor, 0, 0], [0, floor, 0], [0, 0, floor]];
+        for (const n of inliers) {
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    covariance[i][j] += (features[n * 3 + i] - mean[i]) * (features[n * 3 + j] - mean[j]) / inliers.length;
+                }
+            }
+        }
+        return { mean, inverse: HandLandmarker._invert3x3(covariance) };
+    }
+
+    /**
+     * Fingers and palm of one skin region
+     * @private
+     * @returns {Object|null} Hand at full resolution, or null without fingers
+     */
+    _findHand(contours, index) {
+        const contour = contours.get(index);
+        const coordinates = contour.data32S;
+        const points = [];
+        for (let i = 0; i < coordinates.length; i += 2) {
+            points.push({ x: coordinates[i], y: coordinates[i + 1] });
+        }
+        contour.delete();
+        this.maskData = this.mask.data; // Mat.data makes a new view on every access
+
+        const fingers = this._findFingers(points);
+        if (fingers.length === 0) return null;
+
+        // Palm: the widest part of the region, where it is wider than the fingers
+        if (this.blob.cols !== this.mask.cols || this.blob.rows !== this.mask.rows) {
+            this.blob.delete();
+            this.blob = cv.Mat.zeros(this.mask.rows, this.mask.cols, cv.CV_8UC1);
+        } else {
+            this.blob.setTo(new cv.Scalar(0));
+        }
+        cv.drawContours(this.blob, contours, index, new cv.Scalar(255), cv.FILLED);
+        cv.distanceTransform(this.blob, this.distance, cv.DIST_L2, 5);
+        const widest = cv.minMaxLoc(this.distance);
+        const fingerHalfWidth = HandLandmarker._median(fingers.map(f => f.width)) / 2;
+        const palm = widest.maxVal >= this.MIN_PALM_RATIO * fingerHalfWidth ?
+            { x: widest.maxLoc.x, y: widest.maxLoc.y, radius: widest.maxVal } :
+            null;
+
+        const hand = palm ? this._nameFingers(fingers, palm) : { handedness: null, fingers };
+        const fingerModel = this.model.fingers;
+        return {
+            handedness: hand.handedness,
+            palm: palm ? { ...this._pointFromLevel(palm), radius: palm.radius * this.levelScale } : null,
+            fingers: hand.fingers.map(finger => {
+                const distal = (fingerModel[finger.name] || fingerModel.unknown).distal * finger.width;
+                return {
+                    name: finger.name || null,
+                    tip: this._pointFromLevel(finger.tip),
+                    dip: this._pointFromLevel({
+                        x: finger.tip.x + finger.axis.x * distal,
+                        y: finger.tip.y + finger.axis.y * distal
+                    }),
+                    widthPx: finger.width * this.levelScale
+                };
+            })
+        };
+    }
+
+    /**
+     * Fingertips on an outline: sharp convex points whose sides run parallel for a while
+     * @private
+     * @returns {Array<Object>} {tip, axis (unit, tip towards the hand), width} on the processing level
+     */
+    _findFingers(points) {
+        const count = points.length;
+        const { cols, rows } = this.mask;
+        const maxCos = Math.cos(this.MAX_TIP_ANGLE * Math.PI / 180);
+        const fingers = [];
+
+        for (const k of this.TIP_SCALES) {
+            if (count < 4 * k) continue;
+
+            // Sharpness (cosine of the angle at each point) between the points k before and after
+            const sharpness = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                const p = points[i];
+                const before = points[(i - k + count) % count];
+                const after = points[(i + k) % count];
+                const ux = before.x - p.x, uy = before.y - p.y;
+                const vx = after.x - p.x, vy = after.y - p.y;
+                sharpness[i] = (ux * vx + uy * vy) / Math.max(1e-6, Math.hypot(ux, uy) * Math.hypot(vx, vy));
+            }
+
+            for (let i = 0; i < count; i++) {
+                if (sharpness[i] < maxCos) continue;
+
+                // Sharpest within ±k/2 along the outline (the first of equals)
+                const half = Math.floor(k / 2);
+                let isPeak = true;
+                for (let j = -half; j <= half && isPeak; j++) {
+                    const other = sharpness[(i + j + count) % count];
+                    if (j !== 0 && (other > sharpness[i] || (other === sharpness[i] && j < 0))) isPeak = false;
+                }
+                if (!isPeak) continue;
+
+                const corner = points[i];
+                if (corner.x < this.BORDER_MARGIN || corner.y < this.BORDER_MARGIN ||
+                    corner.x >= cols - this.BORDER_MARGIN || corner.y >= rows - this.BORDER_MARGIN) continue;
+
+                const finger = this._measureFinger(corner, points[(i - k + count) % count], points[(i + k) % count]);
+                if (!finger) continue;
+
+                // Tip: where the centre line leaves the outline, half a pixel out to the edge of the
+                // boundary pixels (the sharpest point drifts sideways on a wide, round tip)
+                const normal = { x: -finger.axis.y, y: finger.axis.x };
+                let tip = corner;
+                let best = Infinity;
+                for (let j = -k; j <= k; j++) {
+                    const p = points[(i + j + count) % count];
+                    const along = (p.x - finger.centre.x) * finger.axis.x + (p.y - finger.centre.y) * finger.axis.y;
+                    const offset = Math.abs((p.x - finger.centre.x) * normal.x + (p.y - finger.centre.y) * normal.y);
+                    if (along < 0 && offset + 0.01 * along < best) { // Nearest the line, then furthest out
+                        best = offset + 0.01 * along;
+                        tip = p;
+                    }
+                }
+                const along = (tip.x - finger.centre.x) * finger.axis.x + (tip.y - finger.centre.y) * finger.axis.y;
+                finger.tip = {
+                    x: finger.centre.x + (along - 0.5) * finger.axis.x,
+                    y: finger.centre.y + (along - 0.5) * finger.axis.y
+                };
+                delete finger.centre;
+
+                // The same tip at another scale: keep the first
+                if (!fingers.some(f => Math.hypot(f.tip.x - tip.x, f.tip.y - tip.y) < Math.max(f.width, finger.width) / 2)) {
+                    fingers.push(finger);
+                }
+            }
+        }
+
+        return fingers;
+    }
+
+    /**
+     * Follow a finger from its tip: it must stay inside the mask with a steady width
+     * @private
+     * @returns {Object|null} {tip, axis, width}
+     */
+    _measureFinger(tip, before, after) {
+        const mid = { x: (before.x + after.x) / 2, y: (before.y + after.y) / 2 };
+        const length = Math.hypot(mid.x - tip.x, mid.y - tip.y);
+        if (length < 1) return null;
+        let axis = { x: (mid.x - tip.x) / length, y: (mid.y - tip.y) / length };
+
+        // Convex: the finger lies behind the tip
+        if (!this._inMask(mid.x, mid.y)) return null;
+
+        // Width across the axis at steps behind the tip (up to the frame edge), re-centring on the way
+        const guess = Math.max(this.MIN_FINGER_WIDTH, Math.hypot(after.x - before.x, after.y - before.y));
+        const centres = [];
+        const widths = [];
+        for (const step of [0.6, 1, 1.4, 1.8, 2.2]) {
+            const centre = { x: tip.x + axis.x * step * guess, y: tip.y + axis.y * step * guess };
+            if (centre.x < this.BORDER_MARGIN || centre.y < this.BORDER_MARGIN ||
+                centre.x >= this.mask.cols - this.BORDER_MARGIN || centre.y >= this.mask.rows - this.BORDER_MARGIN) break;
+            const across = this._crossSection(centre, axis, 2 * guess);
+            if (!across) return null;
+            centres.push(across.centre);
+            widths.push(across.width);
+        }
+        if (centres.length < 3) return null; // Not enough of it in the frame
+
+        const width = HandLandmarker._median(widths);
+        if (width < this.MIN_FINGER_WIDTH) return null;
+        if (widths.some(w => Math.abs(w - width) > this.WIDTH_TOLERANCE * width)) return null;
+
+        // Axis through the centres of the cross sections
+        const dx = centres[centres.length - 1].x - centres[0].x;
+        const dy = centres[centres.length - 1].y - centres[0].y;
+        const span = Math.hypot(dx, dy);
+        if (span > 0) axis = { x: dx / span, y: dy / span };
+
+        return { tip: { x: tip.x, y: tip.y }, axis, width, centre: centres[0] };
+    }
+
+    /**
+     * Extent of the mask across a direction through a point
+     * @private
+     * @returns {Object|null} {centre, width}, or null if the point is outside the mask
+     *                        or the mask runs on further than maxHalf to a side
+     */
+    _crossSection(point, axis, maxHalf) {
+        if (!this._inMask(point.x, point.y)) return null;
+
+        const normal = { x: -axis.y, y: axis.x };
+        const reach = (sign) => {
+            let t = 0;
+            while (t <= maxHalf && this._inMask(point.x + sign * normal.x * (t + 0.5), point.y + sign * normal.y * (t + 0.5))) {
+                t += 0.5;
+            }
+            return t > maxHalf ? null : t;
+        };
+        const left = reach(-1);
+        const right = reach(1);
+        if (left === null || right === null) return null;
+
+        const shift = (right - left) / 2;
+        return {
+            centre: { x: point.x + normal.x * shift, y: point.y + normal.y * shift },
+            width: left + right + 1
+        };
+    }
+
+    /**
+     * Name fingers by their order around the palm
+     * Seen from the back, a right hand's fingers run clockwise from thumb to pinky.
+     * Five fingers: the thumb is the end further from its neighbour. Four: the same if
+     * one end stands out, otherwise the thumb is hidden and the shorter end is the pinky.
+     * @private
+     * @returns {Object} {handedness, fingers} with fingers ordered thumb to pinky when named
+     */
+    _nameFingers(fingers, palm) {
+        if (fingers.length < 4 || fingers.length > 5) return { handedness: null, fingers };
+
+        // Sort by angle around the palm, starting after the widest gap (the wrist)
+        const withAngle = fingers.map(f => ({ ...f, angle: Math.atan2(f.tip.y - palm.y, f.tip.x - palm.x) }))
+            .sort((p, q) => p.angle - q.angle);
+        const gap = (i) => {
+            const next = withAngle[(i + 1) % withAngle.length].angle;
+            return ((next - withAngle[i].angle) + 2 * Math.PI) % (2 * Math.PI) || 2 * Math.PI;
+        };
+        let wrist = 0;
+        for (let i = 1; i < withAngle.length; i++) {
+            if (gap(i) > gap(wrist)) wrist = i;
+        }
+        const ordered = [];
+        for (let i = 1; i <= withAngle.length; i++) {
+            ordered.push(withAngle[(wrist + i) % withAngle.length]);
+        }
+
+        const n = ordered.length;
+        const firstGap = gap((wrist + 1) % n);
+        const lastGap = gap((wrist + n - 1) % n);
+        const reach = (f) => Math.hypot(f.tip.x - palm.x, f.tip.y - palm.y);
+
+        let names;
+        let thumbFirst;
+        if (n === 5 || Math.max(firstGap, lastGap) > this.THUMB_GAP_RATIO * Math.min(firstGap, lastGap)) {
+            thumbFirst = firstGap >= lastGap;
+            names = HandLandmarker.FINGERS.slice(0, n);
+        } else {
+            // Thumb out of view: the pinky is the shorter end
+            thumbFirst = reach(ordered[0]) > reach(ordered[n - 1]);
+            names = HandLandmarker.FINGERS.slice(1);
+        }
+
+        const fromThumb = thumbFirst ? ordered : ordered.reverse();
+        return {
+            handedness: thumbFirst ? 'right' : 'left',
+            fingers: fromThumb.map(({ angle, ...finger }, i) => ({ ...finger, name: names[i] }))
+        };
+    }
+
+    /**
+     * True if a processing-level position is skin
+     * @private
+     */
+    _inMask(x, y) {
+        const col = Math.round(x);
+        const row = Math.round(y);
+        if (col < 0 || row < 0 || col >= this.mask.cols || row >= this.mask.rows) return false;
+        return this.maskData[row * this.mask.cols + col] !== 0;
+    }
+
+    /**
+     * Map a point from the processing level to full resolution
+     * @private
+     */
+    _pointFromLevel(point) {
+        const s = this.levelScale;
+        const offset = (s - 1) / 2;
+        return { x: point.x * s + offset, y: point.y * s + offset };
+    }
+
+    // ==================== STATIC HELPERS ====================
+
+    /**
+     * @private
+     */
+    static _invert2x2([[a, b], [c, d]]) {
+        const det = a * d - b * c;
+        return [[d / det, -b / det], [-c / det, a / det]];
+    }
+
+    /**
+     * @private
+     */
+    static _invert3x3(m) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const A = e * i - f * h, B = c * h - b * i, C = b * f - c * e;
+        const det = a * A + d * B + g * C;
+        return [
+            [A / det, B / det, C / det],
+            [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+            [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+        ];
+    }
+
+    /**
+     * Squared Mahalanobis distance of row n of a feature array (3 values per row)
+     * @private
+     */
+    static _mahalanobis2(features, n, { mean, inverse }) {
+        const d0 = features[n * 3] - mean[0], d1 = features[n * 3 + 1] - mean[1], d2 = features[n * 3 + 2] - mean[2];
+        return d0 * (inverse[0][0] * d0 + inverse[0][1] * d1 + inverse[0][2] * d2) +
+               d1 * (inverse[1][0] * d0 + inverse[1][1] * d1 + inverse[1][2] * d2) +
+               d2 * (inverse[2][0] * d0 + inverse[2][1] * d1 + inverse[2][2] * d2);
+    }
+
+    /**
+     * @private
+     */
+    static _median(values) {
+        const sorted = [...values].sort((p, q) => p - q);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+// Finger names, thumb first
+HandLandmarker.FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+export { HandLandmarker };
@@ -0,0 +1,332 @@
+/**
+ * LensCalibration - Estimate lens distortion and focal length with the card as target
+ * The user moves the card around the frame while views are collected from
+ * CardDetector's sub-pixel edge samples. Distortion comes from a plumb-line fit
+ * (the card's edges must be straight once undistorted), focal length from the
+ * homographies of the undistorted corners of tilted views.
+ */
+
+import { CardPlane } from './cardPlane.js';
+import { LensModel } from './lensModel.js';
+import { Messages } from './messages.js';
+
+class LensCalibration {
+    /**
+     * @param {Object} imageSize - {width, height} of the frames views come from
+     * @param {Object} options - Optional {minViews, minCells, minConfidence} and the
+     *                           {widthMM, heightMM} of the rectangle used as target
+     */
+    constructor(imageSize, options = {}) {
+        this.MIN_VIEWS = options.minViews || 15;
+        this.MIN_CELLS = options.minCells || 7; // Of the GRID_SIZE x GRID_SIZE frame cells
+        this.MIN_CONFIDENCE = options.minConfidence || 0.6;
+        this.GRID_SIZE = 3;
+        this.MIN_EDGE_POINTS = 8;
+        this.MIN_VIEW_CHANGE = 0.03; // Of the image width, so a still card is not counted twice
+
+        // Plumb-line solver
+        this.MAX_ITERATIONS = 30;
+        this.JACOBIAN_STEP = 1e-4;
+
+        // Distortion beyond this is not a phone main camera: reject the fit
+        this.MAX_CORNER_DISTORTION = 0.1; // Of the half-diagonal
+
+        this.targetSize = { widthMM: options.widthMM, heightMM: options.heightMM };
+        this.imageSize = { width: imageSize.width, height: imageSize.height };
+        this.views = [];
+        this.coveredCells = new Set();
+    }
+
+    /**
+     * Offer a detection as a calibration view
+     * @param {Object} detection - CardDetector result with rawCorners and edgePoints
+     * @returns {boolean} True if the view was kept
+     */
+    addView(detection) {
+        if (!detection || !detection.refined || detection.confidence < this.MIN_CONFIDENCE) return false;
+        if (!detection.edgePoints || detection.edgePoints.some(edge => edge.length < this.MIN_EDGE_POINTS)) return false;
+
+        const corners = detection.rawCorners || detection.corners;
+        const minChange = this.MIN_VIEW_CHANGE * this.imageSize.width;
+        const duplicate = this.views.some(view =>
+            view.corners.every((c, i) => Math.abs(c.x - corners[i].x) < minChange && Math.abs(c.y - corners[i].y) < minChange)
+        );
+        if (duplicate) return false;
+
+        this.views.push({
+            corners: corners.map(c => ({ x: c.x, y: c.y })),
+            edges: detection.edgePoints.map(edge => edge.map(p => ({ x: p.x, y: p.y })))
+        });
+
+        for (const corner of corners) {
+            this.coveredCells.add(this._cellOf(corner));
+        }
+
+        return true;
+    }
+
+    /**
+     * Enough well-spread views to solve
+     * @returns {boolean} True when solve() can be called
+     */
+    isReady() {
+        return this.views.length >= this.MIN_VIEWS && this.coveredCells.size >= this.MIN_CELLS;
+    }
+
+    /**
+     * Collection progress
+     * @returns {number} 0 to 1
+     */
+    get progress() {
+        const viewProgress = Math.min(1, this.views.length / this.MIN_VIEWS);
+        const cellProgress = Math.min(1, this.coveredCells.size / this.MIN_CELLS);
+        return Math.min(viewProgress, cellProgress);
+    }
+
+    /**
+     * Frame region the card has not visited yet, to guide the user
+     * @returns {string|null} e.g. 'top left', or null if all regions are covered
+     */
+    nextRegion() {
+        const rows = ['top', 'middle', 'bottom'];
+        const cols = ['left', 'center', 'right'];
+
+        // Corners first: that is where distortion is strongest
+        const order = [0, 2, 6, 8, 1, 3, 5, 7, 4];
+        for (const cell of order) {
+            if (!this.coveredCells.has(cell)) {
+                const row = rows[Math.floor(cell / this.GRID_SIZE)];
+                const col = cols[cell % this.GRID_SIZE];
+                return cell === 4 ? 'center' : `${row} ${col}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Estimate distortion and focal length from the collected views
+     * @returns {Object} {lens: LensModel, rmsBefore, rmsAfter, focalEstimates, views}
+     * @throws {Error} If there are not enough views or the fit is implausible (Messages.error)
+     */
+    solve() {
+        if (!this.isReady()) {
+            throw Messages.error('error.calibrationViews');
+        }
+
+        // 1. Plumb-line fit of (k1, k2) in half-diagonal units
+        const scale = Math.sqrt(Math.pow(this.imageSize.width, 2) + Math.pow(this.imageSize.height, 2)) / 2;
+        const rmsBefore = this._rms(this._edgeResiduals([0, 0], scale));
+        const params = this._fitDistortion(scale);
+        const rmsAfter = this._rms(this._edgeResiduals(params, scale));
+
+        const unitLens = new LensModel({ focalLength: scale, k1: params[0], k2: params[1] }, this.imageSize);
+        if (unitLens.cornerDistortionPx > this.MAX_CORNER_DISTORTION * scale) {
+            throw Messages.error('error.calibrationFailed');
+        }
+
+        // 2. Focal length from homographies of the undistorted corners
+        const focalEstimates = [];
+        for (const view of this.views) {
+            try {
+                const plane = new CardPlane(view.corners.map(c => unitLens.undistortPoint(c)), this.imageSize, this.targetSize);
+                const focal = CardPlane.estimateFocalLength(plane.planeToImageH, this.imageSize);
+                if (focal) focalEstimates.push(focal);
+            } catch (e) {
+                // Degenerate view: skip
+            }
+        }
+
+        const focalLength = focalEstimates.length > 0 ?
+            this._median(focalEstimates) :
+            new CardPlane(this.views[0].corners, this.imageSize, this.targetSize).focalLength;
+
+        // 3. Express the coefficients in focal-length units: r_scale = r_focal * f / scale
+        const ratio = focalLength / scale;
+        const lens = new LensModel({
+            focalLength: focalLength,
+            k1: params[0] * ratio * ratio,
+            k2: params[1] * Math.pow(ratio, 4)
+        }, this.imageSize);
+
+        console.log('🎯 Lens calibration:', {
+            views: this.views.length,
+            focalLength: focalLength.toFixed(1),
+            focalEstimates: focalEstimates.length,
+            k1: lens.k1.toFixed(4),
+            k2: lens.k2.toFixed(4),
+            rmsBefore: rmsBefore.toFixed(3),
+            rmsAfter: rmsAfter.toFixed(3)
+        });
+
+        return {
+            lens,
+            rmsBefore,
+            rmsAfter,
+            focalEstimates: focalEstimates.length,
+            views: this.views.length
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Grid cell index of an image point
+     * @private
+     */
+    _cellOf(point) {
+        const col = Math.min(this.GRID_SIZE - 1, Math.max(0, Math.floor(point.x / this.imageSize.width * this.GRID_SIZE)));
+        const row = Math.min(this.GRID_SIZE - 1, Math.max(0, Math.floor(point.y / this.imageSize.height * this.GRID_SIZE)));
+        return row * this.GRID_SIZE + col;
+    }
+
+    /**
+     * Levenberg-Marquardt on the edge straightness residuals
+     * @private
+     */
+    _fitDistortion(scale) {
+        let params = [0, 0];
+        let residuals = this._edgeResiduals(params, scale);
+        let cost = this._sumSquares(residuals);
+        let lambda = 1e-3;
+
+        for (let iteration = 0; iteration < this.MAX_ITERATIONS; iteration++) {
+            // Numeric Jacobian (2 parameters)
+            const jacobian = [0, 1].map(j => {
+                const stepped = [...params];
+                stepped[j] += this.JACOBIAN_STEP;
+                const r = this._edgeResiduals(stepped, scale);
+                return r.map((value, i) => (value - residuals[i]) / this.JACOBIAN_STEP);
+            });
+
+            // Normal equations (J^T J + lambda diag) delta = -J^T r
+            const a00 = this._dot(jacobian[0], jacobian[0]);
+            const a01 = this._dot(jacobian[0], jacobian[1]);
+            const a11 = this._dot(jacobian[1], jacobian[1]);
+            const g0 = this._dot(jacobian[0], residuals);
+            const g1 = this._dot(jacobian[1], residuals);
+
+            let improved = false;
+            while (lambda < 1e6) {
+                const m00 = a00 * (1 + lambda);
+                const m11 = a11 * (1 + lambda);
+                const det = m00 * m11 - a01 * a01;
+                if (Math.abs(det) < 1e-18) break;
+
+                const delta = [
+                    -(m11 * g0 - a01 * g1) / det,
+                    -(m00 * g1 - a01 * g0) / det
+                ];
+                const candidate = [params[0] + delta[0], params[1] + delta[1]];
+                const candidateResiduals = this._edgeResiduals(candidate, scale);
+                const candidateCost = this._sumSquares(candidateResiduals);
+
+                if (candidateCost < cost) {
+                    const converged = (cost - candidateCost) / cost < 1e-6;
+                    params = candidate;
+                    residuals = candidateResiduals;
+                    cost = candidateCost;
+                    lambda = Math.max(1e-7, lambda / 10);
+                    improved = !converged;
+                    break;
+                }
+                lambda *= 10;
+            }
+
+            if (!improved) break;
+        }
+
+        return params;
+    }
+
+    /**
+     * Distance of each undistorted edge sample to the line fitted through its edge
+     * @private
+     */
+    _edgeResiduals(params, scale) {
+        const lens = new LensModel({ focalLength: scale, k1: params[0], k2: params[1] }, this.imageSize);
+        const residuals = [];
+
+        for (const view of this.views) {
+            for (const edge of view.edges) {
+                const points = edge.map(p => lens.undistortPoint(p));
+                const line = this._fitLine(points);
+                for (const p of points) {
+                    residuals.push(line.nx * (p.x - line.x) + line.ny * (p.y - line.y));
+                }
+            }
+        }
+
+        return residuals;
+    }
+
+    /**
+     * Total least squares line through points
+     * @private
+     * @returns {Object} {x, y, nx, ny} point on the line and unit normal
+     */
+    _fitLine(points) {
+        let mx = 0;
+        let my = 0;
+        for (const p of points) {
+            mx += p.x;
+            my += p.y;
+        }
+        mx /= points.length;
+        my /= points.length;
+
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (const p of points) {
+            const dx = p.x - mx;
+            const dy = p.y - my;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+        }
+
+        // Normal is the direction of least variance
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy) + Math.PI / 2;
+        return { x: mx, y: my, nx: Math.cos(angle), ny: Math.sin(angle) };
+    }
+
+    /**
+     * Root mean square of residuals
+     * @private
+     */
+    _rms(values) {
+        return Math.sqrt(this._sumSquares(values) / Math.max(1, values.length));
+    }
+
+    /**
+     * Sum of squares
+     * @private
+     */
+    _sumSquares(values) {
+        return this._dot(values, values);
+    }
+
+    /**
+     * Dot product of two equal-length arrays
+     * @private
+     */
+    _dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    /**
+     * Median of an array of numbers
+     * @private
+     */
+    _median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+export { LensCalibration };
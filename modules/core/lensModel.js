@@ -0,0 +1,177 @@
+/**
+ * LensModel - Camera intrinsics and radial lens distortion
+ * Brown model with two radial terms and the principal point at the image center:
+ *   distorted = undistorted * (1 + k1 r² + k2 r⁴), r in focal-length units
+ * Models are stored per camera device and rescale to any resolution with the
+ * same aspect ratio as the one they were calibrated at
+ */
+
+class LensModel {
+    /**
+     * @param {Object} params - {focalLength (px), k1, k2}
+     * @param {Object} imageSize - {width, height} the parameters apply to
+     */
+    constructor(params, imageSize) {
+        if (!params || !(params.focalLength > 0)) {
+            throw new Error('LensModel needs a positive focal length');
+        }
+
+        this.UNDISTORT_ITERATIONS = 10;
+
+        this.focalLength = params.focalLength;
+        this.k1 = params.k1 || 0;
+        this.k2 = params.k2 || 0;
+        this.imageSize = { width: imageSize.width, height: imageSize.height };
+        this.cx = imageSize.width / 2;
+        this.cy = imageSize.height / 2;
+    }
+
+    /**
+     * Where an ideal (pinhole) image point appears through the lens
+     * @param {Object} point - {x, y} undistorted image pixels
+     * @returns {Object} {x, y} distorted image pixels
+     */
+    distortPoint(point) {
+        const x = (point.x - this.cx) / this.focalLength;
+        const y = (point.y - this.cy) / this.focalLength;
+        const factor = this._radialFactor(x * x + y * y);
+
+        return {
+            x: this.cx + x * factor * this.focalLength,
+            y: this.cy + y * factor * this.focalLength
+        };
+    }
+
+    /**
+     * Remove lens distortion from an observed image point (fixed-point iteration)
+     * @param {Object} point - {x, y} distorted image pixels
+     * @returns {Object} {x, y} undistorted image pixels
+     */
+    undistortPoint(point) {
+        const xd = (point.x - this.cx) / this.focalLength;
+        const yd = (point.y - this.cy) / this.focalLength;
+        let x = xd;
+        let y = yd;
+
+        for (let i = 0; i < this.UNDISTORT_ITERATIONS; i++) {
+            const factor = this._radialFactor(x * x + y * y);
+            x = xd / factor;
+            y = yd / factor;
+        }
+
+        return {
+            x: this.cx + x * this.focalLength,
+            y: this.cy + y * this.focalLength
+        };
+    }
+
+    /**
+     * Displacement caused by the lens at the frame corner
+     * @returns {number} Pixels
+     */
+    get cornerDistortionPx() {
+        const corner = { x: 0, y: 0 };
+        const distorted = this.distortPoint(corner);
+        return Math.sqrt(Math.pow(distorted.x - corner.x, 2) + Math.pow(distorted.y - corner.y, 2));
+    }
+
+    /**
+     * Resolution-independent form for storage
+     * @returns {Object} {focalFactor, k1, k2, width, height}
+     */
+    toJSON() {
+        return {
+            focalFactor: this.focalLength / this.imageSize.width,
+            k1: this.k1,
+            k2: this.k2,
+            width: this.imageSize.width,
+            height: this.imageSize.height
+        };
+    }
+
+    // ==================== STATIC HELPERS ====================
+
+    /**
+     * Rebuild a model for a given resolution
+     * @param {Object} json - Result of toJSON()
+     * @param {Object} imageSize - {width, height} of the frames it will be used on
+     * @returns {LensModel|null} Null if the aspect ratio differs (sensor crop changes the optics)
+     */
+    static fromJSON(json, imageSize) {
+        if (!json || !(json.focalFactor > 0) || !json.width || !json.height) return null;
+
+        const savedAspect = json.width / json.height;
+        const aspect = imageSize.width / imageSize.height;
+        if (Math.abs(savedAspect - aspect) / savedAspect > 0.01) return null;
+
+        return new LensModel({
+            focalLength: json.focalFactor * imageSize.width,
+            k1: json.k1,
+            k2: json.k2
+        }, imageSize);
+    }
+
+    /**
+     * Load the calibration saved for a camera
+     * @param {string} deviceId - Camera device ID
+     * @param {Object} imageSize - {width, height} of the current frames
+     * @returns {LensModel|null} Null if none saved or not usable at this resolution
+     */
+    static load(deviceId, imageSize) {
+        if (!deviceId) return null;
+
+        try {
+            const json = JSON.parse(localStorage.getItem(LensModel.storageKey(deviceId)));
+            return LensModel.fromJSON(json, imageSize);
+        } catch (e) {
+            return null; // Storage disabled or corrupt entry
+        }
+    }
+
+    /**
+     * Save this model for a camera
+     * @param {string} deviceId - Camera device ID
+     */
+    save(deviceId) {
+        if (!deviceId) return;
+
+        try {
+            localStorage.setItem(LensModel.storageKey(deviceId), JSON.stringify(this));
+        } catch (e) {
+            console.log('Could not save lens calibration:', e);
+        }
+    }
+
+    /**
+     * Forget the calibration of a camera
+     * @param {string} deviceId - Camera device ID
+     */
+    static clear(deviceId) {
+        try {
+            localStorage.removeItem(LensModel.storageKey(deviceId));
+        } catch (e) {
+            // Storage disabled: nothing to clear
+        }
+    }
+
+    /**
+     * localStorage key for a camera
+     * @param {string} deviceId - Camera device ID
+     * @returns {string} Key
+     */
+    static storageKey(deviceId) {
+        return `sizekit.lens.${deviceId}`;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Radial scale factor at squared normalized radius r2
+     * @private
+     */
+    _radialFactor(r2) {
+        return 1 + this.k1 * r2 + this.k2 * r2 * r2;
+    }
+}
+
+export { LensModel };
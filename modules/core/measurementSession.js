@@ -0,0 +1,176 @@
+/**
+ * MeasurementSession - Steps through all ten nails and stores the results
+ * Order: thumb to pinky on the left hand, then the same on the right hand
+ */
+
+class MeasurementSession {
+    /**
+     * @param {SizeChart} sizeChart - Chart used to map widths to sizes
+     */
+    constructor(sizeChart) {
+        this.sizeChart = sizeChart;
+        this.steps = [];
+        for (const hand of MeasurementSession.HANDS) {
+            for (const finger of MeasurementSession.FINGERS) {
+                this.steps.push({ hand, finger });
+            }
+        }
+        this.reset();
+    }
+
+    /**
+     * Clear all results and start again from the first finger
+     */
+    reset() {
+        this.currentIndex = 0;
+        this.results = {};
+    }
+
+    /**
+     * Current finger to measure
+     * @returns {Object|null} {hand, finger}, or null when complete
+     */
+    get currentStep() {
+        return this.currentIndex < this.steps.length ? this.steps[this.currentIndex] : null;
+    }
+
+    /**
+     * @returns {boolean} True once every finger was measured or skipped
+     */
+    get isComplete() {
+        return this.currentIndex >= this.steps.length;
+    }
+
+    /**
+     * @returns {Object} {index, total} with a 1-based index for display
+     */
+    get progress() {
+        return {
+            index: Math.min(this.currentIndex + 1, this.steps.length),
+            total: this.steps.length
+        };
+    }
+
+    /**
+     * Store a nail measurement for the current finger and advance
+     * The width is the average over repeated captures when the measurement has one
+     * @param {Object} measurement - Result from NailDetector.measureNail, optionally with
+     *                               average {widthMM, uncertaintyMM, captures} (see SizeKitCore)
+     * @returns {Object} Stored result with size
+     */
+    record(measurement) {
+        const step = this.currentStep;
+        if (!step || !measurement) return null;
+
+        const average = measurement.average || null;
+        const widthMM = average ? average.widthMM : measurement.widthMM;
+        const size = this.sizeChart.sizeFor(widthMM);
+        const result = {
+            hand: step.hand,
+            finger: step.finger,
+            widthMM,
+            uncertaintyMM: average ? average.uncertaintyMM : null,
+            captures: average ? average.captures : 1,
+            widthPx: measurement.widthPx,
+            size: size ? size.size : null,
+            nearestSize: this.sizeChart.nearestSize(widthMM).size,
+            measurement: measurement
+        };
+
+        this.results[MeasurementSession.key(step)] = result;
+        this.currentIndex++;
+        return result;
+    }
+
+    /**
+     * Skip the current finger without a result
+     */
+    skip() {
+        if (this.isComplete) return;
+        delete this.results[MeasurementSession.key(this.currentStep)];
+        this.currentIndex++;
+    }
+
+    /**
+     * Go back one finger so it can be measured again
+     */
+    back() {
+        if (this.currentIndex > 0) {
+            this.currentIndex--;
+        }
+    }
+
+    /**
+     * All steps with their result (or null if skipped)
+     * @returns {Array<Object>} [{hand, finger, result}]
+     */
+    getResults() {
+        return this.steps.map(step => ({
+            hand: step.hand,
+            finger: step.finger,
+            result: this.results[MeasurementSession.key(step)] || null
+        }));
+    }
+
+    /**
+     * Human-readable label for a step, e.g. "Left thumb"
+     * @param {Object} step - {hand, finger}
+     * @returns {string}
+     */
+    static label(step) {
+        const hand = step.hand.charAt(0).toUpperCase() + step.hand.slice(1);
+        return `${hand} ${step.finger}`;
+    }
+
+    /**
+     * Compare two sessions finger by finger, e.g. two saved visits of one customer
+     * A change counts as significant when it is larger than both widths' uncertainties
+     * combined (any change when an uncertainty is unknown)
+     * @param {Array<Object>} before - Nails {hand, finger, widthMM, uncertaintyMM, size, nearestSize} of the older session
+     * @param {Array<Object>} after - Nails of the newer session
+     * @returns {Array<Object>} One row per step {hand, finger, before, after, deltaMM, sizeChanged, significant}
+     *                          (before/after null where that session has no result; deltaMM null then)
+     */
+    static compare(before, after) {
+        const byStep = (nails) => new Map((nails || [])
+            .filter(nail => nail.hand && nail.finger)
+            .map(nail => [MeasurementSession.key(nail), nail]));
+        const older = byStep(before);
+        const newer = byStep(after);
+
+        return MeasurementSession.HANDS.flatMap(hand => MeasurementSession.FINGERS.map(finger => {
+            const a = older.get(MeasurementSession.key({ hand, finger })) || null;
+            const b = newer.get(MeasurementSession.key({ hand, finger })) || null;
+            if (!a || !b) {
+                return { hand, finger, before: a, after: b, deltaMM: null, sizeChanged: false, significant: false };
+            }
+
+            const deltaMM = b.widthMM - a.widthMM;
+            const uncertaintyMM = Number.isFinite(a.uncertaintyMM) && Number.isFinite(b.uncertaintyMM) ?
+                Math.hypot(a.uncertaintyMM, b.uncertaintyMM) : 0;
+            const sizeOf = (nail) => (nail.size !== null && nail.size !== undefined ? nail.size : nail.nearestSize);
+            return {
+                hand,
+                finger,
+                before: a,
+                after: b,
+                deltaMM,
+                sizeChanged: sizeOf(a) !== sizeOf(b),
+                significant: Math.abs(deltaMM) > uncertaintyMM
+            };
+        }));
+    }
+
+    /**
+     * Storage key for a step
+     * @private
+     */
+    static key(step) {
+        return `${step.hand}-${step.finger}`;
+    }
+}
+
+MeasurementSession.HANDS = ['left', 'right'];
+MeasurementSession.FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+export { MeasurementSession };
@@ -0,0 +1,195 @@
+/**
+ * MeasurementStats - Repeated measurements of one quantity
+ * Collects the values of one thing measured over many frames or captures
+ * (the card scale, a nail width), rejects outliers by their distance from the
+ * median and reports the mean with the 95% confidence interval of that mean.
+ * A result is accepted once the interval is narrow enough, so a single noisy
+ * frame never decides a size on its own. The interval is the repeatability of
+ * the captures, not a bound on the true value: an error every capture shares
+ * (the detector's own bias) does not average out and does not show in it.
+ * A quantity that really changed (the card moved closer) starts over instead
+ * of being averaged with its old values, once several values in a row are
+ * off the same way; a single value far off is held back, not averaged. While
+ * it keeps changing that way, each new value replaces the average at once.
+ */
+
+class MeasurementStats {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {number} options.maxSamples - Values kept (older ones roll off)
+     * @param {number} options.maxUncertainty - Largest uncertainty (95% interval of the mean) accepted,
+     *                                         in the unit of the values
+     * @param {number} options.outlierScore - Modified z-score above which a value is an outlier
+     * @param {number} options.restartTolerance - Relative distance from the mean at which a value is held
+     *                                            back as a possible new level (defaults to never)
+     * @param {number} options.restartValues - Held-back values in a row, all on the same side of the mean,
+     *                                         after which the quantity counts as changed
+     */
+    constructor(options = {}) {
+        this.MAX_SAMPLES = options.maxSamples || 30;
+        this.MAX_UNCERTAINTY = options.maxUncertainty !== undefined ? options.maxUncertainty : Infinity;
+        this.OUTLIER_SCORE = options.outlierScore || 3.5; // Iglewicz & Hoaglin's cut-off
+        this.RESTART_TOLERANCE = options.restartTolerance || Infinity;
+        this.RESTART_VALUES = options.restartValues || 3;
+        this.MIN_OUTLIER_SAMPLES = 3; // Too few values to tell which one is off
+
+        this.reset();
+    }
+
+    /**
+     * Forget all values
+     */
+    reset() {
+        this.values = [];
+        this.pending = []; // Values far from the mean, in a row: a new level once RESTART_VALUES of them
+        this.trend = 0; // Side (+1 or -1) the quantity is still moving to after a restart, 0 once settled
+    }
+
+    /**
+     * Add a measured value
+     * @param {number} value
+     * @returns {Object} Summary after adding it (see summarize())
+     */
+    add(value) {
+        if (!Number.isFinite(value)) return this.summarize();
+
+        const current = this.summarize();
+        if (current && Math.abs(value - current.mean) > Math.abs(current.mean) * this.RESTART_TOLERANCE) {
+            this._hold(value, current.mean);
+            return this.summarize();
+        }
+
+        this.pending = [];
+        this.trend = 0;
+        this.values.push(value);
+        if (this.values.length > this.MAX_SAMPLES) {
+            this.values.shift();
+        }
+        return this.summarize();
+    }
+
+    /**
+     * Change the largest uncertainty accepted
+     * @param {number} maxUncertainty - In the unit of the values (Infinity accepts a single value)
+     */
+    setMaxUncertainty(maxUncertainty) {
+        this.MAX_UNCERTAINTY = maxUncertainty;
+    }
+
+    /**
+     * @returns {number} Values collected (outliers included)
+     */
+    get count() {
+        return this.values.length;
+    }
+
+    /**
+     * Mean and uncertainty of the values that are not outliers
+     * A factor shared by all values (e.g. the scale a width was converted with) does
+     * not average out; its relative uncertainty is added in quadrature
+     * @param {Object} options - {relativeUncertainty} of such a factor (defaults to 0)
+     * @returns {Object|null} {mean, stdDev, uncertainty, count, rejected, accepted}, or null without values
+     *                        uncertainty: half-width of the 95% confidence interval of the mean
+     *                        (Infinity from a single value), i.e. repeatability; count: values used;
+     *                        rejected: outliers
+     */
+    summarize(options = {}) {
+        if (this.values.length === 0) return null;
+
+        const inliers = this._inliers();
+        const count = inliers.length;
+        const mean = inliers.reduce((sum, v) => sum + v, 0) / count;
+        const stdDev = count > 1 ?
+            Math.sqrt(inliers.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (count - 1)) :
+            0;
+        const randomUncertainty = count > 1 ? MeasurementStats.tQuantile95(count - 1) * stdDev / Math.sqrt(count) : Infinity;
+        const uncertainty = Math.hypot(randomUncertainty, mean * (options.relativeUncertainty || 0));
+
+        return {
+            mean,
+            stdDev,
+            uncertainty,
+            count,
+            rejected: this.values.length - count,
+            accepted: uncertainty <= this.MAX_UNCERTAINTY
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Hold back a value far from the mean; RESTART_VALUES in a row on the same side start over
+     * with those of them that agree with the latest (all of them once the quantity settled,
+     * only the latest while it is still changing). Until a value agrees with the mean again,
+     * the quantity is still moving: values off the same way start over at once
+     * @private
+     */
+    _hold(value, mean) {
+        const side = Math.sign(value - mean);
+        if (side === this.trend) {
+            this.values = [value];
+            this.pending = [];
+            return;
+        }
+
+        this.trend = 0;
+        if (this.pending.length && Math.sign(this.pending[0] - mean) !== side) {
+            this.pending = [];
+        }
+
+        this.pending.push(value);
+        if (this.pending.length >= this.RESTART_VALUES) {
+            this.values = this.pending.filter(v => Math.abs(v - value) <= Math.abs(value) * this.RESTART_TOLERANCE);
+            this.pending = [];
+            this.trend = side;
+        }
+    }
+
+    /**
+     * Values whose modified z-score (from the median absolute deviation) is within OUTLIER_SCORE
+     * @private
+     */
+    _inliers() {
+        if (this.values.length < this.MIN_OUTLIER_SAMPLES) return this.values;
+
+        const median = MeasurementStats.median(this.values);
+        const deviations = this.values.map(v => Math.abs(v - median));
+        let spread = MeasurementStats.median(deviations) / 0.6745;
+        if (spread === 0) {
+            // More than half the values are equal: fall back to the mean absolute deviation
+            spread = deviations.reduce((sum, d) => sum + d, 0) / deviations.length / 0.7979;
+        }
+        if (spread === 0) return this.values;
+
+        return this.values.filter((v, i) => deviations[i] / spread <= this.OUTLIER_SCORE);
+    }
+
+    // ==================== STATIC HELPERS ====================
+
+    /**
+     * Median of a list of numbers
+     * @param {Array<number>} values - Not empty
+     * @returns {number}
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Two-sided 95% quantile of Student's t distribution
+     * @param {number} degreesOfFreedom - At least 1
+     * @returns {number}
+     */
+    static tQuantile95(degreesOfFreedom) {
+        const table = MeasurementStats.T_QUANTILES_95;
+        if (degreesOfFreedom <= table.length) return table[degreesOfFreedom - 1];
+        return 1.96 + 2.37 / degreesOfFreedom + 2.8 / (degreesOfFreedom * degreesOfFreedom); // Within 0.2% beyond the table
+    }
+}
+
+// t(0.975) for 1 to 10 degrees of freedom
+MeasurementStats.T_QUANTILES_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228];
+
+export { MeasurementStats };
@@ -0,0 +1,401 @@
+/**
+ * Messages - English message catalogue and formatting for all user-facing text
+ * Text is identified by a key (e.g. 'log.locked') with named parameters, so the
+ * core can emit log lines without knowing the user's language: it sends the key
+ * and parameters along with the English text, and the UI layer (I18n) renders
+ * them from the locale's catalogue (locales/<lang>.json), falling back to
+ * English for missing keys.
+ *
+ * Templates: {name} inserts a parameter, {name:2} formats a number with 2
+ * decimals in the locale's style. A parameter {key, params, fallback} is itself
+ * a message, e.g. a reference name or a finger, translated before insertion.
+ * A template can be an object of plural forms ({one, other}, see
+ * Intl.PluralRules), picked by the count parameter.
+ *
+ * Modules throw Messages.error(key, params) for failures the user sees, so the
+ * UI can show them in the user's language too (I18n.error).
+ */
+
+import { CardTracker } from './cardTracker.js';
+import { FrameQuality } from './frameQuality.js';
+import { MeasurementSession } from './measurementSession.js';
+import { ReferenceObjects } from './referenceObjects.js';
+
+const numberFormats = {}; // Intl.NumberFormat by locale and decimals (slow to create)
+
+const Messages = {
+    /**
+     * Render a message from the English catalogue
+     * @param {string} key - Catalogue key
+     * @param {Object} params - Template parameters
+     * @param {string} fallback - Text for keys not in the catalogue (defaults to the key)
+     * @returns {string}
+     */
+    text(key, params = {}, fallback = null) {
+        const template = Messages.EN[key];
+        if (template === undefined) return fallback !== null ? fallback : key;
+        return Messages.format(template, params);
+    },
+
+    /**
+     * Fill in a template
+     * @param {string|Object} template - Text with {name} / {name:decimals} placeholders, or plural forms {one, other}
+     * @param {Object} params - Values by name: strings, numbers or nested messages {key, params, fallback}
+     * @param {Object} options - {locale, translate(key, params, fallback)} for numbers, plurals and nested messages
+     *                           (default: English)
+     * @returns {string}
+     */
+    format(template, params = {}, options = {}) {
+        const locale = options.locale || 'en';
+        const translate = options.translate || Messages.text;
+
+        if (template && typeof template === 'object') {
+            const form = new Intl.PluralRules(locale).select(params.count);
+            template = template[form] !== undefined ? template[form] : template.other;
+        }
+
+        return String(template).replace(/\{(\w+)(?::(\d+))?\}/g, (placeholder, name, decimals) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            if (typeof value === 'object') {
+                return value.key ? translate(value.key, value.params || {}, value.fallback || null) : placeholder;
+            }
+            if (typeof value === 'number') {
+                return Messages.number(value, decimals !== undefined ? parseInt(decimals, 10) : null, locale);
+            }
+            return String(value);
+        });
+    },
+
+    /**
+     * Number in a locale's style, without thousands separators (pixel sizes, sizes, counts)
+     * @param {number} value
+     * @param {number|null} decimals - Fixed decimals, or null to show the number as it is
+     * @param {string} locale - BCP 47 tag
+     * @returns {string}
+     */
+    number(value, decimals = null, locale = 'en') {
+        const id = `${locale}/${decimals}`;
+        if (!numberFormats[id]) {
+            numberFormats[id] = new Intl.NumberFormat(locale, decimals === null ?
+                { useGrouping: false, maximumFractionDigits: 20 } :
+                { useGrouping: false, minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+        }
+        return numberFormats[id].format(value);
+    },
+
+    /**
+     * Error for the user: English text as its message, with the key and parameters to translate it
+     * @param {string} key - Catalogue key
+     * @param {Object} params - Template parameters
+     * @returns {Error} With key and params
+     */
+    error(key, params = {}) {
+        const error = new Error(Messages.text(key, params));
+        error.key = key;
+        error.params = params;
+        return error;
+    },
+
+    /**
+     * Reference object name as a nested message, e.g. "card" in "Show your card"
+     * @param {Object} reference - Entry from ReferenceObjects
+     * @returns {Object} {key, fallback}
+     */
+    referenceName(reference) {
+        return { key: `reference.${reference.id}.name`, fallback: reference.name };
+    },
+
+    /**
+     * Reference object menu label as a nested message, e.g. "💳 Bank / ID card"
+     * @param {Object} reference - Entry from ReferenceObjects (or a record's {id, label})
+     * @returns {Object} {key, fallback}
+     */
+    referenceLabel(reference) {
+        return { key: `reference.${reference.id}.label`, fallback: reference.label };
+    },
+
+    /**
+     * Finger as a nested message, e.g. "Left thumb"
+     * @param {Object} step - {hand, finger}
+     * @returns {Object} {key, fallback}
+     */
+    step(step) {
+        return { key: `step.${step.hand}.${step.finger}`, fallback: MeasurementSession.label(step) };
+    }
+};
+
+// English source text; locales/<lang>.json translate these keys
+Messages.EN = {
+    // Core log (SizeKitCore)
+    'log.reference': 'Reference: {label} ({width:1} × {height:1} mm)',
+    'log.autoDetectOn': 'Auto-detect on',
+    'log.autoDetectOff': 'Auto-detect off',
+    'log.resetShow': 'Reset - show or tap {reference} to detect',
+    'log.resetTap': 'Reset - tap {reference} to detect',
+    'log.tapped': 'Tapped at ({x:0}, {y:0}) - detecting {reference}...',
+    'log.detectingCandidate': 'Detecting... ({seconds:1}s) - Found candidate',
+    'log.detectingScanning': 'Detecting... ({seconds:1}s) - Scanning',
+    'log.cornersAgreed': '✓ Corners agreed over {count} frames',
+    'log.detectionError': '❌ Detection error - tap again',
+    'log.timeout': '❌ Detection timeout - tap again',
+    'log.timeoutAdvice': '❌ Detection timeout ({advice}) - tap again',
+    'log.locked': '✓ Detected & Locked! Scale: {scale:2} px/mm',
+    'log.marker': 'Marker #{id}, turned {degrees:0}°',
+    'log.edgeFit': 'Edge fit: {residual:2} px residual, confidence {confidence:0}%',
+    'log.roughCorners': '⚠ Sub-pixel refinement failed - using rough corners',
+    'log.tilt': '⚠ Tilt {degrees:1}° - hold phone flat',
+    'log.scale': '✓ Scale: {scale:2} px/mm',
+    'log.nailWidth': '✓ Nail width: {width:1} mm ({pixels:1} px)',
+    'log.nailPlate': '✓ Nail plate: {length:1} mm long, {area:0} mm²',
+    'log.nailPlateCurve': '✓ Nail plate: {length:1} mm long, {area:0} mm², C-curve {arc:0}°',
+    'log.noNailEdges': '❌ No nail edges found - tap the middle of the nail',
+    'log.averageSingle': '{width:1} mm from 1 capture',
+    'log.averageSummary': '{width:1} ± {uncertainty:2} mm from {count} captures',
+    'log.averageRejected': '{width:1} ± {uncertainty:2} mm from {count} captures, {rejected} rejected',
+    'log.averageAccepted': '✓ Average: {summary}',
+    'log.averageMeasureAgain': '⚠ Average: {summary} - measure again (need ± {max:2} mm)',
+    'log.sessionStart': 'Measuring all nails - start with left thumb',
+    'log.skipped': 'Skipped {step}',
+    'log.sessionComplete': '✓ Session complete',
+    'log.calibrationNeedsEdges': '⚠ Calibration needs a card, paper or marker (straight edges)',
+    'log.calibrating': 'Calibrating lens - move the {reference} around the whole frame',
+    'log.calibrationCancelled': 'Calibration cancelled',
+    'log.lensCalibrated': '✓ Lens calibrated: {distortion:1} px distortion at corners',
+    'log.edgeStraightness': 'Edge straightness {before:2} → {after:2} px',
+    'log.lostShow': '❌ Lost the {reference} ({reason}) - show it again',
+    'log.lostTap': '❌ Lost the {reference} ({reason}) - tap it again',
+    'log.error': '❌ {message}',
+
+    // App log (debug console)
+    'log.loadingOpenCv': 'Loading OpenCV.js...',
+    'log.openCvWorker': '✓ OpenCV.js loaded in worker',
+    'log.openCvMainThread': '✓ OpenCV.js loaded (main thread)',
+    'log.ready': 'Show your {reference} - or tap it to detect',
+    'log.cameraStarting': 'Starting camera...',
+    'log.cameraReady': '✓ Camera ready ({width}x{height})',
+    'log.cameraSwitching': 'Switching camera...',
+    'log.cameraSwitched': '✓ Camera switched ({width}x{height})',
+    'log.cameraDenied': 'Camera access denied',
+    'log.needsHttps': 'Requires HTTPS',
+    'log.lightFailed': '⚠ Could not switch the light',
+    'log.photoLoaded': '✓ Photo loaded: {file} ({width}x{height})',
+    'log.processingError': '❌ Processing error',
+    'log.initError': 'ERROR: {message}',
+    'log.reportHint': '🐞 To report this: Debug → Download bundle',
+    'log.calibrationNeedsCamera': '⚠ Calibration needs the live camera',
+    'log.lensLoaded': '✓ Lens calibration loaded ({distortion:1} px at corners)',
+    'log.printScaleFar': '❌ {measured} mm is far from {nominal} mm - print at 100% and measure again',
+    'log.printScaleCorrected': '⚠ Printout scaled to {percent:1}% - corrected',
+    'log.printScaleConfirmed': '✓ Print scale confirmed',
+    'log.exported': '✓ Exported {format}',
+    'log.exportFailed': '❌ Export failed: {message}',
+    'log.shared': '✓ Shared',
+    'log.sharedImage': '✓ Shared (image only)',
+    'log.sharedText': '✓ Shared (text only)',
+    'log.shareFailed': '❌ Share failed: {message}',
+    'log.sessionSaved': '✓ Session saved to {profile}',
+    'log.saveFailed': '❌ Could not save: {message}',
+    'log.profileCreated': '✓ Profile {profile} created',
+    'log.profileDeleted': 'Profile {profile} deleted',
+    'log.profileExported': '✓ Exported profile {profile}',
+    'log.profileImported': { one: '✓ Imported {profile} ({count} session)', other: '✓ Imported {profile} ({count} sessions)' },
+    'log.profilesDeleted': 'All saved profiles deleted',
+    'log.bundleSaved': { one: '✓ Debug bundle saved ({count} frame)', other: '✓ Debug bundle saved ({count} frames)' },
+    'log.bundleFailed': '❌ Debug bundle failed: {message}',
+    'log.replayStarted': { one: '🎞 Replaying {count} frame from {file}', other: '🎞 Replaying {count} frames from {file}' },
+    'log.replayFailed': '❌ Replay: {message}',
+    'log.replayEnded': '🎞 Replay ended',
+    'log.initializing': 'Initializing...',
+
+    // Instructions (capture flow)
+    'instructions.found': '{reference} found - hold steady',
+    'instructions.locking': 'Locking... {percent:0}%',
+    'instructions.show': 'Show your {reference}',
+    'instructions.showDetail': 'Place it flat on the surface - or tap it',
+    'instructions.tap': 'Tap your {reference}',
+    'instructions.tapDetail': 'Place it flat on the surface',
+    'instructions.detecting': 'Detecting...',
+    'instructions.holdSteady': 'Hold steady',
+    'instructions.detected': '✓ {reference} Detected!',
+    'instructions.nail': 'Nail: {width}',
+    'instructions.scale': 'Scale: {scale}',
+    'instructions.tapNail': 'Tap a nail to measure',
+    'instructions.confirmNail': 'Tap the nail again to confirm',
+    'instructions.step': '{step} ({index}/{total})',
+    'instructions.stepSize': '{step}: {width} → size {size}',
+    'instructions.stepNoSize': '{step}: {width} → no size',
+    'instructions.tapMiddle': 'Tap the middle of the nail',
+    'instructions.tilted': '⚠ Phone tilted {degrees:0}° - hold it flat over the {reference}',
+    'instructions.calibrating': 'Calibrating... {percent:0}%',
+    'instructions.calibrateRegion': 'Move the {reference} to the {region} of the frame, tilting it a little',
+    'instructions.calibrateMore': 'Keep moving and tilting the {reference} around the frame',
+    'instructions.allMeasured': '✓ All nails measured',
+    'instructions.measured': 'Measured {width}',
+    'instructions.measuredSize': 'Measured {width} - size {size}',
+
+    // Calibration target regions (LensCalibration.nextRegion)
+    'region.top left': 'top left',
+    'region.top center': 'top center',
+    'region.top right': 'top right',
+    'region.middle left': 'middle left',
+    'region.center': 'center',
+    'region.middle right': 'middle right',
+    'region.bottom left': 'bottom left',
+    'region.bottom center': 'bottom center',
+    'region.bottom right': 'bottom right',
+
+    // Errors that stop the app
+    'error.openCv': '❌ Could not load OpenCV',
+    'error.openCvDetail': 'Check your connection and reload the page',
+    'error.camera': 'Camera unavailable',
+    'error.cameraDetail': 'Upload a photo of your card and hand instead',
+
+    // Errors thrown by the modules (Messages.error)
+    'error.cameraAccess': 'Camera access failed: {message}',
+    'error.notImage': 'Please choose an image file',
+    'error.imageUnreadable': 'Could not read image "{file}"',
+    'error.profilesUnsupported': 'Saving profiles is not supported in this browser',
+    'error.profileNotFound': 'Profile not found',
+    'error.profileName': 'Enter a name for the profile',
+    'error.notProfile': '{file} is not a SizeKit profile',
+    'error.newerProfile': '{file} is from a newer SizeKit - update the app first',
+    'error.shareUnsupported': 'Sharing is not supported on this device',
+    'error.nothingShared': 'Nothing could be shared',
+    'error.imageEncoding': 'Could not encode image',
+    'error.frameUnreadable': 'Could not read captured frame',
+    'error.notDebugBundle': '{file} is not a debug bundle',
+    'error.debugBundle': 'Not a SizeKit debug bundle',
+    'error.debugBundleVersion': 'Unsupported debug bundle version {version}',
+    'error.debugBundleEmpty': 'Debug bundle has no frames',
+    'error.calibrationViews': 'Not enough calibration views',
+    'error.calibrationFailed': 'Calibration failed - keep the card flat and try again',
+
+    // Measurement values
+    'units.scale': '{value:2} px/mm',
+    'units.scaleUncertainty': '{value:2} ± {uncertainty:2} px/mm',
+    'units.width': '{value:1} mm',
+    'units.widthUncertainty': '{value:1} ± {uncertainty:2} mm',
+    'units.change': '{sign}{value:1} mm',
+
+    // Controls and screens
+    'ui.canvas': 'Camera view - tap your reference object, then a nail',
+    'ui.language': 'Language',
+    'ui.close': 'Close',
+    'ui.referenceObject': 'Reference object',
+    'ui.printScale': '📏 Print scale',
+    'ui.autoOn': '🤖 Auto: On',
+    'ui.autoOff': '🤖 Auto: Off',
+    'ui.uploadPhoto': '🖼 Upload photo',
+    'ui.useCamera': '📷 Use camera',
+    'ui.camera': 'Camera',
+    'ui.cameraNumber': 'Camera {number}',
+    'ui.calibrate': '🎯 Calibrate lens',
+    'ui.cancelCalibration': '✖ Cancel calibration',
+    'ui.lightOn': '🔦 Light: On',
+    'ui.lightOff': '🔦 Light: Off',
+    'ui.zoom': 'Zoom',
+    'ui.voiceOn': '🔊 Voice: On',
+    'ui.voiceOff': '🔊 Voice: Off',
+    'ui.vibrationOn': '📳 Vibration: On',
+    'ui.vibrationOff': '📳 Vibration: Off',
+    'ui.profiles': '👤 Profiles',
+    'ui.dropHint': 'Drop photo to measure',
+    'ui.measureAll': 'Measure all nails',
+    'ui.back': 'Back',
+    'ui.skip': 'Skip',
+    'ui.export': '📤 Export',
+    'ui.reset': 'Reset',
+    'results.title': 'Your Nail Sizes',
+    'results.finger': 'Finger',
+    'results.width': 'Width',
+    'results.size': 'Size',
+    'results.save': '💾 Save to profile',
+    'results.saved': '✓ Saved to {profile}',
+    'results.measureAgain': 'Measure again',
+    'export.title': 'Export measurement',
+    'export.share': '📤 Share',
+    'export.image': '⬇ Image',
+    'export.shareTitle': 'SizeKit measurement',
+    'export.summaryTitle': 'SizeKit · {date}',
+    'export.summaryScale': '{reference} · {scale:2} px/mm',
+    'export.summaryScaleTilt': '{reference} · {scale:2} px/mm · tilt {tilt:0}°',
+    'export.summaryNail': '{finger}: {width}',
+    'export.summaryNailSize': '{finger}: {width} · size {size}',
+    'export.summaryNailNearest': '{finger}: {width} · ~size {size}',
+    'export.summaryWidth': '{width:1} mm',
+    'export.summaryWidthUncertainty': '{width:1} ± {uncertainty:2} mm',
+    'export.nail': 'Nail',
+    'profiles.title': 'Profiles',
+    'profiles.profile': 'Profile',
+    'profiles.name': 'Profile name',
+    'profiles.namePlaceholder': 'Name, e.g. Me',
+    'profiles.defaultName': 'Me',
+    'profiles.new': '➕ New',
+    'profiles.rename': '✏ Rename',
+    'profiles.delete': '🗑 Delete',
+    'profiles.export': '⬇ Export',
+    'profiles.import': '⬆ Import…',
+    'profiles.none': 'No profiles yet - enter a name and press New',
+    'profiles.sessions': {
+        one: '{count} saved session · tick two to compare',
+        other: '{count} saved sessions · tick two to compare'
+    },
+    'profiles.noSessions': 'No sessions yet - measure all nails and press Save on the results',
+    'profiles.nails': { one: '{count} nail', other: '{count} nails' },
+    'profiles.sizes': '{reference} · sizes {sizes}',
+    'profiles.compare': 'Compare',
+    'profiles.deleteSession': 'Delete session',
+    'profiles.confirmDeleteSession': 'Delete this session?',
+    'profiles.confirmDelete': 'Delete {profile} and all its sessions?',
+    'profiles.confirmDeleteAll': 'Delete all profiles and sessions stored on this device?',
+    'profiles.before': 'Before',
+    'profiles.after': 'After',
+    'profiles.change': 'Change',
+    'profiles.newSize': '{change} · new size',
+    'profiles.deleteAll': '🗑 Delete all data',
+    'print.title': 'Check your printout',
+    'print.instructions': 'Print the SizeKit marker sheet at 100% ("Actual size"). ' +
+        'Measure the ruler bar under the marker with a real ruler:',
+    'print.sheet': 'Open the marker sheet',
+    'print.rulerLength': 'Ruler bar length',
+    'print.confirm': '✓ Confirm',
+
+    // Debug recorder and replay
+    'debug.button': '🐞 Debug',
+    'debug.title': 'Debug recording',
+    'debug.recordingOn': '⏺ Recording: On',
+    'debug.recordingOff': '⏺ Recording: Off',
+    'debug.download': '⬇ Download bundle',
+    'debug.replay': '🎞 Replay bundle…',
+    'debug.recorded': {
+        one: 'Last {count} frame ({seconds:1} s) recorded',
+        other: 'Last {count} frames ({seconds:1} s) recorded'
+    },
+    'debug.off': 'Recording is off',
+    'replay.play': '▶ Play',
+    'replay.pause': '⏸ Pause',
+    'replay.step': '⏭ Step',
+    'replay.edgesOn': 'Edges: On',
+    'replay.edgesOff': 'Edges: Off',
+    'replay.exit': '✖ Exit',
+    'replay.ready': { one: '🎞 {count} frame - Play or Step', other: '🎞 {count} frames - Play or Step' },
+    'replay.frame': '🎞 {index}/{total} · {mode} · found {found} (recorded {recorded})',
+    'replay.idle': 'idle',
+    'replay.candidates': { one: '{count} candidate', other: '{count} candidates' },
+    'replay.differs': '⚠ differs from recording',
+
+    // What the user can do about a frame quality issue (FrameQuality.ADVICE), why a track was lost
+    // (CardTracker.LOSS_REASONS), reference objects (ReferenceObjects) and fingers (MeasurementSession)
+    ...Object.fromEntries(Object.entries(FrameQuality.ADVICE).map(([issue, text]) => [`advice.${issue}`, text])),
+    ...Object.fromEntries(Object.entries(CardTracker.LOSS_REASONS).map(([reason, text]) => [`loss.${reason}`, text])),
+    'loss.error': 'detection error',
+    ...Object.fromEntries(ReferenceObjects.list().flatMap(reference => [
+        [`reference.${reference.id}.label`, reference.label],
+        [`reference.${reference.id}.name`, reference.name]
+    ])),
+    ...Object.fromEntries(MeasurementSession.HANDS.flatMap(hand => MeasurementSession.FINGERS.map(finger =>
+        [`step.${hand}.${finger}`, MeasurementSession.label({ hand, finger })])))
+};
+
+export { Messages };
@@ -0,0 +1,343 @@
+/**
+ * NailDetector - Nail width measurement from shadow edges
+ * Finds the curvature shadows on each side of the nail with a Sobel operator,
+ * locates the darkest line of each shadow valley and converts their distance
+ * to millimetres using the locked card scale
+ */
+
+class NailDetector {
+    constructor() {
+        // Search window around the fingertip (physical size, converted with scale)
+        this.REGION_WIDTH_MM = 28; // Widest thumb nail (~20mm) plus margin
+        this.REGION_HEIGHT_MM = 6; // Band of rows averaged across the nail
+        this.CENTER_GUARD_MM = 1.5; // Ignore edges right under the tap point
+
+        // Realistic nail widths
+        this.MIN_NAIL_WIDTH_MM = 5;
+        this.MAX_NAIL_WIDTH_MM = 20;
+
+        // Minimum mean gradient magnitude for a column to count as a shadow edge
+        this.MIN_GRADIENT = 8;
+
+        // Number of strongest peaks per side considered when pairing edges
+        this.MAX_PEAKS = 4;
+
+        // Widest shadow valley: how far from a gradient peak its darkest line is searched
+        this.MAX_SHADOW_HALF_WIDTH_MM = 1.5;
+        // A valley's weaker flank is at least this share of its stronger one; less is a plain
+        // step, like the finger's outline against a white card
+        this.MIN_VALLEY_BALANCE = 0.25;
+
+        this.lastMeasurement = null;
+    }
+
+    /**
+     * Measure nail width around a fingertip
+     * Assumes the finger points roughly up or down in the frame, so the nail
+     * edges show up as vertical shadow lines on either side of the fingertip
+     * @param {ImageData} imageData - Raw image data from canvas
+     * @param {Object} fingertip - Point on the nail {x, y} in image coordinates
+     * @param {number} pixelsPerMM - Scale from the locked card
+     * @param {CardPlane} plane - Optional card plane for perspective-correct widths
+     * @returns {Object|null} Measurement with edges and width, or null
+     */
+    measureNail(imageData, fingertip, pixelsPerMM, plane = null) {
+        if (!fingertip || !pixelsPerMM || pixelsPerMM <= 0) return null;
+
+        // Under tilt the scale differs across the frame: use the one at the fingertip
+        if (plane) {
+            pixelsPerMM = plane.pixelsPerMMAt(fingertip);
+        }
+
+        console.log(`🔬 Detecting nail edges using shadows at (${fingertip.x.toFixed(0)}, ${fingertip.y.toFixed(0)})`);
+
+        // 1. Extract region around fingertip
+        const region = this._getRegion(imageData, fingertip, pixelsPerMM);
+        if (region.width < 5 || region.height < 3) {
+            console.log('  ❌ Fingertip too close to the frame edge');
+            this.lastMeasurement = null;
+            return null;
+        }
+
+        // 2. Compute gradients (edges) using Sobel operator
+        const gradients = this.computeGradients(imageData, region.x, region.y, region.width, region.height);
+
+        // 3. Average horizontal gradient per column (vertical edges = nail sides)
+        const profile = this._columnProfile(gradients.gx, region.width, region.height);
+
+        // 4. Find strongest edges left and right of the fingertip, moved to the
+        // middle of their shadow valley (the steepest flank is its inner side)
+        const centerCol = Math.round(fingertip.x) - region.x;
+        const guard = Math.max(1, Math.round(this.CENTER_GUARD_MM * pixelsPerMM));
+        const maxShift = this.MAX_SHADOW_HALF_WIDTH_MM * pixelsPerMM;
+        const toValley = peak => this._valleyCenter(profile.signed, peak, maxShift);
+        const leftPeaks = this._findPeaks(profile.magnitude, 1, centerCol - guard).map(toValley);
+        const rightPeaks = this._findPeaks(profile.magnitude, centerCol + guard, region.width - 2).map(toValley);
+
+        // Shadow valleys beat plain steps; steps are only used when a side has no valley
+        const valleysOrAll = peaks => (peaks.some(p => p.valley) ? peaks.filter(p => p.valley) : peaks);
+        const pair = this._selectEdgePair(valleysOrAll(leftPeaks), valleysOrAll(rightPeaks), pixelsPerMM);
+        if (!pair) {
+            console.log('  ❌ Could not find clear shadow edges');
+            this.lastMeasurement = null;
+            return null;
+        }
+
+        // 5. Convert to image coordinates and millimetres
+        const y = Math.round(fingertip.y);
+        const leftX = region.x + pair.left.position;
+        const rightX = region.x + pair.right.position;
+        const widthPx = rightX - leftX;
+        const widthMM = plane ?
+            plane.distanceMM({ x: leftX, y: y }, { x: rightX, y: y }) :
+            widthPx / pixelsPerMM;
+
+        console.log(`  ✅ Found shadow edges: L=${leftX.toFixed(1)} R=${rightX.toFixed(1)} W=${widthPx.toFixed(1)}px`);
+        console.log(`     Edge strengths: L=${pair.left.strength.toFixed(1)} R=${pair.right.strength.toFixed(1)}`);
+
+        this.lastMeasurement = {
+            fingertip: { x: fingertip.x, y: fingertip.y },
+            leftEdge: { x: leftX, y: y },
+            rightEdge: { x: rightX, y: y },
+            widthPx: widthPx,
+            widthMM: widthMM,
+            edgeStrength: {
+                left: pair.left.strength,
+                right: pair.right.strength
+            },
+            region: region
+        };
+
+        return this.lastMeasurement;
+    }
+
+    /**
+     * Compute Sobel gradients over a region of the image
+     * @param {ImageData} imageData - Raw image data from canvas
+     * @param {number} x - Region left
+     * @param {number} y - Region top
+     * @param {number} width - Region width
+     * @param {number} height - Region height
+     * @returns {Object} {gx, gy, magnitude} as Float32Arrays of width * height
+     */
+    computeGradients(imageData, x, y, width, height) {
+        // Grayscale with a 1px border so the kernel fits at the region edge
+        const paddedWidth = width + 2;
+        const paddedHeight = height + 2;
+        const gray = new Float32Array(paddedWidth * paddedHeight);
+
+        for (let py = 0; py < paddedHeight; py++) {
+            const sy = Math.min(imageData.height - 1, Math.max(0, y + py - 1));
+            for (let px = 0; px < paddedWidth; px++) {
+                const sx = Math.min(imageData.width - 1, Math.max(0, x + px - 1));
+                const idx = (sy * imageData.width + sx) * 4;
+                gray[py * paddedWidth + px] =
+                    (imageData.data[idx] + imageData.data[idx + 1] + imageData.data[idx + 2]) / 3;
+            }
+        }
+
+        const gx = new Float32Array(width * height);
+        const gy = new Float32Array(width * height);
+        const magnitude = new Float32Array(width * height);
+
+        for (let ry = 0; ry < height; ry++) {
+            for (let rx = 0; rx < width; rx++) {
+                const c = (ry + 1) * paddedWidth + (rx + 1);
+                const tl = gray[c - paddedWidth - 1];
+                const t = gray[c - paddedWidth];
+                const tr = gray[c - paddedWidth + 1];
+                const l = gray[c - 1];
+                const r = gray[c + 1];
+                const bl = gray[c + paddedWidth - 1];
+                const b = gray[c + paddedWidth];
+                const br = gray[c + paddedWidth + 1];
+
+                const sobelX = (tr + 2 * r + br) - (tl + 2 * l + bl);
+                const sobelY = (bl + 2 * b + br) - (tl + 2 * t + tr);
+
+                const i = ry * width + rx;
+                gx[i] = sobelX;
+                gy[i] = sobelY;
+                magnitude[i] = Math.sqrt(sobelX * sobelX + sobelY * sobelY);
+            }
+        }
+
+        return { gx, gy, magnitude };
+    }
+
+    /**
+     * Draw detected nail edges and width
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} measurement - Result from measureNail
+     */
+    drawOverlay(ctx, measurement) {
+        if (!measurement) return;
+
+        const { leftEdge, rightEdge, region } = measurement;
+
+        // Draw search region (faint cyan)
+        ctx.strokeStyle = 'rgba(0, 200, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(region.x, region.y, region.width, region.height);
+
+        // Draw shadow edges as vertical cyan lines
+        const halfHeight = Math.max(region.height, 20) / 2;
+        ctx.strokeStyle = 'rgb(0, 200, 255)';
+        ctx.lineWidth = 3;
+        for (const edge of [leftEdge, rightEdge]) {
+            ctx.beginPath();
+            ctx.moveTo(edge.x, edge.y - halfHeight);
+            ctx.lineTo(edge.x, edge.y + halfHeight);
+            ctx.stroke();
+        }
+
+        // Draw width line between the edges
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(leftEdge.x, leftEdge.y);
+        ctx.lineTo(rightEdge.x, rightEdge.y);
+        ctx.stroke();
+
+        // Label with width in mm
+        ctx.font = 'bold 18px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgb(0, 200, 255)';
+        ctx.fillText(`${measurement.widthMM.toFixed(1)} mm`, (leftEdge.x + rightEdge.x) / 2, leftEdge.y - halfHeight - 8);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Get search region around fingertip, clamped to the image
+     * @private
+     */
+    _getRegion(imageData, fingertip, pixelsPerMM) {
+        const regionWidth = this.REGION_WIDTH_MM * pixelsPerMM;
+        const regionHeight = this.REGION_HEIGHT_MM * pixelsPerMM;
+
+        const x = Math.max(0, Math.round(fingertip.x - regionWidth / 2));
+        const y = Math.max(0, Math.round(fingertip.y - regionHeight / 2));
+
+        return {
+            x: x,
+            y: y,
+            width: Math.min(Math.round(regionWidth), imageData.width - x),
+            height: Math.min(Math.round(regionHeight), imageData.height - y)
+        };
+    }
+
+    /**
+     * Mean absolute and mean signed horizontal gradient of each column
+     * @private
+     */
+    _columnProfile(gx, width, height) {
+        const magnitude = new Float32Array(width);
+        const signed = new Float32Array(width);
+
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let signedSum = 0;
+            for (let y = 0; y < height; y++) {
+                const value = gx[y * width + x];
+                sum += Math.abs(value);
+                signedSum += value;
+            }
+            magnitude[x] = sum / height;
+            signed[x] = signedSum / height;
+        }
+
+        return { magnitude, signed };
+    }
+
+    /**
+     * Move a gradient peak to the middle of its shadow valley
+     * A falling flank (negative gradient) has the valley to its right, a rising
+     * one to its left. The opposite flank is the strongest gradient of the other
+     * sign within maxShift; the valley centre lies halfway between the two.
+     * Peaks without a balanced opposite flank (plain steps) stay put
+     * @private
+     * @returns {Object} The peak with its new position and valley: true, or unchanged with valley: false
+     */
+    _valleyCenter(signed, peak, maxShift) {
+        const column = Math.round(peak.position);
+        const sign = Math.sign(signed[column]);
+        const direction = sign < 0 ? 1 : -1;
+        let best = null;
+
+        for (let step = 1; step <= Math.ceil(maxShift); step++) {
+            const x = column + direction * step;
+            if (x < 1 || x > signed.length - 2) break;
+
+            const value = -sign * signed[x];
+            if (value <= 0 || value < -sign * signed[x - 1] || value < -sign * signed[x + 1]) continue;
+            if (!best || value > best.value) best = { x, value };
+        }
+        if (!best || best.value < Math.abs(signed[column]) * this.MIN_VALLEY_BALANCE) {
+            return { ...peak, valley: false };
+        }
+
+        // Parabolic interpolation of the opposite flank
+        const { x, value } = best;
+        const before = -sign * signed[x - 1];
+        const after = -sign * signed[x + 1];
+        const denom = before - 2 * value + after;
+        const offset = denom !== 0 ? 0.5 * (before - after) / denom : 0;
+
+        return { ...peak, position: (peak.position + x + Math.max(-0.5, Math.min(0.5, offset))) / 2, valley: true };
+    }
+
+    /**
+     * Find local maxima above MIN_GRADIENT between two columns (inclusive)
+     * Positions are refined to sub-pixel precision with a parabola fit
+     * @private
+     */
+    _findPeaks(profile, from, to) {
+        const peaks = [];
+        const start = Math.max(1, from);
+        const end = Math.min(profile.length - 2, to);
+
+        for (let x = start; x <= end; x++) {
+            const value = profile[x];
+            if (value < this.MIN_GRADIENT) continue;
+            if (value < profile[x - 1] || value < profile[x + 1]) continue;
+
+            // Parabolic interpolation of the peak position
+            const denom = profile[x - 1] - 2 * value + profile[x + 1];
+            const offset = denom !== 0 ? 0.5 * (profile[x - 1] - profile[x + 1]) / denom : 0;
+
+            peaks.push({
+                position: x + Math.max(-0.5, Math.min(0.5, offset)),
+                strength: value
+            });
+        }
+
+        // Strongest first
+        peaks.sort((a, b) => b.strength - a.strength);
+        return peaks.slice(0, this.MAX_PEAKS);
+    }
+
+    /**
+     * Pick the strongest left/right edge pair with a realistic nail width
+     * @private
+     */
+    _selectEdgePair(leftPeaks, rightPeaks, pixelsPerMM) {
+        let best = null;
+
+        for (const left of leftPeaks) {
+            for (const right of rightPeaks) {
+                const widthMM = (right.position - left.position) / pixelsPerMM;
+                if (widthMM < this.MIN_NAIL_WIDTH_MM || widthMM > this.MAX_NAIL_WIDTH_MM) continue;
+
+                // Balanced edges score higher than one strong edge and one weak one
+                const score = Math.min(left.strength, right.strength) * 2 + left.strength + right.strength;
+                if (!best || score > best.score) {
+                    best = { left, right, score };
+                }
+            }
+        }
+
+        return best;
+    }
+}
+
+export { NailDetector };
@@ -0,0 +1,513 @@
+/**
+ * NailSegmenter - Outline of the whole nail plate around a fingertip
+ * Cuts the nail out of a patch around the tap point with GrabCut: the patch is
+ * turned so the finger points up and scaled to a fixed resolution, the middle
+ * of the nail is seeded as nail and everything beyond the largest realistic
+ * nail as background (table and the skin further down the finger).
+ * From the outline it reports width at the widest point, length from free
+ * edge to cuticle and area in millimetres (perspective-correct with the card
+ * plane), and a C-curve estimate: the nail is taken to follow the finger's
+ * round cross-section, so the finger width across the nail gives its arch.
+ * OpenCV.js must be loaded as the global `cv` first.
+ */
+
+class NailSegmenter {
+    constructor() {
+        // Patch around the tap point (millimetres on the card plane)
+        this.REGION_HALF_MM = 14; // Room for the widest thumb nail and the finger edges beside it
+        this.PIXELS_PER_MM = 6; // Patch resolution, whatever the camera resolution
+        this.GRABCUT_ITERATIONS = 4;
+        this.LIGHTNESS_WEIGHT = 0.5; // Of Lab lightness in the colours GrabCut sees
+        this.CHROMA_GAIN = 3; // Of Lab a and b
+        this.RNG_SEED = 0x5eed; // GrabCut starts its colour models with k-means: same frame, same outline
+
+        // Seeds: nail for sure under the tap, background beyond the largest nail
+        this.SEED_RADIUS_MM = 1.5;
+        this.MAX_HALF_WIDTH_MM = 11; // Across the finger, from the tap point
+        this.MAX_HALF_LENGTH_MM = 11; // Along the finger
+
+        // Realistic nail plates
+        this.MIN_NAIL_WIDTH_MM = 5;
+        this.MAX_NAIL_WIDTH_MM = 20;
+        this.MIN_NAIL_LENGTH_MM = 4;
+        this.MAX_NAIL_LENGTH_MM = 22;
+
+        // The widest width is taken between the shadows along the nail sides, as NailDetector does
+        this.EDGE_REFINE_MM = 0.8; // Search around the outline for the darkest point
+
+        // C-curve: finger edges beside the widest part of the nail
+        this.EDGE_GUARD_MM = 1; // Skip the shadow along the nail side
+        this.MAX_SIDEWALL_SHARE = 0.5; // Finger edge at most this share of the nail width beyond the nail
+        this.MIN_FINGER_EDGE = 3; // Gray levels per patch pixel
+        this.FINGER_EDGE_SHARE = 0.3; // Of the strongest step beside the nail, for the nearest one to count
+
+        this.lastPlate = null;
+    }
+
+    /**
+     * Outline the nail plate around a tap
+     * @param {ImageData} imageData - Raw image data from canvas
+     * @param {Object} point - Tap on the nail {x, y} in image coordinates (ideally its middle)
+     * @param {number} pixelsPerMM - Scale from the locked card
+     * @param {Object} options - Optional {plane: CardPlane for perspective-correct sizes,
+     *                           axis: {x, y} from the fingertip towards the hand (default: finger points up)}
+     * @returns {Object|null} {point, axis, outline, widthMM, lengthMM, areaMM2, widthLine {left, right},
+     *                         lengthLine {freeEdge, cuticle}, cCurve {fingerWidthMM, radiusMM, arcDegrees,
+     *                         depthMM} or null} with points in image coordinates, or null if no plate was found
+     */
+    segment(imageData, point, pixelsPerMM, options = {}) {
+        if (!point || !pixelsPerMM || pixelsPerMM <= 0) return null;
+        if (typeof cv === 'undefined' || !cv.Mat) {
+            console.error('OpenCV not loaded yet');
+            return null;
+        }
+
+        const plane = options.plane || null;
+        const axisLength = options.axis ? Math.hypot(options.axis.x, options.axis.y) : 0;
+        const axis = axisLength > 0 ?
+            { x: options.axis.x / axisLength, y: options.axis.y / axisLength } :
+            { x: 0, y: 1 };
+
+        console.log(`🔬 Outlining nail plate at (${point.x.toFixed(0)}, ${point.y.toFixed(0)})`);
+
+        // Patch pixels per image pixel, from the scale at the tap
+        const localScale = plane ? plane.pixelsPerMMAt(point) : pixelsPerMM;
+        const frame = this._framePatch(point, axis, this.PIXELS_PER_MM / localScale);
+
+        const image = cv.matFromImageData(imageData);
+        const rgba = new cv.Mat();
+        const patch = new cv.Mat();
+        const features = new cv.Mat();
+        const mask = new cv.Mat();
+        const bgdModel = new cv.Mat();
+        const fgdModel = new cv.Mat();
+        let plate = null;
+
+        try {
+            cv.warpAffine(image, rgba, frame.matrix, new cv.Size(frame.size, frame.size),
+                cv.INTER_LINEAR, cv.BORDER_REPLICATE, new cv.Scalar());
+            cv.cvtColor(rgba, patch, cv.COLOR_RGBA2RGB);
+            this._chromaImage(patch, features);
+
+            this._seed(mask, features, frame.size);
+            cv.setRNGSeed(this.RNG_SEED);
+            cv.grabCut(features, mask, new cv.Rect(0, 0, 1, 1), bgdModel, fgdModel,
+                this.GRABCUT_ITERATIONS, cv.GC_INIT_WITH_MASK);
+
+            const region = this._plateRegion(mask, frame.size);
+            if (!region) {
+                console.log('  ❌ No nail plate around the tap');
+            } else {
+                plate = this._measure(region, patch, frame, { point, axis, plane, pixelsPerMM });
+            }
+        } finally {
+            frame.matrix.delete();
+            image.delete();
+            rgba.delete();
+            patch.delete();
+            features.delete();
+            mask.delete();
+            bgdModel.delete();
+            fgdModel.delete();
+        }
+
+        if (plate) {
+            const curve = plate.cCurve ? `, C-curve ${plate.cCurve.arcDegrees.toFixed(0)}°` : '';
+            console.log(`  ✅ Nail plate: ${plate.widthMM.toFixed(1)} × ${plate.lengthMM.toFixed(1)} mm, ` +
+                `${plate.areaMM2.toFixed(0)} mm²${curve}`);
+        }
+
+        this.lastPlate = plate;
+        return plate;
+    }
+
+    /**
+     * Draw the nail outline with its widest width and its length
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} plate - Result from segment
+     */
+    drawOverlay(ctx, plate) {
+        if (!plate) return;
+
+        // Outline (magenta, translucent fill)
+        ctx.beginPath();
+        plate.outline.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(233, 30, 99, 0.2)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgb(233, 30, 99)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Widest width and free edge to cuticle
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        for (const [from, to] of [[plate.widthLine.left, plate.widthLine.right],
+                                  [plate.lengthLine.freeEdge, plate.lengthLine.cuticle]]) {
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        // Label below the cuticle
+        const curve = plate.cCurve ? ` · C ${plate.cCurve.arcDegrees.toFixed(0)}°` : '';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgb(233, 30, 99)';
+        ctx.fillText(`${plate.lengthMM.toFixed(1)} mm long${curve}`,
+            plate.lengthLine.cuticle.x, plate.lengthLine.cuticle.y + 18);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Affine map from the image to an upright patch centred on the tap, and back
+     * Patch columns run across the finger, rows from the fingertip towards the hand
+     * @private
+     */
+    _framePatch(point, axis, scale) {
+        const size = Math.round(2 * this.REGION_HALF_MM * this.PIXELS_PER_MM);
+        const centre = (size - 1) / 2;
+        const across = { x: axis.y, y: -axis.x };
+
+        const matrix = cv.matFromArray(2, 3, cv.CV_64FC1, [
+            scale * across.x, scale * across.y, centre - scale * (across.x * point.x + across.y * point.y),
+            scale * axis.x, scale * axis.y, centre - scale * (axis.x * point.x + axis.y * point.y)
+        ]);
+
+        return {
+            size,
+            matrix,
+            toImage: (u, v) => {
+                const du = (u - centre) / scale;
+                const dv = (v - centre) / scale;
+                return { x: point.x + du * across.x + dv * axis.x, y: point.y + du * across.y + dv * axis.y };
+            }
+        };
+    }
+
+    /**
+     * Lab colour with chroma stretched and lightness damped: nails differ from skin mostly
+     * in saturation, while shading across the round finger changes lightness
+     * @private
+     */
+    _chromaImage(patch, features) {
+        cv.cvtColor(patch, features, cv.COLOR_RGB2Lab);
+        const data = features.data;
+        for (let i = 0; i < data.length; i += 3) {
+            data[i] = data[i] * this.LIGHTNESS_WEIGHT;
+            data[i + 1] = 128 + (data[i + 1] - 128) * this.CHROMA_GAIN;
+            data[i + 2] = 128 + (data[i + 2] - 128) * this.CHROMA_GAIN;
+        }
+    }
+
+    /**
+     * GrabCut seeds: nail under the tap, background beyond the largest nail, and in between
+     * probably nail where the colour is closer to the tap's than the Otsu split of colour distances
+     * @private
+     */
+    _seed(mask, features, size) {
+        mask.create(size, size, cv.CV_8UC1);
+        const labels = mask.data;
+        const colours = features.data;
+        const centre = (size - 1) / 2;
+        const seed2 = (this.SEED_RADIUS_MM * this.PIXELS_PER_MM) ** 2;
+        const maxU = this.MAX_HALF_WIDTH_MM * this.PIXELS_PER_MM;
+        const maxV = this.MAX_HALF_LENGTH_MM * this.PIXELS_PER_MM;
+
+        // Nail colour under the tap
+        const nail = [0, 0, 0];
+        let count = 0;
+        for (let v = 0; v < size; v++) {
+            for (let u = 0; u < size; u++) {
+                if ((u - centre) ** 2 + (v - centre) ** 2 > seed2) continue;
+                for (let c = 0; c < 3; c++) nail[c] += colours[(v * size + u) * 3 + c];
+                count++;
+            }
+        }
+        for (let c = 0; c < 3; c++) nail[c] /= count;
+
+        // Colour distance of each pixel to it, split where the histogram parts best
+        const distance = new Uint8Array(size * size);
+        const histogram = new Float64Array(256);
+        for (let v = 0; v < size; v++) {
+            for (let u = 0; u < size; u++) {
+                const i = v * size + u;
+                const d = Math.hypot(colours[i * 3] - nail[0], colours[i * 3 + 1] - nail[1], colours[i * 3 + 2] - nail[2]);
+                distance[i] = Math.min(255, Math.round(d));
+                if (Math.abs(u - centre) <= maxU && Math.abs(v - centre) <= maxV) histogram[distance[i]]++;
+            }
+        }
+        const split = NailSegmenter._otsu(histogram);
+
+        for (let v = 0; v < size; v++) {
+            for (let u = 0; u < size; u++) {
+                const i = v * size + u;
+                const du = u - centre;
+                const dv = v - centre;
+                labels[i] = Math.abs(du) > maxU || Math.abs(dv) > maxV ? cv.GC_BGD :
+                    du * du + dv * dv <= seed2 ? cv.GC_FGD :
+                    distance[i] <= split ? cv.GC_PR_FGD :
+                    cv.GC_PR_BGD;
+            }
+        }
+    }
+
+    /**
+     * The nail region GrabCut found under the tap, holes filled
+     * @private
+     * @returns {Object|null} {mask: Uint8Array (1 = nail), contour: [{u, v}]}, or null if the tap
+     *                        is not on it or it ran into the background bounds (skin taken for nail)
+     */
+    _plateRegion(mask, size) {
+        const nail = new cv.Mat(size, size, cv.CV_8UC1);
+        const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        const centre = (size - 1) / 2;
+
+        try {
+            const labels = mask.data;
+            const binary = nail.data;
+            for (let i = 0; i < size * size; i++) {
+                binary[i] = labels[i] === cv.GC_FGD || labels[i] === cv.GC_PR_FGD ? 255 : 0;
+            }
+            cv.morphologyEx(nail, nail, cv.MORPH_OPEN, kernel);
+            cv.findContours(nail, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_NONE);
+
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const inside = cv.pointPolygonTest(contour, new cv.Point(centre, centre), false) >= 0;
+                const bounds = cv.boundingRect(contour);
+                const coordinates = contour.data32S.slice();
+                contour.delete();
+                if (!inside) continue;
+
+                const minU = Math.ceil(centre - this.MAX_HALF_WIDTH_MM * this.PIXELS_PER_MM);
+                const minV = Math.ceil(centre - this.MAX_HALF_LENGTH_MM * this.PIXELS_PER_MM);
+                if (bounds.x <= minU || bounds.y <= minV ||
+                    bounds.x + bounds.width >= size - minU || bounds.y + bounds.height >= size - minV) {
+                    return null;
+                }
+
+                nail.setTo(new cv.Scalar(0));
+                cv.drawContours(nail, contours, i, new cv.Scalar(1), cv.FILLED);
+                const contourPoints = [];
+                for (let j = 0; j < coordinates.length; j += 2) {
+                    contourPoints.push({ u: coordinates[j], v: coordinates[j + 1] });
+                }
+                return { mask: nail.data.slice(), contour: contourPoints };
+            }
+            return null;
+        } finally {
+            nail.delete();
+            kernel.delete();
+            contours.delete();
+            hierarchy.delete();
+        }
+    }
+
+    /**
+     * Width, length, area and C-curve of the nail region, in millimetres
+     * @private
+     */
+    _measure(region, patch, frame, { point, axis, plane, pixelsPerMM }) {
+        const size = frame.size;
+        const distanceMM = (p1, p2) => plane ?
+            plane.distanceMM(p1, p2) :
+            Math.hypot(p2.x - p1.x, p2.y - p1.y) / pixelsPerMM;
+
+        // Extent of each row (across the finger)
+        const rows = [];
+        let area = 0;
+        let sumU = 0;
+        for (let v = 0; v < size; v++) {
+            let first = -1;
+            let last = -1;
+            for (let u = 0; u < size; u++) {
+                if (!region.mask[v * size + u]) continue;
+                if (first < 0) first = u;
+                last = u;
+                area++;
+                sumU += u;
+            }
+            if (first >= 0) rows.push({ v, first, last, width: last - first + 1 });
+        }
+        if (rows.length === 0) return null;
+
+        // Widest row, over a 3-row average so a single ragged row does not count
+        let widest = rows[0];
+        let widestSpan = 0;
+        rows.forEach((row, i) => {
+            const neighbours = rows.slice(Math.max(0, i - 1), i + 2);
+            const span = neighbours.reduce((sum, r) => sum + r.width, 0) / neighbours.length;
+            if (span > widestSpan) {
+                widestSpan = span;
+                widest = row;
+            }
+        });
+
+        // Sides of the widest row: the darkest point of the shadow near each end of the outline
+        const profile = this._rowProfile(patch, widest.v);
+        const reach = Math.round(this.EDGE_REFINE_MM * this.PIXELS_PER_MM);
+        const sides = {
+            left: this._darkest(profile, widest.first - reach, widest.first + reach),
+            right: this._darkest(profile, widest.last - reach, widest.last + reach)
+        };
+        const widthLine = {
+            left: frame.toImage(sides.left, widest.v),
+            right: frame.toImage(sides.right, widest.v)
+        };
+        const centreU = sumU / area;
+        const lengthLine = {
+            freeEdge: frame.toImage(centreU, rows[0].v - 0.5),
+            cuticle: frame.toImage(centreU, rows[rows.length - 1].v + 0.5)
+        };
+        const widthMM = distanceMM(widthLine.left, widthLine.right);
+        const lengthMM = distanceMM(lengthLine.freeEdge, lengthLine.cuticle);
+
+        if (widthMM < this.MIN_NAIL_WIDTH_MM || widthMM > this.MAX_NAIL_WIDTH_MM ||
+            lengthMM < this.MIN_NAIL_LENGTH_MM || lengthMM > this.MAX_NAIL_LENGTH_MM) {
+            console.log(`  ❌ Nail plate ${widthMM.toFixed(1)} × ${lengthMM.toFixed(1)} mm is not a realistic nail`);
+            return null;
+        }
+
+        return {
+            point: { x: point.x, y: point.y },
+            axis,
+            outline: region.contour.map(p => frame.toImage(p.u, p.v)),
+            widthMM,
+            lengthMM,
+            areaMM2: area / (this.PIXELS_PER_MM * this.PIXELS_PER_MM), // Patch pixels are mm at the tap's scale
+            widthLine,
+            lengthLine,
+            cCurve: this._estimateCurve(profile, sides, widthMM)
+        };
+    }
+
+    /**
+     * Gray profile across the finger at a patch row, averaged over a few rows
+     * @private
+     */
+    _rowProfile(patch, row) {
+        const size = patch.cols;
+        const data = patch.data;
+        const profile = new Float32Array(size);
+        const fromRow = Math.max(0, row - 2);
+        const toRow = Math.min(size - 1, row + 2);
+
+        for (let v = fromRow; v <= toRow; v++) {
+            for (let u = 0; u < size; u++) {
+                const i = (v * size + u) * 3;
+                profile[u] += (data[i] + data[i + 1] + data[i + 2]) / 3 / (toRow - fromRow + 1);
+            }
+        }
+        return profile;
+    }
+
+    /**
+     * Darkest point of a profile between two positions (inclusive), to sub-pixel precision
+     * @private
+     */
+    _darkest(profile, from, to) {
+        const start = Math.max(1, from);
+        const end = Math.min(profile.length - 2, to);
+        let best = start;
+        for (let u = start + 1; u <= end; u++) {
+            if (profile[u] < profile[best]) best = u;
+        }
+
+        // Parabolic interpolation of the minimum
+        const denom = profile[best - 1] - 2 * profile[best] + profile[best + 1];
+        const offset = denom !== 0 ? 0.5 * (profile[best - 1] - profile[best + 1]) / denom : 0;
+        return best + Math.max(-0.5, Math.min(0.5, offset));
+    }
+
+    /**
+     * C-curve from the finger width beside the widest part of the nail
+     * The nail chord spans an arc of the finger's round cross-section
+     * @private
+     * @returns {Object|null} {fingerWidthMM, radiusMM, arcDegrees, depthMM}, or null if the
+     *                        finger edges are not clear
+     */
+    _estimateCurve(profile, sides, widthMM) {
+        const size = profile.length;
+
+        // First clear step beyond each nail side, past the shadow along it. Not simply the
+        // strongest: what lies beside the finger (a card's print, a table's edge) can be stronger
+        const chord = sides.right - sides.left;
+        const guard = Math.round(this.EDGE_GUARD_MM * this.PIXELS_PER_MM);
+        const reach = Math.round(this.MAX_SIDEWALL_SHARE * chord);
+        const gradient = (u) => Math.abs(profile[u + 1] - profile[u - 1]) / 2;
+        const fingerEdge = (from, to, step) => {
+            const peaks = [];
+            for (let u = Math.round(from); step > 0 ? u <= to : u >= to; u += step) {
+                if (u < 2 || u > size - 3) break;
+                const value = gradient(u);
+                if (value >= this.MIN_FINGER_EDGE && value >= gradient(u - 1) && value > gradient(u + 1)) {
+                    peaks.push({ u, value });
+                }
+            }
+            if (peaks.length === 0) return null;
+
+            const strongest = Math.max(...peaks.map(p => p.value));
+            return peaks.find(p => p.value >= strongest * this.FINGER_EDGE_SHARE).u;
+        };
+        const left = fingerEdge(sides.left - guard, sides.left - reach, -1);
+        const right = fingerEdge(sides.right + guard, sides.right + reach, 1);
+        if (left === null || right === null) return null;
+
+        // Chord over finger width, both across the patch at the tap's scale
+        const ratio = chord / (right - left);
+        if (ratio >= 1) return null;
+        const fingerWidthMM = widthMM / ratio;
+        const radiusMM = fingerWidthMM / 2;
+        const halfChord = widthMM / 2;
+
+        return {
+            fingerWidthMM,
+            radiusMM,
+            arcDegrees: 2 * Math.asin(ratio) * 180 / Math.PI,
+            depthMM: radiusMM - Math.sqrt(radiusMM * radiusMM - halfChord * halfChord)
+        };
+    }
+
+    // ==================== STATIC HELPERS ====================
+
+    /**
+     * Otsu's threshold: the split of a histogram with the largest between-class variance
+     * @param {Float64Array} histogram - Counts per level
+     * @returns {number} Highest level of the lower class
+     */
+    static _otsu(histogram) {
+        let total = 0;
+        let sum = 0;
+        for (let level = 0; level < histogram.length; level++) {
+            total += histogram[level];
+            sum += level * histogram[level];
+        }
+
+        let best = 0;
+        let bestVariance = -1;
+        let lowerCount = 0;
+        let lowerSum = 0;
+        for (let level = 0; level < histogram.length - 1; level++) {
+            lowerCount += histogram[level];
+            lowerSum += level * histogram[level];
+            const upperCount = total - lowerCount;
+            if (lowerCount === 0 || upperCount === 0) continue;
+
+            const difference = lowerSum / lowerCount - (sum - lowerSum) / upperCount;
+            const variance = lowerCount * upperCount * difference * difference;
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                best = level;
+            }
+        }
+        return best;
+    }
+}
+
+export { NailSegmenter };
@@ -0,0 +1,146 @@
+/**
+ * Reference Objects
+ * Physical size and detection hints of the objects SizeKit can measure against.
+ * Plain data so entries can be posted to the detection worker.
+ *
+ * Hints:
+ *   frameFraction   - Typical size relative to the short side of the frame (tap search region)
+ *   minAreaFraction - Smallest plausible area as a fraction of the frame (full-frame search)
+ *   maxAreaFraction - Largest plausible area as a fraction of the frame
+ *   idealAreaFraction - Preferred area when several candidates match
+ *   aspectTolerance / aspectToleranceGuided - Relative aspect error allowed (rectangles)
+ *   cornerExclusion - Share of each edge skipped near corners during sub-pixel refinement
+ *   uniform         - Surface is plain, so low texture is a good sign
+ *
+ * Shapes: 'rectangle', 'circle' (coins) or 'marker' (printed SizeKit marker, see marker.html)
+ */
+
+const ReferenceObjects = {
+    DEFAULT_ID: 'id1-card',
+
+    ALL: [
+        {
+            id: 'id1-card',
+            label: '💳 Bank / ID card',
+            name: 'card', // As used in "Show your card"
+            shape: 'rectangle',
+            widthMM: 85.6, // ISO/IEC 7810 ID-1
+            heightMM: 53.98,
+            hints: {
+                frameFraction: 0.4,
+                minAreaFraction: 0.03,
+                maxAreaFraction: 0.4,
+                idealAreaFraction: 0.1,
+                aspectTolerance: 0.35,
+                aspectToleranceGuided: 0.6,
+                cornerExclusion: 0.12, // 3.18mm rounded corners
+                uniform: true
+            }
+        },
+        {
+            id: 'a4-paper',
+            label: '📄 A4 paper',
+            name: 'A4 sheet',
+            shape: 'rectangle',
+            widthMM: 297,
+            heightMM: 210,
+            hints: {
+                frameFraction: 0.9,
+                minAreaFraction: 0.15,
+                maxAreaFraction: 0.95,
+                idealAreaFraction: 0.5,
+                aspectTolerance: 0.06, // Tight: A4 (1.414) and Letter (1.294) differ by 9%
+                aspectToleranceGuided: 0.15,
+                cornerExclusion: 0.05,
+                uniform: true
+            }
+        },
+        {
+            id: 'letter-paper',
+            label: '📄 US Letter paper',
+            name: 'Letter sheet',
+            shape: 'rectangle',
+            widthMM: 279.4,
+            heightMM: 215.9,
+            hints: {
+                frameFraction: 0.9,
+                minAreaFraction: 0.15,
+                maxAreaFraction: 0.95,
+                idealAreaFraction: 0.5,
+                aspectTolerance: 0.06,
+                aspectToleranceGuided: 0.15,
+                cornerExclusion: 0.05,
+                uniform: true
+            }
+        },
+        {
+            id: 'us-quarter',
+            label: '🪙 US quarter',
+            name: 'quarter',
+            shape: 'circle',
+            widthMM: 24.26, // Diameter
+            heightMM: 24.26,
+            hints: {
+                frameFraction: 0.15,
+                minAreaFraction: 0.002,
+                maxAreaFraction: 0.1,
+                idealAreaFraction: 0.02,
+                uniform: false
+            }
+        },
+        {
+            id: 'euro-1',
+            label: '🪙 €1 coin',
+            name: '€1 coin',
+            shape: 'circle',
+            widthMM: 23.25,
+            heightMM: 23.25,
+            hints: {
+                frameFraction: 0.15,
+                minAreaFraction: 0.002,
+                maxAreaFraction: 0.1,
+                idealAreaFraction: 0.02,
+                uniform: false
+            }
+        },
+        {
+            id: 'sizekit-marker',
+            label: '🔲 SizeKit marker',
+            name: 'SizeKit marker',
+            shape: 'marker', // Square identified by its pattern, see SizeKitMarker
+            widthMM: 60, // SizeKitMarker.SIZE_MM when printed at 100%
+            heightMM: 60,
+            hints: {
+                frameFraction: 0.35,
+                minAreaFraction: 0.01,
+                maxAreaFraction: 0.5,
+                idealAreaFraction: 0.08,
+                // Lenient: the decoded pattern, not the outline, rejects false positives
+                aspectTolerance: 0.5,
+                aspectToleranceGuided: 0.6,
+                cornerExclusion: 0.05,
+                uniform: false
+            }
+        }
+    ],
+
+    /**
+     * Look up a reference object
+     * @param {string} id - Reference ID
+     * @returns {Object} The reference, or the default card if unknown
+     */
+    get(id) {
+        return this.ALL.find(reference => reference.id === id) ||
+               this.ALL.find(reference => reference.id === this.DEFAULT_ID);
+    },
+
+    /**
+     * All reference objects, in menu order
+     * @returns {Array<Object>} References
+     */
+    list() {
+        return [...this.ALL];
+    }
+};
+
+export { ReferenceObjects };
@@ -0,0 +1,81 @@
+/**
+ * SizeChart - Maps nail widths in millimetres to press-on sizes
+ * The chart is configurable: pass your own list of sizes with mm ranges
+ */
+
+class SizeChart {
+    /**
+     * @param {Array<Object>} sizes - Entries {size, minMM, maxMM}, minMM inclusive, maxMM exclusive
+     */
+    constructor(sizes = SizeChart.DEFAULT_SIZES) {
+        if (!Array.isArray(sizes) || sizes.length === 0) {
+            throw new Error('Size chart needs at least one size');
+        }
+
+        for (const entry of sizes) {
+            if (typeof entry.minMM !== 'number' || typeof entry.maxMM !== 'number' || entry.minMM >= entry.maxMM) {
+                throw new Error(`Invalid range for size ${entry.size}`);
+            }
+        }
+
+        // Keep sorted by width (smallest first) for lookups
+        this.sizes = [...sizes].sort((a, b) => a.minMM - b.minMM);
+    }
+
+    /**
+     * Find the size whose range contains the width
+     * @param {number} widthMM - Nail width in millimetres
+     * @returns {Object|null} Chart entry, or null if outside the chart
+     */
+    sizeFor(widthMM) {
+        if (typeof widthMM !== 'number' || !isFinite(widthMM)) return null;
+
+        for (const entry of this.sizes) {
+            if (widthMM >= entry.minMM && widthMM < entry.maxMM) {
+                return entry;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the closest size even when the width is outside the chart
+     * @param {number} widthMM - Nail width in millimetres
+     * @returns {Object} Chart entry
+     */
+    nearestSize(widthMM) {
+        const exact = this.sizeFor(widthMM);
+        if (exact) return exact;
+
+        let best = this.sizes[0];
+        let bestDistance = Infinity;
+        for (const entry of this.sizes) {
+            const distance = Math.min(Math.abs(widthMM - entry.minMM), Math.abs(widthMM - entry.maxMM));
+            if (distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+}
+
+// Typical press-on chart: size 0 is the widest (thumb), size 11 the narrowest (pinky)
+SizeChart.DEFAULT_SIZES = [
+    { size: 0, minMM: 17.5, maxMM: 18.5 },
+    { size: 1, minMM: 16.5, maxMM: 17.5 },
+    { size: 2, minMM: 15.5, maxMM: 16.5 },
+    { size: 3, minMM: 14.5, maxMM: 15.5 },
+    { size: 4, minMM: 13.5, maxMM: 14.5 },
+    { size: 5, minMM: 12.5, maxMM: 13.5 },
+    { size: 6, minMM: 11.5, maxMM: 12.5 },
+    { size: 7, minMM: 10.5, maxMM: 11.5 },
+    { size: 8, minMM: 9.5, maxMM: 10.5 },
+    { size: 9, minMM: 8.5, maxMM: 9.5 },
+    { size: 10, minMM: 7.5, maxMM: 8.5 },
+    { size: 11, minMM: 6.5, maxMM: 7.5 }
+];
+
+export { SizeChart };
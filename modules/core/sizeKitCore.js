@@ -0,0 +1,812 @@
+/**
+ * SizeKitCore - Headless measurement flow: state machine, scale and nail measurement
+ * Holds everything the app knows about the current measurement and decides what
+ * the detector should look for. It never touches the DOM: the UI layer feeds it
+ * taps, detection results and frames, and renders from its state and events.
+ * Runs unchanged in Node against recorded frames.
+ *
+ * Events (see on()):
+ *   log         {message, level, key, params}  level: 'info', 'success', 'warning' or 'error';
+ *                                       message in English, key and params for other languages (see Messages)
+ *   change      {}                      state or displayed values changed
+ *   cardLocked  {pixelsPerMM, detection, tiltDegrees}
+ *   measurement {measurement, sessionResult, complete}  complete: the ten-nail session ended
+ *   calibrated  {result}                result of LensCalibration.solve(), lens already applied
+ *   tap         {point}                 user input, before it is handled (for the debug recorder)
+ *   reset       {}                      card, scale and measurements were forgotten
+ */
+
+import { CardPlane } from './cardPlane.js';
+import { CornerConsensus } from './cornerConsensus.js';
+import { LensCalibration } from './lensCalibration.js';
+import { MeasurementSession } from './measurementSession.js';
+import { MeasurementStats } from './measurementStats.js';
+import { Messages } from './messages.js';
+import { NailDetector } from './nailDetector.js';
+import { NailSegmenter } from './nailSegmenter.js';
+import { ReferenceObjects } from './referenceObjects.js';
+import { SizeChart } from './sizeChart.js';
+
+const STATE = {
+    WAITING: 'waiting',
+    DETECTING: 'detecting',
+    LOCKED: 'locked',
+    MEASURING: 'measuring', // Stepping through all ten nails
+    RESULTS: 'results',
+    CALIBRATING: 'calibrating' // Collecting card views for lens calibration
+};
+
+class SizeKitCore {
+    /**
+     * @param {Object} options
+     * @param {Object} options.detector - DetectorClient, or a CardDetector when driven synchronously
+     *                                    (lastDetection, isStable, lock, unlock, reset, setReference)
+     * @param {Object} options.reference - Entry from ReferenceObjects (defaults to the ID-1 card)
+     * @param {SizeChart} options.sizeChart - Chart used to map widths to sizes
+     * @param {Object} options.frameSize - {width, height} of the frames (can be set later)
+     * @param {number} options.maxUncertaintyMM - Largest uncertainty of a nail width that is accepted (95% interval
+     *                                            of the mean of its captures: repeatability, not accuracy)
+     * @param {Function} options.now - Clock in milliseconds (defaults to performance.now)
+     */
+    constructor(options = {}) {
+        this.MAX_TILT_DEGREES = 10; // Warn when the phone is held at a steeper angle
+        this.DETECTION_TIMEOUT_MS = 3000; // Try for 3 seconds after tap
+        this.MIN_PIXELS_PER_MM = 2; // Plausible scale range for a lock
+        this.MAX_PIXELS_PER_MM = 15;
+        this.SCALE_LOG_CHANGE = 0.05; // Only log scale changes above 5%
+        this.SCALE_FRAMES = 15; // Locked frames the scale is averaged over
+        this.SCALE_RESTART = 0.01; // Frames more than 1% off the average may mean the card moved...
+        this.SCALE_RESTART_FRAMES = 3; // ...once this many in a row are off the same way, the average starts over
+        this.NAIL_CAPTURES = 10; // Captures of one nail kept for its average
+        this.SEARCH_PADDING = 1.5; // Tap search region relative to the expected reference size
+        this.QUALITY_FRAMES = 3; // Frames a quality issue must persist before it is shown (no flicker)
+
+        this.detector = options.detector || null;
+        this.reference = options.reference || ReferenceObjects.get(ReferenceObjects.DEFAULT_ID);
+        this.sizeChart = options.sizeChart || new SizeChart(SizeChart.DEFAULT_SIZES);
+        this.frameSize = options.frameSize || null;
+        this.now = options.now || (() => performance.now());
+
+        this.session = new MeasurementSession(this.sizeChart);
+        this.scaleStats = new MeasurementStats({
+            maxSamples: this.SCALE_FRAMES,
+            restartTolerance: this.SCALE_RESTART,
+            restartValues: this.SCALE_RESTART_FRAMES
+        });
+        this.nailStats = new MeasurementStats({
+            maxSamples: this.NAIL_CAPTURES,
+            maxUncertainty: options.maxUncertaintyMM !== undefined ? options.maxUncertaintyMM : 0.3 // Well under the ~1 mm between sizes
+        });
+        this.nailDetector = new NailDetector();
+        this.nailSegmenter = new NailSegmenter();
+
+        // Auto-detect: scan the whole frame and lock once 8 frames agree within 2%
+        this.autoDetect = true;
+        this.cardConsensus = new CornerConsensus({ requiredFrames: 8, tolerance: 0.02 });
+
+        this.lensModel = null; // Lens calibration of the active camera (null = uncalibrated)
+        this.listeners = {};
+        this._clear();
+    }
+
+    /**
+     * Listen for an event
+     * @param {string} type - log, change, cardLocked, measurement, calibrated, tap or reset
+     * @param {Function} listener - Called with the event data
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    /**
+     * Set the frame size detection and measurement coordinates refer to
+     * @param {Object} frameSize - {width, height}
+     */
+    setFrameSize(frameSize) {
+        this.frameSize = { width: frameSize.width, height: frameSize.height };
+    }
+
+    /**
+     * Switch the reference object and start over
+     * @param {Object} reference - Entry from ReferenceObjects (print scale already applied)
+     */
+    setReference(reference) {
+        this.reference = reference;
+        if (this.detector) this.detector.setReference(reference);
+        this._log('info', 'log.reference', {
+            label: Messages.referenceLabel(reference),
+            width: reference.widthMM,
+            height: reference.heightMM
+        });
+        this.reset();
+    }
+
+    /**
+     * Use a lens calibration for all following measurements
+     * @param {LensModel|null} lensModel - Null when uncalibrated
+     */
+    setLens(lensModel) {
+        this.lensModel = lensModel;
+    }
+
+    /**
+     * Set how certain a nail width must be before it is accepted
+     * @param {number} maxUncertaintyMM - Largest uncertainty in mm, see MeasurementStats (Infinity accepts every single capture)
+     */
+    setMaxUncertainty(maxUncertaintyMM) {
+        this.nailStats.setMaxUncertainty(maxUncertaintyMM);
+    }
+
+    /**
+     * Turn automatic (tap-free) card detection on or off
+     * @param {boolean} enabled
+     */
+    setAutoDetect(enabled) {
+        this.autoDetect = enabled;
+        this.cardConsensus.reset();
+        if (this.state === STATE.WAITING && this.detector) {
+            this.detector.reset();
+        }
+        this._log('info', enabled ? 'log.autoDetectOn' : 'log.autoDetectOff');
+        this._emit('change');
+    }
+
+    /**
+     * Forget the card, scale, measurements and calibration in progress
+     */
+    reset() {
+        this._clear();
+        this.session.reset();
+        this.cardConsensus.reset();
+        if (this.detector) {
+            this.detector.reset(); // Clear smoothing and unlock from card
+        }
+        this._emit('reset');
+        this._emit('change');
+        this._log('warning', this.autoDetect ? 'log.resetShow' : 'log.resetTap', {
+            reference: Messages.referenceName(this.reference)
+        });
+    }
+
+    /**
+     * Handle a tap: detect the reference around it, or measure the nail under it once locked
+     * @param {Object} point - {x, y} in frame coordinates
+     * @param {Function} readFrame - Returns the current frame as ImageData (only called to measure a nail)
+     */
+    tap(point, readFrame) {
+        this._emit('tap', { point: { x: point.x, y: point.y } });
+
+        // Taps measure nails once the card is locked
+        if (this.state === STATE.LOCKED) {
+            const measurement = this.measureNailAt(point, readFrame());
+            if (measurement) {
+                this._emit('measurement', { measurement, sessionResult: null, complete: false });
+            }
+            this._emit('change');
+            return;
+        }
+
+        // Inside a session a nail is stored once its average is certain enough, then we move on
+        if (this.state === STATE.MEASURING) {
+            const measurement = this.measureNailAt(point, readFrame());
+            if (measurement) {
+                this.lastSessionResult = measurement.average.accepted ? this.session.record(measurement) : null;
+                if (this.lastSessionResult) {
+                    this._forgetNail(); // The next capture belongs to the next step
+                }
+                if (this.session.isComplete) {
+                    this._finishSession();
+                }
+                this._emit('measurement', {
+                    measurement,
+                    sessionResult: this.lastSessionResult,
+                    complete: this.session.isComplete
+                });
+            }
+            this._emit('change');
+            return;
+        }
+
+        // Otherwise only accept taps in WAITING state
+        if (this.state !== STATE.WAITING) return;
+
+        this.tapPoint = { x: point.x, y: point.y };
+        this.state = STATE.DETECTING;
+        this.detectionAttempts = 0;
+        this.detectionStartTime = this.now();
+        this.cardConsensus.reset();
+        this._clearQuality();
+
+        this._log('info', 'log.tapped', { x: point.x, y: point.y, reference: Messages.referenceName(this.reference) });
+        this._emit('change');
+    }
+
+    /**
+     * What the detector should look for in the current state
+     * @returns {Object|null} {mode, guideRegion}, or null if nothing to detect
+     */
+    getDetectionRequest() {
+        if (this.state === STATE.CALIBRATING) {
+            return { mode: 'calibrate', guideRegion: null };
+        }
+        if (this.state === STATE.DETECTING && this.tapPoint) {
+            return { mode: 'tap', guideRegion: this.getSearchRegion(this.tapPoint) };
+        }
+        if (this.state === STATE.WAITING && this.autoDetect) {
+            return { mode: 'auto', guideRegion: null };
+        }
+        if (this.isCardLocked() && this.tapPoint) {
+            return { mode: 'track', guideRegion: null }; // The detector follows the locked card itself
+        }
+        return null;
+    }
+
+    /**
+     * Handle a detection result for the state it was requested in
+     * @param {Object|null} detection - CardDetector result
+     * @param {Object} request - The getDetectionRequest() value the frame was submitted with
+     */
+    handleDetection(detection, request) {
+        // State changed while the frame was in flight
+        const current = this.getDetectionRequest();
+        if (!current || current.mode !== request.mode) return;
+
+        switch (request.mode) {
+            case 'tap': {
+                this.detectionAttempts++;
+
+                // Log progress every 10 results
+                if (this.detectionAttempts % 10 === 0) {
+                    const seconds = (this.now() - this.detectionStartTime) / 1000;
+                    this._log('info', detection ? 'log.detectingCandidate' : 'log.detectingScanning', { seconds });
+                }
+
+                if (detection && this.detector.isStable() && detection.corners) {
+                    this.lockCard(detection);
+                } else if (this._updateQuality()) {
+                    this._emit('change');
+                }
+                break;
+            }
+
+            case 'auto': {
+                const hadCandidate = this.cardConsensus.candidates.length > 0;
+                const agreedCorners = this.cardConsensus.add(detection ? detection.rawCorners : null);
+
+                if (agreedCorners) {
+                    // Track around the card center, as if it had been tapped
+                    this.tapPoint = {
+                        x: agreedCorners.reduce((sum, c) => sum + c.x, 0) / 4,
+                        y: agreedCorners.reduce((sum, c) => sum + c.y, 0) / 4
+                    };
+                    this._log('success', 'log.cornersAgreed', { count: this.cardConsensus.REQUIRED_FRAMES });
+                    if (!this.lockCard({ ...detection, corners: agreedCorners })) {
+                        this.tapPoint = null;
+                    }
+                    this.cardConsensus.reset();
+                }
+
+                const issueChanged = this.state === STATE.WAITING && this._updateQuality();
+                if (hadCandidate || this.cardConsensus.candidates.length > 0 || issueChanged) {
+                    this._emit('change');
+                }
+                break;
+            }
+
+            case 'calibrate':
+                if (this.lensCalibration.addView(detection)) {
+                    if (this.lensCalibration.isReady()) {
+                        this._finishCalibration();
+                    } else {
+                        this._emit('change');
+                    }
+                }
+                break;
+
+            case 'track':
+                if (detection && detection.held) {
+                    break; // Last position kept while the tracker misses the card: not a new scale sample
+                }
+                if (detection && detection.corners) {
+                    this.calculateScale(detection.corners);
+                    this._emit('change');
+                } else if (this.detector.trackLoss) {
+                    this._loseCard(this.detector.trackLoss);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Handle a detection error for the state it was requested in
+     * @param {Error} error - Detection error
+     * @param {Object|null} request - The request the frame was submitted with
+     */
+    handleDetectionError(error, request) {
+        console.error('Detection error:', error);
+        if (!request) return;
+
+        if (request.mode === 'tap' && this.state === STATE.DETECTING) {
+            this._log('error', 'log.detectionError');
+            this.state = STATE.WAITING;
+            this.tapPoint = null;
+            this._emit('change');
+        } else if (request.mode === 'track' && this.isCardLocked()) {
+            this._loseCard('error');
+        }
+    }
+
+    /**
+     * Advance timers: a tap detection gives up after DETECTION_TIMEOUT_MS even without results
+     */
+    tick() {
+        if (this.state === STATE.DETECTING && this.now() - this.detectionStartTime > this.DETECTION_TIMEOUT_MS) {
+            this.state = STATE.WAITING;
+            this.tapPoint = null;
+            this.detector.reset();
+            if (this.qualityIssue) {
+                this._log('error', 'log.timeoutAdvice', { advice: { key: `advice.${this.qualityIssue}` } });
+            } else {
+                this._log('error', 'log.timeout');
+            }
+            this._clearQuality();
+            this._emit('change');
+        }
+    }
+
+    /**
+     * Lock onto a detected card if its scale is plausible
+     * A rejected card leaves the scale, card plane and averaged frames as they were
+     * @param {Object} detection - CardDetector result with corners
+     * @returns {boolean} True if locked
+     */
+    lockCard(detection) {
+        const card = this._measureCard(detection.corners);
+        if (!card || !(card.scale > this.MIN_PIXELS_PER_MM && card.scale < this.MAX_PIXELS_PER_MM)) {
+            return false;
+        }
+
+        this.scaleStats.reset(); // The card may have moved while it was lost
+        this._applyScale(card);
+
+        // Resume an interrupted session
+        this.state = this.sessionActive ? STATE.MEASURING : STATE.LOCKED;
+        this._clearQuality();
+        this.detector.lock(detection);
+        this._log('success', 'log.locked', { scale: this.pixelsPerMM });
+        if (detection.markerId !== undefined) {
+            this._log('info', 'log.marker', { id: detection.markerId, degrees: detection.orientationDegrees });
+        }
+        if (detection.refined) {
+            this._log('info', 'log.edgeFit', { residual: detection.residual, confidence: detection.confidence * 100 });
+        } else {
+            this._log('warning', 'log.roughCorners');
+        }
+
+        this._emit('cardLocked', {
+            pixelsPerMM: this.pixelsPerMM,
+            detection,
+            tiltDegrees: this.cardPlane ? this.cardPlane.tiltDegrees : null
+        });
+        this._emit('change');
+        return true;
+    }
+
+    /**
+     * Calculate pixels per millimeter from detected corners
+     * pixelsPerMM is the average over the last SCALE_FRAMES frames, outliers rejected
+     * @param {Array<Object>} corners - 4 ordered corners {x, y}
+     */
+    calculateScale(corners) {
+        const card = this._measureCard(corners);
+        if (card) this._applyScale(card);
+    }
+
+    /**
+     * Measure the nail at a fingertip using the locked scale
+     * The width comes from the shadow edges; the outlined plate (NailSegmenter) adds
+     * length, area and C-curve as measurement.plate (null if it could not be outlined).
+     * Repeated captures of the same nail are averaged in measurement.average (see _averageNail)
+     * @param {Object} point - {x, y} on the nail
+     * @param {ImageData} imageData - Current frame
+     * @returns {Object|null} Nail measurement, or null if no edges were found
+     */
+    measureNailAt(point, imageData) {
+        if (!this.pixelsPerMM) return null;
+
+        const measurement = this.nailDetector.measureNail(imageData, point, this.pixelsPerMM, this.cardPlane);
+        if (measurement) {
+            this.lastNailMeasurement = measurement;
+            this._log('success', 'log.nailWidth', { width: measurement.widthMM, pixels: measurement.widthPx });
+
+            const plate = this.nailSegmenter.segment(imageData, point, this.pixelsPerMM, { plane: this.cardPlane });
+            measurement.plate = plate;
+            if (plate) {
+                this._log('success', plate.cCurve ? 'log.nailPlateCurve' : 'log.nailPlate', {
+                    length: plate.lengthMM,
+                    area: plate.areaMM2,
+                    arc: plate.cCurve ? plate.cCurve.arcDegrees : null
+                });
+            }
+            measurement.average = this._averageNail(point, measurement);
+        } else {
+            this._log('error', 'log.noNailEdges');
+        }
+        return measurement;
+    }
+
+    /**
+     * Start stepping through all ten nails
+     */
+    startSession() {
+        if (this.state !== STATE.LOCKED) return;
+
+        this.session.reset();
+        this.sessionActive = true;
+        this.lastSessionResult = null;
+        this.lastNailMeasurement = null;
+        this._forgetNail();
+        this.state = STATE.MEASURING;
+        this._log('info', 'log.sessionStart');
+        this._emit('change');
+    }
+
+    /**
+     * Skip the current finger
+     */
+    skipFinger() {
+        if (this.state !== STATE.MEASURING) return;
+
+        this._log('warning', 'log.skipped', { step: Messages.step(this.session.currentStep) });
+        this.session.skip();
+        this._forgetNail();
+        this.lastSessionResult = null;
+        if (this.session.isComplete) {
+            this._finishSession();
+            this._emit('measurement', { measurement: null, sessionResult: null, complete: true });
+        }
+        this._emit('change');
+    }
+
+    /**
+     * Go back to the previous finger
+     */
+    previousFinger() {
+        if (this.state !== STATE.MEASURING) return;
+
+        this.session.back();
+        this._forgetNail(); // A retake starts over instead of joining the recorded captures
+        this.lastSessionResult = null;
+        this._emit('change');
+    }
+
+    /**
+     * Nails measured so far: the session results, or the last free measurement
+     * @returns {Array<Object>} Session-style results
+     *                          {hand, finger, widthMM, uncertaintyMM, captures, widthPx, size, nearestSize, measurement}
+     */
+    getMeasuredNails() {
+        if (this.sessionActive || this.state === STATE.RESULTS) {
+            return this.session.getResults().filter(({ result }) => result).map(({ result }) => result);
+        }
+
+        const measurement = this.lastNailMeasurement;
+        if (!measurement) return [];
+        const widthMM = measurement.average ? measurement.average.widthMM : measurement.widthMM;
+        const size = this.sizeChart.sizeFor(widthMM);
+        return [{
+            widthMM,
+            uncertaintyMM: measurement.average ? measurement.average.uncertaintyMM : null,
+            captures: measurement.average ? measurement.average.captures : 1,
+            widthPx: measurement.widthPx,
+            size: size ? size.size : null,
+            nearestSize: this.sizeChart.nearestSize(widthMM).size,
+            measurement
+        }];
+    }
+
+    /**
+     * Start collecting card views for lens calibration
+     * @returns {boolean} True if calibration started
+     */
+    startCalibration() {
+        if (this.reference.shape === 'circle') {
+            this._log('warning', 'log.calibrationNeedsEdges');
+            return false;
+        }
+
+        this.reset();
+        this.lensCalibration = new LensCalibration(this.frameSize, {
+            widthMM: this.reference.widthMM,
+            heightMM: this.reference.heightMM
+        });
+        this.state = STATE.CALIBRATING;
+        this._log('info', 'log.calibrating', { reference: Messages.referenceName(this.reference) });
+        this._emit('change');
+        return true;
+    }
+
+    /**
+     * Stop collecting calibration views without solving
+     */
+    cancelCalibration() {
+        this.reset();
+        this._log('warning', 'log.calibrationCancelled');
+    }
+
+    /**
+     * Check if the card is locked (free measuring or inside a session)
+     * @returns {boolean}
+     */
+    isCardLocked() {
+        return this.state === STATE.LOCKED || this.state === STATE.MEASURING;
+    }
+
+    /**
+     * Check if the phone is held too far from parallel to the card
+     * @returns {boolean}
+     */
+    isTilted() {
+        return this.cardPlane !== null && this.cardPlane.tiltDegrees > this.MAX_TILT_DEGREES;
+    }
+
+    /**
+     * Search region around a tap, sized for the expected reference object
+     * @param {Object} point - {x, y} tap in frame coordinates
+     * @returns {Object} {x, y, width, height} clipped to the frame
+     */
+    getSearchRegion(point) {
+        const { width, height } = this.frameSize;
+        const searchSize = Math.min(width, height) * this.reference.hints.frameFraction * this.SEARCH_PADDING;
+        const x = Math.max(0, point.x - searchSize / 2);
+        const y = Math.max(0, point.y - searchSize / 2);
+
+        return {
+            x,
+            y,
+            width: Math.min(searchSize, width - x),
+            height: Math.min(searchSize, height - y)
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Back to waiting with nothing measured
+     * @private
+     */
+    _clear() {
+        this.state = STATE.WAITING;
+        this.tapPoint = null;
+        this.pixelsPerMM = null;
+        this.loggedScale = null; // Scale last logged (see SCALE_LOG_CHANGE)
+        this.scaleStats.reset();
+        this.cardPlane = null; // Perspective-correct mapping to the card's plane
+        this.lastNailMeasurement = null;
+        this._forgetNail();
+        this.lastSessionResult = null;
+        this.sessionActive = false;
+        this.lensCalibration = null; // Views collected while calibrating
+        this.detectionAttempts = 0;
+        this.detectionStartTime = 0;
+        this._clearQuality();
+    }
+
+    /**
+     * Scale and perspective-correct plane of a card from its corners, without applying them
+     * @private
+     * @param {Array<Object>} corners - 4 ordered corners {x, y}
+     * @returns {Object|null} {scale, plane} (plane null if it could not be computed), null without 4 corners
+     */
+    _measureCard(corners) {
+        if (!corners || corners.length !== 4) return null;
+
+        // Average width (top + bottom edge) and height (left + right edge)
+        const avgWidthPx = (this._distance(corners[0], corners[1]) + this._distance(corners[3], corners[2])) / 2;
+        const avgHeightPx = (this._distance(corners[0], corners[3]) + this._distance(corners[1], corners[2])) / 2;
+
+        // Scale from both dimensions (averaged); the long side may be either
+        const longMM = Math.max(this.reference.widthMM, this.reference.heightMM);
+        const shortMM = Math.min(this.reference.widthMM, this.reference.heightMM);
+        const scaleFromWidth = avgWidthPx / (avgWidthPx >= avgHeightPx ? longMM : shortMM);
+        const scaleFromHeight = avgHeightPx / (avgWidthPx >= avgHeightPx ? shortMM : longMM);
+
+        // Perspective-correct plane for measurements (the single scale is only exact when flat)
+        let plane = null;
+        try {
+            plane = new CardPlane(corners, this.frameSize, {
+                widthMM: this.reference.widthMM,
+                heightMM: this.reference.heightMM,
+                lens: this.lensModel
+            });
+        } catch (planeError) {
+            console.error('Card plane error:', planeError);
+        }
+
+        return { scale: (scaleFromWidth + scaleFromHeight) / 2, plane };
+    }
+
+    /**
+     * Use a measured card: its plane, and its scale as the next frame of the average
+     * @private
+     * @param {Object} card - From _measureCard()
+     */
+    _applyScale(card) {
+        const wasTilted = this.isTilted();
+        this.cardPlane = card.plane;
+        if (this.isTilted() && !wasTilted) {
+            this._log('warning', 'log.tilt', { degrees: this.cardPlane.tiltDegrees });
+        }
+
+        this.pixelsPerMM = this.scaleStats.add(card.scale).mean;
+
+        // Only log if scale changed significantly (avoid spam)
+        if (!this.loggedScale || Math.abs(this.pixelsPerMM - this.loggedScale) / this.loggedScale > this.SCALE_LOG_CHANGE) {
+            this.loggedScale = this.pixelsPerMM;
+            this._log('success', 'log.scale', { scale: this.pixelsPerMM });
+        }
+    }
+
+    /**
+     * Forget the captures of the nail being averaged: the next capture starts a new average
+     * @private
+     */
+    _forgetNail() {
+        this.nailStats.reset();
+        this.nailTarget = null; // {step, point} the nail captures belong to (step null outside a session)
+    }
+
+    /**
+     * Add a capture to the nail's average: captures of the same session step, or
+     * outside a session taps within half a nail width of the last one, are one nail
+     * The uncertainty includes the scale's, which does not average out over captures
+     * @private
+     * @returns {Object} {widthMM, uncertaintyMM, captures, rejected, accepted}
+     */
+    _averageNail(point, measurement) {
+        const step = this.state === STATE.MEASURING ? this.session.currentStep : null;
+        const target = this.nailTarget;
+        const sameNail = target !== null && (step ?
+            target.step === step :
+            !target.step && this._distance(point, target.point) < measurement.widthPx / 2);
+        if (!sameNail) this.nailStats.reset();
+        this.nailTarget = { step, point: { x: point.x, y: point.y } };
+
+        this.nailStats.add(measurement.widthMM);
+        const scale = this.scaleStats.summarize();
+        const nail = this.nailStats.summarize({ relativeUncertainty: scale ? scale.uncertainty / scale.mean : 0 });
+        const average = {
+            widthMM: nail.mean,
+            uncertaintyMM: nail.uncertainty,
+            captures: nail.count,
+            rejected: nail.rejected,
+            accepted: nail.accepted
+        };
+
+        const summary = {
+            key: !Number.isFinite(nail.uncertainty) ? 'log.averageSingle' :
+                nail.rejected ? 'log.averageRejected' : 'log.averageSummary',
+            params: { width: nail.mean, uncertainty: nail.uncertainty, count: nail.count, rejected: nail.rejected }
+        };
+        if (nail.accepted) {
+            this._log('success', 'log.averageAccepted', { summary });
+        } else {
+            this._log('warning', 'log.averageMeasureAgain', { summary, max: this.nailStats.MAX_UNCERTAINTY });
+        }
+        return average;
+    }
+
+    /**
+     * Forget the frame quality issue shown and the one building up
+     * @private
+     */
+    _clearQuality() {
+        this.qualityIssue = null; // FrameQuality issue why the reference is not found, shown as a hint
+        this.pendingIssue = null;
+        this.pendingIssueFrames = 0;
+    }
+
+    /**
+     * Follow the detector's frame quality, switching the shown issue once QUALITY_FRAMES frames agree
+     * @private
+     * @returns {boolean} True if the shown issue changed
+     */
+    _updateQuality() {
+        const quality = this.detector.lastQuality;
+        const issue = quality ? quality.issue : null;
+        if (issue === this.qualityIssue) {
+            this.pendingIssueFrames = 0;
+            return false;
+        }
+
+        if (issue === this.pendingIssue) {
+            this.pendingIssueFrames++;
+        } else {
+            this.pendingIssue = issue;
+            this.pendingIssueFrames = 1;
+        }
+        if (this.pendingIssueFrames < this.QUALITY_FRAMES) return false;
+
+        this.qualityIssue = issue;
+        this.pendingIssueFrames = 0;
+        return true;
+    }
+
+    /**
+     * Tracking gave up: back to waiting until the card is found again
+     * A session in progress continues when it is (see lockCard)
+     * @private
+     * @param {string} reason - Key of CardTracker.LOSS_REASONS, or 'error'
+     */
+    _loseCard(reason) {
+        this.state = STATE.WAITING;
+        this.tapPoint = null;
+        this.detector.unlock();
+        this._log('error', this.autoDetect ? 'log.lostShow' : 'log.lostTap', {
+            reference: Messages.referenceName(this.reference),
+            reason: { key: `loss.${reason}` }
+        });
+        this._emit('change');
+    }
+
+    /**
+     * All fingers measured or skipped
+     * @private
+     */
+    _finishSession() {
+        this.state = STATE.RESULTS;
+        this.sessionActive = false;
+        this._log('success', 'log.sessionComplete');
+    }
+
+    /**
+     * Solve the calibration once enough views are collected
+     * @private
+     */
+    _finishCalibration() {
+        try {
+            const result = this.lensCalibration.solve();
+            this.lensModel = result.lens;
+            this._log('success', 'log.lensCalibrated', { distortion: result.lens.cornerDistortionPx });
+            this._log('info', 'log.edgeStraightness', { before: result.rmsBefore, after: result.rmsAfter });
+            this._emit('calibrated', { result });
+        } catch (error) {
+            this._log('error', 'log.error', {
+                message: error.key ? { key: error.key, params: error.params, fallback: error.message } : error.message
+            });
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Distance between two points
+     * @private
+     */
+    _distance(p1, p2) {
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    }
+
+    /**
+     * Emit a log message
+     * @private
+     * @param {string} level - 'info', 'success', 'warning' or 'error'
+     * @param {string} key - Messages key
+     * @param {Object} params - Template parameters (JSON-compatible, nested messages as {key, params})
+     */
+    _log(level, key, params = {}) {
+        this._emit('log', { message: Messages.text(key, params), level, key, params });
+    }
+
+    /**
+     * Call the listeners of an event
+     * @private
+     */
+    _emit(type, data = {}) {
+        for (const listener of this.listeners[type] || []) {
+            listener(data);
+        }
+    }
+}
+
+export { SizeKitCore, STATE };
@@ -0,0 +1,159 @@
+/**
+ * SizeKit Marker
+ * ArUco-style printable marker: a 6x6 grid of 10mm cells with a one-cell black
+ * border around 4x4 data bits. Codes are chosen so every rotation of every
+ * code differs from all others in at least 5 bits, which identifies the
+ * marker, its rotation (and so each physical corner) and corrects 1 bad bit.
+ * Shared by marker.html (rendering) and CardDetector (decoding).
+ */
+
+const SizeKitMarker = {
+    CELLS: 6, // Including the border
+    DATA_CELLS: 4,
+    CELL_MM: 10,
+    SIZE_MM: 60, // Outer edge of the black border
+    RULER_MM: 100, // Length of the print-scale check bar
+    MAX_CORRECTED_BITS: 1,
+
+    // Row-major data bits, most significant bit = top-left data cell, 1 = black
+    DICTIONARY: [0x9c92, 0xdf86, 0xc565, 0x931d, 0x5621, 0x6443, 0x9b56, 0x1e34],
+
+    /**
+     * Data bits of a marker as printed
+     * @param {number} id - Index into DICTIONARY
+     * @returns {Array<Array<number>>} DATA_CELLS x DATA_CELLS rows of 0/1
+     */
+    bitsFor(id) {
+        const code = this.DICTIONARY[id];
+        if (code === undefined) {
+            throw new Error(`Unknown marker ID ${id}`);
+        }
+
+        const bits = [];
+        for (let row = 0; row < this.DATA_CELLS; row++) {
+            bits.push([]);
+            for (let col = 0; col < this.DATA_CELLS; col++) {
+                const shift = this.DATA_CELLS * this.DATA_CELLS - 1 - (row * this.DATA_CELLS + col);
+                bits[row].push((code >> shift) & 1);
+            }
+        }
+        return bits;
+    },
+
+    /**
+     * Identify observed data bits
+     * @param {Array<Array<number>>} bits - DATA_CELLS x DATA_CELLS rows of 0/1, read in image order
+     * @returns {Object|null} {id, rotation, errors}: the printed marker appears turned
+     *                        clockwise by rotation quarter turns, so printed corner j
+     *                        (0 = top-left, clockwise) is image corner (j + rotation) % 4
+     */
+    decode(bits) {
+        const observed = this._toCode(bits);
+        let best = null;
+
+        this.DICTIONARY.forEach((code, id) => {
+            let rotated = code;
+            for (let rotation = 0; rotation < 4; rotation++) {
+                const errors = this._hammingDistance(observed, rotated);
+                if (!best || errors < best.errors) {
+                    best = { id, rotation, errors };
+                }
+                rotated = this._rotateCode(rotated);
+            }
+        });
+
+        return best && best.errors <= this.MAX_CORRECTED_BITS ? best : null;
+    },
+
+    /**
+     * Marker as an SVG element string, sized in millimetres for printing
+     * @param {number} id - Index into DICTIONARY
+     * @returns {string} SVG markup
+     */
+    renderSvg(id) {
+        const bits = this.bitsFor(id);
+        const cells = [];
+
+        // Black square, then white data cells on top
+        for (let row = 0; row < this.DATA_CELLS; row++) {
+            for (let col = 0; col < this.DATA_CELLS; col++) {
+                if (!bits[row][col]) {
+                    cells.push(`<rect x="${col + 1}" y="${row + 1}" width="1" height="1" fill="#fff"/>`);
+                }
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.SIZE_MM}mm" height="${this.SIZE_MM}mm" ` +
+               `viewBox="0 0 ${this.CELLS} ${this.CELLS}" shape-rendering="crispEdges">` +
+               `<rect width="${this.CELLS}" height="${this.CELLS}" fill="#000"/>${cells.join('')}</svg>`;
+    },
+
+    /**
+     * Ruler bar with millimetre ticks, to check the printout scale with a real ruler
+     * @returns {string} SVG markup
+     */
+    renderRulerSvg() {
+        const length = this.RULER_MM;
+        const height = 12;
+        const ticks = [];
+
+        for (let mm = 0; mm <= length; mm++) {
+            const tickHeight = mm % 10 === 0 ? 7 : mm % 5 === 0 ? 5 : 3;
+            ticks.push(`<line x1="${mm}" y1="0" x2="${mm}" y2="${tickHeight}" stroke="#000" stroke-width="0.15"/>`);
+            if (mm % 10 === 0) {
+                ticks.push(`<text x="${mm}" y="${height - 1}" font-size="3" text-anchor="middle" font-family="sans-serif">${mm / 10}</text>`);
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${length + 4}mm" height="${height}mm" ` +
+               `viewBox="-2 0 ${length + 4} ${height}">` +
+               `<line x1="0" y1="0" x2="${length}" y2="0" stroke="#000" stroke-width="0.6"/>${ticks.join('')}</svg>`;
+    },
+
+    /**
+     * Pack rows of bits into an integer (first row, first column = most significant)
+     * @private
+     */
+    _toCode(bits) {
+        let code = 0;
+        for (const row of bits) {
+            for (const bit of row) {
+                code = (code << 1) | (bit ? 1 : 0);
+            }
+        }
+        return code;
+    },
+
+    /**
+     * Rotate a code's bit grid a quarter turn clockwise
+     * @private
+     */
+    _rotateCode(code) {
+        const n = this.DATA_CELLS;
+        let rotated = 0;
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                // Cell (row, col) of the rotated grid comes from (n - 1 - col, row)
+                const shift = n * n - 1 - ((n - 1 - col) * n + row);
+                rotated = (rotated << 1) | ((code >> shift) & 1);
+            }
+        }
+        return rotated;
+    },
+
+    /**
+     * Number of differing bits
+     * @private
+     */
+    _hammingDistance(a, b) {
+        let x = a ^ b;
+        let count = 0;
+        while (x) {
+            count += x & 1;
+            x >>= 1;
+        }
+        return count;
+    }
+};
+
+export { SizeKitMarker };
@@ -22,5 +22,4 @@ const Utils = {
     }
 };
 
-// Export as global for now
-window.Utils = Utils;
+export { Utils };
@@ -0,0 +1,133 @@
+/**
+ * Announcer - Screen reader announcements and optional voice and vibration cues
+ * Guidance is shown in the instruction overlay, which screen readers do not
+ * notice changing. The announcer repeats it through two visually hidden live
+ * regions: a polite one for state changes and an assertive one for errors.
+ * Users who cannot look at the screen while holding the phone over their hand
+ * can also turn on spoken cues (speechSynthesis) and vibration (navigator.vibrate)
+ * for the moments that matter: the card locked, a nail measured, all done, an error.
+ */
+
+class Announcer {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {Element} options.polite - Live region for state changes (role="status")
+     * @param {Element} options.assertive - Live region for errors (role="alert")
+     * @param {Window} options.window - Window with speechSynthesis and navigator (defaults to window)
+     */
+    constructor(options = {}) {
+        this.polite = options.polite || null;
+        this.assertive = options.assertive || null;
+        this.window = options.window || window;
+
+        // Vibration patterns in ms (on, off, on...): one pulse to go on, two when done, a long buzz on errors
+        this.PATTERNS = {
+            locked: [80],
+            measured: [40],
+            complete: [80, 80, 80],
+            error: [300]
+        };
+
+        this.lang = 'en';
+        this.speech = false;
+        this.haptics = false;
+        this.lastText = { polite: null, assertive: null };
+    }
+
+    /**
+     * Check if spoken cues are possible in this browser
+     * @returns {boolean}
+     */
+    canSpeak() {
+        return 'speechSynthesis' in this.window && 'SpeechSynthesisUtterance' in this.window;
+    }
+
+    /**
+     * Check if the device can vibrate
+     * @returns {boolean}
+     */
+    canVibrate() {
+        return typeof this.window.navigator.vibrate === 'function';
+    }
+
+    /**
+     * Language spoken cues are read in
+     * @param {string} lang - BCP 47 tag
+     */
+    setLanguage(lang) {
+        this.lang = lang;
+    }
+
+    /**
+     * Turn spoken cues on or off
+     * @param {boolean} enabled
+     */
+    setSpeech(enabled) {
+        this.speech = enabled && this.canSpeak();
+        if (!this.speech && this.canSpeak()) this.window.speechSynthesis.cancel();
+    }
+
+    /**
+     * Turn vibration cues on or off
+     * @param {boolean} enabled
+     */
+    setHaptics(enabled) {
+        this.haptics = enabled && this.canVibrate();
+    }
+
+    /**
+     * Tell screen readers about a change (repeats of the same text are skipped)
+     * @param {string} text - What changed, e.g. the new instruction
+     * @param {boolean} assertive - Interrupt what is being read (errors)
+     */
+    announce(text, assertive = false) {
+        const politeness = assertive ? 'assertive' : 'polite';
+        const region = this[politeness];
+        if (!region || !text || text === this.lastText[politeness]) return;
+
+        this.lastText[politeness] = text;
+        // Emptying first makes screen readers read the region even if the text was there before
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = text;
+        }, 50);
+    }
+
+    /**
+     * Announce a key moment, and speak and vibrate if turned on
+     * @param {string} type - 'locked', 'measured', 'complete' or 'error'
+     * @param {string} text - What to announce and speak
+     */
+    cue(type, text) {
+        this.announce(text, type === 'error');
+
+        if (this.haptics && this.PATTERNS[type]) {
+            this.window.navigator.vibrate(this.PATTERNS[type]);
+        }
+        if (this.speech && text) {
+            const utterance = new this.window.SpeechSynthesisUtterance(this._spoken(text));
+            utterance.lang = this.lang;
+            this.window.speechSynthesis.cancel(); // Old cues are out of date
+            this.window.speechSynthesis.speak(utterance);
+        }
+    }
+
+    /**
+     * Forget the last announcements, so the same text is announced again
+     */
+    clear() {
+        this.lastText = { polite: null, assertive: null };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Text without status symbols, which voices read out ("check mark")
+     * @private
+     */
+    _spoken(text) {
+        return text.replace(/[\u2190-\u2BFF\u{1F000}-\u{1FAFF}\uFE0F]/gu, '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+export { Announcer };
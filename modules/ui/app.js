@@ -0,0 +1,1850 @@
+/**
+ * SizeKit app - UI layer
+ * Owns the DOM, camera, photo upload, settings, export and embedding, and drives
+ * the headless SizeKitCore: taps and detection results go in, the screen is
+ * redrawn from the core's state and events.
+ */
+
+import { DebugRecorder } from '../core/debugRecorder.js';
+import { DebugReplay } from '../core/debugReplay.js';
+import { LensModel } from '../core/lensModel.js';
+import { MeasurementSession } from '../core/measurementSession.js';
+import { Messages } from '../core/messages.js';
+import { ReferenceObjects } from '../core/referenceObjects.js';
+import { SizeChart } from '../core/sizeChart.js';
+import { SizeKitCore, STATE } from '../core/sizeKitCore.js';
+import { SizeKitMarker } from '../core/sizekitMarker.js';
+import { Announcer } from './announcer.js';
+import { Camera } from './camera.js';
+import { DebugBundle } from './debugBundle.js';
+import { DetectorClient } from './detectorClient.js';
+import { EmbedBridge } from './embedBridge.js';
+import { I18n } from './i18n.js';
+import { MeasurementExport } from './measurementExport.js';
+import { PhotoSource } from './photoSource.js';
+import { ProfileStore } from './profileStore.js';
+
+// Reference object of known size (credit card by default, see modules/core/referenceObjects.js)
+const REFERENCE_STORAGE_KEY = 'sizekit.reference';
+const PRINT_SCALE_STORAGE_KEY = 'sizekit.markerPrintScale'; // Measured ruler bar / nominal length
+const DEBUG_RECORDING_STORAGE_KEY = 'sizekit.debugRecording'; // 'on' while recording (off by default)
+const PROFILE_STORAGE_KEY = 'sizekit.profile'; // Id of the profile sessions are saved to
+const LANGUAGE_STORAGE_KEY = 'sizekit.lang'; // Language picked in the menu (else the browser's)
+const SPEECH_STORAGE_KEY = 'sizekit.speech'; // 'on' to speak cues
+const HAPTICS_STORAGE_KEY = 'sizekit.haptics'; // 'on' to vibrate on cues
+
+let debugLines = [];
+const maxDebugLines = 6;
+let camera = null;
+let photoSource = null;
+let frameSource = null; // Live video element or loaded photo
+// Host pages can provide their own chart as window.SIZEKIT_SIZE_CHART
+const sizeChart = new SizeChart(window.SIZEKIT_SIZE_CHART || SizeChart.DEFAULT_SIZES);
+const cardDetector = new DetectorClient(); // CardDetector in a worker, started in init()
+const core = new SizeKitCore({
+    detector: cardDetector,
+    reference: withPrintScale(ReferenceObjects.get(loadSetting(REFERENCE_STORAGE_KEY))),
+    sizeChart
+});
+const embed = new EmbedBridge(); // Events to the host page when embedded
+
+// User's language, and guidance for screen readers with optional voice and vibration cues
+const i18n = new I18n();
+const measurementExport = new MeasurementExport({ i18n }); // Share text and caption in the user's language
+const announcer = new Announcer({
+    polite: document.getElementById('announcer'),
+    assertive: document.getElementById('announcer-alert')
+});
+let announcedMoment = null; // What the instructions last announced were about (see announceInstructions)
+
+// Saved profiles with past sessions (👤 button)
+const profileStore = new ProfileStore();
+let sessionThumbnail = null; // Promise of the thumbnail taken when the last session finished
+let savedTo = null; // Name of the profile the finished session was saved to
+let comparedSessions = []; // Ids of the (up to two) sessions ticked for comparison
+
+// Rolling record of the last frames for bug reports, and replay of saved bundles (🐞 button)
+const debugRecorder = new DebugRecorder();
+const debugBundle = new DebugBundle();
+let replay = null; // DebugReplay while a bundle is replayed
+let replayPlaying = false;
+let replayStepping = false; // A replayed frame is being detected
+let showEdges = false;
+let liveView = null; // Frame source and canvas size to return to after a replay
+
+// Detection timing is logged periodically while frames are being processed
+const STATS_LOG_INTERVAL_MS = 5000;
+let lastStatsLogTime = 0;
+let lastStatsFrames = 0;
+
+/**
+ * Read a remembered setting (null if storage is unavailable)
+ */
+function loadSetting(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Remember a setting across sessions
+ */
+function saveSetting(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (e) {
+        console.log('Could not save setting:', key, e);
+    }
+}
+
+/**
+ * Add debug message to console
+ */
+function addDebug(message, type = 'info') {
+    const timestamp = new Date().toLocaleTimeString();
+    debugLines.push({ time: timestamp, msg: message, type: type });
+    
+    if (debugLines.length > maxDebugLines) {
+        debugLines.shift();
+    }
+    
+    // Text only: messages can hold profile names from an imported file
+    const consoleEl = document.getElementById('debug-console');
+    consoleEl.textContent = '';
+    for (const line of debugLines) {
+        const className = line.type === 'error' ? 'debug-error' : 
+                         line.type === 'success' ? 'debug-success' :
+                         line.type === 'warning' ? 'debug-warning' : '';
+        const div = document.createElement('div');
+        div.className = `debug-line ${className}`;
+        div.textContent = `[${line.time}] ${line.msg}`;
+        consoleEl.appendChild(div);
+    }
+}
+
+/**
+ * Update instruction text based on state
+ */
+function updateInstructions() {
+    const textEl = document.getElementById('instruction-text');
+    const detailEl = document.getElementById('instruction-detail');
+    const resetBtn = document.getElementById('reset-btn');
+    const measureBtn = document.getElementById('measure-btn');
+    const backBtn = document.getElementById('back-btn');
+    const skipBtn = document.getElementById('skip-btn');
+    const exportBtn = document.getElementById('export-btn');
+    const reference = Messages.referenceName(core.reference);
+
+    // Remove all state classes
+    textEl.className = '';
+    detailEl.className = '';
+    measureBtn.style.display = 'none';
+    backBtn.style.display = 'none';
+    skipBtn.style.display = 'none';
+    exportBtn.style.display = core.isCardLocked() ? 'inline-block' : 'none';
+    document.getElementById('calibrate-btn').textContent = i18n.t(core.state === STATE.CALIBRATING ?
+        'ui.cancelCalibration' : 'ui.calibrate');
+    document.getElementById('results-screen').style.display = 'none';
+
+    switch (core.state) {
+        case STATE.WAITING:
+            if (core.autoDetect && core.cardConsensus.candidates.length > 0) {
+                textEl.textContent = capitalize(i18n.t('instructions.found', { reference }));
+                textEl.className = 'warning';
+                detailEl.textContent = i18n.t('instructions.locking', { percent: core.cardConsensus.progress * 100 });
+            } else if (core.autoDetect) {
+                textEl.textContent = i18n.t('instructions.show', { reference });
+                detailEl.textContent = i18n.t('instructions.showDetail');
+                if (core.qualityIssue) {
+                    detailEl.textContent = i18n.t(`advice.${core.qualityIssue}`);
+                    detailEl.className = 'tilt-warning';
+                }
+            } else {
+                textEl.textContent = i18n.t('instructions.tap', { reference });
+                detailEl.textContent = i18n.t('instructions.tapDetail');
+            }
+            resetBtn.style.display = 'none';
+            break;
+
+        case STATE.DETECTING:
+            textEl.textContent = i18n.t('instructions.detecting');
+            textEl.className = 'warning';
+            detailEl.textContent = i18n.t('instructions.holdSteady');
+            if (core.qualityIssue) {
+                detailEl.textContent = i18n.t(`advice.${core.qualityIssue}`);
+                detailEl.className = 'tilt-warning';
+            }
+            resetBtn.style.display = 'block';
+            break;
+
+        case STATE.LOCKED: {
+            const average = core.lastNailMeasurement ? core.lastNailMeasurement.average : null;
+            textEl.textContent = average ?
+                i18n.t('instructions.nail', { width: widthText(average) }) :
+                capitalize(i18n.t('instructions.detected', { reference }));
+            textEl.className = average && !average.accepted ? 'warning' : 'success';
+            detailEl.textContent = `${i18n.t('instructions.scale', { scale: scaleText() })} · ` +
+                i18n.t(average && !average.accepted ? 'instructions.confirmNail' : 'instructions.tapNail');
+            detailEl.className = 'highlight';
+            if (core.isTilted()) {
+                detailEl.textContent = tiltWarningText();
+                detailEl.className = 'tilt-warning';
+            }
+            measureBtn.style.display = 'inline-block';
+            resetBtn.style.display = 'block';
+            break;
+        }
+
+        case STATE.MEASURING: {
+            const step = core.session.currentStep;
+            const progress = core.session.progress;
+            textEl.textContent = i18n.t('instructions.step', {
+                step: Messages.step(step),
+                index: progress.index,
+                total: progress.total
+            });
+            const pending = core.lastNailMeasurement ? core.lastNailMeasurement.average : null;
+            if (core.lastSessionResult) {
+                detailEl.textContent = sessionResultText(core.lastSessionResult);
+                detailEl.className = 'highlight';
+            } else if (pending && !pending.accepted) {
+                detailEl.textContent = `${widthText(pending)} · ${i18n.t('instructions.confirmNail')}`;
+                detailEl.className = 'highlight';
+            } else {
+                detailEl.textContent = i18n.t('instructions.tapMiddle');
+            }
+            if (core.isTilted()) {
+                detailEl.textContent = tiltWarningText();
+                detailEl.className = 'tilt-warning';
+            }
+            backBtn.style.display = core.session.currentIndex > 0 ? 'inline-block' : 'none';
+            skipBtn.style.display = 'inline-block';
+            resetBtn.style.display = 'block';
+            break;
+        }
+
+        case STATE.CALIBRATING: {
+            const region = core.lensCalibration.nextRegion();
+            textEl.textContent = i18n.t('instructions.calibrating', { percent: core.lensCalibration.progress * 100 });
+            textEl.className = 'warning';
+            detailEl.textContent = region ?
+                i18n.t('instructions.calibrateRegion', { reference, region: { key: `region.${region}` } }) :
+                i18n.t('instructions.calibrateMore', { reference });
+            resetBtn.style.display = 'block';
+            break;
+        }
+
+        case STATE.RESULTS:
+            textEl.textContent = i18n.t('instructions.allMeasured');
+            textEl.className = 'success';
+            detailEl.textContent = i18n.t('instructions.scale', { scale: scaleText() });
+            showResults();
+            break;
+    }
+
+    announceInstructions();
+}
+
+/**
+ * Read the instructions to screen readers when their meaning changes
+ * (a new state, finger or hint - not every new percentage or scale)
+ */
+function announceInstructions() {
+    const moment = [
+        core.state,
+        core.qualityIssue,
+        core.isTilted(),
+        core.state === STATE.MEASURING ? core.session.currentIndex : null,
+        core.state === STATE.WAITING && core.cardConsensus.candidates.length > 0
+    ].join('/');
+    if (moment === announcedMoment) return;
+
+    announcedMoment = moment;
+    const text = document.getElementById('instruction-text').textContent;
+    const detail = document.getElementById('instruction-detail').textContent;
+    announcer.announce(detail ? `${text}. ${detail}` : text);
+}
+
+/**
+ * Warning text for a tilted phone
+ */
+function tiltWarningText() {
+    return i18n.t('instructions.tilted', {
+        degrees: core.cardPlane.tiltDegrees,
+        reference: Messages.referenceName(core.reference)
+    });
+}
+
+/**
+ * A stored session nail, e.g. "Left thumb: 14.2 ± 0.12 mm → size 5"
+ */
+function sessionResultText(result) {
+    return i18n.t(result.size !== null ? 'instructions.stepSize' : 'instructions.stepNoSize', {
+        step: Messages.step(result),
+        width: widthText(result),
+        size: result.size
+    });
+}
+
+/**
+ * Averaged scale with its uncertainty, e.g. "7.12 ± 0.01 px/mm"
+ */
+function scaleText() {
+    const scale = core.pixelsPerMM ? core.scaleStats.summarize() : null;
+    if (!scale) return '...';
+    return Number.isFinite(scale.uncertainty) ?
+        i18n.t('units.scaleUncertainty', { value: scale.mean, uncertainty: scale.uncertainty }) :
+        i18n.t('units.scale', { value: scale.mean });
+}
+
+/**
+ * Averaged nail width with its uncertainty, e.g. "14.2 ± 0.12 mm"
+ * @param {Object} average - {widthMM, uncertaintyMM} (uncertaintyMM null or Infinity when unknown)
+ */
+function widthText(average) {
+    return Number.isFinite(average.uncertaintyMM) ?
+        i18n.t('units.widthUncertainty', { value: average.widthMM, uncertainty: average.uncertaintyMM }) :
+        i18n.t('units.width', { value: average.widthMM });
+}
+
+/**
+ * Uppercase the first letter (for reference names at the start of a sentence, after any symbol)
+ */
+function capitalize(text) {
+    return text.replace(/\p{L}/u, letter => letter.toUpperCase());
+}
+
+/**
+ * Show an error that stops the app
+ */
+function showFatalError(titleKey, detailKey, code) {
+    const title = i18n.t(titleKey);
+    const detail = i18n.t(detailKey);
+    embed.emit('error', { code, message: title, detail });
+    announcer.cue('error', `${title}. ${detail}`);
+
+    const textEl = document.getElementById('instruction-text');
+    const detailEl = document.getElementById('instruction-detail');
+    textEl.textContent = title;
+    textEl.className = 'error';
+    detailEl.textContent = detail;
+    detailEl.className = '';
+}
+
+/**
+ * Start collecting card views for lens calibration, or cancel
+ */
+function toggleCalibration() {
+    if (core.state === STATE.CALIBRATING) {
+        core.cancelCalibration();
+        return;
+    }
+
+    if (!camera.stream) {
+        addDebug(i18n.t('log.calibrationNeedsCamera'), 'warning');
+        return;
+    }
+    core.startCalibration();
+}
+
+/**
+ * Load the saved lens calibration of the active camera
+ */
+function loadLensModel() {
+    const canvas = document.getElementById('overlay-canvas');
+    core.setLens(LensModel.load(camera.deviceId, { width: canvas.width, height: canvas.height }));
+    if (core.lensModel) {
+        addDebug(i18n.t('log.lensLoaded', { distortion: core.lensModel.cornerDistortionPx }), 'success');
+    }
+}
+
+/**
+ * Correct the printed marker's size by the confirmed print scale
+ */
+function withPrintScale(ref) {
+    if (ref.shape !== 'marker') return ref;
+
+    const printScale = parseFloat(loadSetting(PRINT_SCALE_STORAGE_KEY)) || 1;
+    return { ...ref, widthMM: ref.widthMM * printScale, heightMM: ref.heightMM * printScale };
+}
+
+/**
+ * Ask for the measured length of the ruler bar on the marker sheet
+ */
+function showPrintCheck() {
+    const printScale = parseFloat(loadSetting(PRINT_SCALE_STORAGE_KEY)) || 1;
+    document.getElementById('print-check-input').value = (printScale * SizeKitMarker.RULER_MM).toFixed(1);
+    document.getElementById('print-check').style.display = 'flex';
+}
+
+/**
+ * Store the print scale from the measured ruler bar
+ */
+function confirmPrintScale() {
+    const measuredMM = parseFloat(document.getElementById('print-check-input').value);
+    const printScale = measuredMM / SizeKitMarker.RULER_MM;
+
+    // Outside this range the page was not printed at (near) 100%: reprint rather than correct
+    if (!(printScale >= 0.8 && printScale <= 1.2)) {
+        addDebug(i18n.t('log.printScaleFar', { measured: measuredMM, nominal: SizeKitMarker.RULER_MM }), 'error');
+        return;
+    }
+
+    saveSetting(PRINT_SCALE_STORAGE_KEY, String(printScale));
+    document.getElementById('print-check').style.display = 'none';
+    if (Math.abs(printScale - 1) > 0.005) {
+        addDebug(i18n.t('log.printScaleCorrected', { percent: printScale * 100 }), 'warning');
+    } else {
+        addDebug(i18n.t('log.printScaleConfirmed'), 'success');
+    }
+    setReference(core.reference.id);
+}
+
+/**
+ * Fill the reference object menu
+ */
+function setupReferenceSelect() {
+    const select = document.getElementById('reference-select');
+    fillReferenceSelect();
+    select.addEventListener('change', () => setReference(select.value));
+
+    document.getElementById('print-scale-btn').addEventListener('click', showPrintCheck);
+    document.getElementById('print-check-btn').addEventListener('click', confirmPrintScale);
+    updatePrintScaleButton();
+}
+
+/**
+ * Reference object menu in the current language
+ */
+function fillReferenceSelect() {
+    const select = document.getElementById('reference-select');
+    select.innerHTML = '';
+    for (const option of ReferenceObjects.list()) {
+        const element = document.createElement('option');
+        element.value = option.id;
+        element.textContent = i18n.t(`reference.${option.id}.label`, {}, option.label);
+        select.appendChild(element);
+    }
+    select.value = core.reference.id;
+}
+
+/**
+ * Switch the reference object used for detection and scale
+ */
+function setReference(id) {
+    core.setReference(withPrintScale(ReferenceObjects.get(id)));
+    saveSetting(REFERENCE_STORAGE_KEY, core.reference.id);
+    updatePrintScaleButton();
+
+    // First use of the marker: check the printout before trusting its size
+    if (core.reference.shape === 'marker' && loadSetting(PRINT_SCALE_STORAGE_KEY) === null) {
+        showPrintCheck();
+    }
+}
+
+/**
+ * Offer the print-scale check only in marker mode
+ */
+function updatePrintScaleButton() {
+    document.getElementById('print-scale-btn').style.display = core.reference.shape === 'marker' ? 'block' : 'none';
+}
+
+/**
+ * Turn automatic (tap-free) card detection on or off
+ */
+function toggleAutoDetect() {
+    core.setAutoDetect(!core.autoDetect);
+    document.getElementById('auto-btn').textContent = i18n.t(core.autoDetect ? 'ui.autoOn' : 'ui.autoOff');
+}
+
+/**
+ * Convert a tap/click event to canvas coordinates
+ */
+function getCanvasPoint(event) {
+    const canvas = document.getElementById('overlay-canvas');
+    let rect = canvas.getBoundingClientRect();
+
+    // Photos are letterboxed (object-fit: contain): use the drawn area only
+    if (document.body.classList.contains('photo-mode')) {
+        const fit = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+        const drawnWidth = canvas.width * fit;
+        const drawnHeight = canvas.height * fit;
+        rect = {
+            left: rect.left + (rect.width - drawnWidth) / 2,
+            top: rect.top + (rect.height - drawnHeight) / 2,
+            width: drawnWidth,
+            height: drawnHeight
+        };
+    }
+    
+    // Get tap position in canvas coordinates
+    let clientX, clientY;
+    if (event.type === 'touchstart' || event.type === 'touchend') {
+        clientX = event.touches[0]?.clientX || event.changedTouches[0]?.clientX;
+        clientY = event.touches[0]?.clientY || event.changedTouches[0]?.clientY;
+    } else {
+        clientX = event.clientX;
+        clientY = event.clientY;
+    }
+
+    // Convert from screen coordinates to canvas coordinates
+    const scaleX = canvas.width / rect.width;
+    const scaleY = canvas.height / rect.height;
+    
+    return {
+        x: (clientX - rect.left) * scaleX,
+        y: (clientY - rect.top) * scaleY
+    };
+}
+
+/**
+ * Handle tap/click on canvas
+ */
+function handleTap(event) {
+    if (replay) return; // Taps come from the recording
+    core.tap(getCanvasPoint(event), readFrame);
+}
+
+/**
+ * Current frame as ImageData, for nail measurement
+ */
+function readFrame() {
+    const canvas = document.getElementById('overlay-canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(frameSource, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Fill the results table from the session
+ */
+function showResults() {
+    const tbody = document.querySelector('#results-table tbody');
+    tbody.innerHTML = core.session.getResults().map(({ hand, finger, result }) => {
+        const label = i18n.t(`step.${hand}.${finger}`);
+        if (!result) {
+            return `<tr class="skipped"><td>${label}</td><td>—</td><td>—</td></tr>`;
+        }
+        // Outside the chart: show the nearest size marked as approximate
+        const size = result.size !== null ? result.size : `~${result.nearestSize}`;
+        return `<tr><td>${label}</td><td>${widthText(result)}</td><td>${size}</td></tr>`;
+    }).join('');
+
+    const saveBtn = document.getElementById('save-session-btn');
+    saveBtn.style.display = profileStore.isAvailable() ? 'inline-block' : 'none';
+    saveBtn.disabled = savedTo !== null;
+    saveBtn.textContent = savedTo !== null ? i18n.t('results.saved', { profile: savedTo }) : i18n.t('results.save');
+
+    document.getElementById('results-screen').style.display = 'flex';
+}
+
+/**
+ * Send the current result to the host page
+ * @param {boolean} complete - True once the session has covered all ten nails
+ */
+function emitMeasurement(complete) {
+    if (!embed.embedded) return;
+    embed.emit('measurement', { complete, record: createMeasurementRecord() });
+}
+
+/**
+ * Measurement record of the current result
+ */
+function createMeasurementRecord() {
+    const canvas = document.getElementById('overlay-canvas');
+    const source = frameSource === photoSource.image ?
+        { type: 'photo', fileName: photoSource.fileName, width: canvas.width, height: canvas.height } :
+        {
+            type: 'camera',
+            label: camera.track ? camera.track.label : null,
+            width: canvas.width,
+            height: canvas.height,
+            zoom: camera.getSettings().zoom || null
+        };
+
+    return measurementExport.createRecord({
+        reference: core.reference,
+        pixelsPerMM: core.pixelsPerMM,
+        scaleStats: core.pixelsPerMM ? core.scaleStats.summarize() : null,
+        detection: cardDetector.lastDetection,
+        plane: core.cardPlane,
+        lens: core.lensModel,
+        nails: core.getMeasuredNails(),
+        source
+    });
+}
+
+/**
+ * Current frame at full resolution: the photo, or a capture of the camera
+ * @returns {string|CanvasImageSource} Data URL (Camera.captureFrame) or drawable image
+ */
+function currentFrame() {
+    return frameSource === photoSource.image ? photoSource.image : camera.captureFrame();
+}
+
+/**
+ * Current frame with card and nail overlays and a summary caption
+ * @returns {Promise<Blob>} JPEG
+ */
+async function renderAnnotatedImage(record) {
+    const canvas = document.getElementById('overlay-canvas');
+    const frame = currentFrame();
+
+    return measurementExport.renderAnnotatedImage(frame, { width: canvas.width, height: canvas.height }, (ctx) => {
+        if (cardDetector.lastDetection) {
+            cardDetector.drawOverlay(ctx, cardDetector.lastDetection);
+        }
+        if (core.lastNailMeasurement) {
+            core.nailSegmenter.drawOverlay(ctx, core.lastNailMeasurement.plate);
+            core.nailDetector.drawOverlay(ctx, core.lastNailMeasurement);
+        }
+    }, measurementExport.summaryLines(record));
+}
+
+/**
+ * Show the export options
+ */
+function showExportPanel() {
+    if (!core.pixelsPerMM) return;
+    document.getElementById('share-btn').style.display = measurementExport.canShare() ? 'inline-block' : 'none';
+    document.getElementById('export-panel').style.display = 'flex';
+}
+
+/**
+ * Download the result in one format
+ * @param {string} format - 'json', 'csv' or 'jpg'
+ */
+async function exportMeasurement(format) {
+    try {
+        const record = createMeasurementRecord();
+        let blob;
+        if (format === 'json') {
+            blob = new Blob([measurementExport.toJSON(record)], { type: 'application/json' });
+        } else if (format === 'csv') {
+            blob = new Blob([measurementExport.toCSV(record)], { type: 'text/csv' });
+        } else {
+            blob = await renderAnnotatedImage(record);
+        }
+        measurementExport.download(blob, measurementExport.fileName(record, format));
+        addDebug(i18n.t('log.exported', { format: format.toUpperCase() }), 'success');
+    } catch (error) {
+        addDebug(i18n.t('log.exportFailed', { message: i18n.error(error) }), 'error');
+    }
+}
+
+/**
+ * Send the result through the share sheet (e.g. to support)
+ */
+async function shareMeasurement() {
+    try {
+        const record = createMeasurementRecord();
+        const image = await renderAnnotatedImage(record);
+        const files = [
+            new File([image], measurementExport.fileName(record, 'jpg'), { type: 'image/jpeg' }),
+            new File([measurementExport.toCSV(record)], measurementExport.fileName(record, 'csv'), { type: 'text/csv' }),
+            new File([measurementExport.toJSON(record)], measurementExport.fileName(record, 'json'), { type: 'application/json' })
+        ];
+
+        const shared = await measurementExport.share(files, record);
+        if (shared === 'cancelled') return;
+        addDebug(i18n.t(shared === 'files' ? 'log.shared' : shared === 'image' ? 'log.sharedImage' : 'log.sharedText'), 'success');
+    } catch (error) {
+        addDebug(i18n.t('log.shareFailed', { message: i18n.error(error) }), 'error');
+    }
+}
+
+/**
+ * Handle the export buttons
+ */
+function setupExport() {
+    const panel = document.getElementById('export-panel');
+    document.getElementById('export-btn').addEventListener('click', showExportPanel);
+    document.getElementById('results-export-btn').addEventListener('click', showExportPanel);
+    document.getElementById('export-close-btn').addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+    document.getElementById('share-btn').addEventListener('click', shareMeasurement);
+    document.getElementById('export-json-btn').addEventListener('click', () => exportMeasurement('json'));
+    document.getElementById('export-csv-btn').addEventListener('click', () => exportMeasurement('csv'));
+    document.getElementById('export-image-btn').addEventListener('click', () => exportMeasurement('jpg'));
+}
+
+/**
+ * Save the finished session to the active profile ("Me" is created if there is none yet)
+ */
+async function saveSessionToProfile() {
+    const saveBtn = document.getElementById('save-session-btn');
+    saveBtn.disabled = true;
+    try {
+        let profile = (await profileStore.listProfiles()).find(p => p.id === loadSetting(PROFILE_STORAGE_KEY));
+        if (!profile) {
+            profile = (await profileStore.listProfiles())[0] || await profileStore.createProfile(i18n.t('profiles.defaultName'));
+            saveSetting(PROFILE_STORAGE_KEY, profile.id);
+        }
+
+        const thumbnail = sessionThumbnail ? await sessionThumbnail : null;
+        await profileStore.saveSession(profile.id, createMeasurementRecord(), thumbnail);
+        savedTo = profile.name;
+        saveBtn.textContent = i18n.t('results.saved', { profile: profile.name });
+        addDebug(i18n.t('log.sessionSaved', { profile: profile.name }), 'success');
+    } catch (error) {
+        saveBtn.disabled = false;
+        addDebug(i18n.t('log.saveFailed', { message: i18n.error(error) }), 'error');
+    }
+}
+
+/**
+ * Show the profiles panel with the active profile's sessions
+ */
+async function showProfilesPanel() {
+    document.getElementById('profiles-panel').style.display = 'flex';
+    await refreshProfiles();
+}
+
+/**
+ * Fill the profile picker and the session list of the active profile
+ */
+async function refreshProfiles() {
+    const select = document.getElementById('profile-select');
+    const status = document.getElementById('profile-status');
+    try {
+        const profiles = await profileStore.listProfiles();
+        let activeId = loadSetting(PROFILE_STORAGE_KEY);
+        if (!profiles.some(p => p.id === activeId)) {
+            activeId = profiles.length ? profiles[0].id : null;
+        }
+
+        select.innerHTML = '';
+        for (const profile of profiles) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        }
+        select.value = activeId || '';
+        select.style.display = profiles.length ? 'inline-block' : 'none';
+        for (const id of ['profile-rename-btn', 'profile-delete-btn', 'profile-export-btn']) {
+            document.getElementById(id).disabled = !activeId;
+        }
+
+        const sessions = activeId ? await profileStore.listSessions(activeId) : [];
+        comparedSessions = comparedSessions.filter(id => sessions.some(session => session.id === id));
+        status.textContent = !activeId ? i18n.t('profiles.none') :
+            sessions.length ? i18n.t('profiles.sessions', { count: sessions.length }) :
+            i18n.t('profiles.noSessions');
+        renderSessions(sessions);
+        renderComparison(sessions);
+    } catch (error) {
+        status.textContent = i18n.t('log.error', { message: i18n.error(error) });
+    }
+}
+
+/**
+ * List saved sessions with thumbnail, date, sizes, a compare tick and a delete button
+ */
+function renderSessions(sessions) {
+    const list = document.getElementById('session-list');
+    list.innerHTML = '';
+
+    for (const session of sessions) {
+        const item = document.createElement('li');
+        if (session.thumbnail) {
+            const image = document.createElement('img');
+            image.src = session.thumbnail;
+            image.alt = '';
+            item.appendChild(image);
+        }
+
+        const nails = session.record.nails;
+        const info = document.createElement('div');
+        info.className = 'session-info';
+        info.textContent = `${i18n.date(session.createdAt)} · ${i18n.t('profiles.nails', { count: nails.length })}`;
+        const sizes = document.createElement('div');
+        sizes.className = 'session-sizes';
+        const reference = Messages.referenceLabel(session.record.reference);
+        sizes.textContent = i18n.t('profiles.sizes', {
+            reference: i18n.t(reference.key, {}, reference.fallback).replace(/^\S+\s/, ''),
+            sizes: nails.map(nail => (nail.size !== null ? nail.size : `~${nail.nearestSize}`)).join(' ')
+        });
+        info.appendChild(sizes);
+        item.appendChild(info);
+
+        const compare = document.createElement('input');
+        compare.type = 'checkbox';
+        compare.checked = comparedSessions.includes(session.id);
+        compare.setAttribute('aria-label', i18n.t('profiles.compare'));
+        compare.addEventListener('change', () => {
+            comparedSessions = comparedSessions.filter(id => id !== session.id);
+            if (compare.checked) comparedSessions = [...comparedSessions, session.id].slice(-2);
+            refreshProfiles();
+        });
+        item.appendChild(compare);
+
+        const remove = document.createElement('button');
+        remove.textContent = '🗑';
+        remove.setAttribute('aria-label', i18n.t('profiles.deleteSession'));
+        remove.addEventListener('click', () => profileAction(async () => {
+            if (!window.confirm(i18n.t('profiles.confirmDeleteSession'))) return;
+            await profileStore.deleteSession(session.id);
+        }));
+        item.appendChild(remove);
+
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Finger-by-finger table of the two ticked sessions, older first
+ */
+function renderComparison(sessions) {
+    const table = document.getElementById('comparison-table');
+    const picked = sessions.filter(session => comparedSessions.includes(session.id))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    if (picked.length !== 2) {
+        table.style.display = 'none';
+        return;
+    }
+
+    const [before, after] = picked;
+    const date = (session) => i18n.date(session.createdAt, false);
+    document.getElementById('compare-before').textContent = date(before);
+    document.getElementById('compare-after').textContent = date(after);
+
+    const cell = (nail) => (nail ?
+        `${i18n.t('units.width', { value: nail.widthMM })} · ${nail.size !== null ? nail.size : `~${nail.nearestSize}`}` :
+        '—');
+    // Text only: the sessions may come from an imported file
+    const tbody = table.querySelector('tbody');
+    tbody.textContent = '';
+    for (const row of MeasurementSession.compare(before.record.nails, after.record.nails)) {
+        const delta = row.deltaMM === null ? null :
+            i18n.t('units.change', { sign: row.deltaMM >= 0 ? '+' : '', value: row.deltaMM });
+        const change = delta === null ? '—' : row.sizeChanged ? i18n.t('profiles.newSize', { change: delta }) : delta;
+
+        const tr = document.createElement('tr');
+        for (const text of [i18n.t(`step.${row.hand}.${row.finger}`), cell(row.before), cell(row.after), change]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        if (row.significant || row.sizeChanged) tr.lastChild.className = 'changed';
+        tbody.appendChild(tr);
+    }
+    table.style.display = 'table';
+}
+
+/**
+ * Run a profile action, showing failures in the panel
+ */
+async function profileAction(action) {
+    try {
+        await action();
+    } catch (error) {
+        document.getElementById('profile-status').textContent = i18n.t('log.error', { message: i18n.error(error) });
+        return;
+    }
+    await refreshProfiles();
+}
+
+/**
+ * Handle the profiles panel and the save button on the results screen
+ */
+function setupProfiles() {
+    const panel = document.getElementById('profiles-panel');
+    const select = document.getElementById('profile-select');
+    const nameInput = document.getElementById('profile-name-input');
+    const input = document.getElementById('profile-input');
+    const activeId = () => select.value || null;
+
+    if (!profileStore.isAvailable()) {
+        document.getElementById('profiles-btn').style.display = 'none';
+        return;
+    }
+
+    // Thumbnail of the hand as it was when the last nail was measured
+    core.on('measurement', ({ complete }) => {
+        if (!complete) return;
+        sessionThumbnail = Promise.resolve().then(() => profileStore.createThumbnail(currentFrame())).catch(() => null);
+        savedTo = null;
+    });
+    core.on('reset', () => {
+        sessionThumbnail = null;
+    });
+
+    document.getElementById('save-session-btn').addEventListener('click', saveSessionToProfile);
+    document.getElementById('profiles-btn').addEventListener('click', showProfilesPanel);
+    document.getElementById('profiles-close-btn').addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+    select.addEventListener('change', () => {
+        saveSetting(PROFILE_STORAGE_KEY, select.value);
+        comparedSessions = [];
+        refreshProfiles();
+    });
+
+    document.getElementById('profile-new-btn').addEventListener('click', () => profileAction(async () => {
+        const profile = await profileStore.createProfile(nameInput.value);
+        saveSetting(PROFILE_STORAGE_KEY, profile.id);
+        nameInput.value = '';
+        addDebug(i18n.t('log.profileCreated', { profile: profile.name }), 'success');
+    }));
+    document.getElementById('profile-rename-btn').addEventListener('click', () => profileAction(async () => {
+        await profileStore.renameProfile(activeId(), nameInput.value);
+        nameInput.value = '';
+    }));
+    document.getElementById('profile-delete-btn').addEventListener('click', () => profileAction(async () => {
+        const name = select.options[select.selectedIndex].textContent;
+        if (!window.confirm(i18n.t('profiles.confirmDelete', { profile: name }))) return;
+        await profileStore.deleteProfile(activeId());
+        addDebug(i18n.t('log.profileDeleted', { profile: name }), 'warning');
+    }));
+    document.getElementById('profile-export-btn').addEventListener('click', () => profileAction(async () => {
+        const profile = { name: select.options[select.selectedIndex].textContent };
+        measurementExport.download(await profileStore.exportProfile(activeId()), profileStore.fileName(profile));
+        addDebug(i18n.t('log.profileExported', { profile: profile.name }), 'success');
+    }));
+    document.getElementById('profile-import-btn').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = ''; // Allow picking the same file again
+        if (!file) return;
+        profileAction(async () => {
+            const { profile, sessions } = await profileStore.importProfile(file);
+            saveSetting(PROFILE_STORAGE_KEY, profile.id);
+            addDebug(i18n.t('log.profileImported', { profile: profile.name, count: sessions }), 'success');
+        });
+    });
+    document.getElementById('profiles-clear-btn').addEventListener('click', () => profileAction(async () => {
+        if (!window.confirm(i18n.t('profiles.confirmDeleteAll'))) return;
+        await profileStore.deleteAll();
+        addDebug(i18n.t('log.profilesDeleted'), 'warning');
+    }));
+}
+
+/**
+ * Turn the debug recorder (and the detector's intermediate results it needs) on or off
+ */
+function setDebugRecording(enabled) {
+    debugRecorder.setEnabled(enabled);
+    cardDetector.setDebugCapture(enabled);
+    if (!enabled) debugRecorder.clear();
+    document.getElementById('debug-record-btn').textContent = i18n.t(enabled ? 'debug.recordingOn' : 'debug.recordingOff');
+}
+
+/**
+ * Show the debug panel with what is recorded
+ */
+function showDebugPanel() {
+    document.getElementById('debug-status').textContent = debugRecorder.enabled ?
+        i18n.t('debug.recorded', { count: debugRecorder.frames.length, seconds: debugRecorder.duration }) :
+        i18n.t('debug.off');
+    document.getElementById('debug-download-btn').disabled = debugRecorder.frames.length === 0;
+    document.getElementById('debug-panel').style.display = 'flex';
+}
+
+/**
+ * Save the recorded frames, detector results and events as one file for a bug report
+ */
+async function downloadDebugBundle() {
+    try {
+        const canvas = document.getElementById('overlay-canvas');
+        const bundle = debugRecorder.toBundle({
+            userAgent: navigator.userAgent,
+            source: frameSource === photoSource.image ? 'photo' : 'camera',
+            camera: camera.track ? camera.track.label : null,
+            canvas: { width: canvas.width, height: canvas.height },
+            detector: cardDetector.getStats(),
+            console: debugLines.slice()
+        });
+        const blob = await debugBundle.toBlob(bundle);
+        measurementExport.download(blob, debugBundle.fileName(bundle));
+        addDebug(i18n.t('log.bundleSaved', { count: bundle.frames.length }), 'success');
+    } catch (error) {
+        addDebug(i18n.t('log.bundleFailed', { message: i18n.error(error) }), 'error');
+    }
+}
+
+/**
+ * Offer the current frame to the detector, and record it while the debug recorder is on
+ * (a few frames a second, see DebugRecorder.wantsFrame)
+ */
+function submitFrame(request) {
+    const canvas = document.getElementById('overlay-canvas');
+    const context = { request, recordId: null };
+    if (!cardDetector.submit(frameSource, canvas.width, canvas.height, request.guideRegion, context)) return;
+
+    if (debugRecorder.wantsFrame()) {
+        context.recordId = debugRecorder.recordFrame({
+            image: debugBundle.captureFrame(frameSource, canvas.width, canvas.height).catch(() => null),
+            width: canvas.width,
+            height: canvas.height,
+            request
+        });
+    }
+}
+
+/**
+ * Replay a saved debug bundle in place of the camera
+ */
+async function startReplay(file) {
+    let bundle;
+    try {
+        bundle = await debugBundle.load(file);
+        DebugReplay.validate(bundle);
+    } catch (error) {
+        addDebug(i18n.t('log.error', { message: i18n.error(error) }), 'error');
+        return;
+    }
+
+    if (replay) stopReplay();
+    const canvas = document.getElementById('overlay-canvas');
+    liveView = {
+        frameSource,
+        width: canvas.width,
+        height: canvas.height,
+        reference: core.reference,
+        autoDetect: core.autoDetect,
+        lens: core.lensModel
+    };
+
+    // Recording the replay would overwrite the live recording
+    debugRecorder.setEnabled(false);
+    cardDetector.setDebugCapture(true);
+
+    replay = new DebugReplay(bundle, {
+        core,
+        detect: (frame, request) => (frame.image ?
+            cardDetector.detectNow(frame.image, frame.width, frame.height, request.guideRegion) :
+            { detection: null, debug: null }), // Frame capture had failed
+        readFrame: (frame) => {
+            frameSource = frame.image;
+            return readFrame();
+        }
+    });
+
+    canvas.width = bundle.frames[0].width;
+    canvas.height = bundle.frames[0].height;
+    frameSource = bundle.frames[0].image;
+    document.body.classList.add('replay-mode');
+    replay.start();
+
+    document.getElementById('debug-panel').style.display = 'none';
+    document.getElementById('replay-bar').style.display = 'flex';
+    addDebug(i18n.t('log.replayStarted', { count: replay.frameCount, file: file.name }), 'info');
+    updateReplayStatus();
+}
+
+/**
+ * Replay the next frame of the bundle
+ */
+async function stepReplay() {
+    if (!replay || replayStepping) return null;
+
+    replayStepping = true;
+    let step = null;
+    try {
+        step = await replay.step();
+    } catch (error) {
+        addDebug(i18n.t('log.replayFailed', { message: i18n.error(error) }), 'error');
+    }
+    replayStepping = false;
+    if (!replay) return null; // Exited meanwhile
+
+    if (step && step.frame.image) frameSource = step.frame.image;
+    updateReplayStatus();
+    return step;
+}
+
+/**
+ * Play the bundle at its recorded pace, or pause
+ */
+async function toggleReplayPlay() {
+    replayPlaying = !replayPlaying;
+    updateReplayStatus();
+
+    while (replayPlaying && replay && !replay.finished) {
+        const step = await stepReplay();
+        if (!step || !replay || replay.finished) break;
+
+        const next = replay.bundle.frames[replay.index];
+        const delay = Math.min(next.time - step.frame.time, 1000);
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, delay)));
+    }
+
+    replayPlaying = false;
+    if (replay) updateReplayStatus();
+}
+
+/**
+ * Leave replay and go back to the live camera or photo
+ */
+function stopReplay() {
+    replayPlaying = false;
+    replay.stop();
+    replay = null;
+
+    const canvas = document.getElementById('overlay-canvas');
+    canvas.width = liveView.width;
+    canvas.height = liveView.height;
+    frameSource = liveView.frameSource;
+    document.body.classList.remove('replay-mode');
+    document.getElementById('replay-bar').style.display = 'none';
+
+    core.setFrameSize(canvas);
+    core.setLens(liveView.lens);
+    if (core.autoDetect !== liveView.autoDetect) core.setAutoDetect(liveView.autoDetect);
+    core.setReference(liveView.reference); // Also resets
+    setDebugRecording(loadSetting(DEBUG_RECORDING_STORAGE_KEY) === 'on');
+    liveView = null;
+    addDebug(i18n.t('log.replayEnded'), 'info');
+}
+
+/**
+ * Frame counter, request and outcome of the replayed frame next to the recorded one
+ */
+function updateReplayStatus() {
+    const status = document.getElementById('replay-status');
+    document.getElementById('replay-play-btn').textContent = i18n.t(replayPlaying ? 'replay.pause' : 'replay.play');
+    document.getElementById('replay-step-btn').disabled = replay.finished;
+
+    const step = replay.current;
+    if (!step) {
+        status.textContent = i18n.t('replay.ready', { count: replay.frameCount });
+        return;
+    }
+
+    const found = (detection) => (detection ? '✓' : '✗');
+    const recorded = step.recorded ? found(step.recorded.detection) : '?';
+    status.textContent = [
+        i18n.t('replay.frame', {
+            index: step.index + 1,
+            total: replay.frameCount,
+            mode: step.request ? step.request.mode : i18n.t('replay.idle'),
+            found: found(step.detection),
+            recorded
+        }),
+        step.debug ? i18n.t('replay.candidates', { count: step.debug.candidates.length }) : null,
+        core.qualityIssue,
+        step.matches ? null : i18n.t('replay.differs')
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Handle the debug button, recorder toggle, bundle download and replay controls
+ */
+function setupDebug() {
+    debugRecorder.attach(core);
+    setDebugRecording(loadSetting(DEBUG_RECORDING_STORAGE_KEY) === 'on');
+
+    const panel = document.getElementById('debug-panel');
+    const input = document.getElementById('replay-input');
+    document.getElementById('debug-btn').addEventListener('click', showDebugPanel);
+    document.getElementById('debug-close-btn').addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+    document.getElementById('debug-record-btn').addEventListener('click', () => {
+        const enabled = !debugRecorder.enabled;
+        saveSetting(DEBUG_RECORDING_STORAGE_KEY, enabled ? 'on' : 'off');
+        setDebugRecording(enabled);
+        showDebugPanel();
+    });
+    document.getElementById('debug-download-btn').addEventListener('click', downloadDebugBundle);
+    document.getElementById('debug-replay-btn').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) startReplay(input.files[0]);
+        input.value = ''; // Allow picking the same file again
+    });
+
+    document.getElementById('replay-play-btn').addEventListener('click', toggleReplayPlay);
+    document.getElementById('replay-step-btn').addEventListener('click', () => {
+        replayPlaying = false;
+        stepReplay();
+    });
+    document.getElementById('replay-edges-btn').addEventListener('click', (e) => {
+        showEdges = !showEdges;
+        e.target.textContent = i18n.t(showEdges ? 'replay.edgesOn' : 'replay.edgesOff');
+    });
+    document.getElementById('replay-exit-btn').addEventListener('click', stopReplay);
+}
+
+/**
+ * Render the core's state and forward its results
+ */
+function setupCoreEvents() {
+    core.on('log', ({ key, params, level }) => {
+        const message = i18n.t(key, params);
+        addDebug(message, level);
+        if (level === 'error') announcer.cue('error', message);
+        // The six console lines rarely explain a failure: point to the recording
+        if (level === 'error' && debugRecorder.enabled && debugRecorder.frames.length > 0) {
+            addDebug(i18n.t('log.reportHint'), 'info');
+        }
+    });
+    core.on('change', updateInstructions);
+    // Fingertips are only needed once the card gives the scale
+    core.on('change', () => cardDetector.setHandDetection(core.isCardLocked()));
+
+    core.on('cardLocked', ({ pixelsPerMM, detection, tiltDegrees }) => {
+        embed.emit('cardLocked', {
+            pixelsPerMM,
+            reference: core.reference.id,
+            tiltDegrees,
+            corners: detection.corners.map(c => ({ x: c.x, y: c.y }))
+        });
+    });
+
+    core.on('measurement', ({ complete }) => emitMeasurement(complete));
+
+    // Key moments, for users who cannot watch the screen while holding the phone
+    core.on('cardLocked', () => {
+        announcer.cue('locked', capitalize(i18n.t('instructions.detected', { reference: Messages.referenceName(core.reference) })));
+    });
+    core.on('measurement', ({ measurement, sessionResult, complete }) => {
+        if (complete) {
+            announcer.cue('complete', i18n.t('instructions.allMeasured'));
+        } else if (measurement) {
+            announcer.cue('measured', measurementCueText(measurement.average, sessionResult));
+        }
+    });
+
+    // Calibrations are stored per camera
+    core.on('calibrated', ({ result }) => result.lens.save(camera.deviceId));
+}
+
+/**
+ * What a nail capture gave, e.g. "Measured 14.2 ± 0.12 mm - size 5"
+ * @param {Object} average - measurement.average of the capture
+ * @param {Object|null} sessionResult - Stored session nail, if the capture completed one
+ */
+function measurementCueText(average, sessionResult) {
+    if (sessionResult) return sessionResultText(sessionResult);
+    if (!average.accepted) return `${widthText(average)} · ${i18n.t('instructions.confirmNail')}`;
+
+    const size = sizeChart.sizeFor(average.widthMM);
+    return size ?
+        i18n.t('instructions.measuredSize', { width: widthText(average), size: size.size }) :
+        i18n.t('instructions.measured', { width: widthText(average) });
+}
+
+/**
+ * Pick the language (saved choice, host page option, then the browser's) and handle the language menu
+ */
+async function setupLanguage() {
+    const browserLanguages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    await i18n.load(i18n.detect([loadSetting(LANGUAGE_STORAGE_KEY), embed.options.lang, ...browserLanguages]));
+
+    const select = document.getElementById('language-select');
+    for (const [code, name] of Object.entries(i18n.LOCALES)) {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = i18n.locale;
+    select.addEventListener('change', async () => {
+        saveSetting(LANGUAGE_STORAGE_KEY, select.value);
+        select.value = await i18n.load(select.value);
+        applyLanguage();
+    });
+
+    applyLanguage();
+}
+
+/**
+ * Show everything in the current language
+ */
+function applyLanguage() {
+    i18n.translatePage();
+    announcer.setLanguage(i18n.locale);
+    fillReferenceSelect();
+    document.getElementById('auto-btn').textContent = i18n.t(core.autoDetect ? 'ui.autoOn' : 'ui.autoOff');
+    updateCueButtons();
+    announcedMoment = null; // Read the instructions again in the new language
+    updateInstructions();
+    if (camera) updateCameraControls();
+    if (document.getElementById('profiles-panel').style.display !== 'none') refreshProfiles();
+    document.getElementById('debug-record-btn').textContent =
+        i18n.t(debugRecorder.enabled ? 'debug.recordingOn' : 'debug.recordingOff');
+    document.getElementById('replay-edges-btn').textContent = i18n.t(showEdges ? 'replay.edgesOn' : 'replay.edgesOff');
+    if (replay) updateReplayStatus();
+}
+
+/**
+ * Handle the voice and vibration toggles (off until turned on, hidden where unsupported)
+ */
+function setupCues() {
+    const speechBtn = document.getElementById('speech-btn');
+    const hapticsBtn = document.getElementById('haptics-btn');
+
+    announcer.setSpeech(loadSetting(SPEECH_STORAGE_KEY) === 'on');
+    announcer.setHaptics(loadSetting(HAPTICS_STORAGE_KEY) === 'on');
+    speechBtn.style.display = announcer.canSpeak() ? 'block' : 'none';
+    hapticsBtn.style.display = announcer.canVibrate() ? 'block' : 'none';
+    updateCueButtons();
+
+    speechBtn.addEventListener('click', () => {
+        announcer.setSpeech(!announcer.speech);
+        saveSetting(SPEECH_STORAGE_KEY, announcer.speech ? 'on' : 'off');
+        updateCueButtons();
+    });
+    hapticsBtn.addEventListener('click', () => {
+        announcer.setHaptics(!announcer.haptics);
+        saveSetting(HAPTICS_STORAGE_KEY, announcer.haptics ? 'on' : 'off');
+        updateCueButtons();
+        if (announcer.haptics) navigator.vibrate(announcer.PATTERNS.measured); // Let the user feel it works
+    });
+}
+
+/**
+ * Label the voice and vibration toggles with their state
+ */
+function updateCueButtons() {
+    const speechBtn = document.getElementById('speech-btn');
+    const hapticsBtn = document.getElementById('haptics-btn');
+    speechBtn.textContent = i18n.t(announcer.speech ? 'ui.voiceOn' : 'ui.voiceOff');
+    speechBtn.setAttribute('aria-pressed', String(announcer.speech));
+    hapticsBtn.textContent = i18n.t(announcer.haptics ? 'ui.vibrationOn' : 'ui.vibrationOff');
+    hapticsBtn.setAttribute('aria-pressed', String(announcer.haptics));
+}
+
+/**
+ * Apply host page options and handle host commands when embedded
+ */
+function setupEmbed() {
+    document.body.classList.add(`theme-${embed.options.theme}`);
+    if (embed.options.precision) core.setMaxUncertainty(embed.options.precision);
+    if (!embed.embedded) return;
+
+    document.body.classList.add('embedded');
+    if (embed.options.debug) document.body.classList.add('embed-debug');
+    if (embed.options.reference && embed.options.reference !== core.reference.id) {
+        setReference(embed.options.reference);
+    }
+
+    const closeBtn = document.getElementById('embed-close-btn');
+    closeBtn.style.display = 'block';
+    closeBtn.addEventListener('click', () => {
+        camera.stop();
+        embed.emit('cancel', { reason: 'user' });
+    });
+
+    embed.on('reset', () => core.reset());
+    embed.on('setReference', ({ id }) => setReference(id));
+    embed.on('cancel', () => {
+        camera.stop();
+        embed.emit('cancel', { reason: 'host' });
+    });
+}
+
+/**
+ * Draw an auto-detect candidate: yellow outline, filling up as frames agree
+ */
+function drawCandidate(ctx, corners, progress) {
+    ctx.beginPath();
+    ctx.moveTo(corners[0].x, corners[0].y);
+    for (let i = 1; i < 4; i++) {
+        ctx.lineTo(corners[i].x, corners[i].y);
+    }
+    ctx.closePath();
+    ctx.fillStyle = `rgba(255, 193, 7, ${0.1 + 0.3 * progress})`;
+    ctx.fill();
+    ctx.setLineDash([10, 6]);
+    ctx.strokeStyle = '#FFC107';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Draw the detector's intermediate results for a replayed frame:
+ * edge map (optional), search region, tracked points (inliers green) and
+ * candidates with scores, the selected one in green
+ */
+function drawDebugInfo(ctx, debug) {
+    if (showEdges && debug.edges) {
+        ctx.globalAlpha = 0.7;
+        ctx.drawImage(debugBundle.edgeImage(debug.edges), 0, 0,
+            debug.edges.width * debug.levelScale, debug.edges.height * debug.levelScale);
+        ctx.globalAlpha = 1;
+    }
+
+    if (debug.region) {
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(debug.region.x, debug.region.y, debug.region.width, debug.region.height);
+        ctx.setLineDash([]);
+    }
+
+    for (const point of debug.points || []) {
+        ctx.fillStyle = point.inlier ? '#4CAF50' : '#E91E63';
+        ctx.fillRect(point.x - 2, point.y - 2, 4, 4);
+    }
+
+    ctx.font = 'bold 14px sans-serif';
+    for (const candidate of debug.candidates) {
+        const corners = candidate.corners;
+        const color = candidate.selected ? '#4CAF50' : '#E91E63';
+        ctx.beginPath();
+        ctx.moveTo(corners[0].x, corners[0].y);
+        for (let i = 1; i < corners.length; i++) {
+            ctx.lineTo(corners[i].x, corners[i].y);
+        }
+        ctx.closePath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        const label = candidate.score !== null ? candidate.score.toFixed(2) :
+            candidate.markerId !== null ? `#${candidate.markerId}` : '';
+        ctx.fillStyle = color;
+        ctx.fillText(label, corners[0].x + 4, corners[0].y - 6);
+    }
+}
+
+/**
+ * Draw the calibration grid, with regions the card has visited in green
+ */
+function drawCalibrationGrid(ctx) {
+    const size = core.lensCalibration.GRID_SIZE;
+    const cellWidth = ctx.canvas.width / size;
+    const cellHeight = ctx.canvas.height / size;
+
+    for (let cell = 0; cell < size * size; cell++) {
+        const x = (cell % size) * cellWidth;
+        const y = Math.floor(cell / size) * cellHeight;
+        if (core.lensCalibration.coveredCells.has(cell)) {
+            ctx.fillStyle = 'rgba(76, 175, 80, 0.25)';
+            ctx.fillRect(x, y, cellWidth, cellHeight);
+        }
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, cellWidth, cellHeight);
+    }
+}
+
+/**
+ * Draw overlay based on state
+ */
+function drawOverlay(ctx) {
+    // Clear canvas
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    // Draw current frame (video or photo)
+    if (!frameSource) return;
+    ctx.drawImage(frameSource, 0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    // Draw based on current state
+    switch (core.state) {
+        case STATE.WAITING:
+            // Show auto-detect candidate while frames agree
+            if (core.autoDetect && cardDetector.lastDetection && core.cardConsensus.candidates.length > 0) {
+                drawCandidate(ctx, cardDetector.lastDetection.corners, core.cardConsensus.progress);
+            }
+            break;
+
+        case STATE.DETECTING:
+            // Show tap point and search region (simple)
+            if (core.tapPoint) {
+                // Draw search region border (yellow box)
+                const searchRegion = core.getSearchRegion(core.tapPoint);
+                ctx.strokeStyle = '#FFC107';
+                ctx.lineWidth = 3;
+                ctx.strokeRect(searchRegion.x, searchRegion.y, searchRegion.width, searchRegion.height);
+                
+                // Draw tap point as yellow dot
+                ctx.beginPath();
+                ctx.arc(core.tapPoint.x, core.tapPoint.y, 12, 0, 2 * Math.PI);
+                ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
+                ctx.fill();
+                ctx.strokeStyle = 'white';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+            // Show detected card if available
+            if (cardDetector.lastDetection) {
+                cardDetector.drawOverlay(ctx, cardDetector.lastDetection);
+            }
+            break;
+
+        case STATE.CALIBRATING:
+            drawCalibrationGrid(ctx);
+            if (cardDetector.lastDetection) {
+                cardDetector.drawOverlay(ctx, cardDetector.lastDetection);
+            }
+            break;
+
+        case STATE.LOCKED:
+        case STATE.MEASURING:
+            // Show detected card overlay
+            if (cardDetector.lastDetection) {
+                cardDetector.drawOverlay(ctx, cardDetector.lastDetection);
+            }
+            // Show fingertips and DIP joints
+            if (cardDetector.lastHands) {
+                cardDetector.drawHands(ctx, cardDetector.lastHands);
+            }
+            // Show last nail measurement: plate outline under the shadow edges
+            if (core.lastNailMeasurement) {
+                core.nailSegmenter.drawOverlay(ctx, core.lastNailMeasurement.plate);
+                core.nailDetector.drawOverlay(ctx, core.lastNailMeasurement);
+            }
+            break;
+    }
+
+    // Replay: what the detector saw in this frame (as recorded if it returned nothing new)
+    if (replay && replay.current) {
+        const debug = replay.current.debug || (replay.current.recorded && replay.current.recorded.debug);
+        if (debug) drawDebugInfo(ctx, debug);
+    }
+}
+
+/**
+ * Start (or restart) the live camera as frame source
+ */
+async function startCamera() {
+    const video = document.getElementById('video');
+    const canvas = document.getElementById('overlay-canvas');
+
+    addDebug(i18n.t('log.cameraStarting'), 'info');
+    await camera.initialize(video, canvas);
+
+    if (photoSource) photoSource.stop();
+    frameSource = video;
+    video.style.display = '';
+    document.body.classList.remove('photo-mode');
+    document.getElementById('camera-btn').style.display = 'none';
+    addDebug(i18n.t('log.cameraReady', { width: video.videoWidth, height: video.videoHeight }), 'success');
+    core.setFrameSize(canvas);
+    loadLensModel();
+    await updateCameraControls();
+}
+
+/**
+ * Show device picker, torch and zoom for the active camera
+ */
+async function updateCameraControls() {
+    const controls = document.getElementById('camera-controls');
+    const select = document.getElementById('camera-select');
+    const torchBtn = document.getElementById('torch-btn');
+    const zoomControl = document.getElementById('zoom-control');
+    const zoomRange = document.getElementById('zoom-range');
+
+    if (!camera.stream) {
+        controls.style.display = 'none';
+        return;
+    }
+
+    // Device picker (only useful with more than one camera)
+    const devices = await camera.listDevices();
+    select.innerHTML = '';
+    for (const device of devices) {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label || i18n.t('ui.cameraNumber', { number: device.number });
+        select.appendChild(option);
+    }
+    select.value = camera.deviceId || '';
+    select.style.display = devices.length > 1 ? '' : 'none';
+
+    // Torch and zoom, if the track supports them
+    const capabilities = camera.getCapabilities();
+    const settings = camera.getSettings();
+
+    torchBtn.style.display = capabilities.torch ? 'block' : 'none';
+    torchBtn.textContent = i18n.t(settings.torch ? 'ui.lightOn' : 'ui.lightOff');
+
+    if (capabilities.zoom) {
+        zoomRange.min = capabilities.zoom.min;
+        zoomRange.max = capabilities.zoom.max;
+        zoomRange.step = capabilities.zoom.step;
+        zoomRange.value = settings.zoom || capabilities.zoom.min;
+        zoomControl.style.display = 'block';
+    } else {
+        zoomControl.style.display = 'none';
+    }
+
+    controls.style.display = 'block';
+}
+
+/**
+ * Handle the camera picker, torch button and zoom slider
+ */
+function setupCameraControls() {
+    document.getElementById('camera-select').addEventListener('change', async (e) => {
+        try {
+            addDebug(i18n.t('log.cameraSwitching'), 'info');
+            await camera.switchDevice(e.target.value);
+            addDebug(i18n.t('log.cameraSwitched', { width: camera.video.videoWidth, height: camera.video.videoHeight }), 'success');
+            core.setFrameSize(document.getElementById('overlay-canvas'));
+            loadLensModel();
+            core.reset();
+        } catch (error) {
+            addDebug(i18n.t('log.error', { message: i18n.error(error) }), 'error');
+        }
+        await updateCameraControls();
+    });
+
+    document.getElementById('calibrate-btn').addEventListener('click', toggleCalibration);
+
+    document.getElementById('torch-btn').addEventListener('click', async () => {
+        const on = !camera.getSettings().torch;
+        if (!await camera.setTorch(on)) {
+            addDebug(i18n.t('log.lightFailed'), 'warning');
+        }
+        await updateCameraControls();
+    });
+
+    document.getElementById('zoom-range').addEventListener('input', (e) => {
+        // Scale changes with zoom: the locked card no longer matches
+        if (core.isCardLocked()) core.reset();
+        const zoom = parseFloat(e.target.value);
+        camera.setZoom(zoom);
+
+        // Lens calibration only holds at the zoom it was made at (the widest)
+        const canvas = document.getElementById('overlay-canvas');
+        core.setLens(zoom === parseFloat(e.target.min) ?
+            LensModel.load(camera.deviceId, { width: canvas.width, height: canvas.height }) :
+            null);
+    });
+}
+
+/**
+ * Switch to a still photo as frame source
+ */
+async function loadPhoto(file) {
+    const canvas = document.getElementById('overlay-canvas');
+
+    try {
+        await photoSource.load(file, canvas);
+    } catch (error) {
+        addDebug(i18n.t('log.error', { message: i18n.error(error) }), 'error');
+        return;
+    }
+
+    camera.stop();
+    updateCameraControls();
+    core.setLens(null); // Unknown camera
+    core.setFrameSize(canvas);
+    frameSource = photoSource.image;
+    document.getElementById('video').style.display = 'none';
+    document.body.classList.add('photo-mode');
+    document.getElementById('camera-btn').style.display = 'inline-block';
+    core.reset();
+    addDebug(i18n.t('log.photoLoaded', { file: photoSource.fileName, width: canvas.width, height: canvas.height }), 'success');
+}
+
+/**
+ * Handle the photo button, file input and drag & drop
+ */
+function setupPhotoInput() {
+    const input = document.getElementById('photo-input');
+    const dropHint = document.getElementById('drop-hint');
+
+    document.getElementById('photo-btn').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) loadPhoto(input.files[0]);
+        input.value = ''; // Allow picking the same file again
+    });
+
+    document.getElementById('camera-btn').addEventListener('click', async () => {
+        try {
+            await startCamera();
+            core.reset();
+        } catch (error) {
+            addDebug(i18n.t('log.error', { message: i18n.error(error) }), 'error');
+        }
+    });
+
+    document.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropHint.style.display = 'flex';
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) dropHint.style.display = 'none';
+    });
+    document.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropHint.style.display = 'none';
+        if (e.dataTransfer.files.length > 0) loadPhoto(e.dataTransfer.files[0]);
+    });
+}
+
+/**
+ * Log detection rate and timing to the debug console every few seconds
+ */
+function logDetectionStats() {
+    const now = performance.now();
+    if (now - lastStatsLogTime < STATS_LOG_INTERVAL_MS) return;
+
+    const stats = cardDetector.getStats();
+    const frames = stats.framesProcessed - lastStatsFrames;
+    const elapsed = now - lastStatsLogTime;
+    lastStatsLogTime = now;
+    lastStatsFrames = stats.framesProcessed;
+
+    if (frames === 0 || !stats.detector) return;
+
+    const fps = frames * 1000 / elapsed;
+    addDebug(
+        `⏱ ${fps.toFixed(1)} fps (target ${stats.targetFps.toFixed(0)}), ` +
+        `${stats.avgTimeMs.toFixed(0)} ms/frame at ${stats.detector.processingWidth}px (level ${stats.detector.level})`,
+        'info'
+    );
+}
+
+/**
+ * Initialize and run app
+ */
+async function init() {
+    try {
+        // Text in the user's language from the first message on
+        setupCues();
+        await setupLanguage();
+
+        // Start detection worker (loads OpenCV off the main thread)
+        addDebug(i18n.t('log.loadingOpenCv'), 'info');
+        cardDetector.setReference(core.reference);
+        try {
+            const mode = await cardDetector.initialize();
+            addDebug(i18n.t(mode === 'worker' ? 'log.openCvWorker' : 'log.openCvMainThread'), 'success');
+        } catch (loadError) {
+            showFatalError('error.openCv', 'error.openCvDetail', 'opencv-unavailable');
+            throw loadError;
+        }
+        
+        camera = new Camera();
+        photoSource = new PhotoSource();
+
+        const canvas = document.getElementById('overlay-canvas');
+        const ctx = canvas.getContext('2d', {
+            willReadFrequently: true
+        });
+
+        // Redraw instructions and forward results whenever the core changes
+        setupCoreEvents();
+
+        // Photo upload works with or without a camera
+        setupPhotoInput();
+        setupReferenceSelect();
+        setupCameraControls();
+        setupExport();
+        setupProfiles();
+        setupDebug();
+        setupEmbed();
+
+        // Enable canvas interactions
+        canvas.style.pointerEvents = 'auto';
+
+        // Listen for taps (touch and click)
+        canvas.addEventListener('click', handleTap);
+        canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            handleTap(e);
+        });
+
+        // Reset button
+        document.getElementById('reset-btn').addEventListener('click', () => core.reset());
+        document.getElementById('auto-btn').addEventListener('click', toggleAutoDetect);
+
+        // Measurement session buttons
+        document.getElementById('measure-btn').addEventListener('click', () => core.startSession());
+        document.getElementById('skip-btn').addEventListener('click', () => core.skipFinger());
+        document.getElementById('back-btn').addEventListener('click', () => core.previousFinger());
+        document.getElementById('restart-btn').addEventListener('click', () => core.reset());
+
+        // Detection results arrive asynchronously from the worker
+        cardDetector.onResult = (detection, context, debug) => {
+            debugRecorder.recordResult(context.recordId, {
+                detection,
+                debug,
+                stable: cardDetector.stable,
+                timeMs: cardDetector.lastTimeMs,
+                quality: cardDetector.lastQuality,
+                trackLoss: cardDetector.trackLoss,
+                hands: cardDetector.lastHands
+            });
+            core.handleDetection(detection, context.request);
+        };
+        cardDetector.onError = (error, context) => {
+            if (context) debugRecorder.recordResult(context.recordId, { detection: null, error });
+            core.handleDetectionError(error, context ? context.request : null);
+        };
+
+        // Main loop: render at full rate, detection runs at its own rate
+        const processFrame = () => {
+            // Nothing to process until camera or photo is ready
+            if (!frameSource) {
+                requestAnimationFrame(processFrame);
+                return;
+            }
+
+            try {
+                // Offer this frame to the detector (dropped while it is busy)
+                // While replaying, DebugReplay feeds the recorded frames instead
+                const request = replay ? null : core.getDetectionRequest();
+                if (request) {
+                    submitFrame(request);
+                    logDetectionStats();
+                }
+
+                // Tap detection times out even if no results come back
+                if (!replay) core.tick();
+                
+                // Draw overlay
+                drawOverlay(ctx);
+                
+            } catch (error) {
+                console.error('Frame processing error:', error);
+                addDebug(i18n.t('log.processingError'), 'error');
+            }
+            
+            requestAnimationFrame(processFrame);
+        };
+        
+        processFrame();
+
+        // Initialize camera (fall back to photo upload if unavailable)
+        try {
+            await startCamera();
+            addDebug(i18n.t('log.ready', { reference: Messages.referenceName(core.reference) }), 'info');
+        } catch (cameraError) {
+            console.error('Camera error:', cameraError);
+            addDebug(i18n.t('log.error', { message: i18n.error(cameraError) }), 'error');
+            if (cameraError.message.includes('Permission') || cameraError.message.includes('permission')) {
+                addDebug(i18n.t('log.cameraDenied'), 'error');
+            } else if (!window.isSecureContext) {
+                addDebug(i18n.t('log.needsHttps'), 'error');
+            }
+            showFatalError('error.camera', 'error.cameraDetail', 'camera-unavailable');
+        }
+
+        embed.emit('ready', {
+            reference: core.reference.id,
+            source: frameSource ? 'camera' : 'photo', // Photo upload only without a camera
+            theme: embed.options.theme,
+            lang: i18n.locale
+        });
+
+    } catch (error) {
+        console.error('Initialization error:', error);
+        addDebug(i18n.t('log.initError', { message: i18n.error(error) }), 'error');
+    }
+}
+
+// Offline support (service workers need HTTPS or localhost)
+if ('serviceWorker' in navigator && window.isSecureContext) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+// Start app when page loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
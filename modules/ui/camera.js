@@ -0,0 +1,317 @@
+/**
+ * Camera Module
+ * Handles camera initialization and management, device selection
+ * (remembered across sessions) and track capabilities such as torch and zoom
+ */
+
+import { Messages } from '../core/messages.js';
+
+class Camera {
+    constructor() {
+        // Remembered device choice
+        this.STORAGE_KEY = 'sizekit.camera.deviceId';
+
+        // Ask for the largest frame the camera offers; the browser picks the closest mode
+        this.MAX_WIDTH = 4096;
+        this.MAX_HEIGHT = 2160;
+
+        this.stream = null;
+        this.video = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.track = null;
+        this.deviceId = null;
+    }
+
+    /**
+     * List available cameras
+     * Labels are empty until camera permission has been granted
+     * @returns {Promise<Array<Object>>} [{deviceId, label, number}] - number counts from 1, to name unlabelled cameras
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label,
+                number: index + 1
+            }));
+    }
+
+    /**
+     * Initialize camera with video element
+     * @param {HTMLVideoElement} videoElement - The video element to use
+     * @param {HTMLCanvasElement} canvasElement - Optional canvas for drawing
+     * @param {string} deviceId - Optional camera to use (defaults to the remembered choice)
+     * @returns {Promise} Resolves when camera is ready
+     */
+    async initialize(videoElement, canvasElement = null, deviceId = this.getSavedDeviceId()) {
+        this.video = videoElement;
+        this.stop();
+        
+        try {
+            console.log('Starting camera initialization...');
+
+            // Basic setup
+            this.video.setAttribute('autoplay', '');
+            this.video.setAttribute('muted', '');
+            this.video.setAttribute('playsinline', '');
+
+            const resolution = {
+                width: { ideal: this.MAX_WIDTH },
+                height: { ideal: this.MAX_HEIGHT }
+            };
+
+            // Try different camera configurations
+            const constraints = [
+                // Try 1: Basic environment camera at the highest resolution
+                {
+                    video: { facingMode: 'environment', ...resolution }
+                },
+                // Try 2: Basic environment camera
+                {
+                    video: { facingMode: 'environment' }
+                },
+                // Try 3: Fallback to any camera
+                {
+                    video: true
+                }
+            ];
+
+            // Chosen camera first (may have been unplugged since it was saved)
+            if (deviceId) {
+                constraints.unshift({
+                    video: { deviceId: { exact: deviceId }, ...resolution }
+                });
+            }
+
+            let stream = null;
+            let error = null;
+
+            // Try each constraint until one works
+            for (const constraint of constraints) {
+                try {
+                    stream = await navigator.mediaDevices.getUserMedia(constraint);
+                    console.log('Camera access granted with constraint:', constraint);
+                    break;
+                } catch (e) {
+                    error = e;
+                    console.log('Failed with constraint:', constraint, e);
+                    continue;
+                }
+            }
+
+            if (!stream) {
+                throw error || new Error('Could not initialize camera with any configuration');
+            }
+
+            this.stream = stream;
+            this.track = stream.getVideoTracks()[0];
+            this.deviceId = this.track.getSettings().deviceId || deviceId || null;
+            this.video.srcObject = stream;
+
+            // Keep the image sharp at close range where supported
+            const capabilities = this.getCapabilities();
+            if (capabilities.focusModes.includes('continuous')) {
+                await this.setFocusMode('continuous');
+            }
+
+            // Wait for video to be ready
+            await new Promise((resolve, reject) => {
+                const timeoutId = setTimeout(() => {
+                    reject(new Error('Video element setup timeout'));
+                }, 3000);
+
+                const handleError = (e) => {
+                    clearTimeout(timeoutId);
+                    reject(new Error(`Video setup error: ${e.message}`));
+                };
+
+                this.video.onerror = handleError;
+
+                this.video.onloadedmetadata = async () => {
+                    try {
+                        clearTimeout(timeoutId);
+                        await this.video.play();
+                        
+                        if (canvasElement) {
+                            this.canvas = canvasElement;
+                            this.ctx = canvasElement.getContext('2d');
+                            this.canvas.width = this.video.videoWidth;
+                            this.canvas.height = this.video.videoHeight;
+                        }
+                        
+                        // Double check video is actually playing
+                        if (this.video.readyState >= 2) {
+                            console.log('Video setup complete:', {
+                                width: this.video.videoWidth,
+                                height: this.video.videoHeight,
+                                readyState: this.video.readyState,
+                                device: this.track.label
+                            });
+                            resolve();
+                        } else {
+                            reject(new Error('Video not ready after setup'));
+                        }
+                    } catch (e) {
+                        handleError(e);
+                    }
+                };
+            });
+
+            return true;
+
+        } catch (error) {
+            console.error('Camera initialization error:', error);
+            throw Messages.error('error.cameraAccess', { message: error.message });
+        }
+    }
+
+    /**
+     * Restart the camera with another device and remember the choice
+     * @param {string} deviceId - Device from listDevices()
+     * @returns {Promise} Resolves when camera is ready
+     */
+    async switchDevice(deviceId) {
+        if (!this.video) {
+            throw new Error('Camera not initialized');
+        }
+
+        await this.initialize(this.video, this.canvas, deviceId);
+        this.saveDeviceId(this.deviceId);
+    }
+
+    /**
+     * Camera chosen in an earlier session
+     * @returns {string|null} Device ID, or null if none was saved
+     */
+    getSavedDeviceId() {
+        try {
+            return localStorage.getItem(this.STORAGE_KEY);
+        } catch (e) {
+            return null; // Storage disabled (e.g. private mode)
+        }
+    }
+
+    /**
+     * Remember a camera for later sessions
+     * @param {string} deviceId - Device ID, or null to forget
+     */
+    saveDeviceId(deviceId) {
+        try {
+            if (deviceId) {
+                localStorage.setItem(this.STORAGE_KEY, deviceId);
+            } else {
+                localStorage.removeItem(this.STORAGE_KEY);
+            }
+        } catch (e) {
+            console.log('Could not save camera choice:', e);
+        }
+    }
+
+    /**
+     * Features of the active track that the UI can offer
+     * @returns {Object} {torch, zoom: {min, max, step}|null, focusModes, width: {min, max}|null, height: {min, max}|null}
+     */
+    getCapabilities() {
+        const raw = this.track && this.track.getCapabilities ? this.track.getCapabilities() : {};
+
+        return {
+            torch: !!raw.torch,
+            zoom: raw.zoom ? { min: raw.zoom.min, max: raw.zoom.max, step: raw.zoom.step || 0.1 } : null,
+            focusModes: raw.focusMode || [],
+            width: raw.width || null,
+            height: raw.height || null
+        };
+    }
+
+    /**
+     * Current track settings (resolution, zoom, torch, ...)
+     * @returns {Object} MediaTrackSettings, or an empty object when stopped
+     */
+    getSettings() {
+        return this.track ? this.track.getSettings() : {};
+    }
+
+    /**
+     * Switch the flash light on or off
+     * @param {boolean} on - Torch state
+     * @returns {Promise<boolean>} True if the torch was set
+     */
+    async setTorch(on) {
+        if (!this.getCapabilities().torch) return false;
+        return this._applyAdvanced({ torch: !!on });
+    }
+
+    /**
+     * Set optical/digital zoom within the capability range
+     * @param {number} zoom - Zoom factor
+     * @returns {Promise<boolean>} True if the zoom was set
+     */
+    async setZoom(zoom) {
+        const range = this.getCapabilities().zoom;
+        if (!range) return false;
+        return this._applyAdvanced({ zoom: Math.min(range.max, Math.max(range.min, zoom)) });
+    }
+
+    /**
+     * Set focus mode ('continuous', 'single-shot', 'manual')
+     * @param {string} mode - One of getCapabilities().focusModes
+     * @returns {Promise<boolean>} True if the mode was set
+     */
+    async setFocusMode(mode) {
+        if (!this.getCapabilities().focusModes.includes(mode)) return false;
+        return this._applyAdvanced({ focusMode: mode });
+    }
+
+    /**
+     * Stop camera stream
+     */
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.track = null;
+    }
+
+    /**
+     * Capture current frame
+     * @returns {string} Data URL of captured frame
+     */
+    captureFrame() {
+        if (!this.video) {
+            throw new Error('Camera not initialized');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.video.videoWidth;
+        canvas.height = this.video.videoHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.video, 0, 0);
+        return canvas.toDataURL('image/jpeg', 0.95);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Apply a single advanced constraint to the active track
+     * @private
+     */
+    async _applyAdvanced(constraint) {
+        try {
+            await this.track.applyConstraints({ advanced: [constraint] });
+            return true;
+        } catch (e) {
+            console.log('Camera constraint not applied:', constraint, e);
+            return false;
+        }
+    }
+}
+
+export { Camera };
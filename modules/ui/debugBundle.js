@@ -0,0 +1,166 @@
+/**
+ * DebugBundle - DebugRecorder bundles as downloadable files and back
+ * The file is one JSON document: frames are embedded as JPEG data URLs and
+ * CardDetector edge maps as PNG data URLs, so a customer can send a single
+ * attachment. Loading decodes them to ImageBitmaps for DebugReplay and drawing.
+ */
+
+import { Messages } from '../core/messages.js';
+
+class DebugBundle {
+    constructor() {
+        this.JPEG_QUALITY = 0.85; // Frames: close enough to the original for detection to behave the same
+        this.MAX_FRAME_SIDE = 1280; // Longer side of a stored frame; replay scales it back to detection size
+        this.FILE_PREFIX = 'sizekit-debug';
+
+        this.captureCanvas = null;
+        this.edgeCanvas = null;
+        this.edgeCanvasSource = null; // Edge map currently drawn on edgeCanvas
+    }
+
+    /**
+     * Snapshot of the frame being sent to the detector, at detection size or at most MAX_FRAME_SIDE
+     * @param {CanvasImageSource} source - Video element, image or canvas
+     * @param {number} width - Frame width (detection coordinates)
+     * @param {number} height - Frame height (detection coordinates)
+     * @returns {Promise<Blob>} JPEG
+     */
+    captureFrame(source, width, height) {
+        if (!this.captureCanvas) this.captureCanvas = document.createElement('canvas');
+        const canvas = this.captureCanvas;
+        const scale = Math.min(1, this.MAX_FRAME_SIDE / Math.max(width, height));
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        // toBlob copies the pixels right away, so the canvas can be reused for the next frame
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Frame capture failed'))),
+                'image/jpeg', this.JPEG_QUALITY);
+        });
+    }
+
+    /**
+     * Drawable image of an edge map (white edges on transparent)
+     * @param {Object} edges - {width, height, data} from CardDetector.getDebugInfo(), or {image} once loaded
+     * @returns {CanvasImageSource} Reused canvas unless the edges were loaded from a file
+     */
+    edgeImage(edges) {
+        if (edges.image) return edges.image;
+        if (edges === this.edgeCanvasSource) return this.edgeCanvas; // Drawn every animation frame
+
+        if (!this.edgeCanvas) this.edgeCanvas = document.createElement('canvas');
+        const canvas = this.edgeCanvas;
+        this.edgeCanvasSource = edges;
+        canvas.width = edges.width;
+        canvas.height = edges.height;
+
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(edges.width, edges.height);
+        for (let i = 0; i < edges.data.length; i++) {
+            imageData.data[i * 4] = 255;
+            imageData.data[i * 4 + 1] = 255;
+            imageData.data[i * 4 + 2] = 255;
+            imageData.data[i * 4 + 3] = edges.data[i];
+        }
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Bundle as a JSON file
+     * @param {Object} bundle - From DebugRecorder.toBundle() (frame images as Blobs, or Promises of them)
+     * @returns {Promise<Blob>}
+     */
+    async toBlob(bundle) {
+        const frames = [];
+        for (const frame of bundle.frames) {
+            const result = frame.result && frame.result.debug ?
+                { ...frame.result, debug: await this._encodeDebug(frame.result.debug) } :
+                frame.result;
+            const image = await frame.image;
+            frames.push({ ...frame, image: image ? await this._toDataUrl(image) : null, result });
+        }
+
+        return new Blob([JSON.stringify({ ...bundle, frames })], { type: 'application/json' });
+    }
+
+    /**
+     * Read a bundle file for replay
+     * @param {File} file - File saved by toBlob()
+     * @returns {Promise<Object>} Bundle with frame images and edge maps as ImageBitmaps
+     * @throws {Error} If the file is not a SizeKit debug bundle
+     */
+    async load(file) {
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            throw Messages.error('error.notDebugBundle', { file: file.name });
+        }
+        if (!bundle || bundle.format !== 'sizekit-debug') {
+            throw Messages.error('error.notDebugBundle', { file: file.name });
+        }
+
+        for (const frame of bundle.frames || []) {
+            if (frame.image) frame.image = await this._decode(frame.image);
+            const debug = frame.result && frame.result.debug;
+            if (debug && debug.edges && debug.edges.png) {
+                debug.edges = { width: debug.edges.width, height: debug.edges.height, image: await this._decode(debug.edges.png) };
+            }
+        }
+
+        return bundle;
+    }
+
+    /**
+     * File name for a bundle
+     * @param {Object} bundle - {createdAt}
+     * @returns {string} e.g. sizekit-debug-2024-05-01T10-20-30.json
+     */
+    fileName(bundle) {
+        const stamp = bundle.createdAt.replace(/\.\d+Z$/, '').replace(/:/g, '-');
+        return `${this.FILE_PREFIX}-${stamp}.json`;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Debug info with the edge map as a PNG data URL
+     * @private
+     */
+    async _encodeDebug(debug) {
+        if (!debug.edges || !debug.edges.data) return debug;
+
+        const canvas = this.edgeImage(debug.edges);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return {
+            ...debug,
+            edges: { width: debug.edges.width, height: debug.edges.height, png: await this._toDataUrl(blob) }
+        };
+    }
+
+    /**
+     * Blob as a data URL
+     * @private
+     */
+    _toDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Data URL as an ImageBitmap
+     * @private
+     */
+    async _decode(dataUrl) {
+        const blob = await (await fetch(dataUrl)).blob();
+        return createImageBitmap(blob);
+    }
+}
+
+export { DebugBundle };
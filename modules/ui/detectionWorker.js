@@ -0,0 +1,137 @@
+/**
+ * Detection Worker
+ * Runs OpenCV and CardDetector off the main thread. Frames arrive as
+ * transferred ImageBitmaps and are read back through an OffscreenCanvas.
+ * While hand detection is on, HandLandmarker runs on the same frames.
+ * Its model is a local file: without it, hands are simply not reported.
+ * A classic worker: OpenCV.js needs importScripts, which module workers lack,
+ * so the core ES modules are loaded with a dynamic import() instead.
+ *
+ * Messages in:  init, detect {frameId, frame, guideRegion}, reference {reference}, lock {detection}, unlock, reset,
+ *               debug {enabled}, hands {enabled}
+ * Messages out: ready {hands}, result {frameId, detection, stable, timeMs, stats, debug, quality, trackLoss, hands},
+ *               error {message}
+ */
+
+importScripts('../../vendor/opencv/opencv.js');
+
+let CardDetector = null;
+let HandLandmarker = null;
+let detector = null;
+let landmarker = null;
+let handDetection = false;
+let canvas = null;
+let ctx = null;
+
+/**
+ * Wait for the OpenCV WASM runtime
+ */
+function waitForOpenCv() {
+    return new Promise((resolve) => {
+        if (cv.Mat) {
+            resolve();
+        } else {
+            cv.onRuntimeInitialized = resolve;
+        }
+    });
+}
+
+/**
+ * Read an ImageBitmap back as ImageData
+ */
+function bitmapToImageData(bitmap) {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+/**
+ * Load the hand model, or leave hand detection unavailable
+ */
+async function loadLandmarker() {
+    try {
+        ({ HandLandmarker } = await import('../core/handLandmarker.js'));
+        const response = await fetch('../../models/hand-landmarks.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return HandLandmarker.fromJSON(await response.json());
+    } catch (error) {
+        console.warn('Hand model not loaded, no hand detection:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Detection results cross the thread boundary by structured clone: keep plain data only
+ */
+function serializeDetection(detection) {
+    return detection ? JSON.parse(JSON.stringify(detection)) : null;
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                await waitForOpenCv();
+                ({ CardDetector } = await import('../core/cardDetector.js'));
+                detector = new CardDetector();
+                landmarker = await loadLandmarker();
+                self.postMessage({ type: 'ready', hands: landmarker !== null });
+                break;
+
+            case 'detect': {
+                const start = performance.now();
+                const imageData = bitmapToImageData(message.frame);
+                message.frame.close();
+
+                const detection = detector.detectCard(imageData, message.guideRegion);
+                const debug = detector.getDebugInfo();
+                const hands = handDetection && landmarker ? landmarker.detect(imageData) : null;
+                self.postMessage({
+                    type: 'result',
+                    frameId: message.frameId,
+                    detection: serializeDetection(detection),
+                    stable: detector.isStable(),
+                    timeMs: performance.now() - start,
+                    stats: detector.getStats(),
+                    debug: debug,
+                    quality: detector.lastQuality,
+                    trackLoss: detector.trackLoss,
+                    hands
+                }, debug && debug.edges ? [debug.edges.data.buffer] : []);
+                break;
+            }
+
+            case 'debug':
+                detector.setDebugCapture(message.enabled);
+                break;
+
+            case 'hands':
+                handDetection = message.enabled;
+                break;
+
+            case 'reference':
+                detector.setReference(message.reference);
+                break;
+
+            case 'lock':
+                detector.lock(message.detection);
+                break;
+
+            case 'unlock':
+                detector.unlock();
+                break;
+
+            case 'reset':
+                detector.reset();
+                break;
+        }
+    } catch (error) {
+        if (message.frame) message.frame.close();
+        self.postMessage({ type: 'error', frameId: message.frameId, message: error.message });
+    }
+};
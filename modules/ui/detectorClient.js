@@ -0,0 +1,505 @@
+/**
+ * DetectorClient - Main-thread handle to CardDetector running in a Web Worker
+ * Sends frames as transferred ImageBitmaps and delivers results asynchronously.
+ * Only one frame is in flight at a time: frames offered while the worker is
+ * busy are dropped, so results are never stale by more than one frame.
+ * Falls back to running CardDetector on the main thread when workers,
+ * OffscreenCanvas or createImageBitmap are unavailable.
+ * Hand landmarks (HandLandmarker) come with the results while hand detection is on.
+ * The processing rate adapts to the measured detection time, so slow devices
+ * skip frames instead of falling behind or starving the render loop.
+ */
+
+import { CardDetector } from '../core/cardDetector.js';
+import { HandLandmarker } from '../core/handLandmarker.js';
+
+class DetectorClient {
+    /**
+     * @param {string} workerUrl - URL of detectionWorker.js
+     * @param {string} openCvUrl - URL of opencv.js for the main-thread fallback
+     * @param {string} handModelUrl - URL of the hand model for the main-thread fallback
+     */
+    constructor(workerUrl = new URL('./detectionWorker.js', import.meta.url).href,
+                openCvUrl = new URL('../../vendor/opencv/opencv.js', import.meta.url).href,
+                handModelUrl = new URL('../../models/hand-landmarks.json', import.meta.url).href) {
+        this.WORKER_READY_TIMEOUT_MS = 20000;
+        this.OPENCV_LOAD_TIMEOUT_MS = 20000;
+
+        // Adaptive processing rate
+        this.MAX_FPS = 30;
+        this.MIN_FPS = 2;
+        // Share of time the detector may be busy: the main thread must keep rendering
+        this.DUTY_CYCLE = { worker: 0.8, main: 0.4 };
+        this.TIME_SMOOTHING = 0.2; // Weight of the newest frame in the moving average
+
+        this.workerUrl = workerUrl;
+        this.openCvUrl = openCvUrl;
+        this.handModelUrl = handModelUrl;
+        this.worker = null;
+        this.mode = null; // 'worker' or 'main'
+        this.busy = false;
+        this.frameId = 0;
+        this.generation = 0; // Bumped on lock/unlock/reset so in-flight results can be dropped
+        this.pending = null;
+        this.debugCapture = false;
+        this.handDetection = false;
+        this.handsAvailable = false; // Hand model loaded
+
+        // Mirrors CardDetector state for the UI
+        this.lastDetection = null;
+        this.lastQuality = null; // FrameQuality.analyze() of the last searched frame
+        this.trackLoss = null; // Why the detector gave up its lock on the last frame, see CardDetector
+        this.lastHands = null; // HandLandmarker.detect() of the last frame, null while hand detection is off
+        this.stable = false;
+        this.lastTimeMs = null;
+
+        // Timing stats
+        this.avgTimeMs = null;
+        this.lastSubmitTime = 0;
+        this.framesSubmitted = 0;
+        this.framesProcessed = 0;
+        this.framesSkipped = 0; // Busy or above the target rate
+        this.staleResults = 0;
+        this.detectorStats = null;
+
+        // Used for drawing and for the main-thread fallback
+        this.detector = new CardDetector();
+        this.landmarker = new HandLandmarker(); // Model only loaded for the fallback
+        this.fallbackCanvas = null;
+        this.fallbackCtx = null;
+    }
+
+    /**
+     * Start the worker (or fall back to the main thread)
+     * OpenCV is only loaded on the main thread when the fallback is needed
+     * @returns {Promise<string>} Resolves with the mode in use
+     * @throws {Error} If OpenCV cannot be loaded at all
+     */
+    async initialize() {
+        const supported = typeof Worker !== 'undefined' &&
+                          typeof OffscreenCanvas !== 'undefined' &&
+                          typeof createImageBitmap !== 'undefined';
+
+        if (supported) {
+            try {
+                await this._startWorker();
+                this.mode = 'worker';
+                this._send({ type: 'reference', reference: this.detector.reference });
+                this._send({ type: 'debug', enabled: this.debugCapture });
+                this._send({ type: 'hands', enabled: this.handDetection });
+                return this.mode;
+            } catch (error) {
+                console.error('Detection worker failed, using main thread:', error);
+                if (this.worker) this.worker.terminate();
+                this.worker = null;
+            }
+        }
+
+        await this._loadOpenCv();
+        await this._loadHandModel();
+        this.mode = 'main';
+        return this.mode;
+    }
+
+    /**
+     * Offer a frame for detection. Dropped if a frame is still being processed.
+     * @param {CanvasImageSource} source - Video element, image or canvas
+     * @param {number} width - Frame width (detection coordinates)
+     * @param {number} height - Frame height (detection coordinates)
+     * @param {Object} guideRegion - Optional guide region {x, y, width, height}
+     * @param {Object} context - Opaque value handed back with the result
+     * @returns {boolean} True if the frame was accepted
+     */
+    submit(source, width, height, guideRegion, context) {
+        if (!this.mode) return false;
+
+        const now = performance.now();
+        if (this.busy || now - this.lastSubmitTime < 1000 / this.targetFps) {
+            this.framesSkipped++;
+            return false;
+        }
+
+        this.busy = true;
+        this.lastSubmitTime = now;
+        this.framesSubmitted++;
+        const frameId = ++this.frameId;
+        this.pending = { frameId, generation: this.generation, context };
+
+        if (this.mode === 'worker') {
+            createImageBitmap(source, { resizeWidth: width, resizeHeight: height })
+                .then(frame => {
+                    this.worker.postMessage({ type: 'detect', frameId, frame, guideRegion }, [frame]);
+                })
+                .catch(error => {
+                    console.error('Frame capture error:', error);
+                    this._fail(error);
+                });
+        } else {
+            // Main thread: still deliver asynchronously so callers behave the same
+            setTimeout(() => this._detectOnMainThread(source, width, height, guideRegion, frameId), 0);
+        }
+
+        return true;
+    }
+
+    /**
+     * Detect one frame now, bypassing the rate limit (used by replay)
+     * Waits for a frame already in flight to finish first
+     * @param {CanvasImageSource} source - Image or canvas
+     * @param {number} width - Frame width (detection coordinates)
+     * @param {number} height - Frame height (detection coordinates)
+     * @param {Object} guideRegion - Optional guide region {x, y, width, height}
+     * @returns {Promise<Object>} {detection, debug}; rejects if detection throws
+     */
+    async detectNow(source, width, height, guideRegion) {
+        while (this.busy) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.lastSubmitTime = 0;
+            if (!this.submit(source, width, height, guideRegion, { resolve, reject })) {
+                reject(new Error('Detector not ready'));
+            }
+        });
+    }
+
+    /**
+     * Capture CardDetector intermediates (edges, scored candidates) for the debug recorder
+     * They arrive as the third argument of onResult
+     * @param {boolean} enabled - True to capture
+     */
+    setDebugCapture(enabled) {
+        this.debugCapture = enabled;
+        this.detector.setDebugCapture(enabled);
+        if (this.mode === 'worker') {
+            this._send({ type: 'debug', enabled });
+        }
+    }
+
+    /**
+     * Find fingertips on the frames from now on (costs detection time, so only while needed)
+     * Results land in lastHands; they stay null if the hand model could not be loaded
+     * @param {boolean} enabled - True to detect hands
+     */
+    setHandDetection(enabled) {
+        if (enabled === this.handDetection) return;
+        this.handDetection = enabled;
+        if (!enabled) this.lastHands = null;
+        if (this.mode === 'worker') {
+            this._send({ type: 'hands', enabled });
+        }
+    }
+
+    /**
+     * Called with (detection, context, debug) for every processed frame that is still current
+     * debug is CardDetector.getDebugInfo() while debug capture is on, otherwise null
+     */
+    onResult() {}
+
+    /**
+     * Called with (error, context) when detection throws
+     */
+    onError() {}
+
+    /**
+     * Switch the reference object to detect
+     * @param {Object} reference - Entry from ReferenceObjects
+     */
+    setReference(reference) {
+        this.generation++;
+        this.lastDetection = null;
+        this.lastQuality = null;
+        this.stable = false;
+        this.detector.setReference(reference);
+        if (this.mode === 'worker') {
+            this._send({ type: 'reference', reference });
+        }
+    }
+
+    /**
+     * Lock onto detected card for robust tracking
+     * @param {Object} detection - Detected card with corners
+     */
+    lock(detection) {
+        this.generation++;
+        this.lastDetection = detection;
+        this.lastQuality = null;
+        this.trackLoss = null;
+        this.stable = true;
+        this._send({ type: 'lock', detection });
+    }
+
+    /**
+     * Unlock from card (e.g., if lost or user reset)
+     */
+    unlock() {
+        this.generation++;
+        this._send({ type: 'unlock' });
+    }
+
+    /**
+     * Forget detection, smoothing and lock state
+     */
+    reset() {
+        this.generation++;
+        this.lastDetection = null;
+        this.lastQuality = null;
+        this.lastHands = null;
+        this.stable = false;
+        this._send({ type: 'reset' });
+    }
+
+    /**
+     * Check if detection is stable
+     * @returns {boolean} True if the last result had smoothed corners
+     */
+    isStable() {
+        return this.stable;
+    }
+
+    /**
+     * Processing rate the detector can sustain within its duty cycle
+     * @returns {number} Frames per second
+     */
+    get targetFps() {
+        if (this.avgTimeMs === null || !this.mode) return this.MAX_FPS;
+        const fps = 1000 * this.DUTY_CYCLE[this.mode] / Math.max(1, this.avgTimeMs);
+        return Math.max(this.MIN_FPS, Math.min(this.MAX_FPS, fps));
+    }
+
+    /**
+     * Timing and frame counters
+     * @returns {Object} {mode, targetFps, lastTimeMs, avgTimeMs, framesSubmitted, framesProcessed,
+     *                    framesSkipped, staleResults, detector} where detector holds CardDetector.getStats()
+     */
+    getStats() {
+        return {
+            mode: this.mode,
+            targetFps: this.targetFps,
+            lastTimeMs: this.lastTimeMs,
+            avgTimeMs: this.avgTimeMs,
+            framesSubmitted: this.framesSubmitted,
+            framesProcessed: this.framesProcessed,
+            framesSkipped: this.framesSkipped,
+            staleResults: this.staleResults,
+            detector: this.detectorStats
+        };
+    }
+
+    /**
+     * Draw green overlay on detected card
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} detection - Detection result with corners
+     */
+    drawOverlay(ctx, detection) {
+        this.detector.drawOverlay(ctx, detection);
+    }
+
+    /**
+     * Draw fingertips, DIP joints and finger names
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array<Object>} hands - From lastHands
+     */
+    drawHands(ctx, hands) {
+        this.landmarker.drawOverlay(ctx, hands);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Start the worker and wait for OpenCV inside it
+     * @private
+     */
+    _startWorker() {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(this.workerUrl);
+
+            const timeoutId = setTimeout(() => {
+                reject(new Error('Detection worker did not start'));
+            }, this.WORKER_READY_TIMEOUT_MS);
+
+            this.worker.onerror = (e) => {
+                clearTimeout(timeoutId);
+                reject(new Error(`Detection worker error: ${e.message}`));
+            };
+
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    clearTimeout(timeoutId);
+                    this.handsAvailable = event.data.hands;
+                    this.worker.onmessage = (e) => this._handleMessage(e.data);
+                    this.worker.onerror = (e) => {
+                        console.error('Detection worker error:', e.message);
+                        this._fail(new Error(e.message));
+                    };
+                    resolve();
+                }
+            };
+
+            this.worker.postMessage({ type: 'init' });
+        });
+    }
+
+    /**
+     * Load OpenCV.js on the main thread, failing after OPENCV_LOAD_TIMEOUT_MS
+     * @private
+     */
+    _loadOpenCv() {
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                reject(new Error(`OpenCV.js did not load within ${this.OPENCV_LOAD_TIMEOUT_MS / 1000}s`));
+            }, this.OPENCV_LOAD_TIMEOUT_MS);
+
+            const onReady = () => {
+                // The WASM runtime may still be initializing after the script loads
+                if (!cv.Mat) {
+                    cv.onRuntimeInitialized = onReady;
+                    return;
+                }
+                clearTimeout(timeoutId);
+                resolve();
+            };
+
+            const script = document.createElement('script');
+            script.src = this.openCvUrl;
+            script.async = true;
+            script.onload = onReady;
+            script.onerror = () => {
+                clearTimeout(timeoutId);
+                reject(new Error('OpenCV.js failed to load'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Load the hand model for the main-thread fallback; hands are not detected without it
+     * @private
+     */
+    async _loadHandModel() {
+        try {
+            const response = await fetch(this.handModelUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.landmarker = HandLandmarker.fromJSON(await response.json());
+            this.handsAvailable = true;
+        } catch (error) {
+            console.warn('Hand model not loaded, no hand detection:', error.message);
+        }
+    }
+
+    /**
+     * Handle a message from the worker
+     * @private
+     */
+    _handleMessage(message) {
+        if (message.type === 'result') {
+            this.detectorStats = message.stats;
+            this._deliver(message.frameId, message);
+        } else if (message.type === 'error') {
+            this._fail(new Error(message.message));
+        }
+    }
+
+    /**
+     * Run CardDetector directly when no worker is available
+     * @private
+     */
+    _detectOnMainThread(source, width, height, guideRegion, frameId) {
+        try {
+            if (!this.fallbackCanvas) {
+                this.fallbackCanvas = document.createElement('canvas');
+                this.fallbackCtx = this.fallbackCanvas.getContext('2d', { willReadFrequently: true });
+            }
+            this.fallbackCanvas.width = width;
+            this.fallbackCanvas.height = height;
+            this.fallbackCtx.drawImage(source, 0, 0, width, height);
+            const imageData = this.fallbackCtx.getImageData(0, 0, width, height);
+
+            const start = performance.now();
+            const detection = this.detector.detectCard(imageData, guideRegion);
+            const hands = this.handDetection && this.handsAvailable ? this.landmarker.detect(imageData) : null;
+            this.detectorStats = this.detector.getStats();
+            this._deliver(frameId, {
+                detection,
+                stable: this.detector.isStable(),
+                timeMs: performance.now() - start,
+                debug: this.detector.getDebugInfo(),
+                quality: this.detector.lastQuality,
+                trackLoss: this.detector.trackLoss,
+                hands
+            });
+        } catch (error) {
+            this._fail(error);
+        }
+    }
+
+    /**
+     * Hand a result to the app unless lock state changed while it was in flight
+     * @private
+     * @param {Object} result - {detection, stable, timeMs, debug, quality, trackLoss, hands}
+     */
+    _deliver(frameId, result) {
+        const { detection, timeMs } = result;
+        const debug = result.debug || null;
+        const pending = this.pending;
+        this.busy = false;
+        this.pending = null;
+        this.lastTimeMs = timeMs;
+        this.avgTimeMs = this.avgTimeMs === null ? timeMs :
+            this.avgTimeMs + this.TIME_SMOOTHING * (timeMs - this.avgTimeMs);
+        this.framesProcessed++;
+
+        if (!pending || pending.frameId !== frameId || pending.generation !== this.generation) {
+            this.staleResults++;
+            if (pending && pending.context && pending.context.resolve) {
+                pending.context.resolve({ detection: null, debug: null }); // detectNow must not hang
+            }
+            return; // Stale
+        }
+
+        this.lastDetection = detection;
+        this.lastQuality = result.quality || null;
+        this.trackLoss = result.trackLoss || null;
+        this.lastHands = this.handDetection ? result.hands || null : null;
+        this.stable = result.stable;
+        if (pending.context && pending.context.resolve) {
+            pending.context.resolve({ detection, debug });
+        } else {
+            this.onResult(detection, pending.context, debug);
+        }
+    }
+
+    /**
+     * Report a detection error for the frame in flight
+     * @private
+     */
+    _fail(error) {
+        const pending = this.pending;
+        this.busy = false;
+        this.pending = null;
+        if (pending && pending.context && pending.context.reject) {
+            pending.context.reject(error);
+        } else {
+            this.onError(error, pending ? pending.context : null);
+        }
+    }
+
+    /**
+     * Forward a state message to the active detector
+     * @private
+     */
+    _send(message) {
+        if (this.mode === 'worker') {
+            this.worker.postMessage(message);
+        } else if (message.type === 'lock') {
+            this.detector.lock(message.detection);
+        } else if (message.type === 'unlock') {
+            this.detector.unlock();
+        } else if (message.type === 'reset') {
+            this.detector.reset();
+        }
+    }
+}
+
+export { DetectorClient };
@@ -0,0 +1,104 @@
+/**
+ * EmbedBridge - postMessage link between the app in an iframe and its host page
+ * Active when the app is loaded with ?embed=1 inside a frame (see sizekit-widget.js).
+ * Events go to the host as {source: 'sizekit', version, type, payload};
+ * commands come back as {source: 'sizekit-host', type, payload}.
+ * Messages are only exchanged with the host origin, never with '*'.
+ */
+
+class EmbedBridge {
+    /**
+     * @param {Window} win - Window the app runs in
+     */
+    constructor(win = window) {
+        this.SOURCE = 'sizekit';
+        this.HOST_SOURCE = 'sizekit-host';
+        this.VERSION = 1;
+
+        this.THEMES = ['dark', 'light'];
+
+        const params = new URLSearchParams(win.location.search);
+        this.window = win;
+        this.embedded = params.get('embed') === '1' && win.parent !== win;
+        this.options = {
+            theme: this.THEMES.includes(params.get('theme')) ? params.get('theme') : 'dark',
+            lang: params.get('lang') || null, // Else the user's choice or the browser's language
+            reference: params.get('reference') || null,
+            debug: params.get('debug') === '1',
+            precision: parseFloat(params.get('precision')) > 0 ? parseFloat(params.get('precision')) : null
+        };
+        this.hostOrigin = this.embedded ? this._resolveHostOrigin(params.get('origin'), win.document.referrer) : null;
+        this.handlers = {};
+
+        if (this.embedded) {
+            if (!this.hostOrigin) {
+                console.warn('⚠ Embedded without a known host origin - events are not sent');
+            }
+            win.addEventListener('message', (event) => this._handleMessage(event));
+        }
+    }
+
+    /**
+     * Send an event to the host page (no-op when not embedded)
+     * @param {string} type - 'ready', 'cardLocked', 'measurement', 'error' or 'cancel'
+     * @param {Object} payload - JSON-serializable data
+     */
+    emit(type, payload = {}) {
+        if (!this.embedded || !this.hostOrigin) return;
+
+        console.log(`📨 Embed event: ${type}`);
+        this.window.parent.postMessage({
+            source: this.SOURCE,
+            version: this.VERSION,
+            type,
+            payload
+        }, this.hostOrigin);
+    }
+
+    /**
+     * Handle a command from the host page
+     * @param {string} type - 'reset', 'setReference' or 'cancel'
+     * @param {Function} handler - Called with the command payload
+     */
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Origin of the host page: the ?origin= parameter set by the widget, else the referrer
+     * @private
+     */
+    _resolveHostOrigin(originParam, referrer) {
+        for (const candidate of [originParam, referrer]) {
+            if (!candidate) continue;
+            try {
+                return new URL(candidate).origin;
+            } catch (e) {
+                // Not a URL: try the next one
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Dispatch a host command
+     * @private
+     */
+    _handleMessage(event) {
+        if (event.source !== this.window.parent || event.origin !== this.hostOrigin) return;
+
+        const message = event.data;
+        if (!message || message.source !== this.HOST_SOURCE || !this.handlers[message.type]) return;
+
+        console.log(`📨 Host command: ${message.type}`);
+        try {
+            this.handlers[message.type](message.payload || {});
+        } catch (error) {
+            this.emit('error', { message: error.message, fatal: false });
+        }
+    }
+}
+
+export { EmbedBridge };
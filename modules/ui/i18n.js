@@ -0,0 +1,139 @@
+/**
+ * I18n - User's language and translated text for the UI
+ * Picks the first supported language of the saved choice, then the embed's lang
+ * option, then the browser's languages (the order app.js passes them to
+ * detect()), loads its catalogue (locales/<lang>.json) and renders
+ * Messages keys from it. Keys missing from a catalogue fall back to English, so
+ * a partial translation never shows a key. Static text in index.html is marked
+ * with data-i18n (text), data-i18n-label (aria-label) and data-i18n-placeholder.
+ */
+
+import { Messages } from '../core/messages.js';
+
+class I18n {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {string} options.baseUrl - Folder with the locale catalogues
+     */
+    constructor(options = {}) {
+        this.DEFAULT_LOCALE = 'en';
+        // Languages with a catalogue, by their own name (for the language menu)
+        this.LOCALES = {
+            en: 'English',
+            de: 'Deutsch',
+            es: 'Español',
+            fr: 'Français',
+            it: 'Italiano',
+            nl: 'Nederlands'
+        };
+
+        this.baseUrl = options.baseUrl || new URL('../../locales/', import.meta.url).href;
+        this.locale = this.DEFAULT_LOCALE;
+        this.catalogue = {};
+    }
+
+    /**
+     * First supported language of a list of preferences
+     * @param {Array<string|null>} preferences - BCP 47 tags, most preferred first (e.g. 'de-CH'); nulls are skipped
+     * @returns {string} Supported language code (English if none matches)
+     */
+    detect(preferences) {
+        for (const tag of preferences) {
+            if (!tag) continue;
+            const language = String(tag).toLowerCase().split(/[-_]/)[0];
+            if (this.LOCALES[language]) return language;
+        }
+        return this.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Switch to a language, loading its catalogue
+     * @param {string} locale - Supported language code
+     * @returns {Promise<string>} The language now used (English if the catalogue could not be loaded)
+     */
+    async load(locale) {
+        if (!this.LOCALES[locale] || locale === this.DEFAULT_LOCALE) {
+            this.locale = this.DEFAULT_LOCALE;
+            this.catalogue = {};
+            return this.locale;
+        }
+
+        try {
+            const response = await fetch(new URL(`${locale}.json`, this.baseUrl));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.catalogue = await response.json();
+            this.locale = locale;
+        } catch (error) {
+            console.warn(`⚠ Could not load ${locale} messages - using English:`, error);
+            this.catalogue = {};
+            this.locale = this.DEFAULT_LOCALE;
+        }
+        return this.locale;
+    }
+
+    /**
+     * Text of a message in the current language
+     * @param {string} key - Messages key
+     * @param {Object} params - Template parameters (see Messages.format)
+     * @param {string} fallback - Text for keys in no catalogue (defaults to the key)
+     * @returns {string}
+     */
+    t(key, params = {}, fallback = null) {
+        const template = this.catalogue[key] !== undefined ? this.catalogue[key] : Messages.EN[key];
+        if (template === undefined) return fallback !== null ? fallback : key;
+        return Messages.format(template, params, {
+            locale: this.locale,
+            translate: (nestedKey, nestedParams, nestedFallback) => this.t(nestedKey, nestedParams, nestedFallback)
+        });
+    }
+
+    /**
+     * Text of an error in the current language
+     * @param {Error} error - From Messages.error(), or any other error (shown as its message)
+     * @returns {string}
+     */
+    error(error) {
+        return error.key ? this.t(error.key, error.params || {}, error.message) : error.message;
+    }
+
+    /**
+     * Number in the current language's style
+     * @param {number} value
+     * @param {number|null} decimals - Fixed decimals, or null to show the number as it is
+     * @returns {string}
+     */
+    number(value, decimals = null) {
+        return Messages.number(value, decimals, this.locale);
+    }
+
+    /**
+     * Date and time in the current language's style
+     * @param {string|Date} date
+     * @param {boolean} withTime - Include the time of day
+     * @returns {string}
+     */
+    date(date, withTime = true) {
+        const value = new Date(date);
+        return withTime ? value.toLocaleString(this.locale) : value.toLocaleDateString(this.locale);
+    }
+
+    /**
+     * Translate the static text of a page
+     * @param {Document|Element} root - Page or part of it
+     */
+    translatePage(root = document) {
+        if (root.documentElement) root.documentElement.lang = this.locale;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+    }
+}
+
+export { I18n };
@@ -0,0 +1,392 @@
+/**
+ * MeasurementExport - Measurement records as JSON, CSV and annotated image
+ * A record holds everything support needs to reproduce a result: scale,
+ * card corners, per-nail widths with their uncertainty and plate outlines, reference, device/camera
+ * info and a timestamp.
+ * Files can be downloaded or sent with the Web Share API where available.
+ * The files stay in English; the share text and the image caption are in the
+ * user's language.
+ */
+
+import { Messages } from '../core/messages.js';
+
+class MeasurementExport {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {I18n} options.i18n - Language of the share text and caption (defaults to English)
+     */
+    constructor(options = {}) {
+        this.FORMAT_VERSION = 1;
+        this.JPEG_QUALITY = 0.92;
+        this.FILE_PREFIX = 'sizekit';
+
+        // Caption burned into the annotated image
+        this.CAPTION_FONT_FRACTION = 0.022; // Of the image width
+        this.MIN_CAPTION_FONT_PX = 14;
+
+        this.i18n = options.i18n || null;
+    }
+
+    /**
+     * Build a measurement record from the app state
+     * @param {Object} state - {reference, pixelsPerMM, scaleStats, detection, plane, lens, nails, source}
+     *   scaleStats: MeasurementStats summary of the scale (may be null)
+     *   nails: [{hand, finger, widthMM, uncertaintyMM, captures, widthPx, size, nearestSize, measurement}]
+     *          (hand/finger may be null)
+     *   source: {type: 'camera'|'photo', label, width, height, zoom, fileName}
+     * @returns {Object} Plain, JSON-serializable record
+     */
+    createRecord(state) {
+        const detection = state.detection || {};
+        const scaleStats = state.scaleStats || null;
+
+        return {
+            format: 'sizekit-measurement',
+            version: this.FORMAT_VERSION,
+            timestamp: new Date().toISOString(),
+            reference: {
+                id: state.reference.id,
+                label: state.reference.label,
+                widthMM: state.reference.widthMM,
+                heightMM: state.reference.heightMM
+            },
+            scale: {
+                pixelsPerMM: state.pixelsPerMM,
+                uncertainty: scaleStats ? this._round(scaleStats.uncertainty, 4) : null, // 95% interval of the mean (repeatability), px/mm
+                frames: scaleStats ? scaleStats.count : null,
+                tiltDegrees: state.plane ? state.plane.tiltDegrees : null,
+                lensCalibrated: !!state.lens
+            },
+            card: {
+                corners: (detection.corners || []).map(c => this._roundPoint(c)),
+                refined: !!detection.refined,
+                confidence: detection.confidence !== undefined ? detection.confidence : null,
+                markerId: detection.markerId !== undefined ? detection.markerId : null
+            },
+            nails: (state.nails || []).map(nail => ({
+                hand: nail.hand || null,
+                finger: nail.finger || null,
+                widthMM: nail.widthMM,
+                uncertaintyMM: this._round(nail.uncertaintyMM, 3), // 95% interval of the mean (repeatability), null from a single capture
+                captures: nail.captures !== undefined ? nail.captures : null,
+                widthPx: nail.widthPx,
+                size: nail.size !== undefined ? nail.size : null,
+                nearestSize: nail.nearestSize !== undefined ? nail.nearestSize : null,
+                leftEdge: nail.measurement ? this._roundPoint(nail.measurement.leftEdge) : null,
+                rightEdge: nail.measurement ? this._roundPoint(nail.measurement.rightEdge) : null,
+                plate: nail.measurement && nail.measurement.plate ? this._plate(nail.measurement.plate) : null
+            })),
+            device: {
+                userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+                source: state.source || null
+            }
+        };
+    }
+
+    /**
+     * Record as pretty-printed JSON
+     * @param {Object} record - From createRecord
+     * @returns {string} JSON text
+     */
+    toJSON(record) {
+        return JSON.stringify(record, null, 2);
+    }
+
+    /**
+     * Record as CSV: one row per nail, record-wide values repeated on each row
+     * @param {Object} record - From createRecord
+     * @returns {string} CSV text (RFC 4180, every field quoted, CRLF line endings)
+     */
+    toCSV(record) {
+        const header = [
+            'timestamp', 'reference', 'pixels_per_mm', 'pixels_per_mm_uncertainty', 'tilt_degrees', 'lens_calibrated',
+            'card_corners', 'hand', 'finger', 'width_mm', 'width_uncertainty_mm', 'captures', 'width_px', 'size',
+            'plate_width_mm', 'length_mm', 'area_mm2', 'c_curve_degrees', 'camera'
+        ];
+
+        const corners = record.card.corners.map(c => `${c.x} ${c.y}`).join(';');
+        const source = record.device.source;
+        const camera = source ? (source.type === 'photo' ? `photo ${source.fileName || ''}`.trim() : source.label) : '';
+        const common = [
+            record.timestamp,
+            record.reference.id,
+            this._round(record.scale.pixelsPerMM, 4),
+            record.scale.uncertainty,
+            this._round(record.scale.tiltDegrees, 1),
+            record.scale.lensCalibrated
+        ];
+
+        // Without nails there is still one row with the scale
+        const nails = record.nails.length > 0 ? record.nails : [{}];
+        const rows = nails.map(nail => [
+            ...common,
+            corners,
+            nail.hand,
+            nail.finger,
+            this._round(nail.widthMM, 2),
+            nail.uncertaintyMM,
+            nail.captures,
+            this._round(nail.widthPx, 1),
+            nail.size !== null && nail.size !== undefined ? nail.size :
+                nail.nearestSize !== null && nail.nearestSize !== undefined ? `~${nail.nearestSize}` : '',
+            nail.plate ? nail.plate.widthMM : null,
+            nail.plate ? nail.plate.lengthMM : null,
+            nail.plate ? nail.plate.areaMM2 : null,
+            nail.plate && nail.plate.cCurve ? nail.plate.cCurve.arcDegrees : null,
+            camera
+        ]);
+
+        return [header, ...rows].map(row => row.map(value => this._csvField(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Short human-readable summary, used as share text and image caption
+     * @param {Object} record - From createRecord
+     * @returns {Array<string>} Lines
+     */
+    summaryLines(record) {
+        const label = Messages.referenceLabel(record.reference);
+        const reference = this._t(label.key, {}, label.fallback).replace(/^\S+\s/, ''); // Without the emoji
+        const lines = [
+            this._t('export.summaryTitle', {
+                date: this.i18n ? this.i18n.date(record.timestamp) : new Date(record.timestamp).toLocaleString()
+            }),
+            this._t(record.scale.tiltDegrees !== null ? 'export.summaryScaleTilt' : 'export.summaryScale', {
+                reference,
+                scale: record.scale.pixelsPerMM,
+                tilt: record.scale.tiltDegrees
+            })
+        ];
+
+        for (const nail of record.nails) {
+            const hasUncertainty = nail.uncertaintyMM !== null && nail.uncertaintyMM !== undefined;
+            const key = nail.size !== null ? 'export.summaryNailSize' :
+                nail.nearestSize !== null ? 'export.summaryNailNearest' : 'export.summaryNail';
+            lines.push(this._t(key, {
+                finger: nail.hand ? Messages.step(nail) : { key: 'export.nail' },
+                width: {
+                    key: hasUncertainty ? 'export.summaryWidthUncertainty' : 'export.summaryWidth',
+                    params: { width: nail.widthMM, uncertainty: nail.uncertaintyMM }
+                },
+                size: nail.size !== null ? nail.size : nail.nearestSize
+            }));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Render the frame with the overlay and a caption burned in
+     * @param {string|CanvasImageSource} frame - Data URL (Camera.captureFrame) or drawable image
+     * @param {Object} size - {width, height} of the image coordinates the overlay uses
+     * @param {Function} drawOverlay - Called with the 2D context to draw card and nail overlays
+     * @param {Array<string>} caption - Lines drawn at the bottom
+     * @returns {Promise<Blob>} JPEG image
+     */
+    async renderAnnotatedImage(frame, size, drawOverlay, caption = []) {
+        const image = typeof frame === 'string' ? await this._loadImage(frame) : frame;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, size.width, size.height);
+
+        if (drawOverlay) {
+            ctx.save();
+            drawOverlay(ctx);
+            ctx.restore();
+        }
+
+        this._drawCaption(ctx, caption);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(Messages.error('error.imageEncoding'));
+                }
+            }, 'image/jpeg', this.JPEG_QUALITY);
+        });
+    }
+
+    /**
+     * File name for an export, e.g. sizekit-2024-05-01-1432.csv
+     * @param {Object} record - From createRecord
+     * @param {string} extension - Without dot
+     * @returns {string} File name
+     */
+    fileName(record, extension) {
+        const stamp = record.timestamp.slice(0, 16).replace('T', '-').replace(':', '');
+        return `${this.FILE_PREFIX}-${stamp}.${extension}`;
+    }
+
+    /**
+     * Save a file through the browser's download mechanism
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Suggested name
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the download time to start before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Whether the Web Share API is available at all
+     * @returns {boolean}
+     */
+    canShare() {
+        return typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+    }
+
+    /**
+     * Share files through the Web Share API
+     * Tries all files, then only the image (some targets reject text files), then text only
+     * @param {Array<File>} files - Files to attach
+     * @param {Object} record - From createRecord (for title and text)
+     * @returns {Promise<string>} 'files', 'image', 'text' or 'cancelled'
+     * @throws {Error} If sharing is not supported or fails
+     */
+    async share(files, record) {
+        if (!this.canShare()) {
+            throw Messages.error('error.shareUnsupported');
+        }
+
+        const text = this.summaryLines(record).join('\n');
+        const title = this._t('export.shareTitle');
+        const images = files.filter(file => file.type.startsWith('image/'));
+        const attempts = [
+            { kind: 'files', data: { title, text, files } },
+            { kind: 'image', data: { title, text, files: images } },
+            { kind: 'text', data: { title, text } }
+        ];
+
+        for (const attempt of attempts) {
+            if (attempt.data.files && (attempt.data.files.length === 0 ||
+                !navigator.canShare || !navigator.canShare({ files: attempt.data.files }))) {
+                continue;
+            }
+
+            try {
+                await navigator.share(attempt.data);
+                return attempt.kind;
+            } catch (error) {
+                // User closed the share sheet: not an error
+                if (error.name === 'AbortError') return 'cancelled';
+                throw error;
+            }
+        }
+
+        throw Messages.error('error.nothingShared');
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Text of a message in the user's language (English without I18n)
+     * @private
+     */
+    _t(key, params = {}, fallback = null) {
+        return this.i18n ? this.i18n.t(key, params, fallback) : Messages.text(key, params, fallback);
+    }
+
+    /**
+     * Decode an image URL
+     * @private
+     */
+    _loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(Messages.error('error.frameUnreadable'));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Draw caption lines on a dark band at the bottom of the image
+     * @private
+     */
+    _drawCaption(ctx, lines) {
+        if (lines.length === 0) return;
+
+        const fontSize = Math.max(this.MIN_CAPTION_FONT_PX, Math.round(ctx.canvas.width * this.CAPTION_FONT_FRACTION));
+        const lineHeight = Math.round(fontSize * 1.35);
+        const padding = Math.round(fontSize * 0.6);
+        const bandHeight = lines.length * lineHeight + 2 * padding;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+        ctx.fillRect(0, ctx.canvas.height - bandHeight, ctx.canvas.width, bandHeight);
+
+        ctx.fillStyle = 'white';
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, padding, ctx.canvas.height - bandHeight + padding + i * lineHeight);
+        });
+    }
+
+    /**
+     * Quote a CSV field; text a spreadsheet would run as a formula (=, +, -, @, tab or
+     * carriage return first) gets a leading ' so it is shown as text. Numbers stay numbers
+     * @private
+     */
+    _csvField(value) {
+        if (value === null || value === undefined) return '""';
+        let text = String(value);
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Round for output, keeping null
+     * @private
+     */
+    _round(value, decimals) {
+        if (value === null || value === undefined || !isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Nail plate from NailSegmenter, rounded, with its outline at 0.1 px
+     * @private
+     */
+    _plate(plate) {
+        const curve = plate.cCurve;
+        return {
+            widthMM: this._round(plate.widthMM, 2),
+            lengthMM: this._round(plate.lengthMM, 2),
+            areaMM2: this._round(plate.areaMM2, 1),
+            cCurve: curve ? {
+                arcDegrees: this._round(curve.arcDegrees, 1),
+                radiusMM: this._round(curve.radiusMM, 2),
+                depthMM: this._round(curve.depthMM, 2),
+                fingerWidthMM: this._round(curve.fingerWidthMM, 2)
+            } : null,
+            outline: plate.outline.map(p => ({ x: this._round(p.x, 1), y: this._round(p.y, 1) }))
+        };
+    }
+
+    /**
+     * Point rounded to 0.01 px
+     * @private
+     */
+    _roundPoint(point) {
+        return point ? { x: this._round(point.x, 2), y: this._round(point.y, 2) } : null;
+    }
+}
+
+export { MeasurementExport };
@@ -0,0 +1,97 @@
+/**
+ * PhotoSource Module
+ * Loads a still image as a frame source, as an alternative to the live camera
+ */
+
+import { Messages } from '../core/messages.js';
+
+class PhotoSource {
+    constructor() {
+        // Large photos are scaled down so detection stays fast
+        this.MAX_DIMENSION = 1920;
+
+        this.image = null;
+        this.canvas = null;
+        this.fileName = null;
+        this.objectUrl = null;
+    }
+
+    /**
+     * Load an image file and size the canvas to it
+     * @param {File} file - Image file from a file input or drop
+     * @param {HTMLCanvasElement} canvasElement - Canvas the frames are drawn on
+     * @returns {Promise<HTMLImageElement>} Resolves when the image is decoded
+     */
+    async load(file, canvasElement) {
+        if (!file || !file.type.startsWith('image/')) {
+            throw Messages.error('error.notImage');
+        }
+
+        this.stop();
+
+        const objectUrl = URL.createObjectURL(file);
+        const image = new Image();
+
+        try {
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(Messages.error('error.imageUnreadable', { file: file.name }));
+                image.src = objectUrl;
+            });
+        } catch (error) {
+            URL.revokeObjectURL(objectUrl);
+            throw error;
+        }
+
+        this.image = image;
+        this.fileName = file.name;
+        this.objectUrl = objectUrl;
+
+        // Fit the canvas to the photo (scaled down if needed)
+        const scale = Math.min(1, this.MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+        this.canvas = canvasElement;
+        this.canvas.width = Math.round(image.naturalWidth * scale);
+        this.canvas.height = Math.round(image.naturalHeight * scale);
+
+        console.log('Photo loaded:', {
+            name: file.name,
+            width: image.naturalWidth,
+            height: image.naturalHeight,
+            canvasWidth: this.canvas.width,
+            canvasHeight: this.canvas.height
+        });
+
+        return image;
+    }
+
+    /**
+     * Release the loaded image
+     */
+    stop() {
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+        this.image = null;
+        this.fileName = null;
+        this.objectUrl = null;
+    }
+
+    /**
+     * Capture current frame
+     * @returns {string} Data URL of the photo at canvas resolution
+     */
+    captureFrame() {
+        if (!this.image || !this.canvas) {
+            throw new Error('No photo loaded');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.95);
+    }
+}
+
+export { PhotoSource };
@@ -0,0 +1,365 @@
+/**
+ * ProfileStore - Named measurement profiles kept on the device (IndexedDB)
+ * A profile ("Me", "Client – Anna") holds past sessions: the measurement
+ * record (scale, per-nail widths and sizes, see MeasurementExport) with a
+ * thumbnail of the frame. Nothing leaves the device unless a profile is
+ * exported as a file, which can be imported again on another device.
+ */
+
+import { MeasurementSession } from '../core/measurementSession.js';
+import { Messages } from '../core/messages.js';
+
+class ProfileStore {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to window.indexedDB)
+     */
+    constructor(options = {}) {
+        this.DB_NAME = options.dbName || 'sizekit';
+        this.DB_VERSION = 1;
+        this.FORMAT = 'sizekit-profile';
+        this.VERSION = 1;
+        this.FILE_PREFIX = 'sizekit-profile';
+
+        this.THUMBNAIL_WIDTH = 320; // Enough to recognise the hand, small enough to keep many sessions
+        this.THUMBNAIL_QUALITY = 0.8;
+
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    /**
+     * Check if profiles can be stored in this browser
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.indexedDB !== null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     * @throws {Error} If IndexedDB is unavailable or blocked (e.g. private browsing)
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.isAvailable()) throw Messages.error('error.profilesUnsupported');
+
+        const request = this.indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('profiles')) {
+                db.createObjectStore('profiles', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                sessions.createIndex('profileId', 'profileId');
+            }
+        };
+
+        this.db = await this._request(request);
+        this.db.onversionchange = () => {
+            // Another tab upgrades the database: let it
+            this.db.close();
+            this.db = null;
+        };
+        return this.db;
+    }
+
+    /**
+     * All profiles, by name
+     * @returns {Promise<Array<Object>>} [{id, name, createdAt}]
+     */
+    async listProfiles() {
+        const profiles = await this._transaction(['profiles'], 'readonly', ({ profiles }) => profiles.getAll());
+        return profiles.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name - e.g. "Me" or "Client – Anna"
+     * @returns {Promise<Object>} {id, name, createdAt}
+     */
+    async createProfile(name) {
+        const profile = { id: this._id(), name: this._name(name), createdAt: new Date().toISOString() };
+        await this._transaction(['profiles'], 'readwrite', ({ profiles }) => profiles.add(profile));
+        return profile;
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} id - Profile id
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated profile
+     */
+    async renameProfile(id, name) {
+        return this._transaction(['profiles'], 'readwrite', async ({ profiles }) => {
+            const profile = await this._request(profiles.get(id));
+            if (!profile) throw Messages.error('error.profileNotFound');
+            profile.name = this._name(name);
+            profiles.put(profile);
+            return profile;
+        });
+    }
+
+    /**
+     * Delete a profile with all its sessions
+     * @param {string} id - Profile id
+     */
+    async deleteProfile(id) {
+        await this._transaction(['profiles', 'sessions'], 'readwrite', async ({ profiles, sessions }) => {
+            const keys = await this._request(sessions.index('profileId').getAllKeys(id));
+            keys.forEach(key => sessions.delete(key));
+            profiles.delete(id);
+        });
+    }
+
+    /**
+     * Sessions of a profile, newest first
+     * @param {string} profileId - Profile id
+     * @returns {Promise<Array<Object>>} [{id, profileId, createdAt, record, thumbnail}]
+     */
+    async listSessions(profileId) {
+        const sessions = await this._transaction(['sessions'], 'readonly',
+            ({ sessions }) => sessions.index('profileId').getAll(profileId));
+        return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Store a session in a profile
+     * @param {string} profileId - Profile id
+     * @param {Object} record - From MeasurementExport.createRecord()
+     * @param {string|null} thumbnail - JPEG data URL from createThumbnail()
+     * @returns {Promise<Object>} {id, profileId, createdAt, record, thumbnail}
+     */
+    async saveSession(profileId, record, thumbnail = null) {
+        const session = { id: this._id(), profileId, createdAt: record.timestamp, record, thumbnail };
+        await this._transaction(['sessions'], 'readwrite', ({ sessions }) => sessions.add(session));
+        return session;
+    }
+
+    /**
+     * Delete one session
+     * @param {string} id - Session id
+     */
+    async deleteSession(id) {
+        await this._transaction(['sessions'], 'readwrite', ({ sessions }) => sessions.delete(id));
+    }
+
+    /**
+     * Delete every profile and session on this device
+     */
+    async deleteAll() {
+        await this._transaction(['profiles', 'sessions'], 'readwrite', ({ profiles, sessions }) => {
+            profiles.clear();
+            sessions.clear();
+        });
+    }
+
+    /**
+     * Profile with all its sessions as a JSON file
+     * @param {string} id - Profile id
+     * @returns {Promise<Blob>}
+     */
+    async exportProfile(id) {
+        const profile = await this._transaction(['profiles'], 'readonly', ({ profiles }) => profiles.get(id));
+        if (!profile) throw Messages.error('error.profileNotFound');
+        const sessions = await this.listSessions(id);
+
+        return new Blob([JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: { name: profile.name, createdAt: profile.createdAt },
+            sessions: sessions.map(({ createdAt, record, thumbnail }) => ({ createdAt, record, thumbnail }))
+        })], { type: 'application/json' });
+    }
+
+    /**
+     * Add a profile from an exported file
+     * It always becomes a new profile (with "(2)" etc. added if the name is taken); sessions whose
+     * record is not a well-formed measurement (see _isRecord) are left out
+     * @param {File} file - File saved by exportProfile()
+     * @returns {Promise<Object>} {profile, sessions} with the number of sessions imported
+     * @throws {Error} If the file is not a SizeKit profile
+     */
+    async importProfile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw Messages.error('error.notProfile', { file: file.name });
+        }
+        if (!data || data.format !== this.FORMAT || !Number.isInteger(data.version) || !data.profile ||
+            typeof data.profile.name !== 'string' || !data.profile.name.trim() || !Array.isArray(data.sessions)) {
+            throw Messages.error('error.notProfile', { file: file.name });
+        }
+        if (data.version > this.VERSION) {
+            throw Messages.error('error.newerProfile', { file: file.name });
+        }
+
+        const names = (await this.listProfiles()).map(p => p.name);
+        let name = this._name(data.profile.name);
+        for (let n = 2; names.includes(name); n++) {
+            name = `${this._name(data.profile.name)} (${n})`;
+        }
+
+        const profile = {
+            id: this._id(),
+            name,
+            createdAt: typeof data.profile.createdAt === 'string' ? data.profile.createdAt : new Date().toISOString()
+        };
+        const sessions = data.sessions
+            .filter(session => session && this._isRecord(session.record))
+            .map(session => ({
+                id: this._id(),
+                profileId: profile.id,
+                createdAt: typeof session.createdAt === 'string' ? session.createdAt : session.record.timestamp,
+                record: session.record,
+                thumbnail: typeof session.thumbnail === 'string' && session.thumbnail.startsWith('data:image/') ?
+                    session.thumbnail : null
+            }));
+
+        await this._transaction(['profiles', 'sessions'], 'readwrite', ({ profiles, sessions: store }) => {
+            profiles.add(profile);
+            sessions.forEach(session => store.add(session));
+        });
+        return { profile, sessions: sessions.length };
+    }
+
+    /**
+     * File name for an exported profile
+     * @param {Object} profile - {name}
+     * @returns {string} e.g. sizekit-profile-client-anna.json
+     */
+    fileName(profile) {
+        const slug = profile.name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${this.FILE_PREFIX}-${slug || 'profile'}.json`;
+    }
+
+    /**
+     * Small JPEG of a frame for the session list
+     * @param {string|CanvasImageSource} frame - Data URL (Camera.captureFrame) or drawable image
+     * @returns {Promise<string>} JPEG data URL
+     */
+    async createThumbnail(frame) {
+        const image = typeof frame === 'string' ? await this._loadImage(frame) : frame;
+        const width = image.naturalWidth || image.videoWidth || image.width;
+        const height = image.naturalHeight || image.videoHeight || image.height;
+        const scale = Math.min(1, this.THUMBNAIL_WIDTH / width);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', this.THUMBNAIL_QUALITY);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Run work in a transaction and resolve once it has committed
+     * @private
+     * @param {Array<string>} storeNames - Object stores used
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the stores by name; may return a request or a value (or a Promise of one)
+     * @returns {Promise<*>} The request's result, or the value returned
+     */
+    async _transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const transaction = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+
+        let result;
+        try {
+            result = await work(stores);
+            if (result instanceof IDBRequest) result = await this._request(result);
+        } catch (error) {
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // Already finished
+            }
+            done.catch(() => {}); // The work's error is the one reported
+            throw error;
+        }
+
+        await done;
+        return result;
+    }
+
+    /**
+     * Promise for an IndexedDB request
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * New unique id
+     * @private
+     */
+    _id() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Trimmed profile name
+     * @private
+     * @throws {Error} If the name is empty
+     */
+    _name(name) {
+        const trimmed = String(name || '').trim().slice(0, 60);
+        if (!trimmed) throw Messages.error('error.profileName');
+        return trimmed;
+    }
+
+    /**
+     * Check an imported record has what the session list and comparison read: a timestamp, a reference
+     * and nails with numeric widths and sizes on known fingers (or none)
+     * @private
+     */
+    _isRecord(record) {
+        if (!record || record.format !== 'sizekit-measurement' || typeof record.timestamp !== 'string') return false;
+        if (!record.reference || typeof record.reference.id !== 'string' || typeof record.reference.label !== 'string') {
+            return false;
+        }
+        if (!Array.isArray(record.nails)) return false;
+
+        const numberOrNull = (value) => value === null || Number.isFinite(value);
+        return record.nails.every(nail => nail &&
+            Number.isFinite(nail.widthMM) &&
+            numberOrNull(nail.size) && numberOrNull(nail.nearestSize) &&
+            (Number.isFinite(nail.size) || Number.isFinite(nail.nearestSize)) &&
+            (nail.uncertaintyMM === undefined || numberOrNull(nail.uncertaintyMM)) &&
+            (nail.hand === null || MeasurementSession.HANDS.includes(nail.hand)) &&
+            (nail.finger === null || MeasurementSession.FINGERS.includes(nail.finger)));
+    }
+
+    /**
+     * Load a data URL into an image element
+     * @private
+     */
+    _loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not load frame'));
+            image.src = src;
+        });
+    }
+}
+
+export { ProfileStore };
@@ -0,0 +1,188 @@
+/**
+ * SizeKit widget - embed nail sizing in any page
+ * Defines <sizekit-widget>, which runs the SizeKit app in an iframe and turns
+ * its postMessage events into DOM events and callbacks. See EMBEDDING.md.
+ *
+ *   <script src="https://sizekit.example.com/sizekit-widget.js"></script>
+ *   <sizekit-widget reference="id1-card" theme="light" lang="en"></sizekit-widget>
+ *
+ * Events (event.detail is the payload): ready, cardLocked, measurement, error, cancel
+ */
+
+(function () {
+    // Resolve the app next to this script, wherever the host page lives
+    const SCRIPT_URL = document.currentScript ? document.currentScript.src : location.href;
+    const DEFAULT_APP_URL = new URL('index.html', SCRIPT_URL).href;
+
+    const EVENTS = ['ready', 'cardLocked', 'measurement', 'error', 'cancel'];
+    const OPTIONS = ['reference', 'theme', 'lang', 'debug', 'precision'];
+
+    class SizeKitWidget extends HTMLElement {
+        static get observedAttributes() {
+            return ['src', ...OPTIONS];
+        }
+
+        constructor() {
+            super();
+            this.iframe = null;
+            this.appOrigin = null;
+            this.callbacks = {};
+            this.lastMeasurement = null;
+            this._onMessage = (event) => this._handleMessage(event);
+        }
+
+        connectedCallback() {
+            window.addEventListener('message', this._onMessage);
+            this._render();
+        }
+
+        disconnectedCallback() {
+            window.removeEventListener('message', this._onMessage);
+            if (this.iframe) {
+                this.iframe.remove();
+                this.iframe = null;
+            }
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (!this.iframe || oldValue === newValue) return;
+
+            // The reference can change without reloading the camera
+            if (name === 'reference') {
+                this.setReference(newValue);
+            } else {
+                this._render();
+            }
+        }
+
+        /**
+         * Register a callback for an event (alternative to addEventListener)
+         * @param {string} type - One of ready, cardLocked, measurement, error, cancel
+         * @param {Function} callback - Called with the event payload
+         * @returns {SizeKitWidget} this, for chaining
+         */
+        on(type, callback) {
+            if (!EVENTS.includes(type)) {
+                throw new Error(`Unknown SizeKit event "${type}"`);
+            }
+            this.callbacks[type] = callback;
+            return this;
+        }
+
+        /**
+         * Start over: unlock the card and clear measurements
+         */
+        reset() {
+            this._send('reset');
+        }
+
+        /**
+         * Switch the reference object (see modules/core/referenceObjects.js for IDs)
+         * @param {string} id - Reference ID, e.g. 'id1-card' or 'euro-1'
+         */
+        setReference(id) {
+            this._send('setReference', { id });
+        }
+
+        /**
+         * Stop the camera; the widget answers with a cancel event
+         */
+        cancel() {
+            this._send('cancel');
+        }
+
+        // ==================== PRIVATE METHODS ====================
+
+        /**
+         * (Re)create the iframe with the current options
+         * @private
+         */
+        _render() {
+            const appUrl = new URL(this.getAttribute('src') || DEFAULT_APP_URL, location.href);
+            appUrl.searchParams.set('embed', '1');
+            appUrl.searchParams.set('origin', location.origin);
+            for (const option of OPTIONS) {
+                if (this.hasAttribute(option)) {
+                    appUrl.searchParams.set(option, this.getAttribute(option));
+                }
+            }
+
+            if (this.iframe) this.iframe.remove();
+            this.appOrigin = appUrl.origin;
+            this.iframe = document.createElement('iframe');
+            this.iframe.src = appUrl.href;
+            this.iframe.title = 'SizeKit nail sizing';
+            this.iframe.allow = `camera ${this.appOrigin}; web-share ${this.appOrigin}; fullscreen`;
+            this.iframe.style.cssText = 'width: 100%; height: 100%; border: 0; display: block;';
+
+            if (!this.style.display) this.style.display = 'block';
+            this.appendChild(this.iframe);
+        }
+
+        /**
+         * Send a command to the app
+         * @private
+         */
+        _send(type, payload = {}) {
+            if (!this.iframe || !this.iframe.contentWindow) return;
+            this.iframe.contentWindow.postMessage({ source: 'sizekit-host', type, payload }, this.appOrigin);
+        }
+
+        /**
+         * Re-dispatch app events from our own iframe
+         * @private
+         */
+        _handleMessage(event) {
+            if (!this.iframe || event.source !== this.iframe.contentWindow || event.origin !== this.appOrigin) return;
+
+            const message = event.data;
+            if (!message || message.source !== 'sizekit' || !EVENTS.includes(message.type)) return;
+
+            if (message.type === 'measurement') {
+                this.lastMeasurement = message.payload;
+            }
+
+            this.dispatchEvent(new CustomEvent(message.type, { detail: message.payload }));
+            if (this.callbacks[message.type]) {
+                this.callbacks[message.type](message.payload);
+            }
+        }
+    }
+
+    /**
+     * Create a widget inside a container
+     * @param {Element|string} container - Element or selector
+     * @param {Object} options - {src, reference, theme, lang, debug, precision} and callbacks
+     *                           {onReady, onCardLocked, onMeasurement, onError, onCancel}
+     * @returns {SizeKitWidget} The widget element
+     */
+    SizeKitWidget.mount = function (container, options = {}) {
+        const target = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!target) {
+            throw new Error('SizeKit container not found');
+        }
+
+        const widget = document.createElement('sizekit-widget');
+        for (const name of ['src', ...OPTIONS]) {
+            if (options[name] !== undefined) {
+                widget.setAttribute(name, options[name] === true ? '1' : options[name]);
+            }
+        }
+        for (const type of EVENTS) {
+            const callback = options[`on${type.charAt(0).toUpperCase()}${type.slice(1)}`];
+            if (callback) widget.on(type, callback);
+        }
+
+        widget.style.width = '100%';
+        widget.style.height = '100%';
+        target.appendChild(widget);
+        return widget;
+    };
+
+    if (!customElements.get('sizekit-widget')) {
+        customElements.define('sizekit-widget', SizeKitWidget);
+    }
+
+    // Export for use in host pages
+    window.SizeKitWidget = SizeKitWidget;
+})();
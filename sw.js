@@ -0,0 +1,96 @@
+/**
+ * Service worker - offline support for SizeKit
+ * Precaches the app shell and the vendored OpenCV.js, then serves cache-first
+ */
+
+// Bump when any precached file changes so clients drop the old cache
+const CACHE_VERSION = 'sizekit-v29';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './marker.html',
+    './styles.css',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './vendor/opencv/opencv.js',
+    './models/hand-landmarks.json',
+    './modules/core/utils.js',
+    './modules/core/messages.js',
+    './modules/core/referenceObjects.js',
+    './modules/core/sizekitMarker.js',
+    './modules/core/cardDetector.js',
+    './modules/core/cardPlane.js',
+    './modules/core/cardTracker.js',
+    './modules/core/cornerConsensus.js',
+    './modules/core/frameQuality.js',
+    './modules/core/handLandmarker.js',
+    './modules/core/lensModel.js',
+    './modules/core/lensCalibration.js',
+    './modules/core/measurementSession.js',
+    './modules/core/measurementStats.js',
+    './modules/core/nailDetector.js',
+    './modules/core/nailSegmenter.js',
+    './modules/core/sizeChart.js',
+    './modules/core/sizeKitCore.js',
+    './modules/core/debugRecorder.js',
+    './modules/core/debugReplay.js',
+    './modules/ui/app.js',
+    './modules/ui/camera.js',
+    './modules/ui/photoSource.js',
+    './modules/ui/profileStore.js',
+    './modules/ui/detectorClient.js',
+    './modules/ui/detectionWorker.js',
+    './modules/ui/measurementExport.js',
+    './modules/ui/debugBundle.js',
+    './modules/ui/embedBridge.js',
+    './modules/ui/i18n.js',
+    './modules/ui/announcer.js',
+    './locales/de.json',
+    './locales/es.json',
+    './locales/fr.json',
+    './locales/it.json',
+    './locales/nl.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        // Navigations may carry query strings: still serve the cached page
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+            .then(cached => {
+                if (cached) return cached;
+
+                return fetch(request).then(response => {
+                    // Cache new same-origin files so they work offline next time
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                });
+            })
+    );
+});
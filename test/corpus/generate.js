@@ -0,0 +1,452 @@
+/**
+ * Regenerate the synthetic part of the regression corpus
+ * Writes the PNG frames and manifest.json next to this script (recorded cases
+ * in the manifest, i.e. without source: 'synthetic', are kept). Rendering is
+ * seeded, so the output only changes when the scenes below change - after
+ * changing them, run `npm run test:update` to re-baseline golden.json.
+ *
+ *   node test/corpus/generate.js
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { PngCodec } from '../lib/pngCodec.js';
+import { SyntheticScene } from '../lib/syntheticScene.js';
+
+const CORPUS_DIR = fileURLToPath(new URL('.', import.meta.url));
+const MANIFEST = new URL('manifest.json', import.meta.url);
+
+// Fingers below the card, far enough apart that only one is inside NailDetector's window
+const THREE_FINGERS = [
+    { x: 130, tipY: 300, nailWidthMM: 14 },
+    { x: 240, tipY: 310, nailWidthMM: 11.5 },
+    { x: 350, tipY: 305, nailWidthMM: 10 }
+];
+
+// Right hand seen from the back with the fingers pointing up, in mm from the palm centre (x right, y down):
+// where each finger leaves the palm, its direction (degrees clockwise from up), length, width and the
+// length of the distal phalanx (fingertip to DIP joint; the thumb's IP joint). Left hands are mirrored.
+const PALM_RADII_MM = { x: 38, y: 48 };
+const HAND_FINGERS = [
+    { name: 'thumb', base: { x: -33, y: 2 }, angle: -50, length: 58, width: 20, distal: 25 },
+    { name: 'index', base: { x: -25, y: -40 }, angle: -8, length: 72, width: 17, distal: 22 },
+    { name: 'middle', base: { x: -8, y: -46 }, angle: 0, length: 80, width: 17, distal: 24 },
+    { name: 'ring', base: { x: 9, y: -44 }, angle: 7, length: 75, width: 16, distal: 23 },
+    { name: 'pinky', base: { x: 25, y: -36 }, angle: 15, length: 60, width: 14, distal: 20 }
+];
+
+// Skin and nail plate colours besides the scene's default (light-medium skin, SyntheticScene.SKIN)
+const SKIN_TONES = {
+    fair: { skin: [236, 196, 178], nail: [248, 222, 214] },
+    dark: { skin: [98, 62, 45], nail: [170, 128, 115] }
+};
+
+// Colour of the light as R, G, B gain: a warm bulb and a cool overcast window, as left by the camera's white balance
+const WARM_LIGHT = [1.12, 1, 0.78];
+const COOL_LIGHT = [0.88, 1, 1.15];
+
+// Sequences are smaller to keep the corpus light (frames are committed)
+const SEQUENCE_SIZE = { width: 480, height: 360 };
+
+// Sensor noise is only added where a case needs it: noisy frames compress ~4× worse
+const STILLS = [
+    {
+        id: 'flat-centered',
+        description: 'Card flat on wood, phone parallel, three fingers',
+        pose: { center: { x: 240, y: 150 }, pixelsPerMM: 3.6 },
+        fingers: THREE_FINGERS
+    },
+    {
+        id: 'rotated-25',
+        description: 'Card turned 25° in the image plane',
+        pose: { center: { x: 420, y: 200 }, pixelsPerMM: 3.4, rotationDegrees: 25 },
+        fingers: [{ x: 110, tipY: 320, nailWidthMM: 12.5 }]
+    },
+    {
+        id: 'portrait',
+        description: 'Card lying portrait (turned 90°)',
+        pose: { center: { x: 470, y: 240 }, pixelsPerMM: 3.8, rotationDegrees: 90 },
+        fingers: [{ x: 150, tipY: 250, nailWidthMM: 13 }]
+    },
+    {
+        id: 'far-small',
+        description: 'Phone held high: small card, close to the minimum scale',
+        pose: { center: { x: 320, y: 160 }, pixelsPerMM: 2.5 },
+        fingers: [{ x: 320, tipY: 310, nailWidthMM: 15 }]
+    },
+    {
+        id: 'near-large',
+        description: 'Phone held low: card fills a third of the frame (area limit is 40%)',
+        pose: { center: { x: 320, y: 240 }, pixelsPerMM: 4.9, rotationDegrees: -4 }
+    },
+    {
+        id: 'tilted-8',
+        description: 'Phone tilted 8° (within the tilt warning limit)',
+        pose: { center: { x: 320, y: 220 }, pixelsPerMM: 3.6, tiltDegrees: 8 }
+    },
+    {
+        id: 'tilted-15',
+        description: 'Phone tilted 15° about a diagonal axis',
+        pose: { center: { x: 300, y: 230 }, pixelsPerMM: 3.5, tiltDegrees: 15, tiltAxisDegrees: 30, rotationDegrees: 10 }
+    },
+    {
+        id: 'light-desk',
+        description: 'White card on a pale desk (low contrast)',
+        background: 'light',
+        pose: { center: { x: 240, y: 150 }, pixelsPerMM: 3.6, rotationDegrees: 3 },
+        fingers: THREE_FINGERS
+    },
+    {
+        id: 'busy-cloth-tap',
+        description: 'Patterned tablecloth; the user taps the card',
+        background: 'busy',
+        pose: { center: { x: 330, y: 230 }, pixelsPerMM: 2.6, rotationDegrees: -8 },
+        tap: { x: 330, y: 230 }
+    },
+    {
+        id: 'soft-focus-dim',
+        description: 'Dim room, slightly out of focus, noisy sensor',
+        pose: { center: { x: 240, y: 150 }, pixelsPerMM: 3.6, rotationDegrees: 6 },
+        fingers: THREE_FINGERS,
+        lighting: [0.55, 0.75],
+        blur: 2,
+        noise: 3
+    },
+    {
+        id: 'no-card',
+        description: 'Fingers on wood without a card (must not lock)',
+        pose: null,
+        fingers: THREE_FINGERS
+    },
+    {
+        id: 'motion-blur',
+        description: 'Phone moving sideways during the exposure (9 px smear)',
+        pose: { center: { x: 240, y: 150 }, pixelsPerMM: 3.6, rotationDegrees: 4 },
+        fingers: THREE_FINGERS,
+        motionBlur: 9,
+        expectedIssue: 'blur'
+    },
+    {
+        id: 'dark-room',
+        description: 'Room too dark for the card to stand out',
+        pose: { center: { x: 300, y: 200 }, pixelsPerMM: 3.4 },
+        lighting: [0.25, 0.35],
+        noise: 2,
+        expectedIssue: 'dark'
+    },
+    {
+        id: 'glare-spot',
+        description: 'Ceiling light reflected on the card',
+        pose: { center: { x: 300, y: 220 }, pixelsPerMM: 3.6, rotationDegrees: -5 },
+        glare: { x: 330, y: 230, radius: 45 },
+        expectedIssue: 'glare'
+    },
+    {
+        id: 'partly-out',
+        description: 'Card half outside the right edge of the frame',
+        pose: { center: { x: 590, y: 240 }, pixelsPerMM: 3.6, rotationDegrees: 3 },
+        fingers: [{ x: 150, tipY: 280, nailWidthMM: 12 }],
+        expectedIssue: 'partial'
+    },
+    {
+        id: 'too-far',
+        description: 'Phone held too high: card below the minimum size',
+        pose: { center: { x: 320, y: 220 }, pixelsPerMM: 1.4, rotationDegrees: 3 },
+        expectedIssue: 'far'
+    },
+    {
+        id: 'right-hand',
+        description: 'Right hand flat on wood, fingers spread, no card',
+        pose: null,
+        hands: [{ x: 300, y: 340, pixelsPerMM: 1.9, side: 'right', angleDegrees: 0 }]
+    },
+    {
+        id: 'left-hand-turned',
+        description: 'Left hand turned 35° to the right, no card',
+        pose: null,
+        hands: [{ x: 280, y: 330, pixelsPerMM: 1.7, side: 'left', angleDegrees: 35 }]
+    },
+    {
+        id: 'dark-skin-hand',
+        description: 'Right hand with dark skin flat on wood, no card',
+        pose: null,
+        hands: [{ x: 300, y: 340, pixelsPerMM: 1.9, side: 'right', angleDegrees: 0, tone: 'dark' }]
+    },
+    {
+        id: 'fair-skin-hand',
+        description: 'Left hand with fair skin turned 10° to the left on wood, no card',
+        pose: null,
+        hands: [{ x: 300, y: 340, pixelsPerMM: 1.9, side: 'left', angleDegrees: -10, tone: 'fair' }]
+    },
+    {
+        id: 'warm-light-hand',
+        description: 'Right hand under a warm bulb, no card',
+        pose: null,
+        tint: WARM_LIGHT,
+        hands: [{ x: 300, y: 340, pixelsPerMM: 1.9, side: 'right', angleDegrees: 10 }]
+    },
+    {
+        id: 'cool-light-hand',
+        description: 'Right hand under cool daylight, no card',
+        pose: null,
+        tint: COOL_LIGHT,
+        hands: [{ x: 300, y: 340, pixelsPerMM: 1.9, side: 'right', angleDegrees: 0 }]
+    },
+    {
+        id: 'fair-skin-cool-light',
+        description: 'Right hand with fair skin under cool daylight, no card (least saturated skin)',
+        pose: null,
+        tint: COOL_LIGHT,
+        hands: [{ x: 300, y: 340, pixelsPerMM: 1.9, side: 'right', angleDegrees: 0, tone: 'fair' }]
+    },
+    {
+        id: 'hand-and-card',
+        description: 'Right hand pointing left next to the card',
+        size: { width: 1280, height: 720 },
+        pose: { center: { x: 300, y: 230 }, pixelsPerMM: 3.2, rotationDegrees: 4 },
+        hands: [{ x: 930, y: 420, pixelsPerMM: 2.8, side: 'right', angleDegrees: -80 }]
+    },
+    {
+        id: 'hd-flat',
+        description: '1280×720 frame (detected on a downscaled pyramid level)',
+        size: { width: 1280, height: 720 },
+        pose: { center: { x: 420, y: 250 }, pixelsPerMM: 5.5, rotationDegrees: 2 },
+        fingers: [{ x: 900, tipY: 300, nailWidthMM: 12 }]
+    }
+];
+
+const SEQUENCES = [
+    {
+        id: 'steady-then-pan',
+        description: 'Held still until the lock, then the phone pans right and slightly closer',
+        steadyFrames: 9,
+        movingFrames: 4,
+        start: { center: { x: 180, y: 110 }, pixelsPerMM: 2.6, rotationDegrees: 2 },
+        end: { center: { x: 240, y: 120 }, pixelsPerMM: 2.8, rotationDegrees: 4 },
+        fingers: [{ x: 150, tipY: 240, nailWidthMM: 12 }]
+    },
+    {
+        id: 'hand-jitter',
+        description: 'Handheld jitter of a few pixels and a slow turn of the card',
+        steadyFrames: 9,
+        movingFrames: 3,
+        start: { center: { x: 220, y: 170 }, pixelsPerMM: 2.5, rotationDegrees: -12 },
+        end: { center: { x: 216, y: 174 }, pixelsPerMM: 2.5, rotationDegrees: -6 },
+        jitterPx: 1.5,
+        fingers: [{ x: 420, tipY: 130, nailWidthMM: 11 }]
+    },
+    {
+        id: 'fast-pan',
+        description: 'Quick swipe after the lock, about 60 px per frame',
+        steadyFrames: 9,
+        movingFrames: 3,
+        start: { center: { x: 150, y: 150 }, pixelsPerMM: 2.6, rotationDegrees: 0 },
+        end: { center: { x: 330, y: 175 }, pixelsPerMM: 2.6, rotationDegrees: 5 },
+        fingers: [{ x: 120, tipY: 260, nailWidthMM: 12 }]
+    },
+    {
+        id: 'finger-over-card',
+        description: 'Card held still while a finger slides in over its lower edge',
+        steadyFrames: 9,
+        movingFrames: 4,
+        start: { center: { x: 230, y: 140 }, pixelsPerMM: 2.6, rotationDegrees: 3 },
+        end: { center: { x: 230, y: 140 }, pixelsPerMM: 2.6, rotationDegrees: 3 },
+        // Slides up from below the frame; the card is not otherwise moving
+        fingers: [{ x: 170, tipY: 380, endTipY: 150, nailWidthMM: 12 }]
+    }
+];
+
+/**
+ * Scale the app computes from perfect corners (average of opposite edges)
+ */
+function scaleFromCorners(corners, scene) {
+    const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+    const horizontal = (distance(corners[0], corners[1]) + distance(corners[3], corners[2])) / 2;
+    const vertical = (distance(corners[0], corners[3]) + distance(corners[1], corners[2])) / 2;
+    const longPx = Math.max(horizontal, vertical);
+    const shortPx = Math.min(horizontal, vertical);
+    return (longPx / scene.CARD_WIDTH_MM + shortPx / scene.CARD_HEIGHT_MM) / 2;
+}
+
+/**
+ * Hand for SyntheticScene and its landmarks, from {x, y (palm centre), pixelsPerMM, side, angleDegrees,
+ * tone (key of SKIN_TONES, default: the scene's)}
+ */
+function buildHand(hand) {
+    const mirror = hand.side === 'left' ? -1 : 1;
+    const turn = hand.angleDegrees * Math.PI / 180;
+    const scale = hand.pixelsPerMM;
+    const colours = hand.tone ? SKIN_TONES[hand.tone] : {};
+    const place = (mm) => ({
+        x: hand.x + scale * (mirror * mm.x * Math.cos(turn) - mm.y * Math.sin(turn)),
+        y: hand.y + scale * (mirror * mm.x * Math.sin(turn) + mm.y * Math.cos(turn))
+    });
+
+    const fingers = HAND_FINGERS.map(f => {
+        const angle = mirror * f.angle * Math.PI / 180 + turn;
+        const direction = { x: Math.sin(angle), y: -Math.cos(angle) }; // Base to tip
+        const base = place(f.base);
+        const tip = { x: base.x + direction.x * f.length * scale, y: base.y + direction.y * f.length * scale };
+        const dip = { x: tip.x - direction.x * f.distal * scale, y: tip.y - direction.y * f.distal * scale };
+        return {
+            scene: {
+                x: tip.x,
+                tipY: tip.y,
+                angle,
+                length: f.length * scale,
+                fingerWidthPx: f.width * scale,
+                nailWidthPx: f.width / 1.35 * scale,
+                ...colours
+            },
+            truth: { name: f.name, side: hand.side, tip: roundPoint(tip), dip: roundPoint(dip) }
+        };
+    });
+
+    return {
+        scene: {
+            palm: { ...place({ x: 0, y: 0 }), radiusX: PALM_RADII_MM.x * scale, radiusY: PALM_RADII_MM.y * scale, angle: turn },
+            skin: colours.skin,
+            fingers: fingers.map(f => f.scene)
+        },
+        fingertips: fingers.map(f => f.truth)
+    };
+}
+
+/**
+ * Render a frame and describe its ground truth
+ */
+function renderFrame(scene, file, spec, pose, seed) {
+    const card = pose ? scene.projectCard(pose) : null;
+    const scale = pose ? pose.pixelsPerMM : 3.6;
+
+    // Nails are rendered at the card's scale, so their true width is known
+    const fingers = (spec.fingers || []).map(f => ({
+        x: f.x,
+        tipY: f.tipY,
+        nailWidthPx: f.nailWidthMM * scale,
+        fingerWidthPx: f.nailWidthMM * 1.35 * scale,
+        nailWidthMM: f.nailWidthMM
+    }));
+    const hands = (spec.hands || []).map(buildHand);
+
+    const image = scene.render({
+        card,
+        fingers,
+        hands: hands.map(h => h.scene),
+        seed,
+        background: spec.background,
+        backgroundOffset: spec.backgroundOffset,
+        lighting: spec.lighting,
+        tint: spec.tint,
+        glare: spec.glare,
+        blur: spec.blur,
+        motionBlur: spec.motionBlur,
+        noise: spec.noise
+    });
+    fs.writeFileSync(CORPUS_DIR + file, PngCodec.encode(image));
+
+    return {
+        file,
+        corners: card ? card.map(c => ({ x: round(c.x), y: round(c.y) })) : null,
+        pixelsPerMM: card ? round(scaleFromCorners(card, scene), 4) : null,
+        nails: fingers.map(f => {
+            const shape = scene.nailShape(f);
+            return {
+                point: roundPoint(scene.nailCenter(f)),
+                widthMM: f.nailWidthMM,
+                lengthMM: round(shape.length / scale),
+                areaMM2: round(shape.area / (scale * scale), 2),
+                cCurveDegrees: round(shape.arcDegrees, 2)
+            };
+        }),
+        // Lone fingers come up from the bottom edge: no joint or hand to label
+        fingertips: [
+            ...fingers.map(f => ({ name: null, side: null, tip: { x: f.x, y: f.tipY }, dip: null })),
+            ...hands.flatMap(h => h.fingertips)
+        ]
+    };
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function round(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function roundPoint(point) {
+    return { x: round(point.x), y: round(point.y) };
+}
+
+const cases = [];
+let seed = 1;
+
+for (const still of STILLS) {
+    const scene = new SyntheticScene(still.size);
+    console.log(`🖼  ${still.id}`);
+    cases.push({
+        id: still.id,
+        type: 'still',
+        source: 'synthetic',
+        description: still.description,
+        reference: 'id1-card',
+        tap: still.tap || null,
+        expectedIssue: still.expectedIssue || null, // Frame quality hint the user should get
+        frames: [renderFrame(scene, `${still.id}.png`, still, still.pose, seed++)]
+    });
+}
+
+for (const sequence of SEQUENCES) {
+    const scene = new SyntheticScene(SEQUENCE_SIZE);
+    const frames = [];
+    const total = sequence.steadyFrames + sequence.movingFrames;
+    console.log(`🎞  ${sequence.id} (${total} frames)`);
+
+    for (let i = 0; i < total; i++) {
+        const t = Math.max(0, i - sequence.steadyFrames + 1) / sequence.movingFrames;
+        // Deterministic wobble instead of random jitter, so frames agree within the lock tolerance
+        const jitter = sequence.jitterPx || 0.4;
+        const pose = {
+            center: {
+                x: lerp(sequence.start.center.x, sequence.end.center.x, t) + jitter * Math.sin(i * 2.1),
+                y: lerp(sequence.start.center.y, sequence.end.center.y, t) + jitter * Math.cos(i * 1.7)
+            },
+            pixelsPerMM: lerp(sequence.start.pixelsPerMM, sequence.end.pixelsPerMM, t),
+            rotationDegrees: lerp(sequence.start.rotationDegrees, sequence.end.rotationDegrees, t)
+        };
+        // The hand lies next to the card and moves with it in the frame (endTipY: the finger moves on its own)
+        const shift = {
+            x: pose.center.x - sequence.start.center.x,
+            y: pose.center.y - sequence.start.center.y
+        };
+        const fingers = sequence.fingers.map(f => ({
+            ...f,
+            x: f.x + shift.x,
+            tipY: (f.endTipY !== undefined ? lerp(f.tipY, f.endTipY, t) : f.tipY) + shift.y
+        }));
+        const frame = renderFrame(scene, `${sequence.id}-${String(i).padStart(2, '0')}.png`,
+            { ...sequence, fingers }, pose, seed++);
+        frames.push(frame);
+    }
+
+    cases.push({
+        id: sequence.id,
+        type: 'sequence',
+        source: 'synthetic',
+        description: sequence.description,
+        reference: 'id1-card',
+        tap: null,
+        expectedIssue: null,
+        frames
+    });
+}
+
+// Keep recorded (non-synthetic) cases that were added to the manifest by hand
+const recorded = fs.existsSync(MANIFEST) ?
+    JSON.parse(fs.readFileSync(MANIFEST, 'utf8')).cases.filter(c => c.source !== 'synthetic') :
+    [];
+
+fs.writeFileSync(MANIFEST, JSON.stringify({ version: 1, cases: [...cases, ...recorded] }, null, 2) + '\n');
+console.log(`✓ Wrote ${cases.length} synthetic cases (${recorded.length} recorded kept) to ${fileURLToPath(MANIFEST)}`);
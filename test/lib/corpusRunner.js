@@ -0,0 +1,291 @@
+/**
+ * CorpusRunner - Runs the detection pipeline over the regression corpus
+ * Each case is fed frame by frame through SizeKitCore and CardDetector, as
+ * the app's processing loop does, and compared with its ground truth:
+ * detection rate, corner error, scale error at lock, nail width error, nail
+ * plate length, area and C-curve error, the frame quality hint shown to the
+ * user, and the fingertips, DIP joints and
+ * finger names HandLandmarker finds on the last frame. Sequences also measure
+ * their nail on every locked frame, checking the averaged width and scale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CardDetector } from '../../modules/core/cardDetector.js';
+import { HandLandmarker } from '../../modules/core/handLandmarker.js';
+import { ReferenceObjects } from '../../modules/core/referenceObjects.js';
+import { SizeKitCore, STATE } from '../../modules/core/sizeKitCore.js';
+import { PngCodec } from './pngCodec.js';
+
+class CorpusRunner {
+    /**
+     * @param {string} corpusDir - Directory with manifest.json and the frames
+     * @param {Object} options - {stillRepeats, frameIntervalMs, verbose, handModel (path of the hand model file)}
+     */
+    constructor(corpusDir, options = {}) {
+        this.corpusDir = corpusDir;
+
+        // A still stands for a steady camera: repeat it long enough for the 8-frame lock
+        this.STILL_REPEATS = options.stillRepeats || 12;
+        this.FRAME_INTERVAL_MS = options.frameIntervalMs || 33; // ~30 fps
+
+        this.verbose = options.verbose || false;
+        this.manifest = JSON.parse(fs.readFileSync(path.join(corpusDir, 'manifest.json'), 'utf8'));
+
+        const handModel = options.handModel || new URL('../../models/hand-landmarks.json', import.meta.url);
+        this.handLandmarker = HandLandmarker.fromJSON(JSON.parse(fs.readFileSync(handModel, 'utf8')));
+    }
+
+    /**
+     * Cases in the corpus
+     * @returns {Array<Object>} Manifest entries
+     */
+    get cases() {
+        return this.manifest.cases;
+    }
+
+    /**
+     * Run one case
+     * @param {Object} testCase - Manifest entry
+     * @returns {Object} Metrics (null where a metric does not apply)
+     */
+    runCase(testCase) {
+        const frames = testCase.frames.map(frame => ({ ...frame, image: this._loadFrame(frame.file) }));
+        const { width, height } = frames[0].image;
+
+        let clock = 0;
+        const reference = ReferenceObjects.get(testCase.reference);
+        const detector = new CardDetector(reference);
+        const core = new SizeKitCore({ detector, reference, frameSize: { width, height }, now: () => clock });
+
+        let lock = null;
+        let frameIndex = 0;
+        core.on('cardLocked', ({ pixelsPerMM }) => {
+            if (!lock) lock = { pixelsPerMM, frame: frameIndex };
+        });
+        // Last hint shown (locking clears it, so it is kept here)
+        let qualityIssue = null;
+        core.on('change', () => {
+            if (core.qualityIssue) qualityIssue = core.qualityIssue;
+        });
+
+        const sequence = testCase.type === 'still' ?
+            Array(this.STILL_REPEATS).fill(frames[0]) :
+            frames;
+
+        const result = {
+            frames: sequence.length,
+            cardFrames: 0,
+            detected: 0,
+            falsePositives: 0,
+            cornerErrors: [],
+            average: null // Nail average over the locked frames of a sequence
+        };
+
+        this._quietly(() => {
+            if (testCase.tap) {
+                core.tap(testCase.tap, () => sequence[0].image);
+            }
+
+            for (frameIndex = 0; frameIndex < sequence.length; frameIndex++) {
+                const frame = sequence[frameIndex];
+                clock += this.FRAME_INTERVAL_MS;
+
+                const request = core.getDetectionRequest();
+                const detection = request ? detector.detectCard(frame.image, request.guideRegion) : null;
+                if (request) core.handleDetection(detection, request);
+                core.tick();
+
+                const found = detection && detection.corners;
+                if (frame.corners) {
+                    result.cardFrames++;
+                    if (found) {
+                        result.detected++;
+                        result.cornerErrors.push(CorpusRunner.cornerError(detection.corners, frame.corners));
+                    }
+                } else if (found) {
+                    result.falsePositives++;
+                }
+
+                // Every locked frame of a sequence is another capture of its nail (one session step)
+                if (testCase.type !== 'still' && core.isCardLocked() && frame.nails && frame.nails.length) {
+                    if (core.state === STATE.LOCKED) core.startSession();
+                    const measurement = core.measureNailAt(frame.nails[0].point, frame.image);
+                    if (measurement) result.average = { ...measurement.average, truthMM: frame.nails[0].widthMM };
+                }
+            }
+            result.scale = core.pixelsPerMM ? core.scaleStats.summarize() : null;
+        });
+
+        // Nails are measured on the last frame, after the card had the whole clip to lock
+        const lastFrame = sequence[sequence.length - 1];
+        const nailErrors = [];
+        const plateErrors = { length: [], area: [], curve: [] };
+        if (core.isCardLocked()) {
+            this._quietly(() => {
+                for (const nail of lastFrame.nails || []) {
+                    const measurement = core.measureNailAt(nail.point, lastFrame.image);
+                    if (!measurement) continue;
+                    nailErrors.push(Math.abs(measurement.widthMM - nail.widthMM));
+
+                    const plate = measurement.plate;
+                    if (!plate || nail.lengthMM === undefined) continue;
+                    plateErrors.length.push(Math.abs(plate.lengthMM - nail.lengthMM));
+                    plateErrors.area.push(Math.abs(plate.areaMM2 - nail.areaMM2) / nail.areaMM2 * 100);
+                    if (plate.cCurve) plateErrors.curve.push(Math.abs(plate.cCurve.arcDegrees - nail.cCurveDegrees));
+                }
+            });
+        }
+        detector.dispose();
+
+        // Fingertips on the last frame too
+        const hands = this._quietly(() => this.handLandmarker.detect(lastFrame.image));
+        const fingertips = CorpusRunner.matchFingertips(hands, lastFrame.fingertips || []);
+
+        const lockFrame = lock ? sequence[lock.frame] : null;
+        const { average, scale } = result;
+        const averageErrorMM = average ? Math.abs(average.widthMM - average.truthMM) : null;
+        return {
+            frames: result.frames,
+            detectionRate: result.cardFrames ? result.detected / result.cardFrames : null,
+            falsePositives: result.falsePositives,
+            cornerErrorPx: CorpusRunner.mean(result.cornerErrors),
+            maxCornerErrorPx: result.cornerErrors.length ? Math.max(...result.cornerErrors) : null,
+            locked: Boolean(lock),
+            lockFrame: lock ? lock.frame : null,
+            scaleErrorPct: lock && lockFrame.pixelsPerMM ?
+                Math.abs(lock.pixelsPerMM - lockFrame.pixelsPerMM) / lockFrame.pixelsPerMM * 100 :
+                null,
+            averagedScaleErrorPct: scale && lastFrame.pixelsPerMM ?
+                Math.abs(scale.mean - lastFrame.pixelsPerMM) / lastFrame.pixelsPerMM * 100 :
+                null,
+            scaleUncertaintyPct: scale && Number.isFinite(scale.uncertainty) ? scale.uncertainty / scale.mean * 100 : null,
+            nails: (lastFrame.nails || []).length,
+            nailsMeasured: nailErrors.length,
+            nailErrorMM: CorpusRunner.mean(nailErrors),
+            platesMeasured: plateErrors.length.length,
+            plateLengthErrorMM: CorpusRunner.mean(plateErrors.length),
+            plateAreaErrorPct: CorpusRunner.mean(plateErrors.area),
+            cCurveErrorDeg: CorpusRunner.mean(plateErrors.curve),
+            nailCaptures: average ? average.captures : null,
+            averagedNailErrorMM: averageErrorMM,
+            nailUncertaintyMM: average && Number.isFinite(average.uncertaintyMM) ? average.uncertaintyMM : null,
+            qualityIssue,
+            issueMatches: testCase.expectedIssue === undefined ? null :
+                Number(qualityIssue === testCase.expectedIssue),
+            ...fingertips
+        };
+    }
+
+    // ==================== STATIC HELPERS ====================
+
+    /**
+     * Mean distance between detected and true corners
+     * The detector may start the corner order at another corner (e.g. a card
+     * rotated past 45°), so the best cyclic shift in either direction is used
+     * @param {Array<Object>} detected - 4 corners {x, y}
+     * @param {Array<Object>} truth - 4 corners {x, y}
+     * @returns {number} Mean error in pixels
+     */
+    static cornerError(detected, truth) {
+        let best = Infinity;
+
+        for (const order of [truth, [...truth].reverse()]) {
+            for (let shift = 0; shift < 4; shift++) {
+                let sum = 0;
+                for (let i = 0; i < 4; i++) {
+                    const t = order[(i + shift) % 4];
+                    sum += Math.hypot(detected[i].x - t.x, detected[i].y - t.y);
+                }
+                best = Math.min(best, sum / 4);
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Pair detected fingertips with the true ones, nearest first
+     * A pair counts when the tips are less than half the detected finger's width apart
+     * @param {Array<Object>} hands - From HandLandmarker.detect()
+     * @param {Array<Object>} truth - [{name, side, tip, dip}] from the manifest (name, side, dip may be null)
+     * @returns {Object} {fingertips, fingertipsFound, falseFingertips, tipErrorPx, dipErrorPx,
+     *                    namedFingers, fingerNames} where fingerNames counts found fingers named
+     *                    and sided as in the truth
+     */
+    static matchFingertips(hands, truth) {
+        const detected = hands.flatMap(hand => hand.fingers.map(finger => ({ ...finger, side: hand.handedness })));
+        const pairs = [];
+        truth.forEach((t, i) => detected.forEach((d, j) => {
+            const error = Math.hypot(d.tip.x - t.tip.x, d.tip.y - t.tip.y);
+            if (error < d.widthPx / 2) pairs.push({ i, j, error });
+        }));
+        pairs.sort((a, b) => a.error - b.error);
+
+        const usedTruth = new Set();
+        const usedDetected = new Set();
+        const tipErrors = [];
+        const dipErrors = [];
+        let fingerNames = 0;
+        for (const { i, j, error } of pairs) {
+            if (usedTruth.has(i) || usedDetected.has(j)) continue;
+            usedTruth.add(i);
+            usedDetected.add(j);
+
+            const t = truth[i];
+            const d = detected[j];
+            tipErrors.push(error);
+            if (t.dip) dipErrors.push(Math.hypot(d.dip.x - t.dip.x, d.dip.y - t.dip.y));
+            if (t.name && d.name === t.name && d.side === t.side) fingerNames++;
+        }
+
+        const namedFingers = truth.filter(t => t.name).length;
+        return {
+            fingertips: truth.length,
+            fingertipsFound: usedTruth.size,
+            falseFingertips: detected.length - usedDetected.size,
+            tipErrorPx: CorpusRunner.mean(tipErrors),
+            dipErrorPx: CorpusRunner.mean(dipErrors),
+            namedFingers,
+            fingerNames: namedFingers ? fingerNames : null
+        };
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {number|null} Mean, or null if empty
+     */
+    static mean(values) {
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Decode a frame of the corpus
+     * @private
+     */
+    _loadFrame(file) {
+        return PngCodec.decode(fs.readFileSync(path.join(this.corpusDir, file)));
+    }
+
+    /**
+     * Run with the detectors' console logging muted (unless verbose)
+     * @private
+     */
+    _quietly(fn) {
+        if (this.verbose) return fn();
+
+        const { log, error } = console;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    }
+}
+
+export { CorpusRunner };
@@ -0,0 +1,43 @@
+/**
+ * OpenCvLoader - Load the vendored OpenCV.js in Node
+ * The core modules expect OpenCV as the global `cv`, as in the browser.
+ * opencv.js is a CommonJS/UMD script, but this package is "type": "module",
+ * so it is evaluated with a CommonJS wrapper instead of require().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PATH = fileURLToPath(new URL('../../vendor/opencv/opencv.js', import.meta.url));
+
+class OpenCvLoader {
+    /**
+     * Load OpenCV.js and install it as the global `cv`
+     * Resolves without a value: the Emscripten module is a thenable that resolves
+     * to itself, so awaiting a promise for it would never settle
+     * @param {string} file - Path to opencv.js (defaults to the vendored copy)
+     * @returns {Promise<void>} Once `cv` is initialised
+     */
+    static async load(file = DEFAULT_PATH) {
+        if (typeof globalThis.cv !== 'undefined' && globalThis.cv.Mat) return;
+
+        const source = fs.readFileSync(file, 'utf8');
+        const wrapper = vm.runInThisContext(
+            `(function (module, exports, require, __dirname, __filename) {${source}\n})`,
+            { filename: file }
+        );
+        const module = { exports: {} };
+        wrapper(module, module.exports, createRequire(file), path.dirname(file), file);
+
+        const cv = module.exports;
+        globalThis.cv = cv;
+        if (!cv.Mat) {
+            await new Promise(resolve => { cv.onRuntimeInitialized = resolve; });
+        }
+    }
+}
+
+export { OpenCvLoader };
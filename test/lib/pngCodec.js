@@ -0,0 +1,232 @@
+/**
+ * PngCodec - Minimal PNG reader/writer for the test corpus
+ * Uses only Node's zlib, so the suite runs without image libraries.
+ * Reads 8-bit non-interlaced gray, gray+alpha, RGB and RGBA images (what
+ * phones and canvas.toBlob produce) into canvas-style ImageData objects.
+ */
+
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel for each supported colour type
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class PngCodec {
+    /**
+     * Decode a PNG file
+     * @param {Buffer} buffer - File contents
+     * @returns {Object} {width, height, data} with RGBA data, like canvas ImageData
+     * @throws {Error} If the file is not a PNG or uses an unsupported format
+     */
+    static decode(buffer) {
+        if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+            throw new Error('Not a PNG file');
+        }
+
+        let header = null;
+        const idat = [];
+        let offset = 8;
+
+        while (offset < buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+
+            if (type === 'IHDR') {
+                header = {
+                    width: chunk.readUInt32BE(0),
+                    height: chunk.readUInt32BE(4),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === 'IDAT') {
+                idat.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!header) {
+            throw new Error('PNG has no IHDR chunk');
+        }
+        const channels = CHANNELS[header.colorType];
+        if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+            throw new Error(`Unsupported PNG: bit depth ${header.bitDepth}, colour type ${header.colorType}, interlace ${header.interlace}`);
+        }
+
+        const { width, height } = header;
+        const raw = zlib.inflateSync(Buffer.concat(idat));
+        const pixels = PngCodec._unfilter(raw, width, height, channels);
+
+        // Expand to RGBA
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+            const k = i * 4;
+            if (channels <= 2) {
+                data[k] = data[k + 1] = data[k + 2] = pixels[j];
+                data[k + 3] = channels === 2 ? pixels[j + 1] : 255;
+            } else {
+                data[k] = pixels[j];
+                data[k + 1] = pixels[j + 1];
+                data[k + 2] = pixels[j + 2];
+                data[k + 3] = channels === 4 ? pixels[j + 3] : 255;
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Encode an image as an 8-bit RGB PNG (alpha is dropped)
+     * @param {Object} imageData - {width, height, data} with RGBA data
+     * @returns {Buffer} PNG file contents
+     */
+    static encode(imageData) {
+        const { width, height, data } = imageData;
+        const stride = width * 3;
+        const rows = Buffer.alloc((stride + 1) * height);
+        const line = Buffer.alloc(stride);
+        const previous = Buffer.alloc(stride);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const k = (y * width + x) * 4;
+                line[x * 3] = data[k];
+                line[x * 3 + 1] = data[k + 1];
+                line[x * 3 + 2] = data[k + 2];
+            }
+            PngCodec._filterRow(line, previous, 3, rows, y * (stride + 1));
+            line.copy(previous);
+        }
+
+        const ihdr = Buffer.alloc(13);
+        ihdr.writeUInt32BE(width, 0);
+        ihdr.writeUInt32BE(height, 4);
+        ihdr[8] = 8; // Bit depth
+        ihdr[9] = 2; // RGB
+
+        return Buffer.concat([
+            SIGNATURE,
+            PngCodec._chunk('IHDR', ihdr),
+            PngCodec._chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+            PngCodec._chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Undo the per-row PNG filters
+     * @private
+     */
+    static _unfilter(raw, width, height, channels) {
+        const stride = width * channels;
+        const pixels = new Uint8Array(stride * height);
+
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const input = y * (stride + 1) + 1;
+            const row = y * stride;
+            const up = row - stride;
+
+            for (let x = 0; x < stride; x++) {
+                const a = x >= channels ? pixels[row + x - channels] : 0;
+                const b = y > 0 ? pixels[up + x] : 0;
+                const c = x >= channels && y > 0 ? pixels[up + x - channels] : 0;
+                let predictor;
+
+                switch (filter) {
+                    case 0: predictor = 0; break;
+                    case 1: predictor = a; break;
+                    case 2: predictor = b; break;
+                    case 3: predictor = (a + b) >> 1; break;
+                    case 4: predictor = PngCodec._paeth(a, b, c); break;
+                    default:
+                        throw new Error(`Invalid PNG filter ${filter} in row ${y}`);
+                }
+
+                pixels[row + x] = (raw[input + x] + predictor) & 0xff;
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Filter one row with the filter that gives the smallest residuals
+     * @private
+     */
+    static _filterRow(line, previous, channels, out, offset) {
+        let best = null;
+
+        for (let filter = 0; filter <= 4; filter++) {
+            const filtered = Buffer.alloc(line.length);
+            let cost = 0;
+
+            for (let x = 0; x < line.length; x++) {
+                const a = x >= channels ? line[x - channels] : 0;
+                const b = previous[x];
+                const c = x >= channels ? previous[x - channels] : 0;
+                const predictor = [0, a, b, (a + b) >> 1, PngCodec._paeth(a, b, c)][filter];
+                const value = (line[x] - predictor) & 0xff;
+                filtered[x] = value;
+                cost += value < 128 ? value : 256 - value;
+            }
+
+            if (!best || cost < best.cost) {
+                best = { filter, filtered, cost };
+            }
+        }
+
+        out[offset] = best.filter;
+        best.filtered.copy(out, offset + 1);
+    }
+
+    /**
+     * Paeth predictor from the PNG specification
+     * @private
+     */
+    static _paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) return a;
+        return pb <= pc ? b : c;
+    }
+
+    /**
+     * Build a chunk with length and CRC
+     * @private
+     */
+    static _chunk(type, body) {
+        const chunk = Buffer.alloc(12 + body.length);
+        chunk.writeUInt32BE(body.length, 0);
+        chunk.write(type, 4, 'ascii');
+        body.copy(chunk, 8);
+
+        let crc = 0xffffffff;
+        for (let i = 4; i < 8 + body.length; i++) {
+            crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+        }
+        chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 8 + body.length);
+        return chunk;
+    }
+}
+
+export { PngCodec };
@@ -0,0 +1,402 @@
+/**
+ * SyntheticScene - Renders test frames with exactly known geometry
+ * A card (with rounded corners, chip and print) lying on a table, seen by a
+ * pinhole camera, plus fingers with nails of known width (alone, or on a whole
+ * hand with a palm and five angled fingers). Used to build the
+ * regression corpus; everything is seeded so regenerating gives identical files.
+ * Coordinates follow OpenCV: the centre of the top-left pixel is (0, 0).
+ */
+
+import { CardPlane } from '../../modules/core/cardPlane.js';
+
+class SyntheticScene {
+    /**
+     * @param {Object} options - {width, height} of the frame and {seed} for the noise
+     */
+    constructor(options = {}) {
+        this.width = options.width || 640;
+        this.height = options.height || 480;
+        this.seed = options.seed || 1;
+
+        // Typical phone main camera, as assumed by CardPlane
+        this.FOCAL_FACTOR = 0.7;
+
+        // ISO/IEC 7810 ID-1
+        this.CARD_WIDTH_MM = 85.6;
+        this.CARD_HEIGHT_MM = 53.98;
+        this.CARD_CORNER_RADIUS_MM = 3.18;
+
+        this.SUPERSAMPLING = 3; // Samples per pixel along each axis (anti-aliasing)
+
+        // Default skin and nail plate colours (light-medium skin); scenes can set others
+        this.SKIN = [208, 150, 128];
+        this.NAIL = [240, 205, 195];
+    }
+
+    /**
+     * Image corners of a card in a given pose
+     * @param {Object} pose - {center {x, y}, pixelsPerMM at the card centre,
+     *                        rotationDegrees in the image plane, tiltDegrees towards the camera,
+     *                        tiltAxisDegrees direction of the tilt axis in the card plane}
+     * @returns {Array<Object>} Sharp corners (edge intersections): top-left, top-right, bottom-right, bottom-left
+     */
+    projectCard(pose) {
+        const focal = this.FOCAL_FACTOR * this.width;
+        const depth = focal / pose.pixelsPerMM;
+        const rotation = (pose.rotationDegrees || 0) * Math.PI / 180;
+        const tilt = (pose.tiltDegrees || 0) * Math.PI / 180;
+        const axis = (pose.tiltAxisDegrees || 0) * Math.PI / 180;
+
+        // Card centre in camera coordinates (mm), principal point in the image centre
+        const centerX = (pose.center.x - this.width / 2) * depth / focal;
+        const centerY = (pose.center.y - this.height / 2) * depth / focal;
+
+        const halfW = this.CARD_WIDTH_MM / 2;
+        const halfH = this.CARD_HEIGHT_MM / 2;
+        return [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]].map(([x, y]) => {
+            // In-plane rotation
+            const rx = x * Math.cos(rotation) - y * Math.sin(rotation);
+            const ry = x * Math.sin(rotation) + y * Math.cos(rotation);
+
+            // Tilt: rotate about an in-plane axis; the distance from the axis gains depth
+            const along = rx * Math.cos(axis) + ry * Math.sin(axis);
+            const across = -rx * Math.sin(axis) + ry * Math.cos(axis);
+            const acrossFlat = across * Math.cos(tilt);
+            const z = depth + across * Math.sin(tilt);
+
+            const px = along * Math.cos(axis) - acrossFlat * Math.sin(axis) + centerX;
+            const py = along * Math.sin(axis) + acrossFlat * Math.cos(axis) + centerY;
+            return {
+                x: this.width / 2 + focal * px / z,
+                y: this.height / 2 + focal * py / z
+            };
+        });
+    }
+
+    /**
+     * Render one frame
+     * @param {Object} spec - {card: corners from projectCard or null, background: 'wood'|'busy'|'light',
+     *                        backgroundOffset {x, y}, fingers [{x, tipY, fingerWidthPx, nailWidthPx}],
+     *                        hands [{palm {x, y, radiusX, radiusY, angle}, fingers [{x, tipY, fingerWidthPx,
+     *                        nailWidthPx, angle, length}]}] with angles in radians clockwise from up,
+     *                        skin and nail [R, G, B] on fingers and hands (default: light-medium skin),
+     *                        lighting [top-left, bottom-right] gain, tint [R, G, B] gain of the light's colour,
+     *                        glare {x, y, radius} highlight,
+     *                        blur radius, motionBlur length in pixels (horizontal), noise sigma}
+     * @returns {Object} {width, height, data} RGBA, like canvas ImageData
+     */
+    render(spec) {
+        const { width, height } = this;
+        const random = this._random(spec.seed || this.seed);
+        const toCard = spec.card ? CardPlane.computeHomography(spec.card, [
+            { x: 0, y: 0 },
+            { x: this.CARD_WIDTH_MM, y: 0 },
+            { x: this.CARD_WIDTH_MM, y: this.CARD_HEIGHT_MM },
+            { x: 0, y: this.CARD_HEIGHT_MM }
+        ]) : null;
+        const offset = spec.backgroundOffset || { x: 0, y: 0 };
+        const lighting = spec.lighting || [1, 1];
+        const tint = spec.tint || [1, 1, 1];
+        const n = this.SUPERSAMPLING;
+
+        let rgb = new Float32Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let sy = 0; sy < n; sy++) {
+                    for (let sx = 0; sx < n; sx++) {
+                        const px = x + (sx + 0.5) / n - 0.5;
+                        const py = y + (sy + 0.5) / n - 0.5;
+                        const color = this._sample(px, py, spec, toCard, offset);
+                        r += color[0];
+                        g += color[1];
+                        b += color[2];
+                    }
+                }
+
+                const gain = lighting[0] + (lighting[1] - lighting[0]) * (x / width + y / height) / 2;
+                const highlight = spec.glare ? this._glare(x, y, spec.glare) : 0;
+                const k = (y * width + x) * 3;
+                rgb[k] = r / (n * n) * gain * tint[0] + highlight;
+                rgb[k + 1] = g / (n * n) * gain * tint[1] + highlight;
+                rgb[k + 2] = b / (n * n) * gain * tint[2] + highlight;
+            }
+        }
+
+        for (let pass = 0; pass < (spec.blur || 0); pass++) {
+            rgb = this._boxBlur(rgb);
+        }
+        if (spec.motionBlur) {
+            rgb = this._motionBlur(rgb, spec.motionBlur);
+        }
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        const sigma = spec.noise || 0;
+        for (let i = 0; i < width * height; i++) {
+            for (let c = 0; c < 3; c++) {
+                data[i * 4 + c] = Math.round(rgb[i * 3 + c] + sigma * this._gaussian(random));
+            }
+            data[i * 4 + 3] = 255;
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Middle of a finger's nail, where the user would tap
+     * @param {Object} finger - {x, tipY, fingerWidthPx, nailWidthPx}
+     * @returns {Object} {x, y}
+     */
+    nailCenter(finger) {
+        const nailTop = finger.tipY + 0.15 * finger.fingerWidthPx;
+        return { x: finger.x, y: nailTop + 0.6 * finger.nailWidthPx };
+    }
+
+    /**
+     * Size of a finger's nail plate as _finger draws it
+     * @param {Object} finger - {fingerWidthPx, nailWidthPx}
+     * @returns {Object} {length, area} in pixels, arcDegrees: the arc of the finger's round
+     *                   cross-section the nail covers (its C-curve)
+     */
+    nailShape(finger) {
+        const width = finger.nailWidthPx;
+        return {
+            length: 1.2 * width,
+            area: width * (1.2 * width - width / 2) + Math.PI * width * width / 8, // Rounded free edge
+            arcDegrees: 2 * Math.asin(width / finger.fingerWidthPx) * 180 / Math.PI
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Colour of the scene at a sub-pixel position, front to back
+     * @private
+     */
+    _sample(x, y, spec, toCard, offset) {
+        for (const finger of spec.fingers || []) {
+            const color = this._finger(x, y, finger);
+            if (color) return color;
+        }
+
+        for (const hand of spec.hands || []) {
+            const color = this._hand(x, y, hand);
+            if (color) return color;
+        }
+
+        if (toCard) {
+            const point = CardPlane.applyHomography(toCard, { x, y });
+            const color = this._card(point.x, point.y);
+            if (color) return color;
+        }
+
+        return this._background(x + offset.x, y + offset.y, spec.background || 'wood');
+    }
+
+    /**
+     * Card face in card millimetres, or null outside the rounded rectangle
+     * @private
+     */
+    _card(u, v) {
+        const w = this.CARD_WIDTH_MM;
+        const h = this.CARD_HEIGHT_MM;
+        const radius = this.CARD_CORNER_RADIUS_MM;
+        if (u < 0 || v < 0 || u > w || v > h) return null;
+
+        // Rounded corners
+        const cu = Math.min(Math.max(u, radius), w - radius);
+        const cv = Math.min(Math.max(v, radius), h - radius);
+        if ((u - cu) ** 2 + (v - cv) ** 2 > radius * radius) return null;
+
+        // Issuer band, chip and embossed number
+        if (v < 12) return [150, 175, 215];
+        if (u > 10 && u < 21.5 && v > 18 && v < 27) return [205, 175, 95];
+        if (u > 8 && u < 64 && v > 38 && v < 41.5 && Math.floor(u / 3.2) % 5 !== 4) return [70, 70, 80];
+        return [238, 238, 232];
+    }
+
+    /**
+     * Finger with a nail whose sides sit in curvature shadows, or null outside it
+     * @private
+     */
+    _finger(x, y, finger) {
+        const half = finger.fingerWidthPx / 2;
+        const dx = x - finger.x;
+        if (Math.abs(dx) > half) return null;
+
+        // Rounded fingertip
+        const tipEdge = finger.tipY + half - Math.sqrt(half * half - dx * dx);
+        if (y < tipEdge) return null;
+
+        // Round finger: darker towards its sides
+        const shade = 0.72 + 0.28 * Math.sqrt(1 - (dx / half) ** 2);
+        let color = (finger.skin || this.SKIN).map(c => c * shade);
+
+        const nailHalf = finger.nailWidthPx / 2;
+        const nailTop = finger.tipY + 0.15 * finger.fingerWidthPx;
+        const nailBottom = nailTop + 1.2 * finger.nailWidthPx;
+        if (y > nailTop && y < nailBottom) {
+            // Nail plate with a rounded free edge
+            const rounded = y - nailTop < nailHalf ?
+                nailHalf * nailHalf - (nailTop + nailHalf - y) ** 2 >= dx * dx :
+                true;
+            if (Math.abs(dx) <= nailHalf && rounded) {
+                color = (finger.nail || this.NAIL).map(c => c * shade);
+            }
+
+            // Shadow valley along each nail side (the edge NailDetector looks for)
+            const sigma = finger.nailWidthPx * 0.03;
+            const distance = Math.abs(Math.abs(dx) - nailHalf);
+            const shadow = 1 - 0.4 * Math.exp(-(distance * distance) / (2 * sigma * sigma));
+            color = color.map(c => c * shadow);
+        }
+
+        return color;
+    }
+
+    /**
+     * Hand seen from the back: fingers pointing away from an elliptic palm, or null outside it
+     * Each finger is drawn by _finger in its own frame (tip at {x, tipY}, pointing up)
+     * @private
+     */
+    _hand(x, y, hand) {
+        for (const finger of hand.fingers) {
+            const dx = x - finger.x;
+            const dy = y - finger.tipY;
+            const along = dx * Math.sin(finger.angle) - dy * Math.cos(finger.angle); // Towards the tip
+            const across = dx * Math.cos(finger.angle) + dy * Math.sin(finger.angle);
+            if (-along > finger.length) continue;
+
+            const color = this._finger(finger.x + across, finger.tipY - along, finger);
+            if (color) return color;
+        }
+
+        const palm = hand.palm;
+        const dx = x - palm.x;
+        const dy = y - palm.y;
+        const u = (dx * Math.cos(palm.angle) + dy * Math.sin(palm.angle)) / palm.radiusX;
+        const v = (dy * Math.cos(palm.angle) - dx * Math.sin(palm.angle)) / palm.radiusY;
+        const r2 = u * u + v * v;
+        if (r2 > 1) return null;
+
+        // Back of the hand: slightly darker towards the rim
+        const shade = 0.8 + 0.2 * Math.sqrt(1 - r2);
+        return (hand.skin || this.SKIN).map(c => c * shade);
+    }
+
+    /**
+     * Table surface
+     * @private
+     */
+    _background(x, y, kind) {
+        if (kind === 'light') {
+            // Pale desk: low contrast against the white card
+            const grain = 4 * Math.sin(x * 0.07 + 2 * Math.sin(y * 0.013));
+            return [200 + grain, 198 + grain, 190 + grain];
+        }
+
+        if (kind === 'busy') {
+            // Patterned cloth: strong edges everywhere
+            const check = (Math.floor(x / 23) + Math.floor(y / 17)) % 2;
+            const stripe = Math.sin(x * 0.31 + y * 0.12) > 0.6 ? 40 : 0;
+            return check ? [165 - stripe, 120, 90 + stripe] : [70 + stripe, 95, 120 - stripe];
+        }
+
+        // Wood grain
+        const grain = 14 * Math.sin(y * 0.05 + 3 * Math.sin(x * 0.011)) + 6 * Math.sin(y * 0.31 + x * 0.02);
+        return [125 + grain, 92 + grain * 0.8, 66 + grain * 0.6];
+    }
+
+    /**
+     * 3x3 box blur (one pass)
+     * @private
+     */
+    _boxBlur(rgb) {
+        const { width, height } = this;
+        const out = new Float32Array(rgb.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    let count = 0;
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const nx = x + dx;
+                            const ny = y + dy;
+                            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                            sum += rgb[(ny * width + nx) * 3 + c];
+                            count++;
+                        }
+                    }
+                    out[(y * width + x) * 3 + c] = sum / count;
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Horizontal smear of a given length (camera moving during the exposure)
+     * @private
+     */
+    _motionBlur(rgb, length) {
+        const { width, height } = this;
+        const out = new Float32Array(rgb.length);
+        const half = Math.floor(length / 2);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    let count = 0;
+                    for (let dx = -half; dx < length - half; dx++) {
+                        const nx = x + dx;
+                        if (nx < 0 || nx >= width) continue;
+                        sum += rgb[(y * width + nx) * 3 + c];
+                        count++;
+                    }
+                    out[(y * width + x) * 3 + c] = sum / count;
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Brightness added by a specular highlight: blown out in the middle, fading at its radius
+     * @private
+     */
+    _glare(x, y, glare) {
+        const d2 = ((x - glare.x) ** 2 + (y - glare.y) ** 2) / (glare.radius * glare.radius);
+        return d2 >= 1 ? 0 : 260 * (1 - d2 * d2);
+    }
+
+    /**
+     * Seeded uniform random numbers (mulberry32)
+     * @private
+     */
+    _random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Standard normal sample (Box-Muller)
+     * @private
+     */
+    _gaussian(random) {
+        const u = Math.max(random(), 1e-12);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    }
+}
+
+export { SyntheticScene };
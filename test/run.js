@@ -0,0 +1,211 @@
+/**
+ * Detection regression suite
+ * Runs every corpus case through the real detection pipeline (OpenCV.js in
+ * Node) and fails if any metric got worse than the golden values.
+ *
+ *   npm test                      Run all cases
+ *   npm test -- flat-centered     Run the named cases only
+ *   npm run test:update           Accept the current results as the new golden values
+ *   npm test -- --verbose         Show the detectors' console output
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { OpenCvLoader } from './lib/openCvLoader.js';
+import { CorpusRunner } from './lib/corpusRunner.js';
+
+const CORPUS_DIR = fileURLToPath(new URL('corpus/', import.meta.url));
+const GOLDEN_FILE = new URL('golden.json', import.meta.url);
+
+// Allowed drift before a worse value counts as a regression (floating point, OpenCV builds)
+const DEFAULT_TOLERANCES = {
+    cornerErrorPx: 0.1,
+    maxCornerErrorPx: 0.5,
+    scaleErrorPct: 0.1,
+    averagedScaleErrorPct: 0.1,
+    nailErrorMM: 0.1,
+    averagedNailErrorMM: 0.1,
+    plateLengthErrorMM: 0.1,
+    plateAreaErrorPct: 0.5,
+    cCurveErrorDeg: 1,
+    tipErrorPx: 0.3,
+    dipErrorPx: 0.5
+};
+
+// Golden values are stored with 4 decimals; differences below that are not changes
+const GOLDEN_PRECISION = 1e-4;
+
+// Metrics where lower is better, and counts where higher is better
+// (the reported uncertainties are neither: an honest uncertainty is not a smaller one)
+const LOWER_IS_BETTER = ['cornerErrorPx', 'maxCornerErrorPx', 'scaleErrorPct', 'averagedScaleErrorPct', 'nailErrorMM',
+    'averagedNailErrorMM', 'falsePositives', 'plateLengthErrorMM', 'plateAreaErrorPct', 'cCurveErrorDeg',
+    'falseFingertips', 'tipErrorPx', 'dipErrorPx'];
+const HIGHER_IS_BETTER = ['detectionRate', 'nailsMeasured', 'platesMeasured', 'nailCaptures',
+    'issueMatches', 'fingertipsFound', 'fingerNames'];
+
+/**
+ * Compare one case with its golden values
+ * @returns {Object} {regressions, improvements} as readable strings
+ */
+function compare(result, golden, tolerances) {
+    const regressions = [];
+    const improvements = [];
+
+    if (golden.locked && !result.locked) {
+        regressions.push('no longer locks');
+    } else if (!golden.locked && result.locked && result.detectionRate !== null) {
+        improvements.push('now locks');
+    }
+
+    for (const metric of [...LOWER_IS_BETTER, ...HIGHER_IS_BETTER]) {
+        const expected = golden[metric];
+        const actual = result[metric];
+        if (expected === null || expected === undefined) continue;
+
+        if (actual === null || actual === undefined) {
+            regressions.push(`${metric} missing (was ${format(expected)})`);
+            continue;
+        }
+
+        const tolerance = (tolerances[metric] || 0) + GOLDEN_PRECISION;
+        const worse = LOWER_IS_BETTER.includes(metric) ? actual > expected + tolerance : actual < expected - tolerance;
+        const better = LOWER_IS_BETTER.includes(metric) ? actual < expected - tolerance : actual > expected + tolerance;
+
+        if (worse) {
+            regressions.push(`${metric} ${format(expected)} → ${format(actual)}`);
+        } else if (better) {
+            improvements.push(`${metric} ${format(expected)} → ${format(actual)}`);
+        }
+    }
+
+    return { regressions, improvements };
+}
+
+function format(value) {
+    if (value === null || value === undefined) return '-';
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function round(value) {
+    return typeof value === 'number' && !Number.isInteger(value) ? Number(value.toFixed(4)) : value;
+}
+
+function printTable(rows) {
+    const header = ['case', 'detected', 'FP', 'corner px', 'max px', 'lock', 'scale %', 'avg scale %', '± %',
+        'nails', 'nail mm', 'caps', 'avg mm', '± mm', 'plates', 'len mm', 'area %', 'C °', 'hint', 'tips', 'tip px', 'dip px', 'names', 'ms'];
+    const lines = rows.map(({ id, result, ms }) => [
+        id,
+        result.detectionRate === null ? '-' : `${(result.detectionRate * 100).toFixed(0)}%`,
+        String(result.falsePositives),
+        format(result.cornerErrorPx),
+        format(result.maxCornerErrorPx),
+        result.locked ? `#${result.lockFrame}` : 'no',
+        format(result.scaleErrorPct),
+        format(result.averagedScaleErrorPct),
+        format(result.scaleUncertaintyPct),
+        result.nails ? `${result.nailsMeasured}/${result.nails}` : '-',
+        format(result.nailErrorMM),
+        result.nailCaptures === null ? '-' : String(result.nailCaptures),
+        format(result.averagedNailErrorMM),
+        format(result.nailUncertaintyMM),
+        result.nails ? `${result.platesMeasured}/${result.nails}` : '-',
+        format(result.plateLengthErrorMM),
+        format(result.plateAreaErrorPct),
+        format(result.cCurveErrorDeg),
+        (result.qualityIssue || '-') + (result.issueMatches === 0 ? ' ✗' : ''),
+        (result.fingertips ? `${result.fingertipsFound}/${result.fingertips}` : '-') +
+            (result.falseFingertips ? ` +${result.falseFingertips}` : ''),
+        format(result.tipErrorPx),
+        format(result.dipErrorPx),
+        result.namedFingers ? `${result.fingerNames}/${result.namedFingers}` : '-',
+        String(ms)
+    ]);
+
+    const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+    const pad = (cells) => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+    console.log(pad(header));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    lines.forEach(l => console.log(pad(l)));
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update');
+    const verbose = args.includes('--verbose');
+    const only = args.filter(a => !a.startsWith('--'));
+
+    console.log('Loading OpenCV.js...');
+    await OpenCvLoader.load();
+
+    const runner = new CorpusRunner(CORPUS_DIR, { verbose });
+    const unknown = only.filter(id => !runner.cases.some(c => c.id === id));
+    if (unknown.length) {
+        throw new Error(`Unknown case(s): ${unknown.join(', ')}`);
+    }
+
+    const cases = only.length ? runner.cases.filter(c => only.includes(c.id)) : runner.cases;
+    const rows = [];
+    for (const testCase of cases) {
+        const start = Date.now();
+        const result = runner.runCase(testCase);
+        rows.push({ id: testCase.id, result, ms: Date.now() - start });
+    }
+
+    console.log('');
+    printTable(rows);
+
+    // Corpus-wide summary
+    const detected = rows.filter(r => r.result.detectionRate !== null);
+    const mean = (key) => CorpusRunner.mean(rows.map(r => r.result[key]).filter(v => v !== null));
+    console.log('');
+    console.log(`Detection rate ${format(CorpusRunner.mean(detected.map(r => r.result.detectionRate)) * 100)}% · ` +
+        `corner error ${format(mean('cornerErrorPx'))} px · scale error ${format(mean('scaleErrorPct'))}% · ` +
+        `nail error ${format(mean('nailErrorMM'))} mm (averaged ${format(mean('averagedNailErrorMM'))} mm) · nail length error ${format(mean('plateLengthErrorMM'))} mm · ` +
+        `fingertip error ${format(mean('tipErrorPx'))} px`);
+
+    const golden = fs.existsSync(GOLDEN_FILE) ?
+        JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8')) :
+        { tolerances: DEFAULT_TOLERANCES, cases: {} };
+
+    if (update) {
+        for (const { id, result } of rows) {
+            golden.cases[id] = Object.fromEntries(Object.entries(result).map(([k, v]) => [k, round(v)]));
+        }
+        golden.tolerances = golden.tolerances || DEFAULT_TOLERANCES;
+        fs.writeFileSync(GOLDEN_FILE, JSON.stringify(golden, null, 2) + '\n');
+        console.log(`\n✓ Updated golden values for ${rows.length} case(s)`);
+        return;
+    }
+
+    console.log('');
+    let failures = 0;
+    for (const { id, result } of rows) {
+        if (!golden.cases[id]) {
+            console.log(`❌ ${id}: no golden values - run npm run test:update`);
+            failures++;
+            continue;
+        }
+
+        const { regressions, improvements } = compare(result, golden.cases[id], golden.tolerances);
+        if (regressions.length) {
+            console.log(`❌ ${id}: ${regressions.join(', ')}`);
+            failures++;
+        }
+        if (improvements.length) {
+            console.log(`✨ ${id}: ${improvements.join(', ')} (run npm run test:update to keep)`);
+        }
+    }
+
+    if (failures) {
+        console.log(`\n${failures} of ${rows.length} case(s) regressed`);
+        process.exitCode = 1;
+    } else {
+        console.log(`✓ ${rows.length} case(s) match the golden values`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,117 @@
+/**
+ * MeasurementExport text output: share summary and CSV
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { I18n } from '../../modules/ui/i18n.js';
+import { MeasurementExport } from '../../modules/ui/measurementExport.js';
+
+/**
+ * Record as createRecord() returns it, with the fields the text output reads
+ */
+function record(overrides = {}) {
+    return {
+        timestamp: '2024-05-01T14:32:00.000Z',
+        reference: { id: 'card', label: '💳 Bank / ID card', widthMM: 85.6, heightMM: 53.98 },
+        scale: { pixelsPerMM: 6.1234, uncertainty: 0.0123, frames: 15, tiltDegrees: 3.4, lensCalibrated: false },
+        card: { corners: [{ x: 1, y: 2 }, { x: 3, y: 4 }], refined: true, confidence: 0.9, markerId: null },
+        nails: [
+            { hand: 'left', finger: 'thumb', widthMM: 15.23, uncertaintyMM: 0.12, captures: 4, widthPx: 93.2, size: 3, nearestSize: 3, plate: null },
+            { hand: null, finger: null, widthMM: 11, uncertaintyMM: null, captures: 1, widthPx: 67.4, size: null, nearestSize: 7, plate: null }
+        ],
+        device: { userAgent: null, source: { type: 'camera', label: 'Back camera' } },
+        ...overrides
+    };
+}
+
+/**
+ * I18n with a catalogue read from disk (load() fetches it in the browser)
+ */
+function i18nFor(locale) {
+    const i18n = new I18n();
+    i18n.locale = locale;
+    i18n.catalogue = JSON.parse(fs.readFileSync(new URL(`../../locales/${locale}.json`, import.meta.url), 'utf8'));
+    return i18n;
+}
+
+test('the summary is in English without I18n', () => {
+    const lines = new MeasurementExport().summaryLines(record());
+    assert.deepEqual(lines.slice(1), [
+        'Bank / ID card · 6.12 px/mm · tilt 3°',
+        'Left thumb: 15.2 ± 0.12 mm · size 3',
+        'Nail: 11.0 mm · ~size 7'
+    ]);
+});
+
+test('the summary follows the user\'s language', () => {
+    const lines = new MeasurementExport({ i18n: i18nFor('de') }).summaryLines(record());
+    assert.match(lines[1], /^.+ · 6,12 px\/mm · Neigung 3°$/);
+    assert.deepEqual(lines.slice(2), [
+        'Linker Daumen: 15,2 ± 0,12 mm · Größe 3',
+        'Nagel: 11,0 mm · ~Größe 7'
+    ]);
+});
+
+/**
+ * CSV text split into rows of unquoted fields (enough for the quoting toCSV writes; no CRLF inside fields)
+ */
+function parseCSV(text) {
+    assert.ok(text.endsWith('\r\n'));
+    return text.slice(0, -2).split('\r\n').map(line => {
+        const fields = line.match(/"(?:[^"]|"")*"(?=,|$)/g);
+        assert.equal(fields.join(','), line, 'every field is quoted');
+        return fields.map(field => field.slice(1, -1).replace(/""/g, '"'));
+    });
+}
+
+test('the CSV has one row per nail under the header', () => {
+    const [header, ...rows] = parseCSV(new MeasurementExport().toCSV(record()));
+    assert.equal(rows.length, 2);
+    assert.ok(rows.every(row => row.length === header.length));
+
+    const nail = Object.fromEntries(header.map((name, i) => [name, rows[0][i]]));
+    assert.equal(nail.reference, 'card');
+    assert.equal(nail.pixels_per_mm, '6.1234');
+    assert.equal(nail.hand, 'left');
+    assert.equal(nail.width_mm, '15.23');
+    assert.equal(nail.size, '3');
+    assert.equal(nail.camera, 'Back camera');
+    assert.equal(rows[1][header.indexOf('size')], '~7');
+    assert.equal(rows[1][header.indexOf('hand')], '');
+});
+
+test('CSV fields with commas, quotes and line breaks stay in their column', () => {
+    const label = 'Camera "front", 12 MP\nwide';
+    const [header, row] = parseCSV(new MeasurementExport().toCSV(record({
+        nails: [],
+        device: { userAgent: null, source: { type: 'camera', label } }
+    })));
+    assert.equal(row.length, header.length);
+    assert.equal(row[header.indexOf('camera')], label);
+});
+
+test('CSV text a spreadsheet would run as a formula is prefixed with a quote', () => {
+    for (const label of ['=HYPERLINK("http://example.com")', '+1+2', '-2+3', '@SUM(A1:A2)', '\t=1']) {
+        const [header, row] = parseCSV(new MeasurementExport().toCSV(record({
+            device: { userAgent: null, source: { type: 'camera', label } }
+        })));
+        assert.equal(row[header.indexOf('camera')], `'${label}`);
+    }
+
+    const [header, row] = parseCSV(new MeasurementExport().toCSV(record({
+        reference: { id: '=cmd|"/c calc"!A1', label: 'x' },
+        device: { userAgent: null, source: { type: 'photo', fileName: '@photo.jpg' } }
+    })));
+    assert.equal(row[header.indexOf('reference')], '\'=cmd|"/c calc"!A1');
+    assert.equal(row[header.indexOf('camera')], 'photo @photo.jpg'); // Not at the start: harmless
+});
+
+test('negative numbers in the CSV stay numbers', () => {
+    const [header, row] = parseCSV(new MeasurementExport().toCSV(record({
+        scale: { pixelsPerMM: 6.1234, uncertainty: 0.0123, frames: 15, tiltDegrees: -4.2, lensCalibrated: true }
+    })));
+    assert.equal(row[header.indexOf('tilt_degrees')], '-4.2');
+    assert.equal(row[header.indexOf('lens_calibrated')], 'true');
+});
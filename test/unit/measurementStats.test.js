@@ -0,0 +1,144 @@
+/**
+ * MeasurementStats: outlier rejection, the confidence interval and restarts
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MeasurementStats } from '../../modules/core/measurementStats.js';
+
+/**
+ * Stats with the values added in order
+ */
+function statsOf(values, options = {}) {
+    const stats = new MeasurementStats(options);
+    for (const value of values) stats.add(value);
+    return stats;
+}
+
+test('nothing added has no summary', () => {
+    assert.equal(new MeasurementStats().summarize(), null);
+});
+
+test('a single value has an infinite uncertainty', () => {
+    const summary = statsOf([14.2], { maxUncertainty: 0.3 }).summarize();
+    assert.equal(summary.mean, 14.2);
+    assert.equal(summary.stdDev, 0);
+    assert.equal(summary.uncertainty, Infinity);
+    assert.equal(summary.count, 1);
+    assert.equal(summary.accepted, false);
+
+    assert.equal(statsOf([14.2], { maxUncertainty: Infinity }).summarize().accepted, true);
+});
+
+test('the uncertainty is the 95% t-interval of the mean', () => {
+    const summary = statsOf([1, 2, 3]).summarize();
+    assert.equal(summary.mean, 2);
+    assert.equal(summary.stdDev, 1);
+    assert.ok(Math.abs(summary.uncertainty - 4.303 / Math.sqrt(3)) < 1e-12);
+
+    // Beyond the table the quantile comes from the approximation
+    const many = Array.from({ length: 12 }, (v, i) => (i % 2 ? 11 : 9));
+    const large = statsOf(many).summarize();
+    const stdDev = Math.sqrt(12 / 11);
+    assert.ok(Math.abs(large.uncertainty - MeasurementStats.tQuantile95(11) * stdDev / Math.sqrt(12)) < 1e-12);
+    assert.ok(Math.abs(MeasurementStats.tQuantile95(11) - 2.201) < 0.005);
+});
+
+test('a shared relative uncertainty is added in quadrature', () => {
+    const stats = statsOf([1, 2, 3]);
+    const random = stats.summarize().uncertainty;
+    const summary = stats.summarize({ relativeUncertainty: 0.01 });
+    assert.ok(Math.abs(summary.uncertainty - Math.hypot(random, 0.02)) < 1e-12);
+});
+
+test('the width is accepted once its interval is narrow enough', () => {
+    const stats = new MeasurementStats({ maxUncertainty: 0.3 });
+    assert.equal(stats.add(14.0).accepted, false);
+    assert.equal(stats.add(14.1).accepted, false); // t = 12.7 with one degree of freedom
+    assert.equal(stats.add(14.05).accepted, true);
+});
+
+test('values far from the median are rejected as outliers', () => {
+    const summary = statsOf([10, 10.1, 9.9, 10.05, 9.95, 13]).summarize();
+    assert.equal(summary.rejected, 1);
+    assert.equal(summary.count, 5);
+    assert.ok(Math.abs(summary.mean - 10) < 1e-12);
+});
+
+test('outliers are only rejected from three values on', () => {
+    const summary = statsOf([10, 20]).summarize();
+    assert.equal(summary.rejected, 0);
+    assert.equal(summary.mean, 15);
+});
+
+test('mostly equal values fall back to the mean absolute deviation', () => {
+    const summary = statsOf([5, 5, 5, 5, 9]).summarize();
+    assert.equal(summary.rejected, 1);
+    assert.equal(summary.mean, 5);
+    assert.equal(statsOf([5, 5, 5]).summarize().rejected, 0);
+});
+
+test('values that are not finite are ignored', () => {
+    const stats = statsOf([10, NaN, Infinity, 12]);
+    assert.equal(stats.count, 2);
+    assert.equal(stats.summarize().mean, 11);
+});
+
+test('old values roll off after maxSamples', () => {
+    const stats = statsOf([1, 2, 3, 4, 5, 6], { maxSamples: 4 });
+    assert.deepEqual(stats.values, [3, 4, 5, 6]);
+});
+
+test('reset forgets values and held-back values', () => {
+    const stats = statsOf([100, 100, 100, 110, 110], { restartTolerance: 0.01, restartValues: 3 });
+    stats.reset();
+    assert.equal(stats.summarize(), null);
+    assert.equal(stats.count, 0);
+
+    stats.add(50);
+    stats.add(110); // Held back: the two before the reset do not count towards a restart
+    stats.add(110);
+    assert.equal(stats.summarize().mean, 50);
+});
+
+test('a single value far off is held back, not averaged', () => {
+    const stats = statsOf([100, 100.2, 99.8, 100, 100], { restartTolerance: 0.01, restartValues: 3 });
+    stats.add(120);
+    assert.equal(stats.summarize().mean, 100);
+    stats.add(100);
+    assert.equal(stats.summarize().mean, 100);
+    assert.equal(stats.count, 6);
+});
+
+test('values off on alternating sides do not restart', () => {
+    const stats = statsOf([100, 100, 100, 110, 90, 110, 90], { restartTolerance: 0.01, restartValues: 3 });
+    assert.equal(stats.summarize().mean, 100);
+    assert.equal(stats.count, 3);
+});
+
+test('a step change restarts after restartValues values off the same way', () => {
+    const stats = statsOf([100, 100, 100, 100, 100], { restartTolerance: 0.01, restartValues: 3 });
+    assert.equal(stats.add(110).mean, 100);
+    assert.equal(stats.add(110.2).mean, 100);
+
+    const summary = stats.add(109.8);
+    assert.ok(Math.abs(summary.mean - 110) < 1e-12);
+    assert.equal(summary.count, 3); // The held values agree, so all of them are kept
+});
+
+test('a quantity still moving after a restart follows each value', () => {
+    const stats = statsOf([100, 100, 100, 102, 104, 106], { restartTolerance: 0.01, restartValues: 3 });
+    assert.deepEqual(stats.values, [106]); // Only the latest: the earlier held values were on the way
+    assert.equal(stats.add(108).mean, 108);
+
+    // Settled: averaged again, and the next value far off is held back
+    assert.equal(stats.add(108.2).count, 2);
+    assert.equal(stats.add(112).mean, 108.1);
+});
+
+test('a slow drift within the tolerance is averaged over the window', () => {
+    const stats = new MeasurementStats({ maxSamples: 5, restartTolerance: 0.01, restartValues: 3 });
+    for (let i = 0; i < 20; i++) stats.add(100 + i * 0.2);
+    assert.equal(stats.count, 5);
+    assert.ok(Math.abs(stats.summarize().mean - 103.4) < 1e-9); // Mean of the last five, 0.4 behind the latest
+});
@@ -0,0 +1,175 @@
+/**
+ * ProfileStore import: what a profile file must hold, and that a rejected file changes nothing
+ * Runs against fake-indexeddb, a fresh database per test.
+ */
+
+import 'fake-indexeddb/auto';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ProfileStore } from '../../modules/ui/profileStore.js';
+
+/**
+ * Measurement record as MeasurementExport.createRecord() writes it (the fields the import checks)
+ */
+function record(overrides = {}) {
+    return {
+        format: 'sizekit-measurement',
+        version: 1,
+        timestamp: '2024-05-01T14:32:00.000Z',
+        reference: { id: 'card', label: '💳 Bank / ID card', widthMM: 85.6, heightMM: 53.98 },
+        nails: [
+            { hand: 'left', finger: 'thumb', widthMM: 15.2, uncertaintyMM: 0.12, size: 3, nearestSize: 3 },
+            { hand: null, finger: null, widthMM: 11, uncertaintyMM: null, size: null, nearestSize: 7 }
+        ],
+        ...overrides
+    };
+}
+
+/**
+ * Profile file as exportProfile() writes it
+ */
+function profileFile(overrides = {}, sessions = [{ createdAt: '2024-05-01T14:32:00.000Z', record: record(), thumbnail: null }]) {
+    return {
+        format: 'sizekit-profile',
+        version: 1,
+        exportedAt: '2024-05-02T09:00:00.000Z',
+        profile: { name: 'Me', createdAt: '2024-04-01T10:00:00.000Z' },
+        sessions,
+        ...overrides
+    };
+}
+
+function file(content, name = 'sizekit-profile-me.json') {
+    return new File([typeof content === 'string' ? content : JSON.stringify(content)], name, { type: 'application/json' });
+}
+
+/**
+ * Store with one profile and one session, so changes to existing data show
+ */
+async function storeWithProfile() {
+    const store = new ProfileStore({ indexedDB: new IDBFactory() });
+    const profile = await store.createProfile('Me');
+    await store.saveSession(profile.id, record(), null);
+    return store;
+}
+
+/**
+ * Everything in the store, to compare before and after
+ */
+async function contents(store) {
+    const profiles = await store.listProfiles();
+    return Promise.all(profiles.map(async profile => ({ profile, sessions: await store.listSessions(profile.id) })));
+}
+
+/**
+ * Import a file that must be rejected with the given error key, and check the store is unchanged
+ */
+async function assertRejected(content, key) {
+    const store = await storeWithProfile();
+    const before = await contents(store);
+    await assert.rejects(store.importProfile(file(content)), error => {
+        assert.equal(error.key, key);
+        return true;
+    });
+    assert.deepEqual(await contents(store), before);
+}
+
+test('an exported profile imports as a new profile', async () => {
+    const store = await storeWithProfile();
+    const [{ profile }] = await contents(store);
+    const exported = await store.exportProfile(profile.id);
+
+    const imported = await store.importProfile(file(await exported.text()));
+    assert.equal(imported.profile.name, 'Me (2)');
+    assert.equal(imported.sessions, 1);
+    const sessions = await store.listSessions(imported.profile.id);
+    assert.deepEqual(sessions[0].record, record());
+});
+
+test('malformed JSON is rejected', async () => {
+    await assertRejected('{"format": "sizekit-profile", ', 'error.notProfile');
+    await assertRejected('', 'error.notProfile');
+    await assertRejected('null', 'error.notProfile');
+    await assertRejected('[1, 2]', 'error.notProfile');
+});
+
+test('files that are not profiles are rejected', async () => {
+    await assertRejected(record(), 'error.notProfile');
+    await assertRejected(profileFile({ format: 'sizekit-debug' }), 'error.notProfile');
+    await assertRejected(profileFile({ sessions: undefined }), 'error.notProfile');
+    await assertRejected(profileFile({ profile: undefined }), 'error.notProfile');
+});
+
+test('wrong types in the profile are rejected', async () => {
+    await assertRejected(profileFile({ version: '1' }), 'error.notProfile');
+    await assertRejected(profileFile({ sessions: { 0: {} } }), 'error.notProfile');
+    await assertRejected(profileFile({ profile: { name: 42 } }), 'error.notProfile');
+    await assertRejected(profileFile({ profile: { name: { first: 'Me' } } }), 'error.notProfile');
+    await assertRejected(profileFile({ profile: { name: '   ' } }), 'error.notProfile');
+});
+
+test('a profile from a newer version is rejected', async () => {
+    await assertRejected(profileFile({ version: 2 }), 'error.newerProfile');
+});
+
+test('sessions with missing fields or wrong types are left out', async () => {
+    const nail = record().nails[0];
+    const broken = [
+        null,
+        {},
+        { record: null },
+        { record: record({ format: 'sizekit-profile' }) },
+        { record: record({ timestamp: 1714573920000 }) },
+        { record: record({ reference: undefined }) },
+        { record: record({ reference: { id: 'card' } }) },
+        { record: record({ nails: 'none' }) },
+        { record: record({ nails: [null] }) },
+        { record: record({ nails: [{ ...nail, widthMM: '15.2' }] }) },
+        { record: record({ nails: [{ ...nail, widthMM: NaN }] }) },
+        { record: record({ nails: [{ ...nail, size: '3' }] }) },
+        { record: record({ nails: [{ ...nail, size: null, nearestSize: null }] }) },
+        { record: record({ nails: [{ ...nail, uncertaintyMM: 'small' }] }) },
+        { record: record({ nails: [{ ...nail, hand: 'middle' }] }) },
+        { record: record({ nails: [{ ...nail, finger: 'toe' }] }) }
+    ];
+    const good = { createdAt: '2024-05-01T14:32:00.000Z', record: record(), thumbnail: null };
+
+    const store = await storeWithProfile();
+    const imported = await store.importProfile(file(profileFile({}, [...broken, good])));
+    assert.equal(imported.sessions, 1);
+    assert.equal((await store.listSessions(imported.profile.id)).length, 1);
+});
+
+test('extra fields are kept and missing optional ones filled in', async () => {
+    const extra = record({ note: 'from a later version', nails: [{ ...record().nails[0], colour: 'red' }] });
+    const withoutUncertainty = record({ nails: [{ hand: 'right', finger: 'index', widthMM: 12.1, size: 6, nearestSize: 6 }] });
+
+    const store = await storeWithProfile();
+    const imported = await store.importProfile(file(profileFile({ unknown: true, profile: { name: 'Anna', extra: 1 } }, [
+        { record: extra, extra: true },
+        { record: withoutUncertainty }
+    ])));
+
+    assert.equal(imported.profile.name, 'Anna');
+    assert.equal(typeof imported.profile.createdAt, 'string'); // Missing createdAt: the import time
+    const sessions = await store.listSessions(imported.profile.id);
+    assert.equal(sessions.length, 2);
+    assert.ok(sessions.every(session => session.createdAt === record().timestamp && session.thumbnail === null));
+    assert.equal(sessions.find(session => session.record.note).record.nails[0].colour, 'red');
+});
+
+test('script-like strings are stored as plain text, never as markup or URLs', async () => {
+    const script = '<img src=x onerror="alert(1)">';
+    const store = await storeWithProfile();
+    const imported = await store.importProfile(file(profileFile({ profile: { name: script } }, [
+        { record: record({ reference: { id: 'card', label: `<script>alert(1)</script>` } }), thumbnail: 'javascript:alert(1)' },
+        { record: record(), thumbnail: '<svg onload=alert(1)>' },
+        { record: record({ nails: [{ ...record().nails[0], hand: '<script>' }] }) }
+    ])));
+
+    assert.equal(imported.profile.name, script);
+    const sessions = await store.listSessions(imported.profile.id);
+    assert.equal(sessions.length, 2); // The unknown hand is not a finger
+    assert.ok(sessions.every(session => session.thumbnail === null)); // Only data:image/ URLs are kept
+    assert.ok(sessions.some(session => session.record.reference.label === '<script>alert(1)</script>'));
+});
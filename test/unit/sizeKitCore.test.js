@@ -0,0 +1,112 @@
+/**
+ * SizeKitCore session flow without OpenCV: the detectors are replaced by fakes
+ * that return fixed results, so only the state machine and averaging are tested.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SizeKitCore } from '../../modules/core/sizeKitCore.js';
+
+const PIXELS_PER_MM = 5;
+
+/**
+ * Core with a fake detector that only takes locks
+ */
+function newCore() {
+    return new SizeKitCore({
+        detector: { lock() {}, unlock() {}, reset() {}, setReference() {}, isStable: () => true },
+        frameSize: { width: 1280, height: 720 }
+    });
+}
+
+/**
+ * Corners of a flat card seen at a scale
+ * @param {Object} reference - Card the core expects
+ * @param {number} pixelsPerMM
+ * @returns {Array<Object>} Ordered corners {x, y}
+ */
+function cardCorners(reference, pixelsPerMM) {
+    const width = reference.widthMM * pixelsPerMM;
+    const height = reference.heightMM * pixelsPerMM;
+    return [{ x: 400, y: 200 }, { x: 400 + width, y: 200 }, { x: 400 + width, y: 200 + height }, { x: 400, y: 200 + height }];
+}
+
+/**
+ * Core locked onto a flat ID-1 card at PIXELS_PER_MM, whose nails measure the widths handed in
+ * @returns {Object} {core, widths} - push a width (mm) to widths before each tap
+ */
+function lockedCore() {
+    const core = newCore();
+    const widths = [];
+    core.nailDetector = {
+        measureNail: () => {
+            const widthMM = widths.shift();
+            return { widthMM, widthPx: widthMM * PIXELS_PER_MM };
+        }
+    };
+    core.nailSegmenter = { segment: () => null };
+
+    assert.ok(core.lockCard({ corners: cardCorners(core.reference, PIXELS_PER_MM) }));
+    return { core, widths };
+}
+
+test('a card at an implausible scale is not locked and sets no scale', () => {
+    const core = newCore();
+    const logged = [];
+    core.on('log', ({ key }) => logged.push(key));
+
+    assert.equal(core.lockCard({ corners: cardCorners(core.reference, 1) }), false);
+    assert.equal(core.state, 'waiting');
+    assert.equal(core.pixelsPerMM, null);
+    assert.equal(core.cardPlane, null);
+    assert.equal(core.scaleStats.count, 0);
+    assert.ok(!logged.includes('log.scale'));
+});
+
+test('a rejected lock keeps the scale of the card locked before', () => {
+    const core = newCore();
+    assert.ok(core.lockCard({ corners: cardCorners(core.reference, PIXELS_PER_MM) }));
+    const plane = core.cardPlane;
+
+    assert.equal(core.lockCard({ corners: cardCorners(core.reference, 20) }), false);
+    assert.ok(Math.abs(core.pixelsPerMM - PIXELS_PER_MM) < 1e-9);
+    assert.equal(core.cardPlane, plane);
+    assert.equal(core.scaleStats.count, 1);
+});
+
+test('a finger retaken after Back is averaged on its own', () => {
+    const { core, widths } = lockedCore();
+    core.setMaxUncertainty(Infinity); // Every capture is accepted at once
+    core.startSession();
+    const first = core.session.currentStep;
+
+    widths.push(14);
+    core.tap({ x: 600, y: 500 }, () => null);
+    assert.equal(core.lastSessionResult.widthMM, 14);
+    assert.notEqual(core.session.currentStep, first);
+
+    core.previousFinger();
+    assert.equal(core.session.currentStep, first);
+    widths.push(16);
+    core.tap({ x: 600, y: 500 }, () => null);
+
+    const retake = core.lastSessionResult;
+    assert.equal(retake.finger, first.finger);
+    assert.equal(retake.widthMM, 16);
+    assert.equal(retake.captures, 1);
+});
+
+test('a skipped finger leaves no captures for the next one', () => {
+    const { core, widths } = lockedCore();
+    core.startSession();
+
+    widths.push(14);
+    core.tap({ x: 600, y: 500 }, () => null);
+    assert.equal(core.lastSessionResult, null); // One capture is not certain enough yet
+    core.skipFinger();
+
+    widths.push(16);
+    core.tap({ x: 600, y: 500 }, () => null);
+    assert.equal(core.lastNailMeasurement.average.widthMM, 16);
+    assert.equal(core.lastNailMeasurement.average.captures, 1);
+});